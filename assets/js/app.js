@@ -3,7 +3,7 @@
  * MIT License - Copyright (c) 2025 NQR
  *
  * Architecture:
- * - AI-powered depth estimation using Depth Anything V2
+ * - AI-powered depth estimation (Depth Anything V2, MiDaS and other ONNX models)
  * - Side-by-side stereogram generation for cross-eye viewing
  * - Interactive crop and pan controls
  * - Real-time preview with adjustable depth parameters
@@ -17,7 +17,16 @@
 
 const state = {
   originalImage: null,
+  depthFloat: null,
+  pendingDepth: null,
+  importedDepth: null,
+  embeddedDepth: null,
+  embeddedDepthSource: null,
+  stereoPair: null,
+  video: null,
   depthMap: null,
+  depthEdits: null,
+  hiddenMask: null,
   settings: {
     zoom: 100,
     panX: 0,
@@ -25,59 +34,257 @@ const state = {
     depthIntensity: 25,
     depthGamma: 1.0,
     invertDepth: false,
-    previewZoom: 50
+    previewZoom: 50,
+    depthModel: 'depth-anything-v2-small',
+    depthTiles: 1,
+    videoStart: 0,
+    videoEnd: 0,
+    videoFps: 30,
+    videoSmoothing: 60,
+    videoFormat: 'webm',
+    wigglePath: 'ping-pong',
+    wiggleFrames: 6,
+    wiggleFps: 10,
+    wiggleSize: 720,
+    wiggleFormat: 'gif',
+    viewerMode: 'parallax',
+    meshFormat: 'glb',
+    meshResolution: 512,
+    meshCutEdges: true,
+    renderer: 'fast',
+    gpuRendering: true,
+    convergence: 0,
+    viewingProfile: 'relative',
+    viewing: { displayWidthMm: 597, pixelDensity: 109, viewingDistanceMm: 650, interocularMm: 63 },
+    windowGuard: 'mask',
+    inpaintMethod: 'stretch',
+    showHoleMask: false,
+    useEmbeddedDepth: true,
+    pairSwapEyes: false,
+    pairNudgeY: 0,
+    pairNudgeRotation: 0,
+    pairNudgeScale: 0,
+    pairAlignPreview: false,
+    edgeAwareDepth: false,
+    edgeRadius: 8,
+    edgeStrength: 50,
+    editTool: 'paint',
+    editDirection: 'closer',
+    brushSize: 30,
+    brushSoftness: 50,
+    brushStrength: 30,
+    fillDepth: 50,
+    fillTolerance: 8,
+    overlayOpacity: 40,
+    hiddenLayer: false,
+    hiddenSource: 'text',
+    hiddenText: 'CLUE',
+    hiddenFont: 'sans-serif',
+    hiddenShape: 'star',
+    hiddenSize: 25,
+    hiddenX: 50,
+    hiddenY: 50,
+    hiddenDepth: 10,
+    hiddenFeather: 2,
+    hiddenFlatPreview: false,
+    viewMode: 'pair',
+    anaglyphGlasses: 'red-cyan',
+    anaglyphMethod: 'dubois',
+    layout: 'cross',
+    eyeWidth: 1920,
+    eyeHeight: 1080,
+    resolution: 'hd',
+    customWidth: 1920,
+    customHeight: 1080,
+    dividerWidth: 0,
+    dividerColor: '#000000',
+    imageFormat: 'png',
+    imageQuality: 92
   }
 };
 
 // ============================================================================
-// DEPTH ANYTHING V2 - AI DEPTH PREDICTION
+// AI DEPTH PREDICTION - MODEL REGISTRY
 // ============================================================================
 
-// Based on "Depth Anything V2" by DepthAnything team
-// Model: https://github.com/DepthAnything/Depth-Anything-V2
-// ONNX Model: https://huggingface.co/onnx-community/depth-anything-v2-small
-// License: Apache 2.0
-
-let depthModel = null;
-let depthModelLoading = false;
-
 // ImageNet normalization constants
 const IMAGENET_MEAN = [0.485, 0.456, 0.406];
 const IMAGENET_STD = [0.229, 0.224, 0.225];
 
-// Load the Depth Anything V2 model
-async function loadDepthModel() {
-  if (depthModel) return depthModel;
-  if (depthModelLoading) {
-    while (depthModelLoading) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    return depthModel;
+// ONNX depth models. Each descriptor drives pre- and post-processing:
+// path: model file relative to the page
+// inputName / inputSize: NCHW float32 input, letterboxed to a square
+// outputName: depth output tensor
+//   (null = the model's only input or output: MiDaS exports name them
+//   differently depending on the exporter; names given are checked on load)
+// mean / std: per-channel normalization of 0-1 RGB
+// output: 'relative' = relative inverse depth (larger = nearer),
+//         'metric' = distance in meters (larger = farther)
+// sizeMb: download size shown before loading; license: model weights license
+// sha256 (optional): hex digest of the model file (`sha256sum models/*.onnx`);
+//   a download that does not match it is not loaded
+const DEPTH_MODELS = {
+  'depth-anything-v2-small': {
+    name: 'Depth Anything V2 Small',
+    path: 'models/depth-anything-v2-small-518.onnx',
+    inputName: 'pixel_values',
+    outputName: 'predicted_depth',
+    inputSize: 518,
+    mean: IMAGENET_MEAN,
+    std: IMAGENET_STD,
+    output: 'relative',
+    sizeMb: 97,
+    license: 'Apache-2.0',
+    source: 'https://huggingface.co/onnx-community/depth-anything-v2-small'
+  },
+  'depth-anything-v2-base': {
+    name: 'Depth Anything V2 Base',
+    path: 'models/depth-anything-v2-base-518.onnx',
+    inputName: 'pixel_values',
+    outputName: 'predicted_depth',
+    inputSize: 518,
+    mean: IMAGENET_MEAN,
+    std: IMAGENET_STD,
+    output: 'relative',
+    sizeMb: 390,
+    license: 'CC-BY-NC-4.0',
+    source: 'https://huggingface.co/onnx-community/depth-anything-v2-base'
+  },
+  'depth-anything-v2-large': {
+    name: 'Depth Anything V2 Large',
+    path: 'models/depth-anything-v2-large-518.onnx',
+    inputName: 'pixel_values',
+    outputName: 'predicted_depth',
+    inputSize: 518,
+    mean: IMAGENET_MEAN,
+    std: IMAGENET_STD,
+    output: 'relative',
+    sizeMb: 1340,
+    license: 'CC-BY-NC-4.0',
+    source: 'https://huggingface.co/onnx-community/depth-anything-v2-large'
+  },
+  'midas-v21-small': {
+    name: 'MiDaS v2.1 Small',
+    path: 'models/midas-v21-small-256.onnx',
+    inputName: null,
+    outputName: null,
+    inputSize: 256,
+    mean: IMAGENET_MEAN,
+    std: IMAGENET_STD,
+    output: 'relative',
+    sizeMb: 66,
+    license: 'MIT',
+    source: 'https://github.com/isl-org/MiDaS/releases/tag/v2_1'
+  },
+  'depth-anything-v2-metric-indoor-small': {
+    name: 'Depth Anything V2 Metric Indoor Small',
+    path: 'models/depth-anything-v2-metric-indoor-small-518.onnx',
+    inputName: 'pixel_values',
+    outputName: 'predicted_depth',
+    inputSize: 518,
+    mean: IMAGENET_MEAN,
+    std: IMAGENET_STD,
+    output: 'metric',
+    sizeMb: 99,
+    license: 'Apache-2.0',
+    source: 'https://github.com/DepthAnything/Depth-Anything-V2/tree/main/metric_depth'
+  },
+  'depth-anything-v2-metric-outdoor-small': {
+    name: 'Depth Anything V2 Metric Outdoor Small',
+    path: 'models/depth-anything-v2-metric-outdoor-small-518.onnx',
+    inputName: 'pixel_values',
+    outputName: 'predicted_depth',
+    inputSize: 518,
+    mean: IMAGENET_MEAN,
+    std: IMAGENET_STD,
+    output: 'metric',
+    sizeMb: 99,
+    license: 'Apache-2.0',
+    source: 'https://github.com/DepthAnything/Depth-Anything-V2/tree/main/metric_depth'
   }
+};
 
-  depthModelLoading = true;
-  try {
-    const session = await ort.InferenceSession.create(
-      'models/depth-anything-v2-small-518.onnx',
-      { executionProviders: ['webgpu', 'wasm'] }
-    );
+const DEFAULT_DEPTH_MODEL = 'depth-anything-v2-small';
+
+// Metric depth is converted to inverse depth; nearer than this counts as this near
+const METRIC_MIN_DEPTH = 0.01;
+
+// One ONNX session is kept; switching models releases the previous one
+let depthModel = null;
+let depthModelKey = null;
+let depthModelLoading = null;
+
+function getDepthModel(key) {
+  return DEPTH_MODELS[key] || DEPTH_MODELS[DEFAULT_DEPTH_MODEL];
+}
+
+// Load (or reuse) the ONNX session for a registry entry
+// onProgress(phase, done, total) reports the download (see fetchModelBytes)
+async function loadDepthModel(key, onProgress = () => {}) {
+  const id = DEPTH_MODELS[key] ? key : DEFAULT_DEPTH_MODEL;
+  while (depthModelLoading) {
+    await depthModelLoading.catch(() => {});
+  }
+  if (depthModel && depthModelKey === id) return depthModel;
+
+  const model = DEPTH_MODELS[id];
+  depthModelLoading = (async () => {
+    if (depthModel) {
+      await depthModel.release();
+      depthModel = null;
+      depthModelKey = null;
+    }
+    if (typeof ort === 'undefined') importOnnxRuntime();
+    const bytes = await fetchModelBytes(model, onProgress);
+    const session = await ort.InferenceSession.create(bytes, { executionProviders: ['webgpu', 'wasm'] });
+    const missing = [
+      model.inputName && !session.inputNames.includes(model.inputName) && `input ${model.inputName}`,
+      model.outputName && !session.outputNames.includes(model.outputName) && `output ${model.outputName}`
+    ].filter(Boolean);
+    if (missing.length) {
+      await session.release();
+      throw new Error(`${model.name} has no ${missing.join(' or ')} ` +
+        `(inputs: ${session.inputNames.join(', ')}; outputs: ${session.outputNames.join(', ')})`);
+    }
     depthModel = session;
-    console.log('Depth Anything V2 model loaded successfully');
-    return depthModel;
+    depthModelKey = id;
+    console.log(`${model.name} model loaded successfully`);
+    return session;
+  })();
+
+  try {
+    return await depthModelLoading;
   } catch (error) {
-    console.error('Failed to load Depth Anything V2 model:', error);
+    console.error(`Failed to load ${model.name} model:`, error);
     throw error;
   } finally {
-    depthModelLoading = false;
+    depthModelLoading = null;
   }
 }
 
-// Resize and letterbox image to 518x518 preserving aspect ratio
-function drawToSquare518(img) {
-  const targetSize = 518;
-  const canvas = document.createElement('canvas');
-  canvas.width = targetSize;
-  canvas.height = targetSize;
+// Fill the model select from the registry
+function populateDepthModels() {
+  depthModelSelect.innerHTML = '';
+  for (const [id, model] of Object.entries(DEPTH_MODELS)) {
+    const size = model.sizeMb >= 1000 ? `${(model.sizeMb / 1000).toFixed(1)} GB` : `${model.sizeMb} MB`;
+    depthModelSelect.add(new Option(`${model.name} (${size})`, id));
+  }
+  depthModelSelect.value = DEPTH_MODELS[state.settings.depthModel] ? state.settings.depthModel : DEFAULT_DEPTH_MODEL;
+  updateDepthModelInfo();
+}
+
+// Input size, output type and license of the selected model
+function updateDepthModelInfo() {
+  const model = getDepthModel(state.settings.depthModel);
+  const output = model.output === 'metric' ? 'metric depth' : 'relative depth';
+  const usage = model.license.includes('-NC-') ? ' (non-commercial use only)' : '';
+  depthModelInfo.textContent = `${model.inputSize}px input, ${output}, ${model.license} license${usage}`;
+}
+
+// Resize and letterbox image to the model's square input preserving aspect ratio
+function drawToModelInput(img, model) {
+  const targetSize = model.inputSize;
+  const canvas = createCanvas(targetSize, targetSize);
   const ctx = canvas.getContext('2d');
 
   ctx.fillStyle = '#000000';
@@ -95,8 +302,8 @@ function drawToSquare518(img) {
   return { canvas, scaledWidth, scaledHeight, offsetX: x, offsetY: y };
 }
 
-// Build NCHW float32 tensor with ImageNet normalization
-function makeInputTensor(canvas) {
+// Build NCHW float32 tensor with the model's normalization
+function makeInputTensor(canvas, model) {
   const ctx = canvas.getContext('2d');
   const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
   const { data, width, height } = imageData;
@@ -104,12 +311,13 @@ function makeInputTensor(canvas) {
   const tensorData = new Float32Array(1 * 3 * height * width);
   const pixelCount = height * width;
 
-  const r_scale = 1.0 / (255.0 * IMAGENET_STD[0]);
-  const g_scale = 1.0 / (255.0 * IMAGENET_STD[1]);
-  const b_scale = 1.0 / (255.0 * IMAGENET_STD[2]);
-  const r_mean_norm = IMAGENET_MEAN[0] / IMAGENET_STD[0];
-  const g_mean_norm = IMAGENET_MEAN[1] / IMAGENET_STD[1];
-  const b_mean_norm = IMAGENET_MEAN[2] / IMAGENET_STD[2];
+  const { mean, std } = model;
+  const r_scale = 1.0 / (255.0 * std[0]);
+  const g_scale = 1.0 / (255.0 * std[1]);
+  const b_scale = 1.0 / (255.0 * std[2]);
+  const r_mean_norm = mean[0] / std[0];
+  const g_mean_norm = mean[1] / std[1];
+  const b_mean_norm = mean[2] / std[2];
 
   const rOffset = 0;
   const gOffset = pixelCount;
@@ -125,36 +333,42 @@ function makeInputTensor(canvas) {
   return new ort.Tensor('float32', tensorData, [1, 3, height, width]);
 }
 
-// Run the model and return Float32 depth array
-async function predictDepthFloat(img) {
-  const model = await loadDepthModel();
+// Run the model and return Float32 relative inverse depth (larger = nearer)
+// cropped to the letterboxed image area
+async function predictDepthFloat(img, modelKey, onProgress) {
+  const model = getDepthModel(modelKey);
+  const session = await loadDepthModel(modelKey, onProgress);
 
-  const { canvas, scaledWidth, scaledHeight, offsetX, offsetY } = drawToSquare518(img);
-  const inputTensor = makeInputTensor(canvas);
+  const { canvas, scaledWidth, scaledHeight, offsetX, offsetY } = drawToModelInput(img, model);
+  const inputTensor = makeInputTensor(canvas, model);
 
-  const feeds = { pixel_values: inputTensor };
-  const results = await model.run(feeds);
+  const results = await session.run({ [model.inputName || session.inputNames[0]]: inputTensor });
 
-  const depthTensor = results[Object.keys(results)[0]];
+  // [1, H, W] or [1, 1, H, W]; some models predict below their input size
+  const depthTensor = results[model.outputName || session.outputNames[0]];
   const depthData = depthTensor.data;
-  const tensorHeight = depthTensor.dims[1];
-  const tensorWidth = depthTensor.dims[2];
+  const tensorHeight = depthTensor.dims[depthTensor.dims.length - 2];
+  const tensorWidth = depthTensor.dims[depthTensor.dims.length - 1];
+  const ratio = tensorWidth / model.inputSize;
+  const cropX = Math.round(offsetX * ratio);
+  const cropY = Math.round(offsetY * ratio);
+  const width = Math.max(1, Math.min(tensorWidth - cropX, Math.round(scaledWidth * ratio)));
+  const height = Math.max(1, Math.min(tensorHeight - cropY, Math.round(scaledHeight * ratio)));
 
-  const depthArray = new Float32Array(scaledHeight * scaledWidth);
+  const depthArray = new Float32Array(height * width);
+  const metric = model.output === 'metric';
 
-  for (let y = 0; y < scaledHeight; y++) {
-    const srcRowStart = (offsetY + y) * tensorWidth + offsetX;
-    const dstRowStart = y * scaledWidth;
-    for (let x = 0; x < scaledWidth; x++) {
-      depthArray[dstRowStart + x] = depthData[srcRowStart + x];
+  for (let y = 0; y < height; y++) {
+    const srcRowStart = (cropY + y) * tensorWidth + cropX;
+    const dstRowStart = y * width;
+    for (let x = 0; x < width; x++) {
+      const value = depthData[srcRowStart + x];
+      // Parallax follows inverse distance, like the relative models' output
+      depthArray[dstRowStart + x] = metric ? 1 / Math.max(METRIC_MIN_DEPTH, value) : value;
     }
   }
 
-  return {
-    data: depthArray,
-    width: scaledWidth,
-    height: scaledHeight
-  };
+  return { data: depthArray, width, height };
 }
 
 // Fast histogram-based percentile calculation
@@ -203,24 +417,38 @@ function findPercentilesHistogram(data, p2, p98) {
   return { min: p2_val, max: p98_val };
 }
 
-// Convert depth to U8 grayscale (normalized 0-255)
-function depthToU8(depthFloat, width, height) {
+// Normalize depth to 0-1 using 2nd-98th percentiles
+// Model output is relative inverse depth (larger = nearer), so it is inverted:
+// 0 (black) = near, 1 (white) = far
+function normalizeDepth(depthFloat) {
+  // Imported depth maps are already normalized
+  if (depthFloat.normalized) return depthFloat.data;
+
   const data = depthFloat.data;
   const len = data.length;
 
-  const { min: minVal, max: maxVal } = findPercentilesHistogram(data, 0.02, 0.98);
+  // Video frames carry a clip-wide range so brightness does not pump between frames
+  const { min: minVal, max: maxVal } = depthFloat.range || findPercentilesHistogram(data, 0.02, 0.98);
   const range = maxVal - minVal || 1;
   const invRange = 1.0 / range;
 
-  const u8Data = new Uint8ClampedArray(width * height * 4);
+  const values = new Float32Array(len);
 
   for (let i = 0; i < len; i++) {
     let normalized = (data[i] - minVal) * invRange;
     normalized = normalized < 0 ? 0 : normalized > 1 ? 1 : normalized;
+    values[i] = 1 - normalized;
+  }
 
-    // Invert so white = near, black = far
-    const value = ((1 - normalized) * 255) | 0;
+  return values;
+}
+
+// Convert 0-1 depth values to grayscale ImageData
+function depthValuesToImageData(values, width, height) {
+  const u8Data = new Uint8ClampedArray(width * height * 4);
 
+  for (let i = 0; i < values.length; i++) {
+    const value = (values[i] * 255) | 0;
     const idx = i * 4;
     u8Data[idx] = value;
     u8Data[idx + 1] = value;
@@ -228,525 +456,9197 @@ function depthToU8(depthFloat, width, height) {
     u8Data[idx + 3] = 255;
   }
 
-  return u8Data;
+  return new ImageData(u8Data, width, height);
 }
 
-// Generate depth map from image
-async function generateDepthMap(img) {
+// Run depth inference and return model-resolution Float32 depth
+async function estimateDepth(img, settings) {
   showLoading('Generating depth map...');
 
-  const depthFloat = await predictDepthFloat(img);
-  const u8Data = depthToU8(depthFloat, depthFloat.width, depthFloat.height);
-
-  const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = depthFloat.width;
-  tempCanvas.height = depthFloat.height;
-  const tempCtx = tempCanvas.getContext('2d');
-  const tempImageData = new ImageData(u8Data, depthFloat.width, depthFloat.height);
-  tempCtx.putImageData(tempImageData, 0, 0);
-
-  const outputCanvas = document.createElement('canvas');
-  outputCanvas.width = img.width;
-  outputCanvas.height = img.height;
-  const outputCtx = outputCanvas.getContext('2d');
-  outputCtx.drawImage(tempCanvas, 0, 0, img.width, img.height);
+  const depthFloat = await inferDepth(img, settings.depthModel, settings.depthTiles, (phase, done, total) => {
+    if (phase === 'download') {
+      const size = total ? `${formatMegabytes(done)} / ${formatMegabytes(total)}` : formatMegabytes(done);
+      showLoading(`Downloading depth model: ${size}...`);
+    } else if (phase === 'verify') {
+      showLoading('Verifying depth model...');
+    } else {
+      showLoading(`Analyzing depth tile ${done}/${total}...`);
+    }
+  });
 
   hideLoading();
-  return outputCtx.getImageData(0, 0, img.width, img.height);
+  requestPersistentStorage();
+  updateCachedModelsInfo();
+  return depthFloat;
 }
 
-// ============================================================================
-// SIDE-BY-SIDE STEREOGRAM GENERATION
-// ============================================================================
-
-// Generate side-by-side stereogram for cross-eye viewing
-// Algorithm: Depth-based horizontal displacement mapping
-function generateStereogram(img, depthMap, settings) {
-  const { depthIntensity, depthGamma, invertDepth, zoom, panX, panY } = settings;
-
-  // Calculate output dimensions (16:9 landscape, each side 8:9)
-  const outputWidth = 1920;
-  const outputHeight = 1080;
-  const sideWidth = 960; // Each side is 8:9 aspect ratio
-  const sideHeight = 1080;
+// Model-resolution depth, on the depth worker when available
+// onProgress(phase, done, total): model 'download' and 'verify', then 'tiles'
+async function inferDepth(img, modelKey, depthTiles, onProgress = () => {}) {
+  if (!usePipelineWorkers()) {
+    return computeDepth(img, modelKey, depthTiles, onProgress);
+  }
+  const image = await createImageBitmap(img);
+  return getDepthWorker().request('depth', { image, modelKey, depthTiles }, [image], onProgress);
+}
 
-  // Create output canvas
-  const canvas = document.createElement('canvas');
-  canvas.width = outputWidth;
-  canvas.height = outputHeight;
-  const ctx = canvas.getContext('2d');
+// Single model pass, or overlapping tiles when depthTiles > 1
+function computeDepth(img, modelKey, depthTiles, onProgress) {
+  return depthTiles > 1
+    ? predictDepthTiled(img, modelKey, depthTiles, onProgress)
+    : predictDepthFloat(img, modelKey, onProgress);
+}
 
-  // Fill with black background
-  ctx.fillStyle = '#000000';
-  ctx.fillRect(0, 0, outputWidth, outputHeight);
+// Upsample model-resolution depth to image-sized 0-1 values (full float precision)
+function generateDepthValues(img, depthFloat, settings) {
+  const normalized = normalizeDepth(depthFloat);
 
-  // Calculate zoom and pan transformations
-  const zoomFactor = zoom / 100;
-  const imgWidth = img.width;
-  const imgHeight = img.height;
-  const imgAspect = imgWidth / imgHeight;
-  const sideAspect = sideWidth / sideHeight;
-
-  // Determine scaled dimensions to fit side canvas with zoom
-  let scaledWidth, scaledHeight;
-  if (imgAspect > sideAspect) {
-    // Image wider than side - fit to height
-    scaledHeight = sideHeight * zoomFactor;
-    scaledWidth = scaledHeight * imgAspect;
-  } else {
-    // Image taller than side - fit to width
-    scaledWidth = sideWidth * zoomFactor;
-    scaledHeight = scaledWidth / imgAspect;
+  if (settings.edgeAwareDepth) {
+    return guidedUpsampleDepth(img, normalized, depthFloat.width, depthFloat.height, settings);
   }
 
-  // Convert pan values directly to pixel offsets (no guard rails)
-  // Larger pan range for more freedom of movement
-  const panXOffset = panX * 5; // 5 pixels per pan unit
-  const panYOffset = panY * 5;
+  return resizeFloatBilinear(normalized, depthFloat.width, depthFloat.height, img.width, img.height);
+}
 
-  // Maximum parallax shift based on depth intensity (pixels)
-  const maxShift = (depthIntensity / 100) * 50; // Max 50px at intensity 100
+// Generate image-sized depth map from model-resolution depth
+function generateDepthMap(img, depthFloat, settings) {
+  const values = generateDepthValues(img, depthFloat, settings);
+  return depthValuesToImageData(values, img.width, img.height);
+}
 
-  // Create temporary canvas for processing
-  const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = imgWidth;
-  tempCanvas.height = imgHeight;
-  const tempCtx = tempCanvas.getContext('2d');
-  tempCtx.drawImage(img, 0, 0);
-  const imgData = tempCtx.getImageData(0, 0, imgWidth, imgHeight);
+// ============================================================================
+// OFFLINE MODEL CACHE
+// ============================================================================
 
-  // Process depth map with gamma and invert
-  const processedDepth = new Float32Array(depthMap.data.length / 4);
-  for (let i = 0; i < processedDepth.length; i++) {
-    let depth = depthMap.data[i * 4] / 255; // Normalize to 0-1
+// Model files are only loaded when their SHA-256 matches the registry, and are
+// then kept in Cache Storage with their size and digest; a cached copy is used
+// while its stored digest is still the registry's. Downloads are stored in IndexedDB chunk by
+// chunk as they arrive, so an interrupted download resumes with a Range
+// request instead of starting over. The app shell and CDN scripts are cached
+// separately by the service worker (sw.js).
+
+const MODEL_CACHE_NAME = 'stereonix-models-v1';
+const MODEL_DOWNLOAD_DB = 'stereonix-downloads';
+const MODEL_HASH_HEADER = 'X-Content-SHA256';
+const MODEL_CHUNK_BYTES = 4 * 1024 * 1024;
+const MODEL_DOWNLOAD_RETRIES = 3;
+const MODEL_PROGRESS_INTERVAL_MS = 100;
+
+// Model bytes from the cache, downloading and caching them on a miss
+// onProgress(phase, done, total): 'download' in bytes, then 'verify'
+async function fetchModelBytes(model, onProgress) {
+  const url = new URL(model.path, PAGE_BASE_URL).href;
+  // Cache Storage only exists in secure contexts (https or localhost)
+  const cache = typeof caches !== 'undefined' ? await caches.open(MODEL_CACHE_NAME) : null;
+
+  // Only checked bytes are cached, so the stored digest and size stand in
+  // for hashing the file again
+  const cached = cache && await cache.match(url);
+  if (cached) {
+    const stored = cached.headers.get(MODEL_HASH_HEADER);
+    const bytes = stored && (!model.sha256 || stored === model.sha256) ? await cached.arrayBuffer() : null;
+    if (bytes && Number(cached.headers.get('Content-Length')) === bytes.byteLength) return bytes;
+    console.warn(`Cached ${model.name} model does not match the registry, downloading it again`);
+    await cache.delete(url);
+  }
 
-    // Apply gamma
-    if (depthGamma !== 1.0) {
-      depth = Math.pow(depth, depthGamma);
-    }
+  const blob = await downloadModelBytes(url, onProgress);
+  onProgress('verify', 0, 1);
+  const bytes = await blob.arrayBuffer();
+  const sha256 = await sha256Hex(bytes);
+  if (!sha256) {
+    // Plain http on a LAN: no Web Crypto (and no Cache Storage), so the model is used unchecked
+    console.warn(`Cannot check the ${model.name} model's SHA-256 without https or localhost`);
+  } else if (model.sha256 && sha256 !== model.sha256) {
+    throw new Error(`Downloaded ${model.name} model is corrupt (SHA-256 mismatch)`);
+  }
 
-    // Apply invert
-    if (invertDepth) {
-      depth = 1 - depth;
+  if (cache && sha256) {
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(blob.size),
+      [MODEL_HASH_HEADER]: sha256
+    };
+    try {
+      await cache.put(url, new Response(blob, { headers }));
+    } catch (error) {
+      // Over quota: the model still works for this session
+      console.warn(`Could not cache the ${model.name} model:`, error);
     }
-
-    processedDepth[i] = depth;
   }
+  return bytes;
+}
 
-  // Generate left eye view (shift based on depth)
-  const leftCanvas = document.createElement('canvas');
-  leftCanvas.width = sideWidth;
-  leftCanvas.height = sideHeight;
-  const leftCtx = leftCanvas.getContext('2d');
-  const leftImageData = leftCtx.createImageData(sideWidth, sideHeight);
-
-  // Generate right eye view (opposite shift)
-  const rightCanvas = document.createElement('canvas');
-  rightCanvas.width = sideWidth;
-  rightCanvas.height = sideHeight;
-  const rightCtx = rightCanvas.getContext('2d');
-  const rightImageData = rightCtx.createImageData(sideWidth, sideHeight);
-
-  // Render both views with depth-based shifting
-  for (let y = 0; y < sideHeight; y++) {
-    for (let x = 0; x < sideWidth; x++) {
-      // Map output pixel to source image coordinates (with zoom and pan)
-      // Center viewport coordinates, apply pan offset, then scale by zoom
-      const viewportX = x - sideWidth / 2;
-      const viewportY = y - sideHeight / 2;
+// Hex SHA-256 digest, or null where Web Crypto is unavailable (insecure context)
+async function sha256Hex(bytes) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-      // When drag right (panX increases), image moves right, so we sample from left of source
-      const srcX = imgWidth / 2 + (viewportX - panXOffset) / zoomFactor;
-      const srcY = imgHeight / 2 + (viewportY - panYOffset) / zoomFactor;
+// Download with automatic retries, resuming from the chunks already stored.
+// Resolves a Blob of the file
+async function downloadModelBytes(url, onProgress) {
+  const db = await openDownloadDb();
+  try {
+    const partial = db ? await loadPartialDownload(db, url) : createPartialDownload();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const bytes = await continueDownload(url, db, partial, onProgress);
+        if (db) await clearPartialDownload(db, url);
+        return bytes;
+      } catch (error) {
+        // Client errors such as a missing file will not go away on retry
+        if (attempt >= MODEL_DOWNLOAD_RETRIES || (error.status >= 400 && error.status < 500)) throw error;
+        console.warn(`Model download interrupted at ${partial.received} bytes, retrying:`, error);
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+      }
+    }
+  } finally {
+    if (db) db.close();
+  }
+}
 
-      // Clamp to image bounds
-      const clampedX = Math.max(0, Math.min(imgWidth - 1, Math.floor(srcX)));
-      const clampedY = Math.max(0, Math.min(imgHeight - 1, Math.floor(srcY)));
+function createPartialDownload() {
+  return { chunks: [], received: 0, total: 0, validator: null };
+}
 
-      // Get source pixel
-      const srcIdx = (clampedY * imgWidth + clampedX) * 4;
-      const r = imgData.data[srcIdx];
-      const g = imgData.data[srcIdx + 1];
-      const b = imgData.data[srcIdx + 2];
-      const a = imgData.data[srcIdx + 3];
+// Fetch the rest of the file into partial, storing each completed chunk
+async function continueDownload(url, db, partial, onProgress) {
+  const headers = {};
+  if (partial.received > 0) {
+    headers.Range = `bytes=${partial.received}-`;
+    // The server sends the whole file instead if it changed since
+    if (partial.validator) headers['If-Range'] = partial.validator;
+  }
 
-      // Get depth value
-      const depthIdx = clampedY * imgWidth + clampedX;
-      const depth = processedDepth[depthIdx];
+  const response = await fetch(url, { headers, cache: 'no-store' });
+  if (response.status === 416) {
+    // Stored chunks run past the end of the file: start over
+    await resetPartialDownload(db, url, partial);
+    throw new Error('Stored partial download does not match the file');
+  }
+  if (!response.ok) {
+    throw Object.assign(new Error(`Model download failed (HTTP ${response.status})`), { status: response.status });
+  }
 
-      // Calculate shift based on depth (near = more shift, far = less shift)
-      const shift = depth * maxShift;
+  if (response.status === 206) {
+    const range = /^bytes (\d+)-\d+\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+    if (!range || Number(range[1]) !== partial.received) {
+      await resetPartialDownload(db, url, partial);
+      throw new Error('Server returned an unexpected byte range');
+    }
+    partial.total = Number(range[2]);
+  } else {
+    // No range support, or the file changed: start over
+    await resetPartialDownload(db, url, partial);
+    // Content-Length counts encoded bytes when the response is compressed
+    const encoded = response.headers.get('Content-Encoding');
+    partial.total = encoded && encoded !== 'identity' ? 0 : Number(response.headers.get('Content-Length')) || 0;
+    const etag = response.headers.get('ETag');
+    partial.validator = etag && !etag.startsWith('W/') ? etag : response.headers.get('Last-Modified');
+  }
 
-      // Left eye: shift right for near objects
-      const leftX = Math.floor(x + shift);
-      if (leftX >= 0 && leftX < sideWidth) {
-        const leftIdx = (y * sideWidth + leftX) * 4;
-        leftImageData.data[leftIdx] = r;
-        leftImageData.data[leftIdx + 1] = g;
-        leftImageData.data[leftIdx + 2] = b;
-        leftImageData.data[leftIdx + 3] = a;
-      }
+  const reader = response.body.getReader();
+  let pending = [];
+  let pendingBytes = 0;
+  let lastReport = 0;
+
+  const storePending = async () => {
+    if (!pendingBytes) return;
+    const chunk = concatBytes(pending);
+    pending = [];
+    pendingBytes = 0;
+    partial.chunks.push(chunk);
+    if (db) await savePartialChunk(db, url, partial, chunk);
+  };
 
-      // Right eye: shift left for near objects
-      const rightX = Math.floor(x - shift);
-      if (rightX >= 0 && rightX < sideWidth) {
-        const rightIdx = (y * sideWidth + rightX) * 4;
-        rightImageData.data[rightIdx] = r;
-        rightImageData.data[rightIdx + 1] = g;
-        rightImageData.data[rightIdx + 2] = b;
-        rightImageData.data[rightIdx + 3] = a;
+  onProgress('download', partial.received, partial.total);
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      pending.push(value);
+      pendingBytes += value.byteLength;
+      partial.received += value.byteLength;
+      if (pendingBytes >= MODEL_CHUNK_BYTES) await storePending();
+
+      const now = Date.now();
+      if (now - lastReport >= MODEL_PROGRESS_INTERVAL_MS) {
+        lastReport = now;
+        onProgress('download', partial.received, partial.total);
       }
     }
+  } finally {
+    // Keep whatever arrived so a retry (or the next session) resumes after it
+    await storePending();
   }
+  onProgress('download', partial.received, partial.total);
 
-  // Fill holes using nearest neighbor
-  fillHoles(leftImageData);
-  fillHoles(rightImageData);
-
-  // Put processed images on canvases
-  leftCtx.putImageData(leftImageData, 0, 0);
-  rightCtx.putImageData(rightImageData, 0, 0);
-
-  // Composite to final output (left on left, right on right)
-  ctx.drawImage(leftCanvas, 0, 0);
-  ctx.drawImage(rightCanvas, sideWidth, 0);
+  if (partial.total && partial.received !== partial.total) {
+    throw new Error(`Model download ended early (${partial.received} of ${partial.total} bytes)`);
+  }
+  // A Blob over the chunk list, rather than one more copy of the whole file
+  const blob = new Blob(partial.chunks, { type: 'application/octet-stream' });
+  partial.chunks = [];
+  return blob;
+}
 
-  return canvas;
+// IndexedDB with a 'downloads' record per file and its chunks keyed [url, index]
+// Resolves null where IndexedDB is unavailable; downloads then cannot resume
+function openDownloadDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  return new Promise(resolve => {
+    const request = indexedDB.open(MODEL_DOWNLOAD_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('downloads', { keyPath: 'url' });
+      request.result.createObjectStore('chunks');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
 }
 
-// Fill holes in depth-shifted image using nearest neighbor
-function fillHoles(imageData) {
-  const width = imageData.width;
-  const height = imageData.height;
-  const data = imageData.data;
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-  // Scan for transparent/black holes and fill with nearest neighbor
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4;
+function idbTransaction(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['downloads', 'chunks'], mode);
+    const result = work(transaction.objectStore('downloads'), transaction.objectStore('chunks'));
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
 
-      // Check if pixel is empty (alpha = 0)
-      if (data[idx + 3] === 0) {
-        // Search for nearest non-empty pixel (simple right-to-left scan)
-        let foundX = -1;
-        for (let searchX = x + 1; searchX < width; searchX++) {
-          const searchIdx = (y * width + searchX) * 4;
-          if (data[searchIdx + 3] > 0) {
-            foundX = searchX;
-            break;
-          }
-        }
+function chunkKeyRange(url) {
+  return IDBKeyRange.bound([url, 0], [url, Infinity]);
+}
 
-        if (foundX !== -1) {
-          const srcIdx = (y * width + foundX) * 4;
-          data[idx] = data[srcIdx];
-          data[idx + 1] = data[srcIdx + 1];
-          data[idx + 2] = data[srcIdx + 2];
-          data[idx + 3] = data[srcIdx + 3];
-        }
-      }
-    }
-  }
+async function loadPartialDownload(db, url) {
+  const [record, chunks] = await idbTransaction(db, 'readonly', (downloads, chunkStore) => Promise.all([
+    idbRequest(downloads.get(url)),
+    idbRequest(chunkStore.getAll(chunkKeyRange(url)))
+  ]));
+  if (!record || chunks.length !== record.chunkCount) return createPartialDownload();
+
+  const partial = createPartialDownload();
+  partial.chunks = chunks.map(buffer => new Uint8Array(buffer));
+  partial.received = partial.chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  partial.total = record.total;
+  partial.validator = record.validator;
+  return partial;
 }
 
-// ============================================================================
-// IMAGE LOADING AND PROCESSING
-// ============================================================================
+function savePartialChunk(db, url, partial, chunk) {
+  const index = partial.chunks.length - 1;
+  return idbTransaction(db, 'readwrite', (downloads, chunks) => {
+    chunks.put(chunk.buffer, [url, index]);
+    downloads.put({ url, total: partial.total, validator: partial.validator, chunkCount: partial.chunks.length });
+  });
+}
 
-async function loadImage(file) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = URL.createObjectURL(file);
+function clearPartialDownload(db, url) {
+  return idbTransaction(db, 'readwrite', (downloads, chunks) => {
+    downloads.delete(url);
+    chunks.delete(chunkKeyRange(url));
   });
 }
 
-async function handleImageLoad(file) {
-  try {
-    showLoading('Loading image...');
+async function resetPartialDownload(db, url, partial) {
+  Object.assign(partial, createPartialDownload());
+  if (db) await clearPartialDownload(db, url);
+}
 
-    // Load image
-    const img = await loadImage(file);
-    state.originalImage = img;
+// Registry models currently in the cache: [{ id, name, bytes }]
+async function listCachedModels() {
+  if (typeof caches === 'undefined' || !(await caches.has(MODEL_CACHE_NAME))) return [];
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const cached = [];
+  for (const [id, model] of Object.entries(DEPTH_MODELS)) {
+    const response = await cache.match(new URL(model.path, PAGE_BASE_URL).href);
+    if (response) {
+      cached.push({ id, name: model.name, bytes: Number(response.headers.get('Content-Length')) || 0 });
+    }
+  }
+  return cached;
+}
 
-    // Generate depth map
-    showLoading('Analyzing depth (this may take a moment)...');
-    state.depthMap = await generateDepthMap(img);
+// Delete cached models and unfinished downloads (loaded sessions stay usable)
+async function clearCachedModels() {
+  if (typeof caches !== 'undefined') await caches.delete(MODEL_CACHE_NAME);
+  if (typeof indexedDB !== 'undefined') {
+    await new Promise(resolve => {
+      const request = indexedDB.deleteDatabase(MODEL_DOWNLOAD_DB);
+      request.onsuccess = resolve;
+      request.onerror = resolve;
+    });
+  }
+}
 
-    // Show control sections
-    document.getElementById('cropSection').style.display = 'block';
-    document.getElementById('depthSection').style.display = 'block';
-    document.getElementById('exportSection').style.display = 'block';
+// Summary of cached models under the model select
+async function updateCachedModelsInfo() {
+  if (typeof caches === 'undefined') {
+    cachedModelsInfo.textContent = 'Offline caching needs the app to be served over https or from localhost';
+    clearModelCacheBtn.disabled = true;
+    return;
+  }
+  const cached = await listCachedModels();
+  const total = cached.reduce((sum, entry) => sum + entry.bytes, 0);
+  cachedModelsInfo.textContent = cached.length
+    ? `Available offline: ${cached.map(entry => entry.name).join(', ')} (${formatMegabytes(total)})`
+    : 'No models cached for offline use yet';
+  clearModelCacheBtn.disabled = cached.length === 0;
+}
 
-    // Generate initial preview
-    hideLoading();
-    await updatePreview();
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-  } catch (error) {
-    console.error('Error processing image:', error);
-    alert('Error processing image. Please try another image or check console for details.');
-    hideLoading();
+// Ask the browser not to evict cached models under storage pressure
+function requestPersistentStorage() {
+  if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
   }
 }
 
 // ============================================================================
-// PREVIEW RENDERING
+// EDGE-AWARE DEPTH UPSAMPLING
 // ============================================================================
 
-async function updatePreview() {
-  if (!state.originalImage || !state.depthMap) return;
+// Based on "Fast Guided Filter" by Kaiming He and Jian Sun (2015)
+// Filter coefficients are solved at a reduced resolution, then upsampled and
+// applied with the full-resolution image as guide so depth edges snap to
+// object boundaries instead of being smeared by bilinear interpolation.
 
-  const previewCanvas = document.getElementById('previewCanvas');
-  const previewOverlay = document.getElementById('previewOverlay');
+// Minimum long side of the coefficient grid
+const GUIDED_FILTER_MIN_SIZE = 1024;
 
-  // Hide overlay
-  previewOverlay.style.display = 'none';
+// Upsample 0-1 depth to image size using the image luminance as guide
+function guidedUpsampleDepth(img, depth, depthWidth, depthHeight, settings) {
+  const imgWidth = img.width;
+  const imgHeight = img.height;
 
-  // Generate stereogram at full resolution
-  const stereogram = generateStereogram(
-    state.originalImage,
-    state.depthMap,
-    state.settings
-  );
+  // Coefficient grid: at least the depth resolution, at most the image resolution
+  const imgLong = Math.max(imgWidth, imgHeight);
+  const depthLong = Math.max(depthWidth, depthHeight);
+  const coefScale = Math.min(1, Math.max(depthLong, GUIDED_FILTER_MIN_SIZE) / imgLong);
+  const lowWidth = Math.max(1, Math.round(imgWidth * coefScale));
+  const lowHeight = Math.max(1, Math.round(imgHeight * coefScale));
+  const lowCount = lowWidth * lowHeight;
+
+  // Guide (luminance) at coefficient resolution
+  const lowCanvas = createCanvas(lowWidth, lowHeight);
+  const lowCtx = lowCanvas.getContext('2d');
+  lowCtx.drawImage(img, 0, 0, lowWidth, lowHeight);
+  const lowGuide = luminanceFloat(lowCtx.getImageData(0, 0, lowWidth, lowHeight).data, lowCount);
+
+  // Depth bilinearly resampled to coefficient resolution
+  const p = resizeFloatBilinear(depth, depthWidth, depthHeight, lowWidth, lowHeight);
+
+  // Radius is given in full-resolution pixels; strength maps to regularization eps
+  const radius = Math.max(1, Math.round(settings.edgeRadius * coefScale));
+  const eps = Math.pow(10, -1 - settings.edgeStrength * 0.03);
+
+  const meanI = boxFilter(lowGuide, lowWidth, lowHeight, radius);
+  const meanP = boxFilter(p, lowWidth, lowHeight, radius);
+
+  const ii = new Float32Array(lowCount);
+  const ip = new Float32Array(lowCount);
+  for (let i = 0; i < lowCount; i++) {
+    ii[i] = lowGuide[i] * lowGuide[i];
+    ip[i] = lowGuide[i] * p[i];
+  }
+  const corrI = boxFilter(ii, lowWidth, lowHeight, radius);
+  const corrIP = boxFilter(ip, lowWidth, lowHeight, radius);
+
+  const a = new Float32Array(lowCount);
+  const b = new Float32Array(lowCount);
+  for (let i = 0; i < lowCount; i++) {
+    const varI = corrI[i] - meanI[i] * meanI[i];
+    const covIP = corrIP[i] - meanI[i] * meanP[i];
+    a[i] = covIP / (varI + eps);
+    b[i] = meanP[i] - a[i] * meanI[i];
+  }
+  const meanA = boxFilter(a, lowWidth, lowHeight, radius);
+  const meanB = boxFilter(b, lowWidth, lowHeight, radius);
+
+  // Apply upsampled coefficients with the full-resolution guide
+  const fullCanvas = createCanvas(imgWidth, imgHeight);
+  const fullCtx = fullCanvas.getContext('2d');
+  fullCtx.drawImage(img, 0, 0);
+  const data = fullCtx.getImageData(0, 0, imgWidth, imgHeight).data;
+  const output = new Float32Array(imgWidth * imgHeight);
+
+  const scaleX = lowWidth / imgWidth;
+  const scaleY = lowHeight / imgHeight;
+
+  for (let y = 0; y < imgHeight; y++) {
+    const sy = Math.max(0, Math.min(lowHeight - 1, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(lowHeight - 1, y0 + 1);
+    const fy = sy - y0;
+
+    for (let x = 0; x < imgWidth; x++) {
+      const sx = Math.max(0, Math.min(lowWidth - 1, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(lowWidth - 1, x0 + 1);
+      const fx = sx - x0;
+
+      const i00 = y0 * lowWidth + x0;
+      const i01 = y0 * lowWidth + x1;
+      const i10 = y1 * lowWidth + x0;
+      const i11 = y1 * lowWidth + x1;
+      const w00 = (1 - fx) * (1 - fy);
+      const w01 = fx * (1 - fy);
+      const w10 = (1 - fx) * fy;
+      const w11 = fx * fy;
+
+      const coefA = meanA[i00] * w00 + meanA[i01] * w01 + meanA[i10] * w10 + meanA[i11] * w11;
+      const coefB = meanB[i00] * w00 + meanB[i01] * w01 + meanB[i10] * w10 + meanB[i11] * w11;
+
+      const i = y * imgWidth + x;
+      const idx = i * 4;
+      const guide = (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) / 255;
+      const value = coefA * guide + coefB;
+
+      output[i] = value < 0 ? 0 : value > 1 ? 1 : value;
+    }
+  }
 
-  // Update canvas at full resolution
-  previewCanvas.width = stereogram.width;
-  previewCanvas.height = stereogram.height;
-  const ctx = previewCanvas.getContext('2d');
-  ctx.drawImage(stereogram, 0, 0);
+  return output;
+}
 
-  // Apply preview zoom via CSS transform
-  const scale = state.settings.previewZoom / 100;
-  previewCanvas.style.transform = `scale(${scale})`;
-  previewCanvas.style.transformOrigin = 'center center';
+// RGBA bytes to 0-1 luminance
+function luminanceFloat(data, pixelCount) {
+  const lum = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const idx = i * 4;
+    lum[i] = (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) / 255;
+  }
+  return lum;
 }
 
-// ============================================================================
-// UI HELPERS
-// ============================================================================
+// Mean over a (2r+1)x(2r+1) window, clamped at image borders (O(1) per pixel)
+function boxFilter(src, width, height, radius) {
+  const temp = new Float32Array(width * height);
+  const dst = new Float32Array(width * height);
 
-function showLoading(message) {
-  const loadingStatus = document.getElementById('loadingStatus');
-  const loadingText = document.getElementById('loadingText');
-  loadingText.textContent = message;
-  loadingStatus.style.display = 'block';
-}
+  // Horizontal pass
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let x = 0; x <= Math.min(radius, width - 1); x++) sum += src[row + x];
 
-function hideLoading() {
-  const loadingStatus = document.getElementById('loadingStatus');
-  loadingStatus.style.display = 'none';
-}
+    for (let x = 0; x < width; x++) {
+      const left = x - radius;
+      const right = x + radius;
+      const count = Math.min(width - 1, right) - Math.max(0, left) + 1;
+      temp[row + x] = sum / count;
 
-function downloadCanvas(canvas, filename) {
-  const link = document.createElement('a');
-  link.download = filename;
-  link.href = canvas.toDataURL('image/png');
-  link.click();
-}
+      if (right + 1 < width) sum += src[row + right + 1];
+      if (left >= 0) sum -= src[row + left];
+    }
+  }
 
-// ============================================================================
-// DOM ELEMENT REFERENCES
-// ============================================================================
+  // Vertical pass
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let y = 0; y <= Math.min(radius, height - 1); y++) sum += temp[y * width + x];
 
-// DOM elements
-const loadImageBtn = document.getElementById('loadImageBtn');
-const imageInput = document.getElementById('imageInput');
-const previewZoomSlider = document.getElementById('previewZoomSlider');
-const previewZoomValue = document.getElementById('previewZoomValue');
-const zoomSlider = document.getElementById('zoomSlider');
-const zoomValue = document.getElementById('zoomValue');
-const panXSlider = document.getElementById('panXSlider');
-const panXValue = document.getElementById('panXValue');
-const panYSlider = document.getElementById('panYSlider');
-const panYValue = document.getElementById('panYValue');
-const depthIntensitySlider = document.getElementById('depthIntensitySlider');
-const depthIntensityValue = document.getElementById('depthIntensityValue');
-const depthGammaSlider = document.getElementById('depthGammaSlider');
-const depthGammaValue = document.getElementById('depthGammaValue');
-const invertDepthCheckbox = document.getElementById('invertDepthCheckbox');
-const saveBtn = document.getElementById('saveBtn');
-const previewCanvas = document.getElementById('previewCanvas');
+    for (let y = 0; y < height; y++) {
+      const top = y - radius;
+      const bottom = y + radius;
+      const count = Math.min(height - 1, bottom) - Math.max(0, top) + 1;
+      dst[y * width + x] = sum / count;
+
+      if (bottom + 1 < height) sum += temp[(bottom + 1) * width + x];
+      if (top >= 0) sum -= temp[top * width + x];
+    }
+  }
+
+  return dst;
+}
 
 // ============================================================================
-// EVENT LISTENERS
+// HIGH-DETAIL TILED DEPTH
 // ============================================================================
 
-// Load image button
-loadImageBtn.addEventListener('click', () => {
-  imageInput.click();
-});
+// Fraction of each tile shared with its neighbours (tiles are the model's input size)
+const DEPTH_TILE_OVERLAP = 0.25;
+
+// Run the model on overlapping tiles plus one global pass
+// Each tile is aligned to the global pass by least-squares scale/shift,
+// then tiles are feathered together into one high-resolution depth array.
+// gridSize: number of tiles along the longer image side
+async function predictDepthTiled(img, modelKey, gridSize, onProgress) {
+  const tileSize = getDepthModel(modelKey).inputSize;
+  const stride = Math.round(tileSize * (1 - DEPTH_TILE_OVERLAP));
+
+  // Working resolution: enough for gridSize tiles at native model resolution
+  const longSide = Math.max(img.width, img.height);
+  const targetLong = Math.min(longSide, tileSize + (gridSize - 1) * stride);
+  const workScale = targetLong / longSide;
+  const workWidth = Math.max(1, Math.round(img.width * workScale));
+  const workHeight = Math.max(1, Math.round(img.height * workScale));
+
+  const workCanvas = createCanvas(workWidth, workHeight);
+  workCanvas.getContext('2d').drawImage(img, 0, 0, workWidth, workHeight);
+
+  const xs = getTileOffsets(workWidth, tileSize, stride);
+  const ys = getTileOffsets(workHeight, tileSize, stride);
+  const total = xs.length * ys.length + 1;
+  let done = 0;
+
+  // Global pass provides consistent low-frequency depth (and loads the model)
+  const globalDepth = await predictDepthFloat(img, modelKey, onProgress);
+  const globalData = resizeFloatBilinear(
+    globalDepth.data, globalDepth.width, globalDepth.height, workWidth, workHeight
+  );
+  onProgress('tiles', ++done, total);
+
+  const sum = new Float32Array(workWidth * workHeight);
+  const weight = new Float32Array(workWidth * workHeight);
+
+  const tileCanvas = createCanvas(tileSize, tileSize);
+  const tileCtx = tileCanvas.getContext('2d');
+
+  for (const ty of ys) {
+    for (const tx of xs) {
+      const tw = Math.min(tileSize, workWidth - tx);
+      const th = Math.min(tileSize, workHeight - ty);
+
+      tileCanvas.width = tw;
+      tileCanvas.height = th;
+      tileCtx.drawImage(workCanvas, tx, ty, tw, th, 0, 0, tw, th);
+
+      const tileDepth = await predictDepthFloat(tileCanvas, modelKey);
+      const tileData = resizeFloatBilinear(
+        tileDepth.data, tileDepth.width, tileDepth.height, tw, th
+      );
+
+      const { scale, shift } = fitScaleShift(tileData, globalData, tx, ty, tw, th, workWidth);
+      const margin = Math.round(tileSize * DEPTH_TILE_OVERLAP);
+
+      for (let y = 0; y < th; y++) {
+        // Feather only edges that border another tile
+        const wy = featherWeight(y, th, margin, ty === 0, ty + th >= workHeight);
+        const rowOffset = (ty + y) * workWidth + tx;
+        for (let x = 0; x < tw; x++) {
+          const wx = featherWeight(x, tw, margin, tx === 0, tx + tw >= workWidth);
+          const w = wx * wy;
+          sum[rowOffset + x] += (tileData[y * tw + x] * scale + shift) * w;
+          weight[rowOffset + x] += w;
+        }
+      }
 
-imageInput.addEventListener('change', async (e) => {
-  const file = e.target.files[0];
-  if (file) {
-    await handleImageLoad(file);
+      onProgress('tiles', ++done, total);
+    }
   }
-});
 
-// Preview zoom control
-previewZoomSlider.addEventListener('input', (e) => {
-  state.settings.previewZoom = parseFloat(e.target.value);
-  previewZoomValue.textContent = state.settings.previewZoom + '%';
-  updatePreview();
-});
+  const depthArray = new Float32Array(workWidth * workHeight);
+  for (let i = 0; i < depthArray.length; i++) {
+    depthArray[i] = weight[i] > 0 ? sum[i] / weight[i] : globalData[i];
+  }
 
-// Image zoom control
-zoomSlider.addEventListener('input', (e) => {
-  state.settings.zoom = parseFloat(e.target.value);
-  zoomValue.textContent = state.settings.zoom + '%';
-  updatePreview();
-});
+  return {
+    data: depthArray,
+    width: workWidth,
+    height: workHeight
+  };
+}
 
-// Pan X control
-panXSlider.addEventListener('input', (e) => {
-  state.settings.panX = parseFloat(e.target.value);
-  panXValue.textContent = state.settings.panX;
+// Evenly spread tile start positions covering [0, length)
+function getTileOffsets(length, tileSize, stride) {
+  if (length <= tileSize) return [0];
+
+  const count = Math.ceil((length - tileSize) / stride) + 1;
+  const step = (length - tileSize) / (count - 1);
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    offsets.push(Math.round(i * step));
+  }
+  return offsets;
+}
+
+// Linear ramp from tile edge into the overlap region
+function featherWeight(pos, size, margin, atStart, atEnd) {
+  let w = 1;
+  if (!atStart && pos < margin) w = Math.min(w, (pos + 0.5) / margin);
+  if (!atEnd && pos >= size - margin) w = Math.min(w, (size - pos - 0.5) / margin);
+  return w;
+}
+
+// Least-squares scale/shift mapping tile depth onto the global depth
+function fitScaleShift(tileData, globalData, tx, ty, tw, th, globalWidth) {
+  let n = 0, sumT = 0, sumG = 0, sumTT = 0, sumTG = 0;
+
+  // Subsample every other pixel - plenty of samples for two unknowns
+  for (let y = 0; y < th; y += 2) {
+    const globalRow = (ty + y) * globalWidth + tx;
+    for (let x = 0; x < tw; x += 2) {
+      const t = tileData[y * tw + x];
+      const g = globalData[globalRow + x];
+      n++;
+      sumT += t;
+      sumG += g;
+      sumTT += t * t;
+      sumTG += t * g;
+    }
+  }
+
+  const meanT = sumT / n;
+  const meanG = sumG / n;
+  const varT = sumTT / n - meanT * meanT;
+  const covTG = sumTG / n - meanT * meanG;
+
+  // Flat or anti-correlated tile carries no usable detail - fall back to global
+  if (!(varT > 1e-8) || !(covTG > 0)) {
+    return { scale: 0, shift: meanG };
+  }
+
+  const scale = covTG / varT;
+  return { scale, shift: meanG - scale * meanT };
+}
+
+// Bilinear resample of a single-channel float array
+function resizeFloatBilinear(src, srcWidth, srcHeight, dstWidth, dstHeight) {
+  const dst = new Float32Array(dstWidth * dstHeight);
+  const scaleX = srcWidth / dstWidth;
+  const scaleY = srcHeight / dstHeight;
+
+  for (let y = 0; y < dstHeight; y++) {
+    const sy = Math.max(0, Math.min(srcHeight - 1, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(srcHeight - 1, y0 + 1);
+    const fy = sy - y0;
+
+    for (let x = 0; x < dstWidth; x++) {
+      const sx = Math.max(0, Math.min(srcWidth - 1, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(srcWidth - 1, x0 + 1);
+      const fx = sx - x0;
+
+      const top = src[y0 * srcWidth + x0] * (1 - fx) + src[y0 * srcWidth + x1] * fx;
+      const bottom = src[y1 * srcWidth + x0] * (1 - fx) + src[y1 * srcWidth + x1] * fx;
+      dst[y * dstWidth + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+
+  return dst;
+}
+
+// ============================================================================
+// SIDE-BY-SIDE STEREOGRAM GENERATION
+// ============================================================================
+
+// Output frame presets (width x height of the finished image)
+// Over/under uses the preset size for each eye instead, full SBS its own per-eye size
+const OUTPUT_PRESETS = {
+  'hd': { width: 1920, height: 1080 },
+  '4k': { width: 3840, height: 2160 },
+  '8k': { width: 7680, height: 4320 },
+  'square': { width: 2160, height: 2160 },
+  'portrait': { width: 1080, height: 1920 }
+};
+
+// Longest side of the preview render (export always renders at full size)
+const PREVIEW_MAX_SIZE = 1920;
+
+// Reference eye width for parallax and pan units (960px = 1920x1080 side-by-side)
+const REFERENCE_EYE_WIDTH = 960;
+
+// Generate stereogram for the selected view mode
+// Algorithm: Depth-based horizontal displacement mapping
+// scale < 1 renders a proportionally smaller proxy of the same framing
+// options.showHoleMask tints inpainted pixels (preview debugging only)
+// options.onEyeDepth receives the eye views' depth buffers ({ left, right })
+// options.pairRight ({ image, disparityRange }, see getPairRightView) makes
+// img and the aligned right photo the eye views instead of rendered ones
+// settings.gpuRendering uses the WebGL2 renderer when it supports the settings
+function generateStereogram(img, depthMap, settings, scale = 1, options = {}) {
+  const { width: sideWidth, height: sideHeight } = getScaledEyeViewSize(settings, img, scale);
+  const dividerWidth = Math.round(getDividerWidth(settings) * scale);
+
+  const gpu = settings.gpuRendering && !options.pairRight ? getGpuRenderer() : null;
+  if (gpu && gpu.supports(settings, sideWidth, sideHeight, dividerWidth)) {
+    try {
+      const canvas = gpu.render(img, depthMap, settings, sideWidth, sideHeight, dividerWidth, options);
+      lastRenderBackend = 'gpu';
+      return canvas;
+    } catch (error) {
+      console.warn('GPU render failed, using the CPU renderer:', error);
+    }
+  }
+  lastRenderBackend = 'cpu';
+  return renderStereogramCpu(img, depthMap, settings, sideWidth, sideHeight, dividerWidth, options);
+}
+
+// CPU renderer: both eye views composited into the layout or anaglyph
+function renderStereogramCpu(img, depthMap, settings, sideWidth, sideHeight, dividerWidth, options = {}) {
+  const views = options.pairRight
+    ? renderPairEyeViews(img, options.pairRight, depthMap, settings, sideWidth, sideHeight)
+    : renderEyeViews(img, depthMap, settings, sideWidth, sideHeight);
+
+  if (options.showHoleMask) {
+    highlightHoles(views.left, views.holes.left);
+    highlightHoles(views.right, views.holes.right);
+  }
+  if (options.onEyeDepth) {
+    options.onEyeDepth(views.depth);
+  }
+
+  if (settings.viewMode === 'anaglyph') {
+    const anaglyph = composeAnaglyph(
+      views.left, views.right, settings.anaglyphGlasses, settings.anaglyphMethod
+    );
+    return imageDataToCanvas(anaglyph);
+  }
+
+  return composeStereoPair(views, settings.layout, dividerWidth, settings.dividerColor);
+}
+
+// Per-eye view size for the current resolution preset, view mode and layout
+function getEyeViewSize(settings, img) {
+  // Source-native: each eye keeps the full source resolution
+  if (settings.resolution === 'native') {
+    return { width: img.width, height: img.height };
+  }
+
+  // Full SBS: VR players take an arbitrary size for each eye
+  if (settings.viewMode === 'pair' && settings.layout === 'full-sbs') {
+    return { width: settings.eyeWidth, height: settings.eyeHeight };
+  }
+
+  const frame = settings.resolution === 'custom'
+    ? { width: settings.customWidth, height: settings.customHeight }
+    : OUTPUT_PRESETS[settings.resolution];
+
+  // Cross-eye and parallel split the frame between both eyes
+  if (settings.viewMode === 'pair' && (settings.layout === 'cross' || settings.layout === 'parallel')) {
+    return {
+      width: Math.max(1, Math.round((frame.width - getDividerWidth(settings)) / 2)),
+      height: frame.height
+    };
+  }
+
+  return { width: frame.width, height: frame.height };
+}
+
+// Per-eye view size after applying a render scale (preview proxy)
+function getScaledEyeViewSize(settings, img, scale) {
+  const eyeSize = getEyeViewSize(settings, img);
+  return {
+    width: Math.max(1, Math.round(eyeSize.width * scale)),
+    height: Math.max(1, Math.round(eyeSize.height * scale))
+  };
+}
+
+// Rectangles occupied by each eye view within the output frame
+// Rects may be squeezed (half SBS) relative to the eye view size
+function getEyeViewports(settings, sideWidth, sideHeight, dividerWidth) {
+  if (settings.viewMode === 'anaglyph') {
+    return [{ x: 0, y: 0, width: sideWidth, height: sideHeight }];
+  }
+
+  const layout = STEREO_LAYOUTS[settings.layout];
+  const paneWidth = layout.squeeze ? Math.round(sideWidth / 2) : sideWidth;
+  const first = { x: 0, y: 0, width: paneWidth, height: sideHeight };
+  const second = layout.vertical
+    ? { x: 0, y: sideHeight + dividerWidth, width: paneWidth, height: sideHeight }
+    : { x: paneWidth + dividerWidth, y: 0, width: paneWidth, height: sideHeight };
+  return [first, second];
+}
+
+// Final output size in pixels (both eyes plus divider)
+function getOutputSize(settings, img) {
+  const eye = getEyeViewSize(settings, img);
+  if (settings.viewMode === 'anaglyph') return eye;
+
+  const layout = STEREO_LAYOUTS[settings.layout];
+  const paneWidth = layout.squeeze ? Math.round(eye.width / 2) : eye.width;
+  if (layout.vertical) {
+    return { width: paneWidth, height: eye.height * 2 + getDividerWidth(settings) };
+  }
+  return { width: paneWidth * 2 + getDividerWidth(settings), height: eye.height };
+}
+
+// Canvas for pixel work: an OffscreenCanvas inside workers, a <canvas> on the page
+function createCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Copy ImageData onto a new canvas of the same size
+function imageDataToCanvas(imageData) {
+  const canvas = createCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+// Zoom and pan transformation between eye view pixels and source image pixels
+// srcX = imgWidth / 2 + (x - sideWidth / 2 - panXOffset) / zoomScale
+function getViewTransform(img, settings, sideWidth, sideHeight) {
+  // Scale image to cover the eye view, then apply zoom
+  const zoomScale = Math.max(sideWidth / img.width, sideHeight / img.height) * (settings.zoom / 100);
+
+  // Pixel units scale with output width so every resolution frames the same
+  const unit = sideWidth / REFERENCE_EYE_WIDTH;
+
+  // Convert pan values directly to pixel offsets (no guard rails)
+  // Larger pan range for more freedom of movement
+  return {
+    zoomScale,
+    unit,
+    panXOffset: settings.panX * 5 * unit, // 5 pixels per pan unit at reference width
+    panYOffset: settings.panY * 5 * unit
+  };
+}
+
+// Render left and right eye views with depth-based shifting
+// Returns { left, right } ImageData, each sideWidth x sideHeight
+function renderEyeViews(img, depthMap, settings, sideWidth, sideHeight) {
+  const frame = prepareRenderFrame(img, depthMap, settings, sideWidth, sideHeight);
+  const [left, right] = renderViewpoints(frame, [-1, 1], settings.renderer);
+
+  // Fill disoccluded holes; the masks are kept for the debug overlay
+  const holes = {
+    left: inpaintEyeView(left.image, left.depth, settings.inpaintMethod),
+    right: inpaintEyeView(right.image, right.depth, settings.inpaintMethod)
+  };
+  const depth = { left: left.depth, right: right.depth };
+
+  applyWindowGuard(left.image, right.image, depth, frame.convergence, frame.maxShift, settings.windowGuard);
+
+  return { left: left.image, right: right.image, holes, depth };
+}
+
+// Eye views of a stereo pair: the left photo and the aligned right photo,
+// framed alike. The right photo is shifted so the screen plane depth has no
+// parallax: the alignment puts the farthest matches at zero disparity and the
+// nearest at disparityRange. Its depth buffer is the left photo's depth at the
+// same pixel, which is off by that pixel's disparity
+function renderPairEyeViews(img, pairRight, depthMap, settings, sideWidth, sideHeight) {
+  const frame = prepareRenderFrame(img, depthMap, settings, sideWidth, sideHeight);
+  const rightFrame = prepareRenderFrame(pairRight.image, depthMap, settings, sideWidth, sideHeight);
+  rightFrame.panXOffset += (1 - frame.convergence) * pairRight.disparityRange * frame.zoomScale;
+
+  const [left] = renderViewpoints(frame, [0], settings.renderer);
+  const [right] = renderViewpoints(rightFrame, [0], settings.renderer);
+
+  // Only the right photo has holes: the parts of the frame it does not cover
+  const holes = {
+    left: new Uint8Array(sideWidth * sideHeight),
+    right: inpaintEyeView(right.image, right.depth, settings.inpaintMethod)
+  };
+  return { left: left.image, right: right.image, holes, depth: { left: left.depth, right: right.depth } };
+}
+
+// Source pixels, processed depth and view geometry shared by every viewpoint
+function prepareRenderFrame(img, depthMap, settings, sideWidth, sideHeight) {
+  const { depthGamma, invertDepth } = settings;
+
+  const imgWidth = img.width;
+  const imgHeight = img.height;
+  const { zoomScale, panXOffset, panYOffset } = getViewTransform(img, settings, sideWidth, sideHeight);
+
+  // Maximum parallax shift per eye (pixels), relative or from the viewing profile
+  const maxShift = getMaxShift(img, settings, sideWidth);
+
+  // Depth that sits at the screen plane: nearer pops out, farther recedes
+  const convergence = settings.convergence / 100;
+
+  // Create temporary canvas for processing
+  const tempCanvas = createCanvas(imgWidth, imgHeight);
+  const tempCtx = tempCanvas.getContext('2d');
+  tempCtx.drawImage(img, 0, 0);
+  const imgData = tempCtx.getImageData(0, 0, imgWidth, imgHeight);
+
+  // Process depth map with gamma and invert
+  const processedDepth = new Float32Array(depthMap.data.length / 4);
+  for (let i = 0; i < processedDepth.length; i++) {
+    let depth = depthMap.data[i * 4] / 255; // Normalize to 0-1
+
+    // Apply gamma
+    if (depthGamma !== 1.0) {
+      depth = Math.pow(depth, depthGamma);
+    }
+
+    // Apply invert
+    if (invertDepth) {
+      depth = 1 - depth;
+    }
+
+    processedDepth[i] = depth;
+  }
+
+  return {
+    imgData, processedDepth, imgWidth, imgHeight,
+    sideWidth, sideHeight, zoomScale, panXOffset, panYOffset, maxShift, convergence
+  };
+}
+
+// Render views at horizontal eye positions (-1 = left eye, 0 = source, +1 = right eye)
+// Returns [{ image, depth }]; holes stay transparent with Infinity depth
+function renderViewpoints(frame, offsets, renderer) {
+  return renderer === 'quality'
+    ? reprojectViews(frame, offsets)
+    : forwardMapViews(frame, offsets);
+}
+
+// Empty view (transparent image, empty depth buffer) for each eye position
+function createViews(frame, offsets) {
+  const { sideWidth, sideHeight } = frame;
+  return offsets.map(() => ({
+    image: new ImageData(sideWidth, sideHeight),
+    depth: new Float32Array(sideWidth * sideHeight).fill(Infinity)
+  }));
+}
+
+// Fast renderer: forward-map each output sample to x + offset * shift, last write wins
+function forwardMapViews(frame, offsets) {
+  const {
+    imgData, processedDepth, imgWidth, imgHeight,
+    sideWidth, sideHeight, zoomScale, panXOffset, panYOffset, maxShift, convergence
+  } = frame;
+
+  const views = createViews(frame, offsets);
+
+  // Render every view with depth-based shifting
+  for (let y = 0; y < sideHeight; y++) {
+    for (let x = 0; x < sideWidth; x++) {
+      // Map output pixel to source image coordinates (with zoom and pan)
+      // Center viewport coordinates, apply pan offset, then scale by zoom
+      const viewportX = x - sideWidth / 2;
+      const viewportY = y - sideHeight / 2;
+
+      // When drag right (panX increases), image moves right, so we sample from left of source
+      const srcX = imgWidth / 2 + (viewportX - panXOffset) / zoomScale;
+      const srcY = imgHeight / 2 + (viewportY - panYOffset) / zoomScale;
+
+      // Clamp to image bounds
+      const clampedX = Math.max(0, Math.min(imgWidth - 1, Math.floor(srcX)));
+      const clampedY = Math.max(0, Math.min(imgHeight - 1, Math.floor(srcY)));
+
+      // Get source pixel
+      const srcIdx = (clampedY * imgWidth + clampedX) * 4;
+
+      // Get depth value (0 = near, 1 = far)
+      const depthIdx = clampedY * imgWidth + clampedX;
+      const depth = processedDepth[depthIdx];
+
+      // Signed shift relative to the screen plane (far = positive, near = negative)
+      const shift = (depth - convergence) * maxShift;
+
+      // Far objects move with the eye position: left in the left eye, right in the right
+      for (let v = 0; v < views.length; v++) {
+        const targetX = Math.floor(x + offsets[v] * shift);
+        if (targetX < 0 || targetX >= sideWidth) continue;
+
+        const { image, depth: depthBuffer } = views[v];
+        const targetIdx = (y * sideWidth + targetX) * 4;
+        image.data[targetIdx] = imgData.data[srcIdx];
+        image.data[targetIdx + 1] = imgData.data[srcIdx + 1];
+        image.data[targetIdx + 2] = imgData.data[srcIdx + 2];
+        image.data[targetIdx + 3] = imgData.data[srcIdx + 3];
+        depthBuffer[y * sideWidth + targetX] = depth;
+      }
+    }
+  }
+
+  return views;
+}
+
+// Quality renderer: occlusion-aware scanline reprojection.
+// Each row is treated as a chain of bilinearly sampled points at sub-pixel
+// target positions. Neighbouring points on a continuous surface are joined
+// into spans and rasterized with interpolated color and depth; a per-pixel
+// depth buffer keeps the nearest surface. Spans stretched wider than
+// REPROJECT_MAX_GAP pixels are disocclusions and are left as holes.
+const REPROJECT_MAX_GAP = 2;
+
+function reprojectViews(frame, offsets) {
+  const { sideWidth, sideHeight, maxShift, convergence } = frame;
+
+  const views = createViews(frame, offsets);
+
+  // Per-row samples: color, depth and horizontal shift
+  const colors = new Float32Array(sideWidth * 4);
+  const depths = new Float32Array(sideWidth);
+  const shifts = new Float32Array(sideWidth);
+
+  for (let y = 0; y < sideHeight; y++) {
+    sampleSourceRow(frame, y, colors, depths);
+    for (let x = 0; x < sideWidth; x++) {
+      shifts[x] = (depths[x] - convergence) * maxShift;
+    }
+
+    // Far objects move with the eye position: left in the left eye, right in the right
+    const row = y * sideWidth;
+    views.forEach(({ image, depth }, v) => {
+      rasterizeEyeRow(image.data, depth.subarray(row, row + sideWidth), y, sideWidth, colors, depths, shifts, offsets[v]);
+    });
+  }
+
+  return views;
+}
+
+// Bilinearly sample one output row (pixel centers) from the zoomed/panned source
+function sampleSourceRow(frame, y, colors, depths) {
+  const {
+    imgData, processedDepth, imgWidth, imgHeight,
+    sideWidth, sideHeight, zoomScale, panXOffset, panYOffset
+  } = frame;
+  const src = imgData.data;
+
+  const srcY = imgHeight / 2 + (y + 0.5 - sideHeight / 2 - panYOffset) / zoomScale - 0.5;
+  const clampedY = Math.max(0, Math.min(imgHeight - 1, srcY));
+  const y0 = Math.floor(clampedY);
+  const y1 = Math.min(imgHeight - 1, y0 + 1);
+  const fy = clampedY - y0;
+
+  for (let x = 0; x < sideWidth; x++) {
+    const srcX = imgWidth / 2 + (x + 0.5 - sideWidth / 2 - panXOffset) / zoomScale - 0.5;
+    const clampedX = Math.max(0, Math.min(imgWidth - 1, srcX));
+    const x0 = Math.floor(clampedX);
+    const x1 = Math.min(imgWidth - 1, x0 + 1);
+    const fx = clampedX - x0;
+
+    const w00 = (1 - fx) * (1 - fy);
+    const w10 = fx * (1 - fy);
+    const w01 = (1 - fx) * fy;
+    const w11 = fx * fy;
+
+    const i00 = y0 * imgWidth + x0;
+    const i10 = y0 * imgWidth + x1;
+    const i01 = y1 * imgWidth + x0;
+    const i11 = y1 * imgWidth + x1;
+
+    for (let c = 0; c < 4; c++) {
+      colors[x * 4 + c] = src[i00 * 4 + c] * w00 + src[i10 * 4 + c] * w10 +
+        src[i01 * 4 + c] * w01 + src[i11 * 4 + c] * w11;
+    }
+    depths[x] = processedDepth[i00] * w00 + processedDepth[i10] * w10 +
+      processedDepth[i01] * w01 + processedDepth[i11] * w11;
+  }
+}
+
+// Rasterize one row of samples into an eye view with depth testing (smaller depth = nearer)
+function rasterizeEyeRow(out, zbuffer, y, width, colors, depths, shifts, offset) {
+  const rowOffset = y * width * 4;
+
+  const writePixel = (px, z, ia, ib, t) => {
+    if (px < 0 || px >= width || z >= zbuffer[px]) return;
+    zbuffer[px] = z;
+    const idx = rowOffset + px * 4;
+    for (let c = 0; c < 4; c++) {
+      out[idx + c] = colors[ia + c] + (colors[ib + c] - colors[ia + c]) * t;
+    }
+  };
+
+  // Spans between neighbouring samples on a continuous surface
+  for (let x = 1; x < width; x++) {
+    const ta = x - 0.5 + offset * shifts[x - 1];
+    const tb = x + 0.5 + offset * shifts[x];
+    // Folded spans are hidden behind their neighbours; wide ones are disocclusions
+    if (tb <= ta || tb - ta > REPROJECT_MAX_GAP) continue;
+
+    const lo = Math.min(ta, tb);
+    const hi = Math.max(ta, tb);
+    const first = Math.max(0, Math.ceil(lo - 0.5));
+    const last = Math.min(width - 1, Math.ceil(hi - 0.5) - 1);
+
+    for (let px = first; px <= last; px++) {
+      const t = tb === ta ? 0 : (px + 0.5 - ta) / (tb - ta);
+      const z = depths[x - 1] + (depths[x] - depths[x - 1]) * t;
+      writePixel(px, z, (x - 1) * 4, x * 4, t);
+    }
+  }
+
+  // Every sample also lands in its own pixel so surface edges are not lost
+  for (let x = 0; x < width; x++) {
+    writePixel(Math.floor(x + 0.5 + offset * shifts[x]), depths[x], x * 4, x * 4, 0);
+  }
+}
+
+// ============================================================================
+// DISOCCLUSION INPAINTING
+// ============================================================================
+
+// Shifting reveals background that no source pixel covers (alpha = 0).
+// Each eye view is filled with the selected method using its rendered depth
+// buffer (smaller = nearer, Infinity = hole):
+//  - depth-aware: mirror background texture into the hole from its far side
+//  - diffusion: push-pull pyramid interpolation
+//  - patchmatch: PatchMatch patch synthesis seeded by the depth-aware fill
+//  - stretch (default): scan copying the first pixel to the right
+
+const INPAINT_DEPTH_TOLERANCE = 0.05;
+const PATCH_RADIUS = 3;
+const PATCHMATCH_PASSES = 2;
+const PATCHMATCH_SEARCH_ITERATIONS = 2;
+const PATCHMATCH_DEPTH_WEIGHT = 200000;
+
+// PatchMatch cost grows with the view size; larger views are synthesized on a
+// downscaled copy of at most this many pixels
+const PATCHMATCH_MAX_PIXELS = 1024 * 1024;
+
+const INPAINT_METHODS = {
+  'depth-aware': inpaintDepthAware,
+  'diffusion': inpaintPushPull,
+  'patchmatch': inpaintPatchMatch,
+  'stretch': fillHoles
+};
+
+// Fill holes in place and return the hole mask (1 = was a hole)
+function inpaintEyeView(imageData, depth, method) {
+  const data = imageData.data;
+  const mask = new Uint8Array(imageData.width * imageData.height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = data[i * 4 + 3] === 0 ? 1 : 0;
+  }
+
+  const inpaint = INPAINT_METHODS[method] || fillHoles;
+  inpaint(imageData, depth, mask);
+
+  return mask;
+}
+
+// Tint hole pixels magenta for the debug overlay
+function highlightHoles(imageData, mask) {
+  const data = imageData.data;
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    const idx = i * 4;
+    data[idx] = (data[idx] + 255) >> 1;
+    data[idx + 1] = data[idx + 1] >> 1;
+    data[idx + 2] = (data[idx + 2] + 255) >> 1;
+  }
+}
+
+// Stretch fill (default): copy the first opaque pixel to the right
+function fillHoles(imageData) {
+  const width = imageData.width;
+  const height = imageData.height;
+  const data = imageData.data;
+
+  // Scan for transparent/black holes and fill with nearest neighbor
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+
+      // Check if pixel is empty (alpha = 0)
+      if (data[idx + 3] === 0) {
+        // Search for nearest non-empty pixel (simple right-to-left scan)
+        let foundX = -1;
+        for (let searchX = x + 1; searchX < width; searchX++) {
+          const searchIdx = (y * width + searchX) * 4;
+          if (data[searchIdx + 3] > 0) {
+            foundX = searchX;
+            break;
+          }
+        }
+
+        if (foundX !== -1) {
+          const srcIdx = (y * width + foundX) * 4;
+          data[idx] = data[srcIdx];
+          data[idx + 1] = data[srcIdx + 1];
+          data[idx + 2] = data[srcIdx + 2];
+          data[idx + 3] = data[srcIdx + 3];
+        }
+      }
+    }
+  }
+}
+
+// Fill each horizontal hole run from whichever side is farther away, mirroring
+// the background texture across the hole edge while it stays on that surface
+function inpaintDepthAware(imageData, depth, mask) {
+  const { width, height, data } = imageData;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let x = 0;
+
+    while (x < width) {
+      if (!mask[row + x]) {
+        x++;
+        continue;
+      }
+
+      const start = x;
+      while (x < width && mask[row + x]) x++;
+      const end = x - 1;
+
+      const hasLeft = start > 0;
+      const hasRight = end < width - 1;
+      if (!hasLeft && !hasRight) continue;
+
+      const useLeft = hasLeft && (!hasRight || depth[row + start - 1] >= depth[row + end + 1]);
+      const edge = useLeft ? start - 1 : end + 1;
+      const step = useLeft ? -1 : 1;
+      const backgroundDepth = depth[row + edge];
+      let source = edge;
+
+      for (let k = 0; k <= end - start; k++) {
+        const mirrored = edge + step * k;
+        if (mirrored >= 0 && mirrored < width && !mask[row + mirrored] &&
+            Math.abs(depth[row + mirrored] - backgroundDepth) < INPAINT_DEPTH_TOLERANCE) {
+          source = mirrored;
+        }
+
+        const target = useLeft ? start + k : end - k;
+        const srcIdx = (row + source) * 4;
+        const dstIdx = (row + target) * 4;
+        data[dstIdx] = data[srcIdx];
+        data[dstIdx + 1] = data[srcIdx + 1];
+        data[dstIdx + 2] = data[srcIdx + 2];
+        data[dstIdx + 3] = data[srcIdx + 3];
+        depth[row + target] = backgroundDepth;
+      }
+    }
+  }
+}
+
+// Push-pull interpolation: average known pixels down a pyramid, then fill
+// each level's gaps from the bilinearly upsampled coarser level. Only hole
+// pixels are written back, so known pixels can carry depth-biased weights.
+function inpaintPushPull(imageData, depth, mask) {
+  const { width, height, data } = imageData;
+  const CHANNELS = 5; // RGBA + depth
+
+  const base = { width, height, values: new Float32Array(width * height * CHANNELS), weights: new Float32Array(width * height) };
+  for (let i = 0; i < width * height; i++) {
+    if (mask[i]) continue;
+    for (let c = 0; c < 4; c++) base.values[i * CHANNELS + c] = data[i * 4 + c];
+    base.values[i * CHANNELS + 4] = depth[i];
+    // Favour far pixels so revealed background is not tinted by the foreground
+    base.weights[i] = (0.02 + depth[i]) * (0.02 + depth[i]);
+  }
+
+  // Push: downsample until 1x1
+  const levels = [base];
+  while (levels[levels.length - 1].width > 1 || levels[levels.length - 1].height > 1) {
+    const fine = levels[levels.length - 1];
+    const w = Math.ceil(fine.width / 2);
+    const h = Math.ceil(fine.height / 2);
+    const coarse = { width: w, height: h, values: new Float32Array(w * h * CHANNELS), weights: new Float32Array(w * h) };
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        let weightSum = 0;
+        for (let dy = 0; dy < 2; dy++) {
+          for (let dx = 0; dx < 2; dx++) {
+            const fx = x * 2 + dx, fy = y * 2 + dy;
+            if (fx >= fine.width || fy >= fine.height) continue;
+            const j = fy * fine.width + fx;
+            const weight = fine.weights[j];
+            if (weight === 0) continue;
+            weightSum += weight;
+            for (let c = 0; c < CHANNELS; c++) coarse.values[i * CHANNELS + c] += fine.values[j * CHANNELS + c] * weight;
+          }
+        }
+        if (weightSum > 0) {
+          for (let c = 0; c < CHANNELS; c++) coarse.values[i * CHANNELS + c] /= weightSum;
+        }
+        coarse.weights[i] = Math.min(1, weightSum);
+      }
+    }
+
+    levels.push(coarse);
+  }
+
+  // Pull: blend partially known pixels with the coarser estimate
+  for (let level = levels.length - 2; level >= 0; level--) {
+    const fine = levels[level];
+    const coarse = levels[level + 1];
+
+    for (let y = 0; y < fine.height; y++) {
+      const cy = Math.max(0, Math.min(coarse.height - 1, (y + 0.5) / 2 - 0.5));
+      const y0 = Math.floor(cy), y1 = Math.min(coarse.height - 1, y0 + 1), fy = cy - y0;
+
+      for (let x = 0; x < fine.width; x++) {
+        const i = y * fine.width + x;
+        const weight = fine.weights[i];
+        if (weight >= 1) continue;
+
+        const cx = Math.max(0, Math.min(coarse.width - 1, (x + 0.5) / 2 - 0.5));
+        const x0 = Math.floor(cx), x1 = Math.min(coarse.width - 1, x0 + 1), fx = cx - x0;
+
+        for (let c = 0; c < CHANNELS; c++) {
+          const top = coarse.values[(y0 * coarse.width + x0) * CHANNELS + c] * (1 - fx) + coarse.values[(y0 * coarse.width + x1) * CHANNELS + c] * fx;
+          const bottom = coarse.values[(y1 * coarse.width + x0) * CHANNELS + c] * (1 - fx) + coarse.values[(y1 * coarse.width + x1) * CHANNELS + c] * fx;
+          const estimate = top * (1 - fy) + bottom * fy;
+          fine.values[i * CHANNELS + c] = fine.values[i * CHANNELS + c] * weight + estimate * (1 - weight);
+        }
+        fine.weights[i] = 1;
+      }
+    }
+  }
+
+  for (let i = 0; i < width * height; i++) {
+    if (!mask[i]) continue;
+    for (let c = 0; c < 4; c++) data[i * 4 + c] = base.values[i * CHANNELS + c];
+    depth[i] = base.values[i * CHANNELS + 4];
+  }
+}
+
+// PatchMatch inpainting, downscaled for views above PATCHMATCH_MAX_PIXELS:
+// the depth-aware fill seeds the full view, PatchMatch runs on a box-averaged
+// copy (a block is a hole if any of its pixels is) and the synthesized
+// texture is upsampled bilinearly into the full-size holes
+function inpaintPatchMatch(imageData, depth, mask) {
+  const { width, height, data } = imageData;
+  const factor = Math.ceil(Math.sqrt(width * height / PATCHMATCH_MAX_PIXELS));
+  if (factor <= 1) {
+    patchMatchFill(imageData, depth, mask);
+    return;
+  }
+
+  inpaintDepthAware(imageData, depth, mask);
+
+  const smallWidth = Math.ceil(width / factor);
+  const smallHeight = Math.ceil(height / factor);
+  const small = new ImageData(smallWidth, smallHeight);
+  const smallDepth = new Float32Array(smallWidth * smallHeight);
+  const smallMask = new Uint8Array(smallWidth * smallHeight);
+  for (let sy = 0; sy < smallHeight; sy++) {
+    for (let sx = 0; sx < smallWidth; sx++) {
+      const sums = [0, 0, 0, 0];
+      let depthSum = 0;
+      let count = 0;
+      let hole = 0;
+      for (let y = sy * factor; y < Math.min(height, (sy + 1) * factor); y++) {
+        for (let x = sx * factor; x < Math.min(width, (sx + 1) * factor); x++) {
+          const i = y * width + x;
+          for (let c = 0; c < 4; c++) sums[c] += data[i * 4 + c];
+          depthSum += depth[i];
+          hole |= mask[i];
+          count++;
+        }
+      }
+      const s = sy * smallWidth + sx;
+      for (let c = 0; c < 4; c++) small.data[s * 4 + c] = sums[c] / count;
+      smallDepth[s] = depthSum / count;
+      smallMask[s] = hole;
+    }
+  }
+
+  patchMatchFill(small, smallDepth, smallMask);
+
+  // Sample the synthesized texture at each full-size hole pixel's position in the small copy
+  for (let y = 0; y < height; y++) {
+    const fy = Math.min(smallHeight - 1, Math.max(0, (y + 0.5) / factor - 0.5));
+    const y0 = Math.floor(fy);
+    const y1 = Math.min(smallHeight - 1, y0 + 1);
+    const wy = fy - y0;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+      const fx = Math.min(smallWidth - 1, Math.max(0, (x + 0.5) / factor - 0.5));
+      const x0 = Math.floor(fx);
+      const x1 = Math.min(smallWidth - 1, x0 + 1);
+      const wx = fx - x0;
+      for (let c = 0; c < 4; c++) {
+        const top = small.data[(y0 * smallWidth + x0) * 4 + c] * (1 - wx) + small.data[(y0 * smallWidth + x1) * 4 + c] * wx;
+        const bottom = small.data[(y1 * smallWidth + x0) * 4 + c] * (1 - wx) + small.data[(y1 * smallWidth + x1) * 4 + c] * wx;
+        data[i * 4 + c] = top * (1 - wy) + bottom * wy;
+      }
+    }
+  }
+}
+
+// PatchMatch (Barnes et al.): for every hole pixel find a similar fully
+// known patch by random init, propagation and random search, then vote.
+// A depth term keeps source patches on the background the hole belongs to.
+function patchMatchFill(imageData, depth, mask) {
+  // Seed with the depth-aware fill, which also assigns background depth to holes
+  inpaintDepthAware(imageData, depth, mask);
+
+  const { width, height, data } = imageData;
+  const r = PATCH_RADIUS;
+
+  const holes = [];
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) holes.push(i);
+  }
+  if (holes.length === 0) return;
+
+  const validCenters = findValidPatchCenters(mask, width, height, r);
+  if (validCenters.list.length === 0) return;
+  const valid = validCenters.valid;
+
+  const holeIndex = new Int32Array(width * height).fill(-1);
+  holes.forEach((p, k) => { holeIndex[p] = k; });
+
+  // Deterministic random numbers so preview and export agree
+  let seed = 0x9e3779b9;
+  const random = () => {
+    seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+    return (seed >>> 0) / 4294967296;
+  };
+
+  const patchCost = (p, q, limit) => {
+    const px = p % width, py = (p - px) / width;
+    const qx = q % width, qy = (q - qx) / width;
+    const dz = depth[q] - depth[p];
+    let cost = PATCHMATCH_DEPTH_WEIGHT * dz * dz;
+
+    for (let dy = -r; dy <= r && cost < limit; dy++) {
+      const ty = py + dy;
+      if (ty < 0 || ty >= height) continue;
+      for (let dx = -r; dx <= r; dx++) {
+        const tx = px + dx;
+        if (tx < 0 || tx >= width) continue;
+        const t = (ty * width + tx) * 4;
+        const s = ((qy + dy) * width + qx + dx) * 4;
+        const dr = data[t] - data[s], dg = data[t + 1] - data[s + 1], db = data[t + 2] - data[s + 2];
+        cost += dr * dr + dg * dg + db * db;
+      }
+    }
+
+    return cost;
+  };
+
+  // Random initialization
+  const nnf = new Int32Array(holes.length);
+  const costs = new Float64Array(holes.length);
+  for (let k = 0; k < holes.length; k++) {
+    nnf[k] = validCenters.list[Math.floor(random() * validCenters.list.length)];
+    costs[k] = patchCost(holes[k], nnf[k], Infinity);
+  }
+
+  const maxRadius = Math.max(width, height) / 4;
+  const tryCandidate = (k, q) => {
+    if (q < 0 || q >= valid.length || !valid[q] || q === nnf[k]) return;
+    const cost = patchCost(holes[k], q, costs[k]);
+    if (cost < costs[k]) {
+      costs[k] = cost;
+      nnf[k] = q;
+    }
+  };
+
+  for (let pass = 0; pass < PATCHMATCH_PASSES; pass++) {
+    for (let iteration = 0; iteration < PATCHMATCH_SEARCH_ITERATIONS; iteration++) {
+      const forward = iteration % 2 === 0;
+      const step = forward ? 1 : -1;
+
+      for (let n = 0; n < holes.length; n++) {
+        const k = forward ? n : holes.length - 1 - n;
+        const p = holes[k];
+
+        // Propagation from the previous neighbour in scan order (x, then y)
+        const horizontal = holeIndex[p - step];
+        if (horizontal >= 0 && (p % width) - step >= 0 && (p % width) - step < width) {
+          tryCandidate(k, nnf[horizontal] + step);
+        }
+        const vertical = holeIndex[p - step * width];
+        if (vertical >= 0) {
+          tryCandidate(k, nnf[vertical] + step * width);
+        }
+
+        // Random search in exponentially shrinking windows
+        const qx = nnf[k] % width, qy = (nnf[k] - qx) / width;
+        for (let radius = maxRadius; radius >= 1; radius /= 2) {
+          const cx = Math.round(qx + (random() * 2 - 1) * radius);
+          const cy = Math.round(qy + (random() * 2 - 1) * radius);
+          if (cx >= 0 && cx < width && cy >= 0 && cy < height) {
+            tryCandidate(k, cy * width + cx);
+          }
+        }
+      }
+    }
+
+    // Voting: average the source pixels of all hole-centred patches covering each hole pixel
+    const votes = new Float32Array(holes.length * 4);
+    const counts = new Uint16Array(holes.length);
+    for (let k = 0; k < holes.length; k++) {
+      const p = holes[k];
+      const px = p % width, py = (p - px) / width;
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          const tx = px + dx, ty = py + dy;
+          if (tx < 0 || tx >= width || ty < 0 || ty >= height) continue;
+          const target = holeIndex[ty * width + tx];
+          if (target < 0) continue;
+          const s = (nnf[k] + dy * width + dx) * 4;
+          for (let c = 0; c < 4; c++) votes[target * 4 + c] += data[s + c];
+          counts[target]++;
+        }
+      }
+    }
+
+    for (let k = 0; k < holes.length; k++) {
+      if (!counts[k]) continue;
+      const idx = holes[k] * 4;
+      for (let c = 0; c < 4; c++) data[idx + c] = votes[k * 4 + c] / counts[k];
+    }
+
+    // Costs refer to the previous fill; re-evaluate against the voted result
+    for (let k = 0; k < holes.length; k++) {
+      costs[k] = patchCost(holes[k], nnf[k], Infinity);
+    }
+  }
+}
+
+// Patch centres whose whole (2r+1)^2 window lies inside the image and outside the hole mask
+function findValidPatchCenters(mask, width, height, r) {
+  const integral = new Int32Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += mask[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const valid = new Uint8Array(width * height);
+  const list = [];
+  for (let y = r; y < height - r; y++) {
+    for (let x = r; x < width - r; x++) {
+      const x0 = x - r, y0 = y - r, x1 = x + r + 1, y1 = y + r + 1;
+      const holesInPatch = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+        integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      if (holesInPatch === 0) {
+        valid[y * width + x] = 1;
+        list.push(y * width + x);
+      }
+    }
+  }
+
+  return { valid, list };
+}
+
+// ============================================================================
+// VIEWING CALIBRATION
+// ============================================================================
+
+// Without a profile, depth intensity is relative: max 50px per eye at
+// intensity 100 and the reference eye width. A viewing profile instead turns
+// intensity into an angular parallax budget for a physical display, so the
+// same setting is equally comfortable on a phone and on a projector.
+
+const VIEWING_PROFILES = {
+  phone: { name: 'Phone', displayWidthMm: 70, pixelDensity: 460, viewingDistanceMm: 300, interocularMm: 63 },
+  laptop: { name: 'Laptop 14"', displayWidthMm: 310, pixelDensity: 157, viewingDistanceMm: 500, interocularMm: 63 },
+  desktop: { name: 'Desktop 27"', displayWidthMm: 597, pixelDensity: 109, viewingDistanceMm: 650, interocularMm: 63 },
+  tv: { name: 'TV 55"', displayWidthMm: 1210, pixelDensity: 40, viewingDistanceMm: 2500, interocularMm: 63 },
+  projector: { name: 'Projector 100"', displayWidthMm: 2214, pixelDensity: 22, viewingDistanceMm: 3500, interocularMm: 63 }
+};
+
+// Total angular parallax range (near to far) at intensity 100
+const MAX_PARALLAX_DEGREES = 3;
+
+const VIEWING_PROFILES_STORAGE_KEY = 'stereonix-viewing-profiles';
+
+// Built-in and user-saved profiles by id
+function getViewingProfiles() {
+  return { ...VIEWING_PROFILES, ...loadSavedViewingProfiles() };
+}
+
+function loadSavedViewingProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(VIEWING_PROFILES_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveViewingProfile(name, viewing) {
+  const saved = loadSavedViewingProfiles();
+  const id = `custom-${Date.now()}`;
+  saved[id] = { name, ...viewing };
+  localStorage.setItem(VIEWING_PROFILES_STORAGE_KEY, JSON.stringify(saved));
+  return id;
+}
+
+function deleteViewingProfile(id) {
+  const saved = loadSavedViewingProfiles();
+  delete saved[id];
+  localStorage.setItem(VIEWING_PROFILES_STORAGE_KEY, JSON.stringify(saved));
+}
+
+// Maximum shift per eye in pixels of a sideWidth-wide render
+function getMaxShift(img, settings, sideWidth) {
+  if (settings.viewingProfile === 'relative') {
+    const unit = sideWidth / REFERENCE_EYE_WIDTH;
+    return (settings.depthIntensity / 100) * 50 * unit; // Max 50px at intensity 100 and reference width
+  }
+
+  // The budget is in full-resolution eye pixels; scale it to proxy renders
+  const budget = getParallaxBudget(img, settings);
+  return budget.maxShift * sideWidth / getEyeViewSize(settings, img).width;
+}
+
+// Physical size of one full-resolution eye-view pixel on the display (mm)
+// The output is shown at the display's pixel density, shrunk to fit its width
+function getEyePixelSize(img, settings) {
+  const { displayWidthMm, pixelDensity } = settings.viewing;
+  const output = getOutputSize(settings, img);
+  const pixelMm = Math.min(25.4 / pixelDensity, displayWidthMm / output.width);
+  const squeezed = settings.viewMode === 'pair' && STEREO_LAYOUTS[settings.layout].squeeze;
+  return squeezed ? pixelMm * 2 : pixelMm;
+}
+
+// Parallax budget for the current profile: total range in mm and max shift per eye in pixels
+function getParallaxBudget(img, settings) {
+  const { viewingDistanceMm } = settings.viewing;
+  const rangeRadians = (settings.depthIntensity / 100) * MAX_PARALLAX_DEGREES * Math.PI / 180;
+  const rangeMm = 2 * viewingDistanceMm * Math.tan(rangeRadians / 2);
+  const pixelMm = getEyePixelSize(img, settings);
+
+  return { rangeMm, pixelMm, maxShift: rangeMm / pixelMm / 2 };
+}
+
+// On-screen parallax extremes for the current settings (mm; negative = in front)
+// Returns null without a viewing profile
+function getScreenParallax(img, settings) {
+  if (settings.viewingProfile === 'relative') return null;
+
+  const { rangeMm } = getParallaxBudget(img, settings);
+  const convergence = settings.convergence / 100;
+  const degrees = mm => Math.atan(mm / settings.viewing.viewingDistanceMm) * 180 / Math.PI;
+
+  const nearMm = -convergence * rangeMm;
+  const farMm = (1 - convergence) * rangeMm;
+  return { nearMm, farMm, rangeDegrees: degrees(rangeMm), farDegrees: degrees(farMm) };
+}
+
+// Behind-screen parallax wider than the eyes forces them to diverge
+// Cross-eye free viewing is exempt: its geometry never diverges
+function isDivergent(parallax, settings) {
+  const crossEye = settings.viewMode === 'pair' && settings.layout === 'cross';
+  return !crossEye && parallax.farMm > settings.viewing.interocularMm;
+}
+
+// Fill the profile select with "relative", built-in and saved profiles
+function populateViewingProfiles() {
+  const profiles = getViewingProfiles();
+  viewingProfileSelect.innerHTML = '';
+  viewingProfileSelect.add(new Option('Relative (no calibration)', 'relative'));
+  for (const [id, profile] of Object.entries(profiles)) {
+    viewingProfileSelect.add(new Option(profile.name, id));
+  }
+  viewingProfileSelect.value = profiles[state.settings.viewingProfile] ? state.settings.viewingProfile : 'relative';
+}
+
+// Switch profile and copy its measurements into the settings
+function applyViewingProfile(id) {
+  const profile = getViewingProfiles()[id];
+  state.settings.viewingProfile = profile ? id : 'relative';
+
+  if (profile) {
+    const { displayWidthMm, pixelDensity, viewingDistanceMm, interocularMm } = profile;
+    state.settings.viewing = { displayWidthMm, pixelDensity, viewingDistanceMm, interocularMm };
+  }
+
+  updateViewingInputs();
+  updatePreview();
+}
+
+function updateViewingInputs() {
+  const { viewing, viewingProfile } = state.settings;
+  viewingOptions.style.display = viewingProfile === 'relative' ? 'none' : 'block';
+  deleteProfileBtn.style.display = VIEWING_PROFILES[viewingProfile] ? 'none' : '';
+  displayWidthInput.value = +(viewing.displayWidthMm / 10).toFixed(1);
+  pixelDensityInput.value = viewing.pixelDensity;
+  viewingDistanceInput.value = +(viewing.viewingDistanceMm / 10).toFixed(1);
+  interocularInput.value = viewing.interocularMm;
+  updateParallaxInfo();
+}
+
+// Show the physical parallax range and warn about forced divergence
+function updateParallaxInfo() {
+  const parallax = state.originalImage ? getScreenParallax(state.originalImage, state.settings) : null;
+
+  if (!parallax) {
+    parallaxInfo.textContent = state.settings.viewingProfile === 'relative'
+      ? 'Depth intensity is relative to the image width'
+      : 'Load an image to see its on-screen parallax';
+    divergenceWarning.style.display = 'none';
+    return;
+  }
+
+  parallaxInfo.textContent = `On-screen parallax ${parallax.nearMm.toFixed(1)} to +${parallax.farMm.toFixed(1)} mm ` +
+    `(${parallax.rangeDegrees.toFixed(2)}° range)`;
+
+  if (isDivergent(parallax, state.settings)) {
+    divergenceWarning.textContent = `⚠️ Background parallax (${parallax.farMm.toFixed(1)} mm) exceeds eye separation ` +
+      `(${state.settings.viewing.interocularMm} mm): eyes would have to diverge. Lower Depth Intensity or raise the Screen Plane.`;
+    divergenceWarning.style.display = 'block';
+  } else {
+    divergenceWarning.style.display = 'none';
+  }
+}
+
+// ============================================================================
+// CONVERGENCE AND FLOATING WINDOW
+// ============================================================================
+
+// Objects in front of the screen plane that touch the left/right frame edge
+// are seen by one eye only, which breaks the 3D illusion (edge violation).
+//  - mask: floating window - black bars on the left edge of the left eye and
+//    the right edge of the right eye pull the frame edge forward to match
+//  - fade: darken in-front content towards the frame edges
+
+const WINDOW_FADE_SOFTNESS = 0.05;
+
+function applyWindowGuard(left, right, depth, convergence, maxShift, mode) {
+  if (mode === 'off' || convergence <= 0 || maxShift <= 0) return;
+
+  const { width, height } = left;
+
+  // Widest crossed parallax possible (nearest depth 0)
+  const band = Math.min(width, Math.ceil(2 * convergence * maxShift));
+  if (band === 0) return;
+
+  if (mode === 'mask') {
+    const leftBar = crossedParallaxInColumns(depth.left, width, height, 0, band, convergence, maxShift);
+    const rightBar = crossedParallaxInColumns(depth.right, width, height, width - band, width, convergence, maxShift);
+    fillColumns(left, 0, leftBar);
+    fillColumns(right, width - rightBar, width);
+    return;
+  }
+
+  fadeEdges(left, depth.left, band, convergence);
+  fadeEdges(right, depth.right, band, convergence);
+}
+
+// Crossed parallax (pixels) of the nearest in-front surface within columns [x0, x1)
+function crossedParallaxInColumns(depth, width, height, x0, x1, convergence, maxShift) {
+  let nearest = convergence;
+  for (let y = 0; y < height; y++) {
+    for (let x = x0; x < x1; x++) {
+      const d = depth[y * width + x];
+      if (d < nearest) nearest = d;
+    }
+  }
+  return Math.min(x1 - x0, Math.ceil(2 * (convergence - nearest) * maxShift));
+}
+
+function fillColumns(imageData, x0, x1) {
+  const { width, height, data } = imageData;
+  for (let y = 0; y < height; y++) {
+    for (let x = Math.max(0, x0); x < Math.min(width, x1); x++) {
+      const idx = (y * width + x) * 4;
+      data[idx] = 0;
+      data[idx + 1] = 0;
+      data[idx + 2] = 0;
+      data[idx + 3] = 255;
+    }
+  }
+}
+
+function fadeEdges(imageData, depth, band, convergence) {
+  const { width, height, data } = imageData;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const edgeDistance = Math.min(x, width - 1 - x);
+      if (edgeDistance >= band) continue;
+
+      const i = y * width + x;
+      const inFront = Math.max(0, Math.min(1, (convergence - depth[i]) / WINDOW_FADE_SOFTNESS));
+      if (inFront === 0) continue;
+
+      const factor = 1 - inFront * (1 - edgeDistance / band);
+      data[i * 4] *= factor;
+      data[i * 4 + 1] *= factor;
+      data[i * 4 + 2] *= factor;
+    }
+  }
+}
+
+// Set the screen plane to the visible depth under a preview pixel
+// Returns the new convergence (0-100) or null outside the eye views
+function convergenceAtPreviewPixel(point) {
+  if (!previewGeometry || !previewGeometry.eyeDepth) return null;
+
+  const { sideWidth, sideHeight, viewports, eyeDepth } = previewGeometry;
+  const index = viewports.findIndex(v =>
+    point.x >= v.x && point.x < v.x + v.width && point.y >= v.y && point.y < v.y + v.height
+  );
+  if (index < 0) return null;
+
+  // Cross-eye puts the right eye first
+  const viewport = viewports[index];
+  const swapEyes = state.settings.viewMode === 'pair' && STEREO_LAYOUTS[state.settings.layout].swapEyes;
+  const depth = (index === 0) !== swapEyes ? eyeDepth.left : eyeDepth.right;
+
+  const eyeX = Math.floor((point.x - viewport.x) * sideWidth / viewport.width);
+  const eyeY = Math.floor((point.y - viewport.y) * sideHeight / viewport.height);
+  const value = depth[eyeY * sideWidth + eyeX];
+  if (!Number.isFinite(value)) return null;
+
+  return Math.round(Math.max(0, Math.min(1, value)) * 100);
+}
+
+// ============================================================================
+// ANAGLYPH COMPOSITING
+// ============================================================================
+
+// Channels passed by each filter of the glasses (left lens, right lens)
+const ANAGLYPH_GLASSES = {
+  'red-cyan': { left: [1, 0, 0], right: [0, 1, 1] },
+  'green-magenta': { left: [0, 1, 0], right: [1, 0, 1] },
+  'amber-blue': { left: [1, 1, 0], right: [0, 0, 1] }
+};
+
+// Dubois least-squares projection matrices (row-major 3x3, linear RGB)
+// Based on "A projection method to generate anaglyph stereo images" by Eric Dubois
+const DUBOIS_MATRICES = {
+  'red-cyan': {
+    left: [
+      0.4561, 0.500484, 0.176381,
+      -0.0400822, -0.0378246, -0.0157589,
+      -0.0152161, -0.0205971, -0.00546856
+    ],
+    right: [
+      -0.0434706, -0.0879388, -0.00155529,
+      0.378476, 0.73364, -0.0184503,
+      -0.0721527, -0.112961, 1.2264
+    ]
+  },
+  'green-magenta': {
+    left: [
+      -0.062, -0.158, -0.039,
+      0.284, 0.668, 0.143,
+      -0.015, -0.027, 0.021
+    ],
+    right: [
+      0.529, 0.705, 0.024,
+      -0.016, -0.015, -0.065,
+      0.009, 0.075, 0.937
+    ]
+  },
+  'amber-blue': {
+    left: [
+      1.062, -0.205, 0.299,
+      -0.026, 0.908, 0.068,
+      -0.038, -0.173, 0.022
+    ],
+    right: [
+      -0.016, -0.123, -0.017,
+      0.006, 0.062, -0.017,
+      0.094, 0.185, 0.911
+    ]
+  }
+};
+
+// sRGB <-> linear lookup tables for the Dubois projection
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+const LINEAR_TO_SRGB_SIZE = 4096;
+const LINEAR_TO_SRGB = new Uint8ClampedArray(LINEAR_TO_SRGB_SIZE + 1);
+for (let i = 0; i <= LINEAR_TO_SRGB_SIZE; i++) {
+  const c = i / LINEAR_TO_SRGB_SIZE;
+  const srgb = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  LINEAR_TO_SRGB[i] = Math.round(srgb * 255);
+}
+
+function linearToSrgb8(value) {
+  if (value <= 0) return 0;
+  if (value >= 1) return 255;
+  return LINEAR_TO_SRGB[(value * LINEAR_TO_SRGB_SIZE + 0.5) | 0];
+}
+
+// Combine left and right eye views into a single anaglyph frame
+// Methods: 'color' (channel masking), 'half-color', 'gray', 'dubois'
+function composeAnaglyph(leftImageData, rightImageData, glasses, method) {
+  const width = leftImageData.width;
+  const height = leftImageData.height;
+  const left = leftImageData.data;
+  const right = rightImageData.data;
+  const output = new ImageData(width, height);
+  const out = output.data;
+  const pixelCount = width * height;
+
+  if (method === 'dubois') {
+    const { left: ml, right: mr } = DUBOIS_MATRICES[glasses];
+
+    for (let i = 0; i < pixelCount; i++) {
+      const idx = i * 4;
+      const lr = SRGB_TO_LINEAR[left[idx]];
+      const lg = SRGB_TO_LINEAR[left[idx + 1]];
+      const lb = SRGB_TO_LINEAR[left[idx + 2]];
+      const rr = SRGB_TO_LINEAR[right[idx]];
+      const rg = SRGB_TO_LINEAR[right[idx + 1]];
+      const rb = SRGB_TO_LINEAR[right[idx + 2]];
+
+      out[idx] = linearToSrgb8(
+        ml[0] * lr + ml[1] * lg + ml[2] * lb + mr[0] * rr + mr[1] * rg + mr[2] * rb
+      );
+      out[idx + 1] = linearToSrgb8(
+        ml[3] * lr + ml[4] * lg + ml[5] * lb + mr[3] * rr + mr[4] * rg + mr[5] * rb
+      );
+      out[idx + 2] = linearToSrgb8(
+        ml[6] * lr + ml[7] * lg + ml[8] * lb + mr[6] * rr + mr[7] * rg + mr[8] * rb
+      );
+      out[idx + 3] = 255;
+    }
+
+    return output;
+  }
+
+  const { left: maskL, right: maskR } = ANAGLYPH_GLASSES[glasses];
+
+  // Reduce retinal rivalry by showing grayscale through single-channel filters
+  // Gray: both eyes grayscale. Half-color: only the single-channel eye is grayscale.
+  const countL = maskL[0] + maskL[1] + maskL[2];
+  const countR = maskR[0] + maskR[1] + maskR[2];
+  const grayL = method === 'gray' || (method === 'half-color' && countL === 1);
+  const grayR = method === 'gray' || (method === 'half-color' && countR === 1);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const idx = i * 4;
+
+    for (let c = 0; c < 3; c++) {
+      let value = 0;
+
+      if (maskL[c]) {
+        value = grayL
+          ? 0.299 * left[idx] + 0.587 * left[idx + 1] + 0.114 * left[idx + 2]
+          : left[idx + c];
+      } else if (maskR[c]) {
+        value = grayR
+          ? 0.299 * right[idx] + 0.587 * right[idx + 1] + 0.114 * right[idx + 2]
+          : right[idx + c];
+      }
+
+      out[idx + c] = value;
+    }
+    out[idx + 3] = 255;
+  }
+
+  return output;
+}
+
+// ============================================================================
+// STEREO PAIR LAYOUTS
+// ============================================================================
+
+// Packing of the two eye views into one frame
+// suffix: filename tag recognized by 3D TVs and VR players
+// swapEyes: right eye view comes first (left/top)
+// squeeze: each eye is squeezed anamorphically to half width
+// divider: free-viewing layouts may separate the eyes; the 3D TV and VR
+// layouts keep the exact frame sizes players expect
+const STEREO_LAYOUTS = {
+  'cross': { suffix: '_RL', vertical: false, swapEyes: true, squeeze: false, divider: true },
+  'parallel': { suffix: '_LR', vertical: false, swapEyes: false, squeeze: false, divider: true },
+  'over-under': { suffix: '_TB', vertical: true, swapEyes: false, squeeze: false, divider: false },
+  'half-sbs': { suffix: '_3dh', vertical: false, swapEyes: false, squeeze: true, divider: false },
+  'full-sbs': { suffix: '_fsbs', vertical: false, swapEyes: false, squeeze: false, divider: false }
+};
+
+// Divider width in output pixels (0 for layouts without one)
+function getDividerWidth(settings) {
+  return settings.viewMode === 'pair' && STEREO_LAYOUTS[settings.layout].divider ? settings.dividerWidth : 0;
+}
+
+// Composite both eye views into a single frame with an optional divider
+function composeStereoPair(views, layoutName, dividerWidth, dividerColor) {
+  const layout = STEREO_LAYOUTS[layoutName];
+  const first = imageDataToCanvas(layout.swapEyes ? views.right : views.left);
+  const second = imageDataToCanvas(layout.swapEyes ? views.left : views.right);
+
+  const paneWidth = layout.squeeze ? Math.round(first.width / 2) : first.width;
+  const paneHeight = first.height;
+
+  const canvas = createCanvas(
+    layout.vertical ? paneWidth : paneWidth * 2 + dividerWidth,
+    layout.vertical ? paneHeight * 2 + dividerWidth : paneHeight
+  );
+  const ctx = canvas.getContext('2d');
+
+  // Fill with black background (shows through any unfilled holes)
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  if (dividerWidth > 0) {
+    ctx.fillStyle = dividerColor;
+    if (layout.vertical) {
+      ctx.fillRect(0, paneHeight, paneWidth, dividerWidth);
+    } else {
+      ctx.fillRect(paneWidth, 0, dividerWidth, paneHeight);
+    }
+  }
+
+  ctx.drawImage(first, 0, 0, paneWidth, paneHeight);
+  if (layout.vertical) {
+    ctx.drawImage(second, 0, paneHeight + dividerWidth, paneWidth, paneHeight);
+  } else {
+    ctx.drawImage(second, paneWidth + dividerWidth, 0, paneWidth, paneHeight);
+  }
+
+  return canvas;
+}
+
+// Filename suffix for the current output (e.g. _RL, _TB, _3dh)
+function getOutputSuffix(settings) {
+  if (settings.viewMode === 'anaglyph') return '_anaglyph';
+  return STEREO_LAYOUTS[settings.layout].suffix;
+}
+
+// ============================================================================
+// GPU STEREO RENDERER (WEBGL2)
+// ============================================================================
+
+// The stereogram pipeline on the GPU. The source image and the raw depth map
+// are uploaded once as textures; a slider change only re-runs these passes:
+//  1. warp (per eye): gamma/invert, convergence and parallax shift in the
+//     vertex shader. Quality draws each row as spans between neighbouring
+//     samples with a depth test, exactly like rasterizeEyeRow; fast
+//     forward-maps one point per sample (last write wins)
+//  2. fill (per eye): disocclusions filled depth-aware or by stretching
+//  3. finish (per eye): floating window bars or edge fade, hole tint
+//  4. composite: layout panes, divider or anaglyph into the output canvas
+// The CPU renderer stays the fallback and the reference: a new renderer is
+// only used once it matches the CPU on a test scene (verifyGpuRenderer).
+// Diffusion and patch-based gap filling only run on the CPU.
+
+// Gap filling methods implemented by the fill shader
+const GPU_INPAINT_METHODS = { 'depth-aware': 0, 'stretch': 1 };
+const GPU_WINDOW_GUARDS = { 'off': 0, 'mask': 1, 'fade': 2 };
+
+// Parity check: channel difference counted as a mismatch, and the share of
+// mismatched pixels allowed (filtering precision and depth ties differ slightly)
+const GPU_PARITY_TOLERANCE = 8;
+const GPU_PARITY_MAX_MISMATCH = 0.01;
+
+// Eye view size of the parity test scene, and the settings it is rendered with
+// on top of the defaults (every shader path the GPU renderer can take)
+const GPU_PARITY_EYE_SIZE = { width: 160, height: 120 };
+const GPU_PARITY_VARIANTS = [
+  { renderer: 'quality' },
+  { renderer: 'fast' },
+  { inpaintMethod: 'stretch' },
+  { windowGuard: 'mask', convergence: 50 },
+  { windowGuard: 'fade', convergence: 50 },
+  { viewMode: 'pair', layout: 'parallel', dividerWidth: 8 },
+  { viewMode: 'pair', layout: 'over-under' },
+  { viewMode: 'pair', layout: 'half-sbs' },
+  { viewMode: 'anaglyph', anaglyphMethod: 'dubois' },
+  { viewMode: 'anaglyph', anaglyphMethod: 'half-color' }
+];
+
+// Output sample -> source pixel mapping and processed depth (shared by the warp shaders)
+const GPU_SAMPLING_GLSL = `
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D uSource;
+uniform sampler2D uDepthMap;
+uniform vec2 uImageSize;
+uniform vec2 uViewSize;
+uniform vec2 uPan;
+uniform float uZoom;
+uniform float uGamma;
+uniform bool uInvert;
+uniform float uConvergence;
+uniform float uMaxShift;
+uniform float uOffset;
+
+out vec4 vColor;
+out float vDepth;
+
+vec2 sourcePosition(vec2 p) {
+  vec2 src = uImageSize * 0.5 + (p - uViewSize * 0.5 - uPan) / uZoom - 0.5;
+  return clamp(src, vec2(0.0), uImageSize - 1.0);
+}
+
+float processedDepth(ivec2 texel) {
+  float depth = texelFetch(uDepthMap, texel, 0).r;
+  if (uGamma != 1.0) depth = pow(depth, uGamma);
+  return uInvert ? 1.0 - depth : depth;
+}
+
+// Gamma is applied per texel before interpolation, as on the CPU
+float sampleDepth(vec2 src) {
+  ivec2 i0 = ivec2(floor(src));
+  ivec2 i1 = min(i0 + 1, ivec2(uImageSize) - 1);
+  vec2 f = src - vec2(i0);
+  return mix(
+    mix(processedDepth(i0), processedDepth(ivec2(i1.x, i0.y)), f.x),
+    mix(processedDepth(ivec2(i0.x, i1.y)), processedDepth(i1), f.x),
+    f.y
+  );
+}
+
+vec4 sampleColor(vec2 src) {
+  return texture(uSource, (src + 0.5) / uImageSize);
+}
+
+float eyeShift(float depth) {
+  return uOffset * (depth - uConvergence) * uMaxShift;
+}
+
+vec4 viewPosition(float x, float y, float depth) {
+  return vec4(x / uViewSize.x * 2.0 - 1.0, y / uViewSize.y * 2.0 - 1.0, depth * 2.0 - 1.0, 1.0);
+}
+`;
+
+// Quality warp: one quad per span between samples x - 1 and x of a row
+// (instance = row); folded or stretched spans collapse outside the clip volume
+const GPU_SPANS_VS = `#version 300 es
+${GPU_SAMPLING_GLSL}
+uniform float uMaxGap;
+
+void main() {
+  int corner = gl_VertexID % 6;
+  bool right = corner == 1 || corner == 4 || corner == 5;
+  bool top = corner == 2 || corner == 3 || corner == 5;
+  float x = float(gl_VertexID / 6 + 1);
+  float y = float(gl_InstanceID);
+
+  vec2 srcA = sourcePosition(vec2(x - 0.5, y + 0.5));
+  vec2 srcB = sourcePosition(vec2(x + 0.5, y + 0.5));
+  float depthA = sampleDepth(srcA);
+  float depthB = sampleDepth(srcB);
+  float ta = x - 0.5 + eyeShift(depthA);
+  float tb = x + 0.5 + eyeShift(depthB);
+  if (tb <= ta || tb - ta > uMaxGap) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+
+  vColor = sampleColor(right ? srcB : srcA);
+  vDepth = right ? depthB : depthA;
+  gl_Position = viewPosition(right ? tb : ta, top ? y + 1.0 : y, vDepth);
+}
+`;
+
+// One point per sample: the quality renderer's own-pixel pass, or the whole
+// fast renderer (nearest source pixel, no depth test)
+const GPU_POINTS_VS = `#version 300 es
+${GPU_SAMPLING_GLSL}
+uniform bool uNearest;
+
+void main() {
+  float x = float(gl_VertexID);
+  float y = float(gl_InstanceID);
+  float target;
+
+  if (uNearest) {
+    vec2 src = uImageSize * 0.5 + (vec2(x, y) - uViewSize * 0.5 - uPan) / uZoom;
+    ivec2 texel = clamp(ivec2(floor(src)), ivec2(0), ivec2(uImageSize) - 1);
+    vColor = texelFetch(uSource, texel, 0);
+    vDepth = processedDepth(texel);
+    target = floor(x + eyeShift(vDepth));
+  } else {
+    vec2 src = sourcePosition(vec2(x + 0.5, y + 0.5));
+    vColor = sampleColor(src);
+    vDepth = sampleDepth(src);
+    target = floor(x + 0.5 + eyeShift(vDepth));
+  }
+
+  gl_PointSize = 1.0;
+  gl_Position = viewPosition(target + 0.5, y + 0.5, vDepth);
+}
+`;
+
+const GPU_WARP_FS = `#version 300 es
+precision highp float;
+precision highp sampler2D;
+in vec4 vColor;
+in float vDepth;
+layout(location = 0) out vec4 outColor;
+layout(location = 1) out vec4 outDepth;
+
+void main() {
+  outColor = vColor;
+  outDepth = vec4(vDepth);
+}
+`;
+
+const GPU_FULLSCREEN_VS = `#version 300 es
+void main() {
+  gl_Position = vec4(gl_VertexID == 1 ? 3.0 : -1.0, gl_VertexID == 2 ? 3.0 : -1.0, 0.0, 1.0);
+}
+`;
+
+// Disocclusion fill, per pixel. Depth-aware finds the hole run around the
+// pixel and copies the mirrored background like inpaintDepthAware; stretch
+// copies the first opaque pixel to the right like fillHoles
+const GPU_FILL_FS = `#version 300 es
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D uColor;
+uniform sampler2D uDepth;
+uniform int uMethod;
+uniform float uTolerance;
+layout(location = 0) out vec4 outColor;
+layout(location = 1) out vec4 outDepth;
+layout(location = 2) out vec4 outHole;
+
+bool isHole(int x, int y) {
+  return texelFetch(uColor, ivec2(x, y), 0).a == 0.0;
+}
+
+float depthAt(int x, int y) {
+  return texelFetch(uDepth, ivec2(x, y), 0).r;
+}
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  int width = textureSize(uColor, 0).x;
+  vec4 color = texelFetch(uColor, p, 0);
+  float depth = depthAt(p.x, p.y);
+  outColor = color;
+  outDepth = vec4(depth);
+  outHole = vec4(0.0);
+  if (color.a > 0.0) return;
+  outHole = vec4(1.0);
+  outDepth = vec4(uintBitsToFloat(0x7F800000u));
+
+  if (uMethod == 1) {
+    for (int x = p.x + 1; x < width; x++) {
+      if (!isHole(x, p.y)) {
+        outColor = texelFetch(uColor, ivec2(x, p.y), 0);
+        return;
+      }
+    }
+    return;
+  }
+
+  int start = p.x;
+  while (start > 0 && isHole(start - 1, p.y)) start--;
+  int end = p.x;
+  while (end < width - 1 && isHole(end + 1, p.y)) end++;
+
+  bool hasLeft = start > 0;
+  bool hasRight = end < width - 1;
+  if (!hasLeft && !hasRight) return;
+
+  bool useLeft = hasLeft && (!hasRight || depthAt(start - 1, p.y) >= depthAt(end + 1, p.y));
+  int edge = useLeft ? start - 1 : end + 1;
+  int direction = useLeft ? -1 : 1;
+  float backgroundDepth = depthAt(edge, p.y);
+
+  // Farthest mirrored pixel up to this one that stays on the background surface
+  int source = edge;
+  for (int k = useLeft ? p.x - start : end - p.x; k > 0; k--) {
+    int mirrored = edge + direction * k;
+    if (mirrored >= 0 && mirrored < width && !isHole(mirrored, p.y) &&
+        abs(depthAt(mirrored, p.y) - backgroundDepth) < uTolerance) {
+      source = mirrored;
+      break;
+    }
+  }
+
+  outColor = texelFetch(uColor, ivec2(source, p.y), 0);
+  outDepth = vec4(backgroundDepth);
+}
+`;
+
+// Floating window: nearest depth per column of the edge band...
+const GPU_GUARD_COLUMNS_FS = `#version 300 es
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D uDepth;
+uniform int uStart;
+uniform float uConvergence;
+out vec4 outValue;
+
+void main() {
+  int x = uStart + int(gl_FragCoord.x);
+  int height = textureSize(uDepth, 0).y;
+  float nearest = uConvergence;
+  for (int y = 0; y < height; y++) {
+    nearest = min(nearest, texelFetch(uDepth, ivec2(x, y), 0).r);
+  }
+  outValue = vec4(nearest);
+}
+`;
+
+// ...then the bar width from the nearest column (crossedParallaxInColumns)
+const GPU_GUARD_BAR_FS = `#version 300 es
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D uColumns;
+uniform int uBand;
+uniform float uConvergence;
+uniform float uMaxShift;
+out vec4 outValue;
+
+void main() {
+  float nearest = uConvergence;
+  for (int x = 0; x < uBand; x++) {
+    nearest = min(nearest, texelFetch(uColumns, ivec2(x, 0), 0).r);
+  }
+  outValue = vec4(min(float(uBand), ceil(2.0 * (uConvergence - nearest) * uMaxShift)));
+}
+`;
+
+// Window guard and hole tint on the filled eye view
+const GPU_FINISH_FS = `#version 300 es
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D uColor;
+uniform sampler2D uDepth;
+uniform sampler2D uHoles;
+uniform sampler2D uBar;
+uniform int uGuard;
+uniform bool uRightEye;
+uniform int uBand;
+uniform float uConvergence;
+uniform float uSoftness;
+uniform bool uShowHoles;
+out vec4 outColor;
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  int width = textureSize(uColor, 0).x;
+  vec4 color = texelFetch(uColor, p, 0);
+
+  if (uGuard == 1) {
+    int bar = int(texelFetch(uBar, ivec2(0), 0).r);
+    if (uRightEye ? p.x >= width - bar : p.x < bar) color = vec4(0.0, 0.0, 0.0, 1.0);
+  } else if (uGuard == 2) {
+    int edgeDistance = min(p.x, width - 1 - p.x);
+    if (edgeDistance < uBand) {
+      float inFront = clamp((uConvergence - texelFetch(uDepth, p, 0).r) / uSoftness, 0.0, 1.0);
+      color.rgb *= 1.0 - inFront * (1.0 - float(edgeDistance) / float(uBand));
+    }
+  }
+
+  if (uShowHoles && texelFetch(uHoles, p, 0).r > 0.5) {
+    vec3 c = floor(color.rgb * 255.0 + 0.5);
+    color.rgb = floor(vec3(c.r + 255.0, c.g, c.b + 255.0) / 2.0) / 255.0;
+  }
+
+  outColor = color;
+}
+`;
+
+// Output frame: a layout pane (mode 0) or an anaglyph (1 = channel masks, 2 = Dubois)
+const GPU_COMPOSITE_FS = `#version 300 es
+precision highp float;
+precision highp sampler2D;
+uniform sampler2D uLeft;
+uniform sampler2D uRight;
+uniform int uMode;
+uniform vec4 uRect;
+uniform float uOutputHeight;
+uniform vec3 uMaskLeft;
+uniform vec3 uMaskRight;
+uniform bool uGrayLeft;
+uniform bool uGrayRight;
+uniform mat3 uDuboisLeft;
+uniform mat3 uDuboisRight;
+out vec4 outColor;
+
+vec3 toLinear(vec3 c) {
+  return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), greaterThan(c, vec3(0.04045)));
+}
+
+vec3 toSrgb(vec3 c) {
+  c = clamp(c, 0.0, 1.0);
+  return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, greaterThan(c, vec3(0.0031308)));
+}
+
+float luma(vec3 c) {
+  return dot(c, vec3(0.299, 0.587, 0.114));
+}
+
+void main() {
+  // Image rows run top-down; the canvas framebuffer runs bottom-up
+  vec2 position = vec2(gl_FragCoord.x, uOutputHeight - gl_FragCoord.y) - uRect.xy;
+
+  if (uMode == 0) {
+    vec4 color = texture(uLeft, position / uRect.zw);
+    outColor = vec4(color.rgb * color.a, 1.0);
+    return;
+  }
+
+  vec3 left = texelFetch(uLeft, ivec2(position), 0).rgb;
+  vec3 right = texelFetch(uRight, ivec2(position), 0).rgb;
+
+  if (uMode == 2) {
+    // Row-major matrices uploaded as column-major: vector * matrix applies them
+    outColor = vec4(toSrgb(toLinear(left) * uDuboisLeft + toLinear(right) * uDuboisRight), 1.0);
+    return;
+  }
+
+  vec3 leftColor = uGrayLeft ? vec3(luma(left)) : left;
+  vec3 rightColor = uGrayRight ? vec3(luma(right)) : right;
+  outColor = vec4(mix(rightColor * uMaskRight, leftColor, uMaskLeft), 1.0);
+}
+`;
+
+let gpuRenderer = null;
+let gpuRendererFailed = false;
+
+// Backend of the last generateStereogram call ('gpu' or 'cpu')
+let lastRenderBackend = 'cpu';
+
+// Shared WebGL2 renderer, created on first use; null when unavailable
+function getGpuRenderer() {
+  if (gpuRenderer || gpuRendererFailed) return gpuRenderer;
+  try {
+    const renderer = createGpuRenderer();
+    verifyGpuRenderer(renderer);
+    gpuRenderer = renderer;
+  } catch (error) {
+    console.warn('WebGL2 renderer unavailable, using the CPU renderer:', error.message);
+    gpuRendererFailed = true;
+  }
+  return gpuRenderer;
+}
+
+// Render the parity test scene with both renderers; throws when the GPU output
+// differs by more than GPU_PARITY_TOLERANCE on over GPU_PARITY_MAX_MISMATCH of the pixels
+function verifyGpuRenderer(renderer) {
+  const { width, height } = GPU_PARITY_EYE_SIZE;
+
+  // Colour gradients with stripes, over a depth ramp with a soft near bump
+  const img = createCanvas(width, height);
+  const ctx = img.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, '#d03020');
+  gradient.addColorStop(0.5, '#30c060');
+  gradient.addColorStop(1, '#2040d0');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  for (let x = 0; x < width; x += 16) ctx.fillRect(x, 0, 4, height);
+
+  const depthMap = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dx = (x - width / 2) / (width / 4);
+      const dy = (y - height / 2) / (height / 4);
+      const value = Math.round(255 * Math.min(1, 0.3 * x / width + 0.7 * Math.exp(-(dx * dx + dy * dy))));
+      const i = (y * width + x) * 4;
+      depthMap.data[i] = depthMap.data[i + 1] = depthMap.data[i + 2] = value;
+      depthMap.data[i + 3] = 255;
+    }
+  }
+
+  const base = { ...copySettings(PROJECT_DEFAULT_SETTINGS), inpaintMethod: 'depth-aware' };
+  for (const overrides of GPU_PARITY_VARIANTS) {
+    const settings = { ...base, ...overrides };
+    const dividerWidth = getDividerWidth(settings);
+    if (!renderer.supports(settings, width, height, dividerWidth)) {
+      throw new Error('GPU renderer cannot draw the parity test scene');
+    }
+    const gpu = renderer.render(img, depthMap, settings, width, height, dividerWidth);
+    const cpu = renderStereogramCpu(img, depthMap, settings, width, height, dividerWidth);
+    const mismatchRatio = measureRenderMismatch(gpu, cpu);
+    if (mismatchRatio > GPU_PARITY_MAX_MISMATCH) {
+      throw new Error(`GPU output differs from the CPU renderer on ${(mismatchRatio * 100).toFixed(1)}% of pixels ` +
+        `(${JSON.stringify(overrides)})`);
+    }
+  }
+}
+
+// Share of pixels whose largest channel difference exceeds GPU_PARITY_TOLERANCE
+function measureRenderMismatch(gpu, cpu) {
+  const { width, height } = cpu;
+  if (gpu.width !== width || gpu.height !== height) return 1;
+  const a = gpu.getContext('2d').getImageData(0, 0, width, height).data;
+  const b = cpu.getContext('2d').getImageData(0, 0, width, height).data;
+
+  let mismatched = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    const error = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]));
+    if (error > GPU_PARITY_TOLERANCE) mismatched++;
+  }
+  return mismatched / (width * height);
+}
+
+function createGpuRenderer() {
+  const glCanvas = createCanvas(1, 1);
+  const gl = glCanvas.getContext('webgl2', {
+    alpha: false, antialias: false, depth: false, premultipliedAlpha: false, preserveDrawingBuffer: true
+  });
+  if (!gl) throw new Error('WebGL2 is not supported');
+  if (!gl.getExtension('EXT_color_buffer_float')) throw new Error('Float render targets are not supported');
+
+  // Recreated on the next render after the context comes back
+  glCanvas.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault();
+    if (gpuRenderer === renderer) gpuRenderer = null;
+  });
+
+  const programs = {
+    spans: linkGpuProgram(gl, GPU_SPANS_VS, GPU_WARP_FS),
+    points: linkGpuProgram(gl, GPU_POINTS_VS, GPU_WARP_FS),
+    fill: linkGpuProgram(gl, GPU_FULLSCREEN_VS, GPU_FILL_FS),
+    guardColumns: linkGpuProgram(gl, GPU_FULLSCREEN_VS, GPU_GUARD_COLUMNS_FS),
+    guardBar: linkGpuProgram(gl, GPU_FULLSCREEN_VS, GPU_GUARD_BAR_FS),
+    finish: linkGpuProgram(gl, GPU_FULLSCREEN_VS, GPU_FINISH_FS),
+    composite: linkGpuProgram(gl, GPU_FULLSCREEN_VS, GPU_COMPOSITE_FS)
+  };
+
+  // Every pass generates its vertices from gl_VertexID
+  gl.bindVertexArray(gl.createVertexArray());
+
+  const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+
+  // Inputs, re-uploaded only when the image or depth map changes
+  const sourceTexture = createGpuTexture(gl, gl.LINEAR);
+  const depthTexture = createGpuTexture(gl, gl.NEAREST);
+  let uploaded = { source: null, depthMap: null, depthRevision: -1 };
+
+  // Per-view-size render targets
+  let targets = null;
+
+  function upload(img, depthMap) {
+    if (uploaded.source !== img) {
+      gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, img);
+    }
+    if (uploaded.depthMap !== depthMap || uploaded.depthRevision !== depthMapRevision) {
+      gl.bindTexture(gl.TEXTURE_2D, depthTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, depthMap);
+    }
+    uploaded = { source: img, depthMap, depthRevision: depthMapRevision };
+  }
+
+  function ensureTargets(width, height) {
+    if (targets && targets.width === width && targets.height === height) return;
+    if (targets) {
+      targets.textures.forEach(texture => gl.deleteTexture(texture));
+      targets.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+      gl.deleteRenderbuffer(targets.depthBuffer);
+      targets = null;
+    }
+
+    const texture = (format, filter, w = width, h = height) => {
+      const t = createGpuTexture(gl, filter);
+      gl.texStorage2D(gl.TEXTURE_2D, 1, format, w, h);
+      return t;
+    };
+    const next = {
+      width,
+      height,
+      warpColor: texture(gl.RGBA8, gl.NEAREST),
+      warpDepth: texture(gl.R32F, gl.NEAREST),
+      fillColor: texture(gl.RGBA8, gl.NEAREST),
+      fillDepth: texture(gl.R32F, gl.NEAREST),
+      holes: texture(gl.R8, gl.NEAREST),
+      eyes: [texture(gl.RGBA8, gl.LINEAR), texture(gl.RGBA8, gl.LINEAR)],
+      guardColumns: texture(gl.R32F, gl.NEAREST, width, 1),
+      guardBar: texture(gl.R32F, gl.NEAREST, 1, 1),
+      depthBuffer: gl.createRenderbuffer()
+    };
+    gl.bindRenderbuffer(gl.RENDERBUFFER, next.depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT32F, width, height);
+
+    next.warp = createGpuFramebuffer(gl, [next.warpColor, next.warpDepth], next.depthBuffer);
+    next.fill = createGpuFramebuffer(gl, [next.fillColor, next.fillDepth, next.holes]);
+    next.eyeFramebuffers = next.eyes.map(eye => createGpuFramebuffer(gl, [eye]));
+    next.guardColumnsFramebuffer = createGpuFramebuffer(gl, [next.guardColumns]);
+    next.guardBarFramebuffer = createGpuFramebuffer(gl, [next.guardBar]);
+
+    next.textures = [
+      next.warpColor, next.warpDepth, next.fillColor, next.fillDepth, next.holes,
+      ...next.eyes, next.guardColumns, next.guardBar
+    ];
+    next.framebuffers = [next.warp, next.fill, ...next.eyeFramebuffers, next.guardColumnsFramebuffer, next.guardBarFramebuffer];
+    targets = next;
+
+    if (gl.getError() !== gl.NO_ERROR) {
+      throw new Error('Could not allocate GPU render targets');
+    }
+  }
+
+  function drawFullscreen() {
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  // Shifted view for one eye into the warp targets (holes: alpha 0; their
+  // depth is never read and becomes Infinity in the fill pass)
+  function warpEye(view, settings, offset) {
+    const { width, height } = targets;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targets.warp);
+    gl.viewport(0, 0, width, height);
+    gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.COLOR, 1, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.DEPTH, 0, [1]);
+
+    const uniforms = {
+      uSource: sourceTexture,
+      uDepthMap: depthTexture,
+      uImageSize: [view.imgWidth, view.imgHeight],
+      uViewSize: [width, height],
+      uPan: [view.panXOffset, view.panYOffset],
+      uZoom: view.zoomScale,
+      uGamma: settings.depthGamma,
+      uInvert: settings.invertDepth,
+      uConvergence: view.convergence,
+      uMaxShift: view.maxShift,
+      uOffset: offset
+    };
+
+    gl.enable(gl.DEPTH_TEST);
+    if (settings.renderer === 'quality') {
+      // Smaller depth = nearer; on ties the first surface drawn wins
+      gl.depthFunc(gl.LESS);
+      runGpuProgram(gl, programs.spans, { ...uniforms, uMaxGap: REPROJECT_MAX_GAP });
+      gl.drawArraysInstanced(gl.TRIANGLES, 0, (width - 1) * 6, height);
+      runGpuProgram(gl, programs.points, { ...uniforms, uNearest: false });
+    } else {
+      gl.depthFunc(gl.ALWAYS);
+      runGpuProgram(gl, programs.points, { ...uniforms, uNearest: true });
+    }
+    gl.drawArraysInstanced(gl.POINTS, 0, width, height);
+    gl.disable(gl.DEPTH_TEST);
+  }
+
+  function fillEye(settings) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targets.fill);
+    runGpuProgram(gl, programs.fill, {
+      uColor: targets.warpColor,
+      uDepth: targets.warpDepth,
+      uMethod: GPU_INPAINT_METHODS[settings.inpaintMethod],
+      uTolerance: INPAINT_DEPTH_TOLERANCE
+    });
+    drawFullscreen();
+  }
+
+  // Filled depth buffer of the current eye (smaller = nearer, Infinity = hole)
+  function readEyeDepth() {
+    const { width, height } = targets;
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    const depth = new Float32Array(width * height);
+    if (gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_FORMAT) === gl.RED &&
+        gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_TYPE) === gl.FLOAT) {
+      gl.readPixels(0, 0, width, height, gl.RED, gl.FLOAT, depth);
+    } else {
+      const rgba = new Float32Array(width * height * 4);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, rgba);
+      for (let i = 0; i < depth.length; i++) depth[i] = rgba[i * 4];
+    }
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    return depth;
+  }
+
+  function finishEye(eye, view, settings, showHoles) {
+    const { width } = targets;
+    let guard = GPU_WINDOW_GUARDS[settings.windowGuard] || 0;
+    const band = Math.min(width, Math.ceil(2 * view.convergence * view.maxShift));
+    if (view.convergence <= 0 || view.maxShift <= 0 || band === 0) guard = 0;
+
+    if (guard === GPU_WINDOW_GUARDS.mask) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, targets.guardColumnsFramebuffer);
+      gl.viewport(0, 0, band, 1);
+      runGpuProgram(gl, programs.guardColumns, {
+        uDepth: targets.fillDepth,
+        uStart: eye === 0 ? 0 : width - band,
+        uConvergence: view.convergence
+      });
+      drawFullscreen();
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, targets.guardBarFramebuffer);
+      gl.viewport(0, 0, 1, 1);
+      runGpuProgram(gl, programs.guardBar, {
+        uColumns: targets.guardColumns,
+        uBand: band,
+        uConvergence: view.convergence,
+        uMaxShift: view.maxShift
+      });
+      drawFullscreen();
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targets.eyeFramebuffers[eye]);
+    gl.viewport(0, 0, targets.width, targets.height);
+    runGpuProgram(gl, programs.finish, {
+      uColor: targets.fillColor,
+      uDepth: targets.fillDepth,
+      uHoles: targets.holes,
+      uBar: targets.guardBar,
+      uGuard: guard,
+      uRightEye: eye === 1,
+      uBand: band,
+      uConvergence: view.convergence,
+      uSoftness: WINDOW_FADE_SOFTNESS,
+      uShowHoles: showHoles
+    });
+    drawFullscreen();
+  }
+
+  function composite(settings, dividerWidth) {
+    const { width, height, eyes } = targets;
+    const [left, right] = eyes;
+
+    if (settings.viewMode === 'anaglyph') {
+      resizeOutput(width, height);
+      const rect = [0, 0, width, height];
+      if (settings.anaglyphMethod === 'dubois') {
+        const matrices = DUBOIS_MATRICES[settings.anaglyphGlasses];
+        runGpuProgram(gl, programs.composite, {
+          uLeft: left, uRight: right, uMode: 2, uRect: rect, uOutputHeight: height,
+          uDuboisLeft: matrices.left, uDuboisRight: matrices.right
+        });
+      } else {
+        // Grayscale through single-channel filters, as in composeAnaglyph
+        const { left: maskLeft, right: maskRight } = ANAGLYPH_GLASSES[settings.anaglyphGlasses];
+        const gray = mask => settings.anaglyphMethod === 'gray' ||
+          (settings.anaglyphMethod === 'half-color' && mask[0] + mask[1] + mask[2] === 1);
+        runGpuProgram(gl, programs.composite, {
+          uLeft: left, uRight: right, uMode: 1, uRect: rect, uOutputHeight: height,
+          uMaskLeft: maskLeft, uMaskRight: maskRight,
+          uGrayLeft: gray(maskLeft), uGrayRight: gray(maskRight)
+        });
+      }
+      drawFullscreen();
+      return;
+    }
+
+    const layout = STEREO_LAYOUTS[settings.layout];
+    const [first, second] = layout.swapEyes ? [right, left] : [left, right];
+    const paneWidth = layout.squeeze ? Math.round(width / 2) : width;
+    const outputWidth = layout.vertical ? paneWidth : paneWidth * 2 + dividerWidth;
+    const outputHeight = layout.vertical ? height * 2 + dividerWidth : height;
+    resizeOutput(outputWidth, outputHeight);
+
+    // Black background, divider color between the panes
+    if (dividerWidth > 0) {
+      const divider = layout.vertical
+        ? [0, height, paneWidth, dividerWidth]
+        : [paneWidth, 0, dividerWidth, height];
+      gl.enable(gl.SCISSOR_TEST);
+      gl.scissor(divider[0], outputHeight - divider[1] - divider[3], divider[2], divider[3]);
+      const [r, g, b] = settings.dividerColor.match(/[0-9a-f]{2}/gi).map(hex => parseInt(hex, 16) / 255);
+      gl.clearColor(r, g, b, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.disable(gl.SCISSOR_TEST);
+    }
+
+    const rects = [
+      [0, 0, paneWidth, height],
+      layout.vertical ? [0, height + dividerWidth, paneWidth, height] : [paneWidth + dividerWidth, 0, paneWidth, height]
+    ];
+    [first, second].forEach((eye, i) => {
+      const [x, y, w, h] = rects[i];
+      gl.viewport(x, outputHeight - y - h, w, h);
+      runGpuProgram(gl, programs.composite, { uLeft: eye, uMode: 0, uRect: rects[i], uOutputHeight: outputHeight });
+      drawFullscreen();
+    });
+  }
+
+  // Size the drawing buffer and clear it to black
+  function resizeOutput(width, height) {
+    if (glCanvas.width !== width || glCanvas.height !== height) {
+      glCanvas.width = width;
+      glCanvas.height = height;
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  const renderer = {
+    // Whether these settings and sizes can be rendered on the GPU
+    supports(settings, sideWidth, sideHeight, dividerWidth) {
+      const outputWidth = settings.viewMode === 'pair' && !STEREO_LAYOUTS[settings.layout].vertical
+        ? sideWidth * 2 + dividerWidth : sideWidth;
+      const outputHeight = settings.viewMode === 'pair' && STEREO_LAYOUTS[settings.layout].vertical
+        ? sideHeight * 2 + dividerWidth : sideHeight;
+      return settings.inpaintMethod in GPU_INPAINT_METHODS &&
+        Math.max(outputWidth, outputHeight) <= maxSize && !gl.isContextLost();
+    },
+
+    // Render the stereogram; returns a 2D canvas with the composited frame
+    render(img, depthMap, settings, sideWidth, sideHeight, dividerWidth, options = {}) {
+      upload(img, depthMap);
+      ensureTargets(sideWidth, sideHeight);
+
+      const view = {
+        ...getViewTransform(img, settings, sideWidth, sideHeight),
+        imgWidth: img.width,
+        imgHeight: img.height,
+        maxShift: getMaxShift(img, settings, sideWidth),
+        convergence: settings.convergence / 100
+      };
+
+      const eyeDepth = [];
+      [-1, 1].forEach((offset, eye) => {
+        warpEye(view, settings, offset);
+        fillEye(settings);
+        if (options.onEyeDepth) eyeDepth.push(readEyeDepth());
+        finishEye(eye, view, settings, !!options.showHoleMask);
+      });
+      composite(settings, dividerWidth);
+
+      if (options.onEyeDepth) {
+        options.onEyeDepth({ left: eyeDepth[0], right: eyeDepth[1] });
+      }
+
+      // Copy out: the WebGL canvas is reused by the next render
+      const canvas = createCanvas(glCanvas.width, glCanvas.height);
+      canvas.getContext('2d').drawImage(glCanvas, 0, 0);
+      return canvas;
+    }
+  };
+
+  return renderer;
+}
+
+// Compile and link a program; uniform setters are derived from the declared types
+function linkGpuProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  // Samplers get fixed texture units; their setters bind a texture to the unit
+  const setters = {};
+  let textureUnit = 0;
+  gl.useProgram(program);
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < count; i++) {
+    const { name, type } = gl.getActiveUniform(program, i);
+    const location = gl.getUniformLocation(program, name);
+    switch (type) {
+      case gl.FLOAT: setters[name] = v => gl.uniform1f(location, v); break;
+      case gl.FLOAT_VEC2: setters[name] = v => gl.uniform2fv(location, v); break;
+      case gl.FLOAT_VEC3: setters[name] = v => gl.uniform3fv(location, v); break;
+      case gl.FLOAT_VEC4: setters[name] = v => gl.uniform4fv(location, v); break;
+      case gl.FLOAT_MAT3: setters[name] = v => gl.uniformMatrix3fv(location, false, v); break;
+      case gl.FLOAT_MAT4: setters[name] = v => gl.uniformMatrix4fv(location, false, v); break;
+      case gl.INT:
+      case gl.BOOL: setters[name] = v => gl.uniform1i(location, Number(v)); break;
+      case gl.SAMPLER_2D: {
+        const unit = textureUnit++;
+        gl.uniform1i(location, unit);
+        setters[name] = texture => {
+          gl.activeTexture(gl.TEXTURE0 + unit);
+          gl.bindTexture(gl.TEXTURE_2D, texture);
+        };
+        break;
+      }
+    }
+  }
+
+  return { program, setters };
+}
+
+// Use a program and set uniforms by name (ones the compiler removed are skipped)
+function runGpuProgram(gl, { program, setters }, uniforms) {
+  gl.useProgram(program);
+  for (const [name, value] of Object.entries(uniforms)) {
+    if (setters[name]) setters[name](value);
+  }
+}
+
+function createGpuTexture(gl, filter) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
+
+// Framebuffer drawing into the given textures (in attachment order)
+function createGpuFramebuffer(gl, textures, depthBuffer = null) {
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  textures.forEach((texture, i) => {
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+  });
+  if (depthBuffer) {
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+  }
+  gl.drawBuffers(textures.map((_, i) => gl.COLOR_ATTACHMENT0 + i));
+  if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+    throw new Error('GPU render target is incomplete');
+  }
+  return framebuffer;
+}
+
+// Say which renderer drew the preview, and why the GPU was not used
+function updateRenderBackendHint(settings, backend) {
+  if (backend === 'gpu') {
+    gpuStatusHint.textContent = 'Rendering on the GPU (WebGL2)';
+  } else if (!settings.gpuRendering) {
+    gpuStatusHint.textContent = 'Rendering on the CPU';
+  } else if (!(settings.inpaintMethod in GPU_INPAINT_METHODS)) {
+    gpuStatusHint.textContent = 'This gap filling method runs on the CPU';
+  } else {
+    gpuStatusHint.textContent = 'WebGL2 unavailable, output too large or GPU check failed: rendering on the CPU';
+  }
+}
+
+// ============================================================================
+// DEPTH MAP EDITING
+// ============================================================================
+
+// Edits are non-destructive layers on top of the model depth (state.depthMap):
+// - delta: signed offset added to the model depth
+// - override: constant depth set by region fills (NaN = no override)
+// Depth values are 0-1 with 0 = near, matching the normalized depth map.
+// Undo history stores copy-on-write tiles touched by each stroke.
+
+const EDIT_TILE_SIZE = 64;
+const EDIT_HISTORY_MAX_BYTES = 256 * 1024 * 1024;
+
+// Maximum depth change per brush dab and per gradient at full strength
+const BRUSH_MAX_STEP = 0.05;
+const GRADIENT_MAX_CHANGE = 0.5;
+
+let depthEditMode = false;
+let editStroke = null;
+let editLastPoint = null;
+let gradientStart = null;
+let gradientSnapshot = null;
+let previewFramePending = false;
+
+// Preview geometry from the last render (for mapping pointer to source pixels)
+let previewGeometry = null;
+
+// Bumped whenever depth edits change the depth map in place
+let depthMapRevision = 0;
+
+// Allocate edit layers for the current depth map
+function ensureDepthEdits() {
+  if (state.depthEdits || !state.depthMap) return state.depthEdits;
+
+  const { width, height } = state.depthMap;
+  const override = new Float32Array(width * height);
+  override.fill(NaN);
+
+  const overlayCanvas = document.createElement('canvas');
+  overlayCanvas.width = width;
+  overlayCanvas.height = height;
+
+  state.depthEdits = {
+    width,
+    height,
+    delta: new Float32Array(width * height),
+    override,
+    composite: new ImageData(new Uint8ClampedArray(state.depthMap.data), width, height),
+    overlayCanvas,
+    undoStack: [],
+    redoStack: [],
+    historyBytes: 0
+  };
+
+  overlayCanvas.getContext('2d').putImageData(state.depthEdits.composite, 0, 0);
+  return state.depthEdits;
+}
+
+// Depth map with edits and the hidden layer applied (model output when nothing has been edited)
+function getActiveDepthMap() {
+  return withHiddenLayer(getEditedDepthMap());
+}
+
+// Depth map with edits applied, without the hidden layer
+function getEditedDepthMap() {
+  return state.depthEdits ? state.depthEdits.composite : state.depthMap;
+}
+
+// Reapply edit layers after the underlying model depth changed
+function refreshDepthEdits() {
+  const edits = state.depthEdits;
+  if (edits) recomposeDepth(0, 0, edits.width, edits.height);
+}
+
+// Edited depth (0-1) at pixel index
+function getEditedDepth(edits, i) {
+  const override = edits.override[i];
+  if (!Number.isNaN(override)) return override;
+
+  const value = state.depthMap.data[i * 4] / 255 + edits.delta[i];
+  return value < 0 ? 0 : value > 1 ? 1 : value;
+}
+
+// Set edited depth at pixel index, keeping region fills as overrides
+function setEditedDepth(edits, i, value) {
+  value = value < 0 ? 0 : value > 1 ? 1 : value;
+  if (!Number.isNaN(edits.override[i])) {
+    edits.override[i] = value;
+  } else {
+    edits.delta[i] = value - state.depthMap.data[i * 4] / 255;
+  }
+}
+
+// Recompute composite depth and overlay for a rectangle (x1/y1 exclusive)
+function recomposeDepth(x0, y0, x1, y1) {
+  const edits = state.depthEdits;
+  const data = edits.composite.data;
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = y * edits.width + x;
+      const value = getEditedDepth(edits, i) * 255;
+      const idx = i * 4;
+      data[idx] = value;
+      data[idx + 1] = value;
+      data[idx + 2] = value;
+      data[idx + 3] = 255;
+    }
+  }
+
+  edits.overlayCanvas.getContext('2d').putImageData(edits.composite, 0, 0, x0, y0, x1 - x0, y1 - y0);
+  depthMapRevision++;
+}
+
+// ----------------------------------------------------------------------------
+// Undo / redo history
+// ----------------------------------------------------------------------------
+
+function beginEditStroke() {
+  editStroke = { tiles: new Map() };
+}
+
+function endEditStroke() {
+  if (!editStroke) return;
+
+  const edits = state.depthEdits;
+  const tiles = Array.from(editStroke.tiles.values());
+  editStroke = null;
+  if (tiles.length === 0) return;
+
+  const bytes = tiles.reduce((total, tile) => total + tile.delta.byteLength * 2, 0);
+  edits.undoStack.push({ tiles, bytes });
+  edits.historyBytes += bytes;
+
+  // Redo history is invalidated by a new edit
+  for (const entry of edits.redoStack) edits.historyBytes -= entry.bytes;
+  edits.redoStack = [];
+
+  // Drop oldest entries beyond the memory budget (always keep the latest)
+  while (edits.historyBytes > EDIT_HISTORY_MAX_BYTES && edits.undoStack.length > 1) {
+    edits.historyBytes -= edits.undoStack.shift().bytes;
+  }
+
+  updateEditHistoryButtons();
+}
+
+// Save original tiles covering a rectangle before the current stroke modifies it
+function backupEditRect(x0, y0, x1, y1) {
+  if (!editStroke) return;
+
+  const edits = state.depthEdits;
+  const tilesX = Math.ceil(edits.width / EDIT_TILE_SIZE);
+
+  for (let ty = Math.floor(y0 / EDIT_TILE_SIZE); ty <= Math.floor((y1 - 1) / EDIT_TILE_SIZE); ty++) {
+    for (let tx = Math.floor(x0 / EDIT_TILE_SIZE); tx <= Math.floor((x1 - 1) / EDIT_TILE_SIZE); tx++) {
+      const key = ty * tilesX + tx;
+      if (!editStroke.tiles.has(key)) {
+        editStroke.tiles.set(key, copyEditTile(edits, tx, ty));
+      }
+    }
+  }
+}
+
+function getEditTileRect(edits, tx, ty) {
+  const x0 = tx * EDIT_TILE_SIZE;
+  const y0 = ty * EDIT_TILE_SIZE;
+  return {
+    x0,
+    y0,
+    x1: Math.min(edits.width, x0 + EDIT_TILE_SIZE),
+    y1: Math.min(edits.height, y0 + EDIT_TILE_SIZE)
+  };
+}
+
+function copyEditTile(edits, tx, ty) {
+  const { x0, y0, x1, y1 } = getEditTileRect(edits, tx, ty);
+  const tileWidth = x1 - x0;
+  const delta = new Float32Array(tileWidth * (y1 - y0));
+  const override = new Float32Array(tileWidth * (y1 - y0));
+
+  for (let y = y0; y < y1; y++) {
+    const start = y * edits.width + x0;
+    delta.set(edits.delta.subarray(start, start + tileWidth), (y - y0) * tileWidth);
+    override.set(edits.override.subarray(start, start + tileWidth), (y - y0) * tileWidth);
+  }
+
+  return { tx, ty, delta, override };
+}
+
+// Exchange saved tile contents with the live layers (used by undo and redo)
+function swapEditTile(edits, tile) {
+  const current = copyEditTile(edits, tile.tx, tile.ty);
+  const { x0, y0, x1, y1 } = getEditTileRect(edits, tile.tx, tile.ty);
+  const tileWidth = x1 - x0;
+
+  for (let y = y0; y < y1; y++) {
+    const offset = (y - y0) * tileWidth;
+    edits.delta.set(tile.delta.subarray(offset, offset + tileWidth), y * edits.width + x0);
+    edits.override.set(tile.override.subarray(offset, offset + tileWidth), y * edits.width + x0);
+  }
+
+  tile.delta = current.delta;
+  tile.override = current.override;
+  recomposeDepth(x0, y0, x1, y1);
+}
+
+function undoDepthEdit() {
+  const edits = state.depthEdits;
+  if (!edits || edits.undoStack.length === 0) return;
+
+  const entry = edits.undoStack.pop();
+  entry.tiles.forEach(tile => swapEditTile(edits, tile));
+  edits.redoStack.push(entry);
+
+  updateEditHistoryButtons();
+  updatePreview();
+}
+
+function redoDepthEdit() {
+  const edits = state.depthEdits;
+  if (!edits || edits.redoStack.length === 0) return;
+
+  const entry = edits.redoStack.pop();
+  entry.tiles.forEach(tile => swapEditTile(edits, tile));
+  edits.undoStack.push(entry);
+
+  updateEditHistoryButtons();
+  updatePreview();
+}
+
+// Remove all edits (undoable)
+function clearDepthEdits() {
+  const edits = state.depthEdits;
+  if (!edits) return;
+
+  beginEditStroke();
+  backupEditRect(0, 0, edits.width, edits.height);
+  edits.delta.fill(0);
+  edits.override.fill(NaN);
+  recomposeDepth(0, 0, edits.width, edits.height);
+  endEditStroke();
+
+  updatePreview();
+}
+
+function updateEditHistoryButtons() {
+  const edits = state.depthEdits;
+  undoEditBtn.disabled = !edits || edits.undoStack.length === 0;
+  redoEditBtn.disabled = !edits || edits.redoStack.length === 0;
+}
+
+// ----------------------------------------------------------------------------
+// Tools
+// ----------------------------------------------------------------------------
+
+// Brush weight: 1 inside the hard core, smooth falloff to 0 at the edge
+function brushFalloff(distance, hardness) {
+  if (distance <= hardness) return 1;
+  const t = (distance - hardness) / (1 - hardness);
+  return 1 - t * t * (3 - 2 * t);
+}
+
+// Apply one brush dab (paint closer/farther or smooth) centered at source pixel coordinates
+function paintDepthDab(cx, cy, radius, settings) {
+  const edits = state.depthEdits;
+  const x0 = Math.max(0, Math.floor(cx - radius));
+  const y0 = Math.max(0, Math.floor(cy - radius));
+  const x1 = Math.min(edits.width, Math.ceil(cx + radius) + 1);
+  const y1 = Math.min(edits.height, Math.ceil(cy + radius) + 1);
+  if (x0 >= x1 || y0 >= y1) return;
+
+  backupEditRect(x0, y0, x1, y1);
+
+  const hardness = Math.min(0.99, 1 - settings.brushSoftness / 100);
+  const strength = (settings.brushStrength / 100) * BRUSH_MAX_STEP;
+  const direction = settings.editDirection === 'closer' ? -1 : 1;
+
+  // Smooth brush pulls each pixel toward the local mean of the edited depth
+  let blurred = null;
+  let regionWidth = 0;
+  if (settings.editTool === 'smooth') {
+    regionWidth = x1 - x0;
+    const region = new Float32Array(regionWidth * (y1 - y0));
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        region[(y - y0) * regionWidth + (x - x0)] = getEditedDepth(edits, y * edits.width + x);
+      }
+    }
+    blurred = boxFilter(region, regionWidth, y1 - y0, Math.max(1, Math.round(radius / 4)));
+  }
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / radius;
+      if (distance >= 1) continue;
+
+      const w = brushFalloff(distance, hardness);
+      const i = y * edits.width + x;
+      const current = getEditedDepth(edits, i);
+
+      if (blurred) {
+        const target = blurred[(y - y0) * regionWidth + (x - x0)];
+        setEditedDepth(edits, i, current + (target - current) * Math.min(1, w * settings.brushStrength / 50));
+      } else {
+        setEditedDepth(edits, i, current + direction * strength * w);
+      }
+    }
+  }
+
+  recomposeDepth(x0, y0, x1, y1);
+}
+
+// Apply dabs along a segment so fast strokes stay continuous
+function paintDepthStroke(from, to, radius, settings) {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  const spacing = Math.max(1, radius / 4);
+  const steps = Math.max(1, Math.ceil(distance / spacing));
+
+  for (let step = 1; step <= steps; step++) {
+    const t = step / steps;
+    paintDepthDab(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, settings);
+  }
+}
+
+// Linear or radial gradient: full change at the start point, none at the end point
+function applyDepthGradient(start, end, settings) {
+  const edits = state.depthEdits;
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  if (length < 1) return;
+
+  const radial = settings.editTool === 'radial-gradient';
+  const direction = settings.editDirection === 'closer' ? -1 : 1;
+  const change = direction * (settings.brushStrength / 100) * GRADIENT_MAX_CHANGE;
+
+  // Radial gradients only touch the circle; linear gradients can reach every pixel
+  const x0 = radial ? Math.max(0, Math.floor(start.x - length)) : 0;
+  const y0 = radial ? Math.max(0, Math.floor(start.y - length)) : 0;
+  const x1 = radial ? Math.min(edits.width, Math.ceil(start.x + length) + 1) : edits.width;
+  const y1 = radial ? Math.min(edits.height, Math.ceil(start.y + length) + 1) : edits.height;
+  if (x0 >= x1 || y0 >= y1) return;
+
+  const dirX = (end.x - start.x) / length;
+  const dirY = (end.y - start.y) / length;
+
+  beginEditStroke();
+  backupEditRect(x0, y0, x1, y1);
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const dx = x + 0.5 - start.x;
+      const dy = y + 0.5 - start.y;
+      let t = radial ? Math.hypot(dx, dy) / length : (dx * dirX + dy * dirY) / length;
+      t = t < 0 ? 0 : t;
+      if (t >= 1) continue;
+
+      const i = y * edits.width + x;
+      setEditedDepth(edits, i, getEditedDepth(edits, i) + change * (1 - t));
+    }
+  }
+
+  recomposeDepth(x0, y0, x1, y1);
+  endEditStroke();
+}
+
+// Flood-select a connected region of similar depth and set it to a constant depth
+function fillDepthRegion(seedX, seedY, settings) {
+  const edits = state.depthEdits;
+  const { width, height } = edits;
+  const sx = Math.floor(seedX);
+  const sy = Math.floor(seedY);
+  if (sx < 0 || sy < 0 || sx >= width || sy >= height) return;
+
+  const composite = edits.composite.data;
+  const seedValue = composite[(sy * width + sx) * 4];
+  const tolerance = settings.fillTolerance * 2.55;
+
+  const selected = new Uint8Array(width * height);
+  const stack = [sy * width + sx];
+  selected[sy * width + sx] = 1;
+  let minX = sx, maxX = sx, minY = sy, maxY = sy;
+
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+
+    const neighbours = [
+      x > 0 ? i - 1 : -1,
+      x < width - 1 ? i + 1 : -1,
+      y > 0 ? i - width : -1,
+      y < height - 1 ? i + width : -1
+    ];
+    for (const n of neighbours) {
+      if (n < 0 || selected[n]) continue;
+      if (Math.abs(composite[n * 4] - seedValue) <= tolerance) {
+        selected[n] = 1;
+        stack.push(n);
+      }
+    }
+  }
+
+  const value = settings.fillDepth / 100;
+
+  beginEditStroke();
+  backupEditRect(minX, minY, maxX + 1, maxY + 1);
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const i = y * width + x;
+      if (selected[i]) edits.override[i] = value;
+    }
+  }
+  recomposeDepth(minX, minY, maxX + 1, maxY + 1);
+  endEditStroke();
+}
+
+// ----------------------------------------------------------------------------
+// Preview overlay and pointer mapping
+// ----------------------------------------------------------------------------
+
+// Draw the edited depth map over each eye view (without parallax shift)
+function drawDepthOverlay(ctx, geometry, settings) {
+  drawSourceOverlay(ctx, geometry, settings, state.depthEdits.overlayCanvas, settings.overlayOpacity / 100);
+}
+
+// Draw an image-sized canvas over each eye view with the view's zoom and pan
+function drawSourceOverlay(ctx, geometry, settings, overlay, opacity) {
+  const img = state.originalImage;
+  const { sideWidth, sideHeight, viewports } = geometry;
+  const { zoomScale, panXOffset, panYOffset } = getViewTransform(img, settings, sideWidth, sideHeight);
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  for (const viewport of viewports) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+    ctx.clip();
+    ctx.translate(viewport.x, viewport.y);
+    ctx.scale(viewport.width / sideWidth, viewport.height / sideHeight);
+    ctx.translate(sideWidth / 2 + panXOffset, sideHeight / 2 + panYOffset);
+    ctx.scale(zoomScale, zoomScale);
+    ctx.drawImage(overlay, -img.width / 2, -img.height / 2);
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
+// Map a pointer position to preview canvas pixels
+function clientToPreviewPixel(clientX, clientY) {
+  const rect = previewCanvas.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left) * previewCanvas.width / rect.width,
+    y: (clientY - rect.top) * previewCanvas.height / rect.height
+  };
+}
+
+// Map a preview canvas pixel to source image coordinates
+// Returns { x, y, scale } where scale is source pixels per preview pixel, or null
+function previewPixelToSource(point) {
+  if (!previewGeometry) return null;
+
+  const img = state.originalImage;
+  const { sideWidth, sideHeight, viewports } = previewGeometry;
+  const viewport = viewports.find(v =>
+    point.x >= v.x && point.x < v.x + v.width && point.y >= v.y && point.y < v.y + v.height
+  );
+  if (!viewport) return null;
+
+  const { zoomScale, panXOffset, panYOffset } = getViewTransform(img, state.settings, sideWidth, sideHeight);
+  const eyeX = (point.x - viewport.x) * sideWidth / viewport.width;
+  const eyeY = (point.y - viewport.y) * sideHeight / viewport.height;
+
+  return {
+    x: img.width / 2 + (eyeX - sideWidth / 2 - panXOffset) / zoomScale,
+    y: img.height / 2 + (eyeY - sideHeight / 2 - panYOffset) / zoomScale,
+    scale: 1 / zoomScale
+  };
+}
+
+// Coalesce preview updates to one per animation frame while editing
+function requestPreviewFrame() {
+  if (previewFramePending) return;
+  previewFramePending = true;
+  requestAnimationFrame(() => {
+    previewFramePending = false;
+    updatePreview();
+  });
+}
+
+function setDepthEditMode(enabled) {
+  depthEditMode = enabled && !!state.depthMap;
+  if (depthEditMode) ensureDepthEdits();
+
+  editToggleBtn.textContent = depthEditMode ? '✅ Done Editing' : '✏️ Edit Depth Map';
+  editTools.style.display = depthEditMode ? 'block' : 'none';
+  previewCanvas.style.cursor = depthEditMode ? 'crosshair' : 'grab';
+  updateEditHistoryButtons();
   updatePreview();
-});
+}
+
+function updateEditToolOptions() {
+  const tool = state.settings.editTool;
+  brushOptions.style.display = tool === 'paint' || tool === 'smooth' ? 'block' : 'none';
+  directionOptions.style.display = tool === 'paint' || tool.endsWith('gradient') ? 'block' : 'none';
+  fillOptions.style.display = tool === 'fill' ? 'block' : 'none';
+}
+
+// Pointer handlers used while edit mode is active
+function editPointerDown(clientX, clientY) {
+  const point = clientToPreviewPixel(clientX, clientY);
+  const source = previewPixelToSource(point);
+  if (!source) return;
+
+  const settings = state.settings;
+  if (settings.editTool === 'fill') {
+    fillDepthRegion(source.x, source.y, settings);
+    updatePreview();
+    return;
+  }
+
+  if (settings.editTool.endsWith('gradient')) {
+    gradientStart = { point, source };
+    gradientSnapshot = document.createElement('canvas');
+    gradientSnapshot.width = previewCanvas.width;
+    gradientSnapshot.height = previewCanvas.height;
+    gradientSnapshot.getContext('2d').drawImage(previewCanvas, 0, 0);
+    return;
+  }
+
+  beginEditStroke();
+  editLastPoint = source;
+  paintDepthDab(source.x, source.y, settings.brushSize * source.scale, settings);
+  requestPreviewFrame();
+}
+
+function editPointerMove(clientX, clientY) {
+  const point = clientToPreviewPixel(clientX, clientY);
+
+  if (gradientStart) {
+    // Preview the gradient direction on top of the last render
+    const ctx = previewCanvas.getContext('2d');
+    ctx.drawImage(gradientSnapshot, 0, 0);
+    ctx.save();
+    ctx.strokeStyle = '#5de1ff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    if (state.settings.editTool === 'radial-gradient') {
+      const radius = Math.hypot(point.x - gradientStart.point.x, point.y - gradientStart.point.y);
+      ctx.arc(gradientStart.point.x, gradientStart.point.y, radius, 0, Math.PI * 2);
+    } else {
+      ctx.moveTo(gradientStart.point.x, gradientStart.point.y);
+      ctx.lineTo(point.x, point.y);
+    }
+    ctx.stroke();
+    ctx.restore();
+    return;
+  }
+
+  if (!editStroke || !editLastPoint) return;
+
+  const source = previewPixelToSource(point);
+  if (!source) return;
+
+  paintDepthStroke(editLastPoint, source, state.settings.brushSize * source.scale, state.settings);
+  editLastPoint = source;
+  requestPreviewFrame();
+}
+
+function editPointerUp(clientX, clientY) {
+  if (gradientStart) {
+    const end = clientX === undefined ? null : previewPixelToSource(clientToPreviewPixel(clientX, clientY));
+    if (end) applyDepthGradient(gradientStart.source, end, state.settings);
+    gradientStart = null;
+    gradientSnapshot = null;
+    updatePreview();
+    return;
+  }
+
+  if (editStroke) {
+    endEditStroke();
+    editLastPoint = null;
+  }
+}
+
+// ============================================================================
+// HIDDEN DEPTH LAYER
+// ============================================================================
+
+// A clue (text, a built-in shape or an uploaded mask) composited into the
+// depth map only: under its coverage the depth is offset towards or away from
+// the viewer while the colours of both eye views stay untouched, so the clue
+// can be read only when the pair is fused. Coverage is 0-1 at image size,
+// antialiased and optionally feathered; a soft depth step leaves fewer
+// inpainting seams that would trace the shape in the flat images.
+
+// Built-in shapes as SVG path data in a 100 x 100 box
+const HIDDEN_SHAPES = {
+  circle: 'M50 5A45 45 0 1 1 50 95A45 45 0 1 1 50 5Z',
+  triangle: 'M50 6L95 90H5Z',
+  star: 'M50 4L61 38H97L68 59L79 94L50 73L21 94L32 59L3 38H39Z',
+  arrow: 'M5 38H60V15L95 50L60 85V62H5Z',
+  heart: 'M50 90C20 68 4 50 4 30C4 15 16 6 28 6C38 6 46 12 50 20C54 12 62 6 72 6C84 6 96 15 96 30C96 50 80 68 50 90Z'
+};
+
+// Settings that change the layer's coverage (hiddenDepth only scales it)
+const HIDDEN_COVERAGE_SETTINGS = [
+  'hiddenSource', 'hiddenText', 'hiddenFont', 'hiddenShape', 'hiddenSize', 'hiddenX', 'hiddenY', 'hiddenFeather'
+];
+
+// Preview guide tint (RGB) showing where the layer sits
+const HIDDEN_GUIDE_COLOR = [0, 229, 255];
+
+let hiddenCoverageCache = null;
+let hiddenDepthCache = null;
+
+// Uploaded mask as a canvas whose alpha is the coverage: images with
+// transparency (PNG, SVG) use their alpha, opaque ones use darkness
+function prepareHiddenMask(img) {
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+  const imageData = ctx.getImageData(0, 0, img.width, img.height);
+  const data = imageData.data;
+
+  let transparent = false;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) {
+      transparent = true;
+      break;
+    }
+  }
+
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = transparent ? data[i + 3] : 255 - (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    data[i] = 255;
+    data[i + 1] = 255;
+    data[i + 2] = 255;
+    data[i + 3] = alpha;
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+// Load an image or SVG file as the layer's mask
+async function loadHiddenMask(file) {
+  const img = await loadImage(file);
+  // SVGs without width/height attributes load at 0 x 0
+  if (!img.width || !img.height) throw new Error('The mask has no size (set width and height on the SVG)');
+  state.hiddenMask = prepareHiddenMask(img);
+}
+
+// Draw the layer and return its image-sized 0-1 coverage
+// hiddenSize is the text or shape height as a percentage of the image height;
+// hiddenX / hiddenY place its centre as percentages of the image size
+function renderHiddenCoverage(width, height, settings, mask) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const size = settings.hiddenSize / 100 * height;
+  const cx = settings.hiddenX / 100 * width;
+  const cy = settings.hiddenY / 100 * height;
+  ctx.fillStyle = '#ffffff';
+
+  if (settings.hiddenSource === 'text') {
+    ctx.font = `bold ${Math.max(1, Math.round(size))}px ${settings.hiddenFont}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(settings.hiddenText, cx, cy);
+  } else if (settings.hiddenSource === 'shape') {
+    ctx.translate(cx - size / 2, cy - size / 2);
+    ctx.scale(size / 100, size / 100);
+    ctx.fill(new Path2D(HIDDEN_SHAPES[settings.hiddenShape] || HIDDEN_SHAPES.circle));
+  } else {
+    const maskWidth = size * mask.width / mask.height;
+    ctx.drawImage(mask, cx - maskWidth / 2, cy - size / 2, maskWidth, size);
+  }
+
+  const data = ctx.getImageData(0, 0, width, height).data;
+  const coverage = new Float32Array(width * height);
+  for (let i = 0; i < coverage.length; i++) {
+    coverage[i] = data[i * 4 + 3] / 255;
+  }
+
+  return settings.hiddenFeather > 0 ? boxFilter(coverage, width, height, settings.hiddenFeather) : coverage;
+}
+
+// Editor layer coverage (cached): { key, mask, coverage, guide }, or null when off
+function getHiddenCoverage(width, height, settings) {
+  const mask = state.hiddenMask;
+  if (!settings.hiddenLayer || (settings.hiddenSource === 'mask' && !mask)) return null;
+
+  const key = [width, height, ...HIDDEN_COVERAGE_SETTINGS.map(name => settings[name])].join('|');
+  if (!hiddenCoverageCache || hiddenCoverageCache.key !== key || hiddenCoverageCache.mask !== mask) {
+    hiddenCoverageCache = { key, mask, coverage: renderHiddenCoverage(width, height, settings, mask), guide: null };
+  }
+  return hiddenCoverageCache;
+}
+
+// Offset 0-1 depth values (0 = near) in place; hiddenDepth > 0 brings the clue closer
+function applyHiddenOffset(values, coverage, settings) {
+  const offset = -settings.hiddenDepth / 100;
+  for (let i = 0; i < values.length; i++) {
+    if (coverage[i] === 0) continue;
+    const value = values[i] + offset * coverage[i];
+    values[i] = value < 0 ? 0 : value > 1 ? 1 : value;
+  }
+  return values;
+}
+
+// Copy of an 8-bit depth map with the layer's offset applied
+function composeHiddenDepthMap(depthMap, coverage, settings) {
+  const { width, height } = depthMap;
+  const data = new Uint8ClampedArray(depthMap.data);
+  const offset = -settings.hiddenDepth / 100 * 255;
+
+  for (let i = 0; i < coverage.length; i++) {
+    if (coverage[i] === 0) continue;
+    const idx = i * 4;
+    const value = data[idx] + offset * coverage[i];
+    data[idx] = value;
+    data[idx + 1] = value;
+    data[idx + 2] = value;
+  }
+
+  return new ImageData(data, width, height);
+}
+
+// Editor depth map with the layer composited; recomposed only when the
+// depth, an edit, the layer or its offset changed
+function withHiddenLayer(depthMap) {
+  const settings = state.settings;
+  const layer = getHiddenCoverage(depthMap.width, depthMap.height, settings);
+  if (!layer || !settings.hiddenDepth) return depthMap;
+
+  const cache = hiddenDepthCache;
+  if (cache && cache.source === depthMap && cache.revision === depthMapRevision &&
+      cache.layer === layer && cache.depth === settings.hiddenDepth) {
+    return cache.map;
+  }
+
+  hiddenDepthCache = {
+    source: depthMap,
+    revision: depthMapRevision,
+    layer,
+    depth: settings.hiddenDepth,
+    map: composeHiddenDepthMap(depthMap, layer.coverage, settings)
+  };
+  return hiddenDepthCache.map;
+}
+
+// Batch items get the layer from their settings at their own size (uncached)
+function applyBatchHiddenLayer(img, values, settings) {
+  if (!settings.hiddenLayer || !settings.hiddenDepth) return values;
+  if (settings.hiddenSource === 'mask' && !state.hiddenMask) return values;
+
+  const coverage = renderHiddenCoverage(img.width, img.height, settings, state.hiddenMask);
+  return applyHiddenOffset(values, coverage, settings);
+}
+
+// Tinted canvas of the coverage for the preview guide
+function getHiddenGuide(layer, width, height) {
+  if (layer.guide) return layer.guide;
+
+  const imageData = new ImageData(width, height);
+  const data = imageData.data;
+  const [r, g, b] = HIDDEN_GUIDE_COLOR;
+  for (let i = 0; i < layer.coverage.length; i++) {
+    const idx = i * 4;
+    data[idx] = r;
+    data[idx + 1] = g;
+    data[idx + 2] = b;
+    data[idx + 3] = layer.coverage[i] * 255;
+  }
+
+  layer.guide = imageDataToCanvas(imageData);
+  return layer.guide;
+}
+
+// Position of the layer's centre (percent of the image) at a preview pixel, or null
+function hiddenPositionAtPreviewPixel(point) {
+  const source = previewPixelToSource(point);
+  if (!source) return null;
+
+  const { width, height } = state.originalImage;
+  const clamp = value => Math.round(Math.max(0, Math.min(100, value)));
+  return { x: clamp(source.x / width * 100), y: clamp(source.y / height * 100) };
+}
+
+// Shift the clue adds at full output size (before depth gamma), for the hint under the depth offset
+function updateHiddenLayerInfo() {
+  const img = state.originalImage;
+  const { hiddenLayer, hiddenDepth } = state.settings;
+  if (!img || !hiddenLayer) {
+    hiddenLayerInfo.textContent = '';
+    return;
+  }
+
+  const eyeWidth = getEyeViewSize(state.settings, img).width;
+  const shift = Math.abs(hiddenDepth) / 100 * getMaxShift(img, state.settings, eyeWidth);
+  // Inverted depth flips the clue along with everything else
+  const closer = state.settings.invertDepth ? -hiddenDepth : hiddenDepth;
+  const direction = closer > 0 ? 'in front of' : closer < 0 ? 'behind' : 'level with';
+  hiddenLayerInfo.textContent = `Clue sits ${direction} its surroundings, shifted up to ${shift.toFixed(1)}px per eye`;
+}
+
+// ============================================================================
+// DEPTH MAP IMPORT / EXPORT
+// ============================================================================
+
+// Exported depth maps use the common convention white = near, black = far
+// (the inverse of the internal normalized depth). Raw Float32 exports are
+// little-endian and row-major, described by a JSON sidecar.
+
+const DEPTH_SIDECAR_FORMAT = 'stereonix-depth';
+const DEPTH_SIDECAR_VERSION = 1;
+
+// Image-sized 0-1 depth (0 = near) at full float precision with edits and the hidden layer applied
+function getActiveDepthValues() {
+  const values = generateDepthValues(state.originalImage, state.depthFloat, state.settings);
+  const edits = state.depthEdits;
+
+  if (edits) {
+    for (let i = 0; i < values.length; i++) {
+      const override = edits.override[i];
+      const value = Number.isNaN(override) ? values[i] + edits.delta[i] : override;
+      values[i] = value < 0 ? 0 : value > 1 ? 1 : value;
+    }
+  }
+
+  const { width, height } = state.originalImage;
+  const layer = getHiddenCoverage(width, height, state.settings);
+  return layer ? applyHiddenOffset(values, layer.coverage, state.settings) : values;
+}
+
+// Export the active depth map as 8-bit PNG, 16-bit PNG or raw Float32 + JSON
+async function exportDepthMap(format) {
+  const { width, height } = state.originalImage;
+  const values = getActiveDepthValues();
+  const pixelCount = width * height;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+  const baseName = `stereonix_${timestamp}_depth`;
+
+  if (format === 'float32') {
+    const buffer = new ArrayBuffer(pixelCount * 4);
+    const view = new DataView(buffer);
+    for (let i = 0; i < pixelCount; i++) {
+      view.setFloat32(i * 4, 1 - values[i], true);
+    }
+
+    const sidecar = {
+      format: DEPTH_SIDECAR_FORMAT,
+      version: DEPTH_SIDECAR_VERSION,
+      file: `${baseName}.f32`,
+      width,
+      height,
+      dataType: 'float32',
+      byteOrder: 'little-endian',
+      layout: 'row-major',
+      range: [0, 1],
+      convention: 'near = 1, far = 0',
+      settings: {
+        depthModel: state.settings.depthModel,
+        depthTiles: state.settings.depthTiles,
+        edgeAwareDepth: state.settings.edgeAwareDepth,
+        edgeRadius: state.settings.edgeRadius,
+        edgeStrength: state.settings.edgeStrength,
+        edited: !!state.depthEdits
+      }
+    };
+
+    downloadBlob(new Blob([buffer], { type: 'application/octet-stream' }), `${baseName}.f32`);
+    downloadBlob(new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+    return;
+  }
+
+  const bitDepth = format === 'png16' ? 16 : 8;
+  const blob = await encodeDepthPng(values, width, height, bitDepth);
+  downloadBlob(blob, `${baseName}_${bitDepth}bit.png`);
+}
+
+// Encode depth values (0 = near) as a white = near grayscale PNG
+function encodeDepthPng(values, width, height, bitDepth) {
+  const pixelCount = width * height;
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const samples = bitDepth === 16 ? new Uint16Array(pixelCount) : new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    samples[i] = Math.round((1 - values[i]) * maxValue);
+  }
+  return encodeGrayPng(samples, width, height, bitDepth);
+}
+
+// Read a user-supplied depth map (PNG/image, or raw Float32 with optional JSON sidecar)
+// Returns normalized depth { data, width, height, normalized: true } with 0 = near
+async function importDepthFiles(files) {
+  const list = Array.from(files);
+  const sidecarFile = list.find(f => f.name.toLowerCase().endsWith('.json'));
+  const dataFile = list.find(f => f !== sidecarFile);
+  if (!dataFile) {
+    throw new Error('No depth map file selected');
+  }
+
+  const depth = /\.(f32|raw|bin)$/i.test(dataFile.name)
+    ? await readFloatDepth(dataFile, sidecarFile)
+    : await readImageDepth(dataFile);
+
+  // Imported maps are white = near; internal depth is 0 = near
+  const data = new Float32Array(depth.data.length);
+  for (let i = 0; i < data.length; i++) {
+    const value = depth.data[i];
+    data[i] = 1 - (value < 0 ? 0 : value > 1 ? 1 : value);
+  }
+
+  return { data, width: depth.width, height: depth.height, normalized: true };
+}
+
+// Raw Float32 depth. Stereonix sidecars are used as-is; foreign data is
+// min/max normalized assuming larger = nearer (use Invert Depth otherwise).
+async function readFloatDepth(dataFile, sidecarFile) {
+  const buffer = await dataFile.arrayBuffer();
+  const count = Math.floor(buffer.byteLength / 4);
+
+  let width, height;
+  let littleEndian = true;
+  let normalized = false;
+
+  if (sidecarFile) {
+    const sidecar = JSON.parse(await sidecarFile.text());
+    width = sidecar.width;
+    height = sidecar.height;
+    littleEndian = sidecar.byteOrder !== 'big-endian';
+    normalized = sidecar.format === DEPTH_SIDECAR_FORMAT;
+  } else if (state.originalImage && count === state.originalImage.width * state.originalImage.height) {
+    width = state.originalImage.width;
+    height = state.originalImage.height;
+  } else {
+    throw new Error('Raw depth needs a JSON sidecar with width and height');
+  }
+
+  if (!(width > 0 && height > 0) || width * height > count) {
+    throw new Error('Depth file size does not match its dimensions');
+  }
+
+  const view = new DataView(buffer);
+  const data = new Float32Array(width * height);
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    const value = view.getFloat32(i * 4, littleEndian);
+    data[i] = value;
+    if (Number.isFinite(value)) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+
+  if (!normalized) {
+    const range = max - min || 1;
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Number.isFinite(data[i]) ? (data[i] - min) / range : 0;
+    }
+  }
+
+  return { data, width, height };
+}
+
+// Grayscale depth image; 16-bit PNGs are decoded directly to keep full precision
+async function readImageDepth(file) {
+  const buffer = await file.arrayBuffer();
+  const png = await decodePngGray(buffer);
+  if (png) return png;
+
+  // Other formats (and PNGs the decoder does not handle) go through the browser at 8 bits
+  const img = await loadImage(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  const pixels = ctx.getImageData(0, 0, img.width, img.height).data;
+  URL.revokeObjectURL(img.src);
+
+  const data = new Float32Array(img.width * img.height);
+  for (let i = 0; i < data.length; i++) {
+    const idx = i * 4;
+    data[i] = (0.299 * pixels[idx] + 0.587 * pixels[idx + 1] + 0.114 * pixels[idx + 2]) / 255;
+  }
+
+  return { data, width: img.width, height: img.height };
+}
+
+// Replace the current depth (or hold it for the next image load, skipping inference)
+function applyImportedDepth(depth) {
+  if (!state.originalImage) {
+    state.pendingDepth = depth;
+    updateImportedDepthOption();
+    depthImportStatus.textContent = `Depth map ready (${depth.width} × ${depth.height}) - load the matching image`;
+    return;
+  }
+
+  const imageAspect = state.originalImage.width / state.originalImage.height;
+  const depthAspect = depth.width / depth.height;
+  if (Math.abs(imageAspect / depthAspect - 1) > 0.02 &&
+      !confirm('The depth map aspect ratio does not match the image. Stretch it to fit?')) {
+    return;
+  }
+
+  // The imported depth replaces a stereo pair's disparity for good, and is
+  // used instead of embedded or model depth until it is cleared
+  setDepthEditMode(false);
+  state.depthEdits = null;
+  state.stereoPair = null;
+  updateStereoPairOptions();
+  state.importedDepth = depth;
+  updateImportedDepthOption();
+  state.depthFloat = depth;
+  depthImportStatus.textContent = `Using imported depth map (${depth.width} × ${depth.height})`;
+  rebuildDepthMap();
+}
+
+// Drop the imported depth and go back to embedded or model depth
+async function clearImportedDepth() {
+  state.pendingDepth = null;
+  state.importedDepth = null;
+  updateImportedDepthOption();
+  if (state.originalImage) {
+    await regenerateDepth();
+  } else {
+    depthImportStatus.textContent = '';
+  }
+}
+
+function updateImportedDepthOption() {
+  clearDepthImportBtn.style.display = state.importedDepth || state.pendingDepth ? 'block' : 'none';
+}
+
+// ----------------------------------------------------------------------------
+// PNG encoding / decoding (grayscale, 8 and 16 bit)
+// ----------------------------------------------------------------------------
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC32_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC32_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes, crc = 0) {
+  crc = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// zlib compress/decompress using the browser's native streams
+async function zlibDeflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function zlibInflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function makePngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// Encode single-channel samples (Uint8Array or Uint16Array) as a grayscale PNG
+async function encodeGrayPng(samples, width, height, bitDepth) {
+  const bytesPerPixel = bitDepth / 8;
+  const rowBytes = width * bytesPerPixel;
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  let previous = new Uint8Array(rowBytes);
+  let current = new Uint8Array(rowBytes);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sample = samples[y * width + x];
+      if (bitDepth === 16) {
+        current[x * 2] = sample >> 8;
+        current[x * 2 + 1] = sample & 0xff;
+      } else {
+        current[x] = sample;
+      }
+    }
+
+    // "Up" filter compresses smooth depth gradients well
+    const rowStart = y * (rowBytes + 1);
+    raw[rowStart] = 2;
+    for (let i = 0; i < rowBytes; i++) {
+      raw[rowStart + 1 + i] = current[i] - previous[i];
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = 0; // Grayscale
+
+  return new Blob([
+    new Uint8Array(PNG_SIGNATURE),
+    makePngChunk('IHDR', header),
+    makePngChunk('IDAT', await zlibDeflate(raw)),
+    makePngChunk('IEND', new Uint8Array(0))
+  ], { type: 'image/png' });
+}
+
+// Decode a non-interlaced 8/16-bit PNG to 0-1 luminance
+// Returns null for anything else so the caller can fall back to the browser decoder
+async function decodePngGray(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) return null;
+
+  const view = new DataView(buffer);
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+  const idat = [];
+
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  const channelsByType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+  const channels = channelsByType[colorType];
+  if (!channels || interlace !== 0 || (bitDepth !== 8 && bitDepth !== 16)) return null;
+
+  const raw = await zlibInflate(new Blob(idat));
+  const bytesPerSample = bitDepth / 8;
+  const bytesPerPixel = channels * bytesPerSample;
+  const rowBytes = width * bytesPerPixel;
+  if (raw.length < (rowBytes + 1) * height) return null;
+
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const data = new Float32Array(width * height);
+  let previous = new Uint8Array(rowBytes);
+  let current = new Uint8Array(rowBytes);
+
+  const sampleAt = (row, x, channel) => {
+    const i = x * bytesPerPixel + channel * bytesPerSample;
+    return bitDepth === 16 ? (row[i] << 8) | row[i + 1] : row[i];
+  };
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowBytes + 1);
+    unfilterPngRow(raw[rowStart], raw.subarray(rowStart + 1, rowStart + 1 + rowBytes), previous, current, bytesPerPixel);
+
+    for (let x = 0; x < width; x++) {
+      const value = channels >= 3
+        ? 0.299 * sampleAt(current, x, 0) + 0.587 * sampleAt(current, x, 1) + 0.114 * sampleAt(current, x, 2)
+        : sampleAt(current, x, 0);
+      data[y * width + x] = value / maxValue;
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return { data, width, height };
+}
+
+// Reverse PNG filtering for one row (filter types 0-4)
+function unfilterPngRow(filter, src, previous, out, bytesPerPixel) {
+  for (let i = 0; i < src.length; i++) {
+    const left = i >= bytesPerPixel ? out[i - bytesPerPixel] : 0;
+    const up = previous[i];
+    const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+    let predictor = 0;
+
+    if (filter === 1) {
+      predictor = left;
+    } else if (filter === 2) {
+      predictor = up;
+    } else if (filter === 3) {
+      predictor = (left + up) >> 1;
+    } else if (filter === 4) {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+    }
+
+    out[i] = (src[i] + predictor) & 0xff;
+  }
+}
+
+// ============================================================================
+// EMBEDDED DEPTH AND EXIF ORIENTATION
+// ============================================================================
+
+// Phone cameras often store a real depth map alongside the photo:
+//  - GDepth: Google Lens Blur, depth image base64-encoded in (extended) XMP
+//  - Dynamic Depth / GContainer: depth image appended after the primary JPEG,
+//    listed in the XMP container directory
+//  - Apple Portrait JPEG: disparity image stored as an MPF auxiliary image
+//  - Apple Portrait HEIC: depth auxiliary item, repackaged as a standalone HEIF
+//    (only decodable where the browser supports HEIC)
+// Embedded maps are returned as disparity (larger = nearer) so they pass
+// through the same percentile normalization as model output.
+
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_EXTENSION_NAMESPACE = 'http://ns.adobe.com/xmp/extension/\0';
+
+// EXIF orientation -> canvas transform (a, b, c, d, e, f in units of width/height)
+const EXIF_ORIENTATION_TRANSFORMS = {
+  2: (w, h) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: (w, h) => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w, h) => [0, -1, 1, 0, 0, w]
+};
+
+// Read orientation and any embedded depth map from the original file bytes
+async function readImageMetadata(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const metadata = { orientation: 1, depth: null, depthSource: null };
+
+  try {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+      const segments = parseJpegSegments(bytes);
+      metadata.orientation = readExifOrientation(bytes, segments);
+      const found = await findJpegEmbeddedDepth(bytes, segments);
+      if (found) {
+        // Embedded maps are stored in sensor orientation, like the primary pixels
+        metadata.depth = orientDepth(found.depth, metadata.orientation);
+        metadata.depthSource = found.source;
+      }
+    } else if (isHeif(bytes)) {
+      const found = await findHeifEmbeddedDepth(bytes);
+      if (found) {
+        metadata.depth = found.depth;
+        metadata.depthSource = found.source;
+      }
+    }
+  } catch (error) {
+    console.warn('Could not read embedded depth:', error);
+  }
+
+  return metadata;
+}
+
+// Apply EXIF orientation when the browser does not already do so for decoded images
+function orientImage(img, orientation) {
+  const transform = EXIF_ORIENTATION_TRANSFORMS[orientation];
+  if (!transform || CSS.supports('image-orientation', 'from-image')) return img;
+
+  const swap = orientation >= 5;
+  const canvas = document.createElement('canvas');
+  canvas.width = swap ? img.height : img.width;
+  canvas.height = swap ? img.width : img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(...transform(img.width, img.height));
+  ctx.drawImage(img, 0, 0);
+  return canvas;
+}
+
+// Rotate/flip a float depth grid by EXIF orientation
+function orientDepth(depth, orientation) {
+  if (!EXIF_ORIENTATION_TRANSFORMS[orientation]) return depth;
+
+  const { data, width: w, height: h } = depth;
+  const swap = orientation >= 5;
+  const outW = swap ? h : w;
+  const outH = swap ? w : h;
+  const out = new Float32Array(outW * outH);
+
+  for (let y = 0; y < outH; y++) {
+    for (let x = 0; x < outW; x++) {
+      let sx, sy;
+      switch (orientation) {
+        case 2: sx = w - 1 - x; sy = y; break;
+        case 3: sx = w - 1 - x; sy = h - 1 - y; break;
+        case 4: sx = x; sy = h - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = h - 1 - x; break;
+        case 7: sx = w - 1 - y; sy = h - 1 - x; break;
+        default: sx = w - 1 - y; sy = x; break;
+      }
+      out[y * outW + x] = data[sy * w + sx];
+    }
+  }
+
+  return { data: out, width: outW, height: outH };
+}
+
+// ----------------------------------------------------------------------------
+// JPEG containers
+// ----------------------------------------------------------------------------
+
+// List marker segments up to the start of scan: { marker, start, end } of each payload
+function parseJpegSegments(bytes, offset = 0) {
+  const segments = [];
+  let pos = offset + 2;
+
+  while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+    const marker = bytes[pos + 1];
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01 || marker === 0xff) {
+      pos += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    segments.push({ marker, start: pos + 4, end: pos + 2 + length });
+    pos += 2 + length;
+  }
+
+  return segments;
+}
+
+function segmentStartsWith(bytes, segment, prefix) {
+  if (segment.end - segment.start < prefix.length) return false;
+  for (let i = 0; i < prefix.length; i++) {
+    if (bytes[segment.start + i] !== prefix.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function readExifOrientation(bytes, segments) {
+  const exif = segments.find(s => s.marker === 0xe1 && segmentStartsWith(bytes, s, 'Exif\0\0'));
+  if (!exif) return 1;
+
+  const tiff = exif.start + 6;
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const little = bytes[tiff] === 0x49;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  const count = view.getUint16(ifd, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, little);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+
+  return 1;
+}
+
+// Main XMP packet plus the concatenated extended XMP (where GDepth:Data lives)
+function readJpegXmp(bytes, segments) {
+  const decoder = new TextDecoder();
+  let main = '';
+  const extended = new Map();
+
+  for (const segment of segments) {
+    if (segment.marker !== 0xe1) continue;
+
+    if (segmentStartsWith(bytes, segment, XMP_NAMESPACE)) {
+      main += decoder.decode(bytes.subarray(segment.start + XMP_NAMESPACE.length, segment.end));
+    } else if (segmentStartsWith(bytes, segment, XMP_EXTENSION_NAMESPACE)) {
+      // GUID (32) + full length (4) + chunk offset (4) + chunk data
+      const header = segment.start + XMP_EXTENSION_NAMESPACE.length;
+      const guid = decoder.decode(bytes.subarray(header, header + 32));
+      const view = new DataView(bytes.buffer, bytes.byteOffset);
+      const chunkOffset = view.getUint32(header + 36);
+      if (!extended.has(guid)) extended.set(guid, []);
+      extended.get(guid).push({ offset: chunkOffset, data: bytes.subarray(header + 40, segment.end) });
+    }
+  }
+
+  const guid = xmpValue(main, 'xmpNote:HasExtendedXMP');
+  const chunks = (guid && extended.get(guid)) || [...extended.values()][0] || [];
+  chunks.sort((a, b) => a.offset - b.offset);
+  const extendedText = chunks.map(chunk => decoder.decode(chunk.data)).join('');
+
+  return main + extendedText;
+}
+
+// Attribute (name="value") or element (<name>value</name>) form
+function xmpValue(xmp, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = xmp.match(new RegExp(`${escaped}="([^"]*)"`)) ||
+    xmp.match(new RegExp(`<${escaped}>([^<]*)</${escaped}>`));
+  return match ? match[1].trim() : null;
+}
+
+async function findJpegEmbeddedDepth(bytes, segments) {
+  const xmp = readJpegXmp(bytes, segments);
+
+  // GDepth: depth image inline in XMP
+  const gdepthData = xmpValue(xmp, 'GDepth:Data');
+  if (gdepthData) {
+    const encoded = Uint8Array.from(atob(gdepthData.replace(/\s+/g, '')), c => c.charCodeAt(0));
+    const gray = await readImageDepth(new Blob([encoded], { type: xmpValue(xmp, 'GDepth:Mime') || 'image/jpeg' }));
+    return {
+      source: 'GDepth',
+      depth: rangeToDisparity(gray, xmpValue(xmp, 'GDepth:Format'), xmpValue(xmp, 'GDepth:Near'), xmpValue(xmp, 'GDepth:Far'))
+    };
+  }
+
+  // Dynamic Depth / GContainer: depth item appended after the primary image
+  const item = findContainerDepthItem(xmp, bytes.length);
+  if (item) {
+    const gray = await readImageDepth(new Blob([bytes.subarray(item.start, item.end)], { type: item.mime }));
+    return {
+      source: 'Dynamic Depth',
+      depth: rangeToDisparity(gray, xmpValue(xmp, 'DepthMap:Format') || 'RangeInverse',
+        xmpValue(xmp, 'DepthMap:Near'), xmpValue(xmp, 'DepthMap:Far'))
+    };
+  }
+
+  // Apple Portrait: disparity image in an MPF auxiliary image
+  const appleDepth = findMpfDepthImage(bytes, segments);
+  if (appleDepth) {
+    const gray = await readImageDepth(new Blob([appleDepth.bytes], { type: 'image/jpeg' }));
+    return {
+      source: 'Apple Portrait',
+      depth: appleDepth.isDisparity ? gray : rangeToDisparity(gray, 'RangeLinear', null, null)
+    };
+  }
+
+  return null;
+}
+
+// Locate the depth item in a Dynamic Depth / GContainer directory
+// Items after the primary are stored back to back at the end of the file
+function findContainerDepthItem(xmp, fileLength) {
+  const items = [];
+  const itemPattern = /<[\w]*:?Item\b([^>]*?)\/?>/g;
+  let match;
+
+  while ((match = itemPattern.exec(xmp))) {
+    const attributes = match[1];
+    const semantic = xmpValue(attributes, 'Item:Semantic');
+    if (!semantic) continue;
+    items.push({
+      semantic,
+      mime: xmpValue(attributes, 'Item:Mime') || 'image/jpeg',
+      length: parseInt(xmpValue(attributes, 'Item:Length') || '0', 10),
+      padding: parseInt(xmpValue(attributes, 'Item:Padding') || '0', 10)
+    });
+  }
+
+  const depthIndex = items.findIndex(item => item.semantic === 'Depth');
+  if (depthIndex < 1) return null;
+
+  let end = fileLength;
+  for (let i = items.length - 1; i > depthIndex; i--) {
+    end -= items[i].length + items[i].padding;
+  }
+  end -= items[depthIndex].padding;
+  const start = end - items[depthIndex].length;
+
+  return start > 0 && items[depthIndex].length > 0 ? { start, end, mime: items[depthIndex].mime } : null;
+}
+
+// Images listed in a JPEG's multi-picture (MPF) index: [{ attribute, bytes }],
+// the primary image first; entries that do not point at a JPEG are skipped
+function readMpfImages(bytes, segments) {
+  const mpf = segments.find(s => s.marker === 0xe2 && segmentStartsWith(bytes, s, 'MPF\0'));
+  if (!mpf) return [];
+
+  const tiff = mpf.start + 4;
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const little = bytes[tiff] === 0x49;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  const count = view.getUint16(ifd, little);
+
+  let entries = null;
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (view.getUint16(entry, little) === 0xb002) {
+      const size = view.getUint32(entry + 4, little);
+      entries = { offset: tiff + view.getUint32(entry + 8, little), count: size / 16 };
+    }
+  }
+  if (!entries) return [];
+
+  const images = [];
+  for (let i = 0; i < entries.count; i++) {
+    const entry = entries.offset + i * 16;
+    const attribute = view.getUint32(entry, little);
+    const size = view.getUint32(entry + 4, little);
+    // The primary image's offset is 0: it starts the file
+    const start = i === 0 ? 0 : tiff + view.getUint32(entry + 8, little);
+    if (start + size > bytes.length || bytes[start] !== 0xff || bytes[start + 1] !== 0xd8) continue;
+    images.push({ attribute, bytes: bytes.subarray(start, start + size) });
+  }
+  return images;
+}
+
+// Find an Apple disparity/depth image among the MPF (multi-picture) images
+function findMpfDepthImage(bytes, segments) {
+  // Auxiliary images are described by their own XMP
+  for (const { bytes: image } of readMpfImages(bytes, segments).slice(1)) {
+    const xmp = readJpegXmp(image, parseJpegSegments(image));
+    const nativeFormat = parseInt(xmpValue(xmp, 'apdi:NativeFormat') || '0', 10);
+    if (!nativeFormat) continue;
+
+    // Four-character pixel format codes: 'hdis'/'fdis' disparity, 'hdep'/'fdep' depth
+    const code = String.fromCharCode(nativeFormat >>> 24, (nativeFormat >> 16) & 0xff,
+      (nativeFormat >> 8) & 0xff, nativeFormat & 0xff);
+    return { bytes: image, isDisparity: code.endsWith('dis') };
+  }
+
+  return null;
+}
+
+// Convert a decoded 0-1 range-encoded depth image to disparity (larger = nearer)
+// RangeInverse/RangeLinear follow the GDepth/Dynamic Depth spec (0 = near plane)
+function rangeToDisparity(gray, format, nearValue, farValue) {
+  const near = parseFloat(nearValue);
+  const far = parseFloat(farValue);
+  const hasRange = near > 0 && far > near;
+  const data = new Float32Array(gray.data.length);
+
+  for (let i = 0; i < data.length; i++) {
+    const d = gray.data[i];
+    if (!hasRange) {
+      data[i] = 1 - d;
+    } else if (format === 'RangeLinear') {
+      data[i] = 1 / (d * (far - near) + near);
+    } else {
+      data[i] = (far - d * (far - near)) / (far * near);
+    }
+  }
+
+  return { data, width: gray.width, height: gray.height };
+}
+
+// ----------------------------------------------------------------------------
+// HEIF containers
+// ----------------------------------------------------------------------------
+
+function isHeif(bytes) {
+  const brand = String.fromCharCode(...bytes.subarray(8, 12));
+  return String.fromCharCode(...bytes.subarray(4, 8)) === 'ftyp' &&
+    ['heic', 'heix', 'mif1', 'msf1', 'heim', 'heis'].includes(brand);
+}
+
+// ISOBMFF box list within [start, end): { type, start (payload), end }
+function parseBoxes(bytes, start, end) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const boxes = [];
+  let pos = start;
+
+  while (pos + 8 <= end) {
+    let size = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) break;
+    boxes.push({ type, start: pos + header, end: pos + size, boxStart: pos });
+    pos += size;
+  }
+
+  return boxes;
+}
+
+// Find the depth auxiliary image item and rebuild it as a single-image HEIF
+async function findHeifEmbeddedDepth(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const meta = parseBoxes(bytes, 0, bytes.length).find(box => box.type === 'meta');
+  if (!meta) return null;
+
+  // meta is a full box: skip version/flags
+  const children = parseBoxes(bytes, meta.start + 4, meta.end);
+  const child = type => children.find(box => box.type === type);
+  const iinf = child('iinf'), iloc = child('iloc'), iprp = child('iprp');
+  if (!iinf || !iloc || !iprp) return null;
+
+  const itemTypes = readHeifItemTypes(bytes, iinf);
+  const properties = parseBoxes(bytes, iprp.start, iprp.end);
+  const ipco = properties.find(box => box.type === 'ipco');
+  const ipma = properties.find(box => box.type === 'ipma');
+  if (!ipco || !ipma) return null;
+
+  const propertyBoxes = parseBoxes(bytes, ipco.start, ipco.end);
+  const associations = readHeifAssociations(bytes, ipma);
+
+  // Depth auxiliary: auxC names a depth/disparity type (auxid:2 is MPEG depth)
+  let depthItem = null;
+  for (const [itemId, indices] of associations) {
+    if (itemTypes.get(itemId) !== 'hvc1') continue;
+    const auxC = indices.map(index => propertyBoxes[index - 1]).find(box => box && box.type === 'auxC');
+    if (!auxC) continue;
+    const auxType = new TextDecoder().decode(bytes.subarray(auxC.start + 4, auxC.end)).replace(/\0.*$/, '');
+    if (/depth|disparity|auxid:2$/i.test(auxType)) {
+      depthItem = { itemId, indices };
+      break;
+    }
+  }
+  if (!depthItem) return null;
+
+  const extents = readHeifItemExtents(bytes, view, iloc, depthItem.itemId);
+  if (!extents) return null;
+
+  // The depth is stored in sensor orientation: it takes the primary image's
+  // rotation and mirroring (in their order) unless it has its own
+  const ownProperties = depthItem.indices.map(index => propertyBoxes[index - 1]).filter(box => box);
+  const isTransform = box => box.type === 'irot' || box.type === 'imir';
+  const pitm = child('pitm');
+  const primaryId = pitm && (bytes[pitm.start] === 0 ? view.getUint16(pitm.start + 4) : view.getUint32(pitm.start + 4));
+  const primaryIndices = associations.get(primaryId) || [];
+  const transforms = ownProperties.some(isTransform) ? [] : primaryIndices
+    .map(index => propertyBoxes[index - 1])
+    .filter(box => box && isTransform(box));
+
+  const itemProperties = [...ownProperties.filter(box => box.type !== 'auxC'), ...transforms]
+    .map(box => bytes.subarray(box.boxStart, box.end));
+  const data = concatBytes(extents.map(([offset, length]) => bytes.subarray(offset, offset + length)));
+  const heif = buildSingleImageHeif(itemProperties, data);
+
+  try {
+    const gray = await readImageDepth(new Blob([heif], { type: 'image/heic' }));
+    return { source: 'Apple Portrait', depth: gray };
+  } catch (error) {
+    console.warn('Browser cannot decode the embedded HEIC depth image');
+    return null;
+  }
+}
+
+function readHeifItemTypes(bytes, iinf) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const version = bytes[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+  const types = new Map();
+
+  for (const infe of parseBoxes(bytes, entriesStart, iinf.end)) {
+    if (infe.type !== 'infe' || bytes[infe.start] < 2) continue;
+    const wide = bytes[infe.start] === 3;
+    const itemId = wide ? view.getUint32(infe.start + 4) : view.getUint16(infe.start + 4);
+    const typeStart = infe.start + 4 + (wide ? 4 : 2) + 2;
+    types.set(itemId, String.fromCharCode(...bytes.subarray(typeStart, typeStart + 4)));
+  }
+
+  return types;
+}
+
+// item ID -> 1-based property indices
+function readHeifAssociations(bytes, ipma) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const version = bytes[ipma.start];
+  const wideIndex = bytes[ipma.start + 3] & 1;
+  const count = view.getUint32(ipma.start + 4);
+  const associations = new Map();
+  let pos = ipma.start + 8;
+
+  for (let i = 0; i < count; i++) {
+    const itemId = version < 1 ? view.getUint16(pos) : view.getUint32(pos);
+    pos += version < 1 ? 2 : 4;
+    const indices = [];
+    const associationCount = bytes[pos++];
+    for (let j = 0; j < associationCount; j++) {
+      if (wideIndex) {
+        indices.push(view.getUint16(pos) & 0x7fff);
+        pos += 2;
+      } else {
+        indices.push(bytes[pos++] & 0x7f);
+      }
+    }
+    associations.set(itemId, indices);
+  }
+
+  return associations;
+}
+
+// [offset, length] file extents of an item (construction method 0 only)
+function readHeifItemExtents(bytes, view, iloc, targetId) {
+  const version = bytes[iloc.start];
+  const readSized = (pos, size) => size === 8 ? Number(view.getBigUint64(pos)) : size === 4 ? view.getUint32(pos) : size === 2 ? view.getUint16(pos) : 0;
+  const offsetSize = bytes[iloc.start + 4] >> 4;
+  const lengthSize = bytes[iloc.start + 4] & 0xf;
+  const baseOffsetSize = bytes[iloc.start + 5] >> 4;
+  const indexSize = version >= 1 ? bytes[iloc.start + 5] & 0xf : 0;
+  let pos = iloc.start + 6;
+  const itemCount = version < 2 ? view.getUint16(pos) : view.getUint32(pos);
+  pos += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount; i++) {
+    const itemId = version < 2 ? view.getUint16(pos) : view.getUint32(pos);
+    pos += version < 2 ? 2 : 4;
+    const constructionMethod = version >= 1 ? view.getUint16(pos) & 0xf : 0;
+    if (version >= 1) pos += 2;
+    pos += 2; // data reference index
+    const baseOffset = readSized(pos, baseOffsetSize);
+    pos += baseOffsetSize;
+    const extentCount = view.getUint16(pos);
+    pos += 2;
+
+    const extents = [];
+    for (let j = 0; j < extentCount; j++) {
+      pos += indexSize;
+      const offset = readSized(pos, offsetSize);
+      pos += offsetSize;
+      const length = readSized(pos, lengthSize);
+      pos += lengthSize;
+      extents.push([baseOffset + offset, length]);
+    }
+
+    if (itemId === targetId) {
+      return constructionMethod === 0 ? extents : null;
+    }
+  }
+
+  return null;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+function makeBox(type, ...parts) {
+  const payload = concatBytes(parts);
+  const box = new Uint8Array(8 + payload.length);
+  new DataView(box.buffer).setUint32(0, box.length);
+  for (let i = 0; i < 4; i++) box[4 + i] = type.charCodeAt(i);
+  box.set(payload, 8);
+  return box;
+}
+
+function boxFields(...fields) {
+  // [value, byteSize] pairs, big-endian
+  const out = new Uint8Array(fields.reduce((sum, [, size]) => sum + size, 0));
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  for (const [value, size] of fields) {
+    if (size === 4) view.setUint32(pos, value);
+    else if (size === 2) view.setUint16(pos, value);
+    else view.setUint8(pos, value);
+    pos += size;
+  }
+  return out;
+}
+
+function asciiBytes(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+// Minimal HEIF with one hvc1 item (ID 1) carrying the given properties
+function buildSingleImageHeif(propertyBoxes, data) {
+  const ftyp = makeBox('ftyp', asciiBytes('heic'), boxFields([0, 4]), asciiBytes('mif1heic'));
+  const hdlr = makeBox('hdlr', boxFields([0, 4], [0, 4]), asciiBytes('pict'), boxFields([0, 4], [0, 4], [0, 4], [0, 1]));
+  const pitm = makeBox('pitm', boxFields([0, 4], [1, 2]));
+  const infe = makeBox('infe', boxFields([0x02000000, 4], [1, 2], [0, 2]), asciiBytes('hvc1'), boxFields([0, 1]));
+  const iinf = makeBox('iinf', boxFields([0, 4], [1, 2]), infe);
+  const ipco = makeBox('ipco', ...propertyBoxes);
+  const ipma = makeBox('ipma', boxFields([0, 4], [1, 4], [1, 2], [propertyBoxes.length, 1]),
+    Uint8Array.from(propertyBoxes, (_, i) => 0x80 | (i + 1)));
+  const iprp = makeBox('iprp', ipco, ipma);
+
+  // iloc offset points into mdat, whose position depends on the size of meta itself
+  const buildMeta = dataOffset => makeBox('meta', boxFields([0, 4]), hdlr, pitm, iinf,
+    makeBox('iloc', boxFields([0, 4], [0x44, 1], [0, 1], [1, 2], [1, 2], [0, 2], [1, 2], [dataOffset, 4], [data.length, 4])),
+    iprp);
+  const metaSize = buildMeta(0).length;
+  const meta = buildMeta(ftyp.length + metaSize + 8);
+
+  return concatBytes([ftyp, meta, makeBox('mdat', data)]);
+}
+
+// ============================================================================
+// STEREO PAIR INPUT
+// ============================================================================
+
+// Two photos of one scene (two cameras, a cha-cha sidestep or an MPO) stand
+// in for the depth model: the right photo is aligned to the left one and
+// their horizontal disparity becomes the depth (larger = nearer, like the
+// model's relative inverse depth), so depth tools, layouts and exports work
+// unchanged with the left photo as the source image.
+// - Alignment: Harris corners with BRIEF descriptors on downscaled grayscale,
+//   mutual best matches passing a ratio test, then RANSAC fits rotation,
+//   scale and vertical shift to the vertical offsets only, since horizontal
+//   offsets are the disparity itself. Manual nudges apply on top.
+// - Disparity: census-transform block matching with box-aggregated costs,
+//   sub-pixel refinement and a left-right consistency check; rejected pixels
+//   (mostly occlusions) take the farther neighbouring disparity in their row.
+
+const PAIR_ALIGN_SIZE = 1024;
+const PAIR_MAX_FEATURES = 1000;
+const PAIR_FEATURE_CELL = 8;
+const PAIR_DESCRIPTOR_RADIUS = 15;
+const PAIR_DESCRIPTOR_WORDS = 8;
+const PAIR_MATCH_RATIO = 0.8;
+const PAIR_MAX_VERTICAL_OFFSET = 0.15;
+const PAIR_RANSAC_ITERATIONS = 1000;
+const PAIR_RANSAC_THRESHOLD = 1.5;
+const PAIR_RANSAC_SEED = 0x9e3779b9;
+const PAIR_MIN_MATCHES = 12;
+const PAIR_MAX_TILT = 0.2;
+
+const DISPARITY_MAX_WIDTH = 640;
+const DISPARITY_MAX_LEVELS = 128;
+const DISPARITY_WINDOW_RADIUS = 4;
+const CENSUS_RADIUS = 2;
+const CENSUS_BITS = (2 * CENSUS_RADIUS + 1) ** 2 - 1;
+
+// BRIEF test pairs [x1, y1, x2, y2], clustered towards the patch centre; a
+// fixed seed keeps descriptors comparable between the two photos
+const BRIEF_PATTERN = (() => {
+  let seed = 0x5eed;
+  const random = () => (seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0) / 4294967296;
+  const coordinate = () => {
+    const value = Math.round((random() + random() + random() - 1.5) * PAIR_DESCRIPTOR_RADIUS * 0.66);
+    return Math.max(-PAIR_DESCRIPTOR_RADIUS, Math.min(PAIR_DESCRIPTOR_RADIUS, value));
+  };
+  return Int8Array.from({ length: PAIR_DESCRIPTOR_WORDS * 32 * 4 }, coordinate);
+})();
+
+// Two photos in file name order, or the two views of an MPO
+async function readStereoPairFiles(files) {
+  if (files.length === 1) {
+    const bytes = new Uint8Array(await files[0].arrayBuffer());
+    const images = bytes[0] === 0xff && bytes[1] === 0xd8 ? readMpfImages(bytes, parseJpegSegments(bytes)) : [];
+    const views = images.filter(image => (image.attribute & 0xffffff) === MPF_DISPARITY_IMAGE);
+    if (views.length < 2) {
+      throw new Error('Select two photos, or one MPO file holding a left and right view');
+    }
+    files = views.slice(0, 2).map(view => new Blob([view.bytes], { type: 'image/jpeg' }));
+  } else if (files.length === 2) {
+    files = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  } else {
+    throw new Error('Select exactly two photos (left and right), or one MPO file');
+  }
+
+  return Promise.all(files.map(async file => {
+    const metadata = await readImageMetadata(file);
+    return orientImage(await loadImage(file), metadata.orientation);
+  }));
+}
+
+// [left, right] photos for the current eye order
+function getStereoPairViews(pair, settings) {
+  return settings.pairSwapEyes ? [pair.photos[1], pair.photos[0]] : pair.photos;
+}
+
+// Load a stereo pair into the editor; nothing in state changes if it cannot be aligned
+async function loadStereoPair(files) {
+  showLoading('Loading stereo pair...');
+  try {
+    const photos = await readStereoPairFiles(files);
+    const [left, right] = getStereoPairViews({ photos }, state.settings);
+    showLoading('Aligning photos...');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const alignment = alignStereoPair(left, right);
+
+    setDepthEditMode(false);
+    state.depthEdits = null;
+    state.originalImage = left;
+    state.pendingDepth = null;
+    state.importedDepth = null;
+    state.embeddedDepth = null;
+    state.embeddedDepthSource = null;
+    state.stereoPair = { photos, alignment };
+    updateImportedDepthOption();
+    updateEmbeddedDepthOption();
+    updateStereoPairOptions();
+
+    state.depthFloat = await resolveDepth(left);
+    state.depthMap = generateDepthMap(left, state.depthFloat, state.settings);
+    showControlSections();
+  } finally {
+    hideLoading();
+  }
+  await updatePreview();
+}
+
+// Re-align after the eye order changed; the source image changes, so edits are dropped
+async function realignStereoPair() {
+  const pair = state.stereoPair;
+  const [left, right] = getStereoPairViews(pair, state.settings);
+  showLoading('Aligning photos...');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  try {
+    pair.alignment = alignStereoPair(left, right);
+  } finally {
+    hideLoading();
+  }
+  setDepthEditMode(false);
+  state.depthEdits = null;
+  state.originalImage = left;
+  updateStereoPairOptions();
+  await regenerateDepth();
+}
+
+// Disparity of the current pair as model-style depth, on the depth worker when available
+async function estimatePairDepth(pair, settings) {
+  const [left, right] = getStereoPairViews(pair, settings);
+  const scale = Math.min(1, DISPARITY_MAX_WIDTH / left.width);
+  const width = Math.max(1, Math.round(left.width * scale));
+  const height = Math.max(1, Math.round(left.height * scale));
+
+  const leftCanvas = createCanvas(width, height);
+  leftCanvas.getContext('2d').drawImage(left, 0, 0, width, height);
+  const leftData = leftCanvas.getContext('2d').getImageData(0, 0, width, height);
+  const rightData = drawAlignedRight(right, pair.alignment, settings, left, scale).getContext('2d')
+    .getImageData(0, 0, width, height);
+  const [minDisparity, maxDisparity] = getDisparitySearchRange(pair.alignment, settings, left, scale);
+
+  showLoading('Matching stereo pair...');
+  const onProgress = (done, total) => showLoading(`Matching stereo pair: ${Math.round(done / total * 100)}%...`);
+  if (!usePipelineWorkers()) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return computeDisparity(leftData, rightData, minDisparity, maxDisparity, onProgress);
+  }
+  return getDepthWorker().request('disparity', { left: leftData, right: rightData, minDisparity, maxDisparity },
+    [leftData.data.buffer, rightData.data.buffer], onProgress);
+}
+
+// ----------------------------------------------------------------------------
+// Alignment
+// ----------------------------------------------------------------------------
+
+// Fit the transform from right photo pixels (scaled to the left photo's
+// height) to left photo pixels: x' = b x - a y + tx, y' = a x + b y + ty
+// Returns { a, b, tx, ty, rightScale, matches, disparityRange } where tx puts
+// the farthest matches at zero disparity and disparityRange spans the nearest
+function alignStereoPair(left, right) {
+  const alignScale = Math.min(1, PAIR_ALIGN_SIZE / Math.max(left.width, left.height));
+  const rightScale = left.height / right.height;
+
+  const leftGray = grayAtScale(left, alignScale);
+  const rightGray = grayAtScale(right, alignScale * rightScale);
+  const leftFeatures = describeFeatures(leftGray, detectCorners(leftGray));
+  const rightFeatures = describeFeatures(rightGray, detectCorners(rightGray));
+
+  const maxOffset = PAIR_MAX_VERTICAL_OFFSET * leftGray.height;
+  const matches = matchFeatures(leftFeatures, rightFeatures)
+    .filter(match => Math.abs(match.left.y - match.right.y) <= maxOffset);
+  const fit = fitVerticalSimilarity(matches);
+  if (!fit || fit.inliers.length < PAIR_MIN_MATCHES ||
+      Math.abs(fit.a) > PAIR_MAX_TILT || Math.abs(fit.b - 1) > PAIR_MAX_TILT) {
+    throw new Error('Could not match the two photos. Make sure they show the same scene from side by side');
+  }
+
+  // Horizontal offsets of the inliers at full resolution
+  const offsets = fit.inliers
+    .map(({ left: l, right: r }) => (l.x - (fit.b * r.x - fit.a * r.y)) / alignScale)
+    .sort((p, q) => p - q);
+  const far = offsets[Math.floor(offsets.length * 0.02)];
+  const near = offsets[Math.ceil(offsets.length * 0.98) - 1];
+
+  return {
+    a: fit.a,
+    b: fit.b,
+    tx: far,
+    ty: fit.c / alignScale,
+    rightScale,
+    matches: fit.inliers.length,
+    disparityRange: near - far
+  };
+}
+
+function grayAtScale(img, scale) {
+  const width = Math.max(1, Math.round(img.width * scale));
+  const height = Math.max(1, Math.round(img.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, width, height);
+  return { data: luminanceFloat(ctx.getImageData(0, 0, width, height).data, width * height), width, height };
+}
+
+// Harris corners: the strongest response per cell that also beats its
+// neighbouring cells, strongest first, clear of the descriptor patch border
+function detectCorners(gray) {
+  const { data, width, height } = gray;
+  const n = width * height;
+  const xx = new Float32Array(n);
+  const yy = new Float32Array(n);
+  const xy = new Float32Array(n);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = data[i + 1] - data[i - 1];
+      const gy = data[i + width] - data[i - width];
+      xx[i] = gx * gx;
+      yy[i] = gy * gy;
+      xy[i] = gx * gy;
+    }
+  }
+  const sxx = boxFilter(xx, width, height, 2);
+  const syy = boxFilter(yy, width, height, 2);
+  const sxy = boxFilter(xy, width, height, 2);
+
+  const cell = PAIR_FEATURE_CELL;
+  const border = PAIR_DESCRIPTOR_RADIUS + 3;
+  const cellsX = Math.ceil(width / cell);
+  const cellsY = Math.ceil(height / cell);
+  const best = new Float32Array(cellsX * cellsY);
+  const bestIndex = new Int32Array(cellsX * cellsY).fill(-1);
+  let maxResponse = 0;
+
+  for (let y = border; y < height - border; y++) {
+    for (let x = border; x < width - border; x++) {
+      const i = y * width + x;
+      const trace = sxx[i] + syy[i];
+      const response = sxx[i] * syy[i] - sxy[i] * sxy[i] - 0.04 * trace * trace;
+      const c = ((y / cell) | 0) * cellsX + ((x / cell) | 0);
+      if (response > best[c]) {
+        best[c] = response;
+        bestIndex[c] = i;
+      }
+      if (response > maxResponse) maxResponse = response;
+    }
+  }
+
+  const corners = [];
+  for (let cy = 0; cy < cellsY; cy++) {
+    for (let cx = 0; cx < cellsX; cx++) {
+      const c = cy * cellsX + cx;
+      if (bestIndex[c] < 0 || best[c] < maxResponse * 0.01) continue;
+      let isMax = true;
+      for (let ny = Math.max(0, cy - 1); ny <= Math.min(cellsY - 1, cy + 1) && isMax; ny++) {
+        for (let nx = Math.max(0, cx - 1); nx <= Math.min(cellsX - 1, cx + 1); nx++) {
+          if (best[ny * cellsX + nx] > best[c]) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+      if (isMax) corners.push({ x: bestIndex[c] % width, y: (bestIndex[c] / width) | 0, response: best[c] });
+    }
+  }
+
+  return corners.sort((p, q) => q.response - p.response).slice(0, PAIR_MAX_FEATURES);
+}
+
+// BRIEF descriptors on the smoothed image: { points, descriptors (Uint32Array, PAIR_DESCRIPTOR_WORDS per point) }
+function describeFeatures(gray, points) {
+  const { width, height } = gray;
+  const smooth = boxFilter(gray.data, width, height, 2);
+  const descriptors = new Uint32Array(points.length * PAIR_DESCRIPTOR_WORDS);
+
+  points.forEach(({ x, y }, p) => {
+    const center = y * width + x;
+    for (let bit = 0; bit < PAIR_DESCRIPTOR_WORDS * 32; bit++) {
+      const k = bit * 4;
+      const first = smooth[center + BRIEF_PATTERN[k + 1] * width + BRIEF_PATTERN[k]];
+      const second = smooth[center + BRIEF_PATTERN[k + 3] * width + BRIEF_PATTERN[k + 2]];
+      if (first < second) descriptors[p * PAIR_DESCRIPTOR_WORDS + (bit >> 5)] |= 1 << (bit & 31);
+    }
+  });
+
+  return { points, descriptors };
+}
+
+function popcount32(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// Mutual nearest neighbours by Hamming distance that pass the ratio test: [{ left, right }]
+function matchFeatures(leftFeatures, rightFeatures) {
+  const words = PAIR_DESCRIPTOR_WORDS;
+  const leftCount = leftFeatures.points.length;
+  const rightCount = rightFeatures.points.length;
+  const leftBest = new Int32Array(leftCount).fill(-1);
+  const leftSecond = new Float32Array(leftCount).fill(Infinity);
+  const leftBestDistance = new Float32Array(leftCount).fill(Infinity);
+  const rightBest = new Int32Array(rightCount).fill(-1);
+  const rightBestDistance = new Float32Array(rightCount).fill(Infinity);
+
+  for (let l = 0; l < leftCount; l++) {
+    for (let r = 0; r < rightCount; r++) {
+      let distance = 0;
+      for (let w = 0; w < words; w++) {
+        distance += popcount32(leftFeatures.descriptors[l * words + w] ^ rightFeatures.descriptors[r * words + w]);
+      }
+      if (distance < leftBestDistance[l]) {
+        leftSecond[l] = leftBestDistance[l];
+        leftBestDistance[l] = distance;
+        leftBest[l] = r;
+      } else if (distance < leftSecond[l]) {
+        leftSecond[l] = distance;
+      }
+      if (distance < rightBestDistance[r]) {
+        rightBestDistance[r] = distance;
+        rightBest[r] = l;
+      }
+    }
+  }
+
+  const matches = [];
+  for (let l = 0; l < leftCount; l++) {
+    const r = leftBest[l];
+    if (r < 0 || rightBest[r] !== l || leftBestDistance[l] >= PAIR_MATCH_RATIO * leftSecond[l]) continue;
+    matches.push({ left: leftFeatures.points[l], right: rightFeatures.points[r] });
+  }
+  return matches;
+}
+
+// RANSAC fit of left.y = a * right.x + b * right.y + c, refined on the inliers
+// Returns { a, b, c, inliers } or null
+function fitVerticalSimilarity(matches) {
+  if (matches.length < 3) return null;
+
+  const residual = (model, { left, right }) => Math.abs(model.a * right.x + model.b * right.y + model.c - left.y);
+  let bestInliers = [];
+
+  // xorshift32 with a fixed seed, so the same pair always aligns the same way
+  let seed = PAIR_RANSAC_SEED;
+  const random = () => {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return (seed >>> 0) / 4294967296;
+  };
+
+  for (let iteration = 0; iteration < PAIR_RANSAC_ITERATIONS; iteration++) {
+    const sample = [0, 1, 2].map(() => matches[(random() * matches.length) | 0]);
+    const model = solveVerticalModel(sample);
+    if (!model) continue;
+    const inliers = matches.filter(match => residual(model, match) < PAIR_RANSAC_THRESHOLD);
+    if (inliers.length > bestInliers.length) bestInliers = inliers;
+  }
+
+  const model = bestInliers.length >= 3 ? solveVerticalModel(bestInliers) : null;
+  if (!model) return null;
+  return { ...model, inliers: matches.filter(match => residual(model, match) < PAIR_RANSAC_THRESHOLD) };
+}
+
+// Least-squares a, b, c from the normal equations (exact for three matches)
+function solveVerticalModel(matches) {
+  const m = new Float64Array(9);
+  const v = new Float64Array(3);
+  for (const { left, right } of matches) {
+    const row = [right.x, right.y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) m[i * 3 + j] += row[i] * row[j];
+      v[i] += row[i] * left.y;
+    }
+  }
+
+  const det3 = k => k[0] * (k[4] * k[8] - k[5] * k[7]) - k[1] * (k[3] * k[8] - k[5] * k[6]) + k[2] * (k[3] * k[7] - k[4] * k[6]);
+  const det = det3(m);
+  if (Math.abs(det) < 1e-9) return null;
+
+  // Cramer's rule: replace one column with v at a time
+  const [a, b, c] = [0, 1, 2].map(column => {
+    const k = Float64Array.from(m);
+    for (let row = 0; row < 3; row++) k[row * 3 + column] = v[row];
+    return det3(k) / det;
+  });
+  return { a, b, c };
+}
+
+// ----------------------------------------------------------------------------
+// Warping and disparity
+// ----------------------------------------------------------------------------
+
+// Right photo to left photo pixels with the nudges applied about the image
+// centre, as a canvas transform [a, b, c, d, e, f]
+function getPairTransform(alignment, settings, left) {
+  const { a, b, tx, ty } = alignment;
+  const angle = settings.pairNudgeRotation * Math.PI / 180;
+  const scale = 1 + settings.pairNudgeScale / 100;
+  const cos = scale * Math.cos(angle);
+  const sin = scale * Math.sin(angle);
+  const cx = left.width / 2;
+  const cy = left.height / 2;
+
+  // Nudge (about the centre, then down by pairNudgeY) after the fitted transform
+  const nudge = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy + settings.pairNudgeY - sin * cx - cos * cy];
+  const fitted = [b, a, -a, b, tx, ty];
+  return [
+    nudge[0] * fitted[0] + nudge[2] * fitted[1],
+    nudge[1] * fitted[0] + nudge[3] * fitted[1],
+    nudge[0] * fitted[2] + nudge[2] * fitted[3],
+    nudge[1] * fitted[2] + nudge[3] * fitted[3],
+    nudge[0] * fitted[4] + nudge[2] * fitted[5] + nudge[4],
+    nudge[1] * fitted[4] + nudge[3] * fitted[5] + nudge[5]
+  ];
+}
+
+// The right photo aligned onto the left photo's frame at scale (uncovered pixels stay transparent)
+function drawAlignedRight(right, alignment, settings, left, scale) {
+  const canvas = createCanvas(Math.max(1, Math.round(left.width * scale)), Math.max(1, Math.round(left.height * scale)));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.transform(...getPairTransform(alignment, settings, left));
+  ctx.drawImage(right, 0, 0, right.width * alignment.rightScale, right.height * alignment.rightScale);
+  return canvas;
+}
+
+// The current pair's right eye for stereo outputs: { image, disparityRange },
+// with image the right photo aligned onto the left photo at full size. Null
+// without a stereo pair. Kept until the eye order, a nudge or the alignment
+// changes, so the render worker only receives it again then
+function getPairRightView(settings) {
+  const pair = state.stereoPair;
+  if (!pair) return null;
+
+  const key = [settings.pairSwapEyes, settings.pairNudgeY, settings.pairNudgeRotation, settings.pairNudgeScale].join();
+  if (!pair.rightView || pair.rightView.key !== key || pair.rightView.alignment !== pair.alignment) {
+    const [left, right] = getStereoPairViews(pair, settings);
+    pair.rightView = {
+      key,
+      alignment: pair.alignment,
+      view: { image: drawAlignedRight(right, pair.alignment, settings, left, 1), disparityRange: pair.alignment.disparityRange }
+    };
+  }
+  return pair.rightView.view;
+}
+
+// Disparities to search at scale: the matched range plus room for the
+// nudges and for scene points the matches missed
+function getDisparitySearchRange(alignment, settings, left, scale) {
+  const nudgeShift = Math.abs(Math.sin(settings.pairNudgeRotation * Math.PI / 180)) * left.height / 2 +
+    Math.abs(settings.pairNudgeScale) / 100 * left.width / 2;
+  const margin = 0.1 * alignment.disparityRange + nudgeShift + 2;
+  const minDisparity = Math.floor(-margin * scale);
+  const maxDisparity = Math.ceil((alignment.disparityRange + margin) * scale);
+  return [minDisparity, Math.min(maxDisparity, minDisparity + DISPARITY_MAX_LEVELS - 1)];
+}
+
+// Census transform: one bit per neighbour darker than the centre
+function censusTransform(gray, width, height) {
+  const census = new Uint32Array(width * height);
+  const r = CENSUS_RADIUS;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const center = gray[y * width + x];
+      let bits = 0;
+      for (let dy = -r; dy <= r; dy++) {
+        const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+        for (let dx = -r; dx <= r; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          bits = (bits << 1) | (gray[row + Math.min(width - 1, Math.max(0, x + dx))] < center ? 1 : 0);
+        }
+      }
+      census[y * width + x] = bits >>> 0;
+    }
+  }
+  return census;
+}
+
+// Left-view disparity (pixels at this size) from two ImageData of equal size
+// Returns model-style depth { data, width, height }: larger = nearer
+function computeDisparity(left, right, minDisparity, maxDisparity, onProgress = () => {}) {
+  const { width, height } = left;
+  const n = width * height;
+  const leftCensus = censusTransform(luminanceFloat(left.data, n), width, height);
+  const rightCensus = censusTransform(luminanceFloat(right.data, n), width, height);
+  const rightCovered = new Uint8Array(n);
+  for (let i = 0; i < n; i++) rightCovered[i] = right.data[i * 4 + 3] > 127 ? 1 : 0;
+
+  const raw = new Float32Array(n);
+  const costAt = d => {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const xr = x - d;
+        raw[i] = xr >= 0 && xr < width && rightCovered[i - d]
+          ? popcount32(leftCensus[i] ^ rightCensus[i - d])
+          : CENSUS_BITS;
+      }
+    }
+    return boxFilter(raw, width, height, DISPARITY_WINDOW_RADIUS);
+  };
+
+  // Winner-takes-all for both views, walking the disparities with the
+  // neighbouring cost slices kept for sub-pixel refinement
+  const bestCost = new Float32Array(n).fill(Infinity);
+  const disparity = new Float32Array(n);
+  const rightBestCost = new Float32Array(n).fill(Infinity);
+  const rightDisparity = new Float32Array(n);
+  const levels = maxDisparity - minDisparity + 1;
+  let previous = null;
+  let current = costAt(minDisparity);
+
+  for (let level = 0; level < levels; level++) {
+    const d = minDisparity + level;
+    const next = level + 1 < levels ? costAt(d + 1) : null;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const cost = current[i];
+        if (cost < bestCost[i]) {
+          bestCost[i] = cost;
+          let offset = 0;
+          if (previous && next) {
+            const curvature = previous[i] - 2 * cost + next[i];
+            if (curvature > 0) offset = Math.max(-0.5, Math.min(0.5, 0.5 * (previous[i] - next[i]) / curvature));
+          }
+          disparity[i] = d + offset;
+        }
+        const xr = x - d;
+        if (xr >= 0 && xr < width && cost < rightBestCost[i - d]) {
+          rightBestCost[i - d] = cost;
+          rightDisparity[i - d] = d;
+        }
+      }
+    }
+
+    previous = current;
+    current = next;
+    onProgress(level + 1, levels);
+  }
+
+  // Left-right check, then fill rejected pixels from the farther valid neighbour in the row
+  const valid = new Uint8Array(n);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const xr = Math.round(x - disparity[i]);
+      valid[i] = xr >= 0 && xr < width && Math.abs(rightDisparity[y * width + xr] - disparity[i]) <= 1 ? 1 : 0;
+    }
+  }
+
+  const fromLeft = new Float32Array(width);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let last = NaN;
+    for (let x = 0; x < width; x++) {
+      if (valid[row + x]) last = disparity[row + x];
+      fromLeft[x] = last;
+    }
+    last = NaN;
+    for (let x = width - 1; x >= 0; x--) {
+      if (valid[row + x]) {
+        last = disparity[row + x];
+        continue;
+      }
+      const candidates = [fromLeft[x], last].filter(value => !Number.isNaN(value));
+      disparity[row + x] = candidates.length ? Math.min(...candidates) : minDisparity;
+    }
+  }
+
+  return { data: disparity, width, height };
+}
+
+// Preview check of the alignment: left photo in red, aligned right photo in cyan
+function drawPairAlignment(canvas, pair, settings) {
+  const [left, right] = getStereoPairViews(pair, settings);
+  const scale = Math.min(1, PREVIEW_MAX_SIZE / Math.max(left.width, left.height));
+  const aligned = drawAlignedRight(right, pair.alignment, settings, left, scale);
+  const { width, height } = aligned;
+
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(left, 0, 0, width, height);
+  const leftData = ctx.getImageData(0, 0, width, height);
+  const rightData = aligned.getContext('2d').getImageData(0, 0, width, height).data;
+  const data = leftData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const leftGray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    const rightGray = 0.299 * rightData[i] + 0.587 * rightData[i + 1] + 0.114 * rightData[i + 2];
+    data[i] = leftGray;
+    data[i + 1] = rightGray;
+    data[i + 2] = rightGray;
+  }
+  ctx.putImageData(leftData, 0, 0);
+}
+
+// ============================================================================
+// VIDEO TO STEREO
+// ============================================================================
+
+// Video conversion makes two passes over the selected frame range:
+//  1. Depth: run the model on every frame, align each prediction to the
+//     previous smoothed depth (least-squares scale/shift) and blend them
+//     exponentially so depth does not shimmer. Frames are kept as 16-bit
+//     quantized model-resolution depth.
+//  2. Render: normalize every frame with clip-wide 2nd-98th percentiles
+//     (not per frame), render it with the current settings and encode it.
+// Frames are grabbed by seeking a <video> element and encoded with WebCodecs.
+// Audio packets of the range are demuxed from the file in slices and copied
+// when the output takes their codec (Opus, or AAC in MP4), otherwise decoded
+// and re-encoded (Opus for WebM, AAC or Opus for MP4).
+
+// muxerUrl: keep in sync with RUNTIME_DIGESTS in sw.js
+const VIDEO_FORMATS = {
+  webm: {
+    extension: 'webm',
+    mimeType: 'video/webm',
+    muxerUrl: 'https://cdn.jsdelivr.net/npm/webm-muxer@5.1.4/build/webm-muxer.js',
+    muxerGlobal: 'WebMMuxer',
+    video: [
+      { codec: 'vp09.00.41.08', muxerCodec: 'V_VP9' },
+      { codec: 'vp8', muxerCodec: 'V_VP8' }
+    ],
+    audio: [{ codec: 'opus', muxerCodec: 'A_OPUS' }]
+  },
+  mp4: {
+    extension: 'mp4',
+    mimeType: 'video/mp4',
+    muxerUrl: 'https://cdn.jsdelivr.net/npm/mp4-muxer@5.2.2/build/mp4-muxer.js',
+    muxerGlobal: 'Mp4Muxer',
+    video: [
+      { codec: 'avc1.640033', muxerCodec: 'avc', config: { avc: { format: 'avc' } } },
+      { codec: 'vp09.00.41.08', muxerCodec: 'vp9' }
+    ],
+    audio: [
+      { codec: 'mp4a.40.2', muxerCodec: 'aac' },
+      { codec: 'opus', muxerCodec: 'opus' }
+    ]
+  }
+};
+
+const VIDEO_AUDIO_SAMPLE_RATE = 48000;
+const VIDEO_AUDIO_BITRATE = 128000;
+const VIDEO_BITS_PER_PIXEL = 0.12;
+const VIDEO_KEYFRAME_SECONDS = 2;
+const VIDEO_MAX_ENCODE_QUEUE = 4;
+
+// Every Nth depth value of each frame feeds the clip-wide percentiles, through
+// a reservoir of fixed size so long clips do not grow it without bound
+const VIDEO_CLIP_SAMPLE_STEP = 7;
+const VIDEO_CLIP_RESERVOIR_SIZE = 1 << 20;
+
+let videoJob = null;
+
+// Load a classic script once (used for the muxers, only needed for video export)
+const loadedScripts = new Map();
+function loadScript(url) {
+  if (!loadedScripts.has(url)) {
+    loadedScripts.set(url, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = resolve;
+      script.onerror = () => {
+        loadedScripts.delete(url);
+        reject(new Error(`Failed to load ${url}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return loadedScripts.get(url);
+}
+
+function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    const onSeeked = () => {
+      video.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      video.removeEventListener('seeked', onSeeked);
+      reject(new Error('Video seek failed'));
+    };
+    video.addEventListener('seeked', onSeeked, { once: true });
+    video.addEventListener('error', onError, { once: true });
+    video.currentTime = time;
+  });
+}
+
+// Copy the current video frame to a canvas (usable anywhere an image is)
+function grabVideoFrame(video, canvas = document.createElement('canvas')) {
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return canvas;
+}
+
+// Align raw model depth to the previous smoothed frame and blend (exponential moving average)
+function smoothDepthFrame(data, previous, width, height, smoothing) {
+  if (!previous) return Float32Array.from(data);
+
+  const { scale, shift } = fitScaleShift(data, previous, 0, 0, width, height, width);
+  const smoothed = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    // A flat frame (scale 0) carries no depth; keep the previous one
+    const aligned = scale === 0 ? previous[i] : data[i] * scale + shift;
+    smoothed[i] = previous[i] * smoothing + aligned * (1 - smoothing);
+  }
+  return smoothed;
+}
+
+function quantizeDepthFrame(data) {
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+
+  const range = max - min || 1;
+  const quantized = new Uint16Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    quantized[i] = Math.round((data[i] - min) / range * 65535);
+  }
+  return { quantized, min, range };
+}
+
+function dequantizeDepthFrame({ quantized, min, range }) {
+  const data = new Float32Array(quantized.length);
+  for (let i = 0; i < quantized.length; i++) {
+    data[i] = min + quantized[i] / 65535 * range;
+  }
+  return data;
+}
+
+// First configuration from the candidates that this browser can encode
+async function findEncoderConfig(Encoder, candidates, baseConfig) {
+  for (const candidate of candidates) {
+    const config = { ...baseConfig, codec: candidate.codec, ...candidate.config };
+    try {
+      const { supported } = await Encoder.isConfigSupported(config);
+      if (supported) return { config, muxerCodec: candidate.muxerCodec };
+    } catch (error) {
+      // Unknown codec strings throw in some browsers; try the next one
+    }
+  }
+  return null;
+}
+
+// ----------------------------------------------------------------------------
+// Audio track: encoded packets demuxed from MP4/MOV or WebM/MKV, read in slices
+// ----------------------------------------------------------------------------
+
+// Bytes [start, end) of a file without reading the rest of it
+async function readFileBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+// First audio track's packets within [start, end) seconds of the clip:
+// { codec, sampleRate, numberOfChannels, description, packets } with packet
+// { data, timestamp, duration } in microseconds from start, or null
+async function readVideoAudio(file, start, end) {
+  try {
+    const head = await readFileBytes(file, 0, 8);
+    const isMatroska = head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3;
+    const isIsobmff = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(String.fromCharCode(...head.subarray(4, 8)));
+    const track = isMatroska ? await readMatroskaAudio(file, start, end)
+      : isIsobmff ? await readMp4Audio(file, start, end)
+      : null;
+    if (!track || !track.codec || !track.packets.length) {
+      console.warn('No supported audio track; exporting video only');
+      return null;
+    }
+
+    // The first packet starts the track at 0 (muxers require it); durations
+    // come from the packet spacing, the last one repeats the previous
+    const { packets } = track;
+    const offset = packets[0].timestamp;
+    for (const packet of packets) packet.timestamp -= offset;
+    for (let i = 0; i < packets.length; i++) {
+      if (i + 1 < packets.length) {
+        packets[i].duration = packets[i + 1].timestamp - packets[i].timestamp;
+      } else if (!packets[i].duration) {
+        packets[i].duration = i > 0 ? packets[i - 1].duration : 0;
+      }
+    }
+    return track;
+  } catch (error) {
+    console.warn('Could not read the audio track; exporting video only:', error);
+    return null;
+  }
+}
+
+// WebCodecs codec string and description of an MP4 audio sample entry
+function readMp4AudioCodec(moov, entry, children) {
+  const child = type => children.find(box => box.type === type);
+
+  if (entry.type === 'Opus') {
+    const dOps = child('dOps');
+    return dOps ? { codec: 'opus', description: opusHeadFromDops(moov.subarray(dOps.start, dOps.end)) } : null;
+  }
+  if (entry.type !== 'mp4a') return null;
+
+  // QuickTime keeps esds inside a wave box
+  const wave = child('wave');
+  const esds = child('esds') || (wave && parseBoxes(moov, wave.start, wave.end).find(box => box.type === 'esds'));
+  if (!esds) return null;
+
+  // ES_Descriptor (3) > DecoderConfigDescriptor (4) > DecoderSpecificInfo (5)
+  let pos = esds.start + 4;
+  let objectType = 0;
+  let config = null;
+  while (pos < esds.end) {
+    const tag = moov[pos++];
+    let size = 0;
+    for (let i = 0; i < 4; i++) {
+      const b = moov[pos++];
+      size = size * 128 + (b & 0x7f);
+      if (!(b & 0x80)) break;
+    }
+    if (tag === 3) {
+      const flags = moov[pos + 2];
+      pos += 3;
+      if (flags & 0x80) pos += 2;
+      if (flags & 0x40) pos += 1 + moov[pos];
+      if (flags & 0x20) pos += 2;
+    } else if (tag === 4) {
+      objectType = moov[pos];
+      pos += 13;
+    } else {
+      if (tag === 5) config = moov.slice(pos, pos + size);
+      pos += size;
+    }
+  }
+
+  if (objectType === 0x6b || objectType === 0x69) return { codec: 'mp3', description: null };
+  if (!config) return null;
+  // MPEG-4 audio object type from the AudioSpecificConfig (AAC LC = 2)
+  return { codec: `mp4a.40.${config[0] >> 3}`, description: config };
+}
+
+// MP4 dOps box payload -> Ogg OpusHead (the Opus description in WebCodecs and WebM)
+function opusHeadFromDops(dOps) {
+  const view = new DataView(dOps.buffer, dOps.byteOffset, dOps.length);
+  const head = new Uint8Array(19 + Math.max(0, dOps.length - 11));
+  const out = new DataView(head.buffer);
+  head.set(asciiBytes('OpusHead'));
+  head[8] = 1;
+  head[9] = dOps[1];
+  out.setUint16(10, view.getUint16(2), true);
+  out.setUint32(12, view.getUint32(4), true);
+  out.setInt16(16, view.getInt16(8), true);
+  head.set(dOps.subarray(10), 18);
+  return head;
+}
+
+async function readMp4Audio(file, start, end) {
+  // Top-level box headers are read one at a time to find moov (often after mdat)
+  let moov = null;
+  for (let pos = 0; pos + 8 <= file.size;) {
+    const header = await readFileBytes(file, pos, pos + 16);
+    const view = new DataView(header.buffer);
+    let size = view.getUint32(0);
+    if (size === 1) size = Number(view.getBigUint64(8));
+    else if (size === 0) size = file.size - pos;
+    if (size < 8) break;
+    if (String.fromCharCode(...header.subarray(4, 8)) === 'moov') {
+      moov = await readFileBytes(file, pos, pos + size);
+      break;
+    }
+    pos += size;
+  }
+  if (!moov) return null;
+
+  const view = new DataView(moov.buffer);
+  const childBoxes = parent => parseBoxes(moov, parent.start, parent.end);
+  const child = (parent, type) => parent && childBoxes(parent).find(box => box.type === type);
+  const root = parseBoxes(moov, 0, moov.length)[0];
+
+  for (const trak of childBoxes(root).filter(box => box.type === 'trak')) {
+    const mdia = child(trak, 'mdia');
+    const hdlr = child(mdia, 'hdlr');
+    if (!hdlr || String.fromCharCode(...moov.subarray(hdlr.start + 8, hdlr.start + 12)) !== 'soun') continue;
+    const stbl = child(child(mdia, 'minf'), 'stbl');
+    const mdhd = child(mdia, 'mdhd');
+    const stsd = child(stbl, 'stsd');
+    if (!stbl || !mdhd || !stsd) continue;
+
+    const timescale = view.getUint32(mdhd.start + (moov[mdhd.start] === 1 ? 20 : 12));
+
+    // Audio sample entry; QuickTime sound versions 1 and 2 extend the fields
+    const entry = parseBoxes(moov, stsd.start + 8, stsd.end)[0];
+    if (!entry) continue;
+    const soundVersion = view.getUint16(entry.start + 8);
+    let numberOfChannels = view.getUint16(entry.start + 16);
+    let sampleRate = view.getUint32(entry.start + 24) / 65536;
+    if (soundVersion === 2) {
+      sampleRate = view.getFloat64(entry.start + 32);
+      numberOfChannels = view.getUint32(entry.start + 40);
+    }
+    const childrenStart = entry.start + (soundVersion === 2 ? 64 : soundVersion === 1 ? 44 : 28);
+    const codec = readMp4AudioCodec(moov, entry, parseBoxes(moov, childrenStart, entry.end));
+
+    return {
+      ...codec,
+      sampleRate,
+      numberOfChannels,
+      packets: codec ? await readMp4AudioPackets(file, moov, stbl, timescale, start, end) : []
+    };
+  }
+  return null;
+}
+
+// Packets of one track from its sample table; runs of adjacent samples are
+// read with one slice each
+async function readMp4AudioPackets(file, moov, stbl, timescale, start, end) {
+  const view = new DataView(moov.buffer);
+  const child = type => parseBoxes(moov, stbl.start, stbl.end).find(box => box.type === type);
+  const stts = child('stts'), stsc = child('stsc'), stsz = child('stsz');
+  const chunkOffsets = child('stco') || child('co64');
+  if (!stts || !stsc || !stsz || !chunkOffsets) return [];
+
+  const wideOffsets = chunkOffsets.type === 'co64';
+  const chunkCount = view.getUint32(chunkOffsets.start + 4);
+  const chunkOffset = c => wideOffsets
+    ? Number(view.getBigUint64(chunkOffsets.start + 8 + c * 8))
+    : view.getUint32(chunkOffsets.start + 8 + c * 4);
+  const fixedSize = view.getUint32(stsz.start + 4);
+  const sampleSize = s => fixedSize || view.getUint32(stsz.start + 12 + s * 4);
+  const sampleCount = view.getUint32(stsz.start + 8);
+  const stscCount = view.getUint32(stsc.start + 4);
+  const sttsCount = view.getUint32(stts.start + 4);
+
+  const samples = [];
+  let sample = 0;
+  let decodeTime = 0;
+  let sttsEntry = 0, sttsLeft = sttsCount ? view.getUint32(stts.start + 8) : 0;
+  let stscEntry = 0;
+  for (let c = 0; c < chunkCount && sample < sampleCount; c++) {
+    while (stscEntry + 1 < stscCount && view.getUint32(stsc.start + 8 + (stscEntry + 1) * 12) <= c + 1) stscEntry++;
+    const perChunk = view.getUint32(stsc.start + 8 + stscEntry * 12 + 4);
+    let offset = chunkOffset(c);
+
+    for (let i = 0; i < perChunk && sample < sampleCount; i++, sample++) {
+      while (sttsLeft === 0 && sttsEntry + 1 < sttsCount) {
+        sttsEntry++;
+        sttsLeft = view.getUint32(stts.start + 8 + sttsEntry * 8);
+      }
+      const delta = view.getUint32(stts.start + 8 + sttsEntry * 8 + 4);
+      sttsLeft--;
+
+      const size = sampleSize(sample);
+      const time = decodeTime / timescale;
+      if (time >= start && time < end) {
+        samples.push({ offset, size, timestamp: Math.round((time - start) * 1e6), duration: Math.round(delta / timescale * 1e6) });
+      }
+      offset += size;
+      decodeTime += delta;
+    }
+    if (decodeTime / timescale >= end) break;
+  }
+
+  const packets = [];
+  for (let i = 0; i < samples.length;) {
+    let j = i + 1;
+    while (j < samples.length && samples[j].offset === samples[j - 1].offset + samples[j - 1].size) j++;
+    const runStart = samples[i].offset;
+    const bytes = await readFileBytes(file, runStart, samples[j - 1].offset + samples[j - 1].size);
+    for (; i < j; i++) {
+      const { offset, size, timestamp, duration } = samples[i];
+      packets.push({ data: bytes.subarray(offset - runStart, offset - runStart + size), timestamp, duration });
+    }
+  }
+  return packets;
+}
+
+// Matroska codec IDs -> WebCodecs codec strings (AAC adds its object type)
+const MATROSKA_AUDIO_CODECS = {
+  'A_OPUS': 'opus',
+  'A_VORBIS': 'vorbis',
+  'A_FLAC': 'flac',
+  'A_MPEG/L3': 'mp3',
+  'A_AAC': 'mp4a.40'
+};
+
+// Matroska elements descended into rather than skipped (unknown sizes allowed)
+const MATROSKA_MASTER_IDS = new Set([
+  0x18538067, // Segment
+  0x1549a966, // Info
+  0x1654ae6b, // Tracks
+  0xae, // TrackEntry
+  0xe1, // Audio
+  0x1f43b675, // Cluster
+  0xa0 // BlockGroup
+]);
+
+// Slice size for reading Matroska files front to back
+const MATROSKA_READ_SIZE = 1 << 16;
+
+// EBML variable-length integer at bytes[pos]: { value, length }; IDs keep the
+// length marker, unknown sizes (all value bits set) come back as -1
+function readEbmlVint(bytes, pos, keepMarker = false) {
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x100 >> length))) length++;
+  if (length > 8) throw new Error('Invalid EBML data');
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) unknown = false;
+  }
+  return { value: !keepMarker && unknown ? -1 : value, length };
+}
+
+function readEbmlUint(bytes) {
+  let value = 0;
+  for (const b of bytes) value = value * 256 + b;
+  return value;
+}
+
+// Frames of a Block payload after the track number, timecode and flags
+function splitMatroskaLaces(bytes, pos, lacing) {
+  if (lacing === 0) return [bytes.subarray(pos)];
+
+  const count = bytes[pos++] + 1;
+  const sizes = [];
+  if (lacing === 1) {
+    // Xiph: sizes as runs of 255 ended by a smaller byte
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0, b;
+      do {
+        b = bytes[pos++];
+        size += b;
+      } while (b === 255);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML: first size, then signed differences
+    for (let i = 0; i < count - 1; i++) {
+      const { value, length } = readEbmlVint(bytes, pos);
+      pos += length;
+      sizes.push(i === 0 ? value : sizes[i - 1] + value - (2 ** (7 * length - 1) - 1));
+    }
+  } else {
+    const size = (bytes.length - pos) / count;
+    for (let i = 0; i < count - 1; i++) sizes.push(size);
+  }
+
+  const frames = [];
+  for (const size of sizes) {
+    frames.push(bytes.subarray(pos, pos + size));
+    pos += size;
+  }
+  frames.push(bytes.subarray(pos));
+  return frames;
+}
+
+async function readMatroskaAudio(file, start, end) {
+  // Sliding window over the file; skipped payloads are never read
+  let windowStart = 0;
+  let windowBytes = new Uint8Array(0);
+  let pos = 0;
+  const load = async length => {
+    length = Math.min(length, file.size - pos);
+    if (pos >= windowStart && pos + length <= windowStart + windowBytes.length) return;
+    windowStart = pos;
+    windowBytes = await readFileBytes(file, pos, Math.min(file.size, pos + Math.max(length, MATROSKA_READ_SIZE)));
+  };
+  const bytesAt = length => windowBytes.subarray(pos - windowStart, pos - windowStart + length);
+
+  let timecodeScale = 1e6;
+  const tracks = [];
+  let track = null;
+  let audio = null;
+  let clusterTime = 0;
+  const packets = [];
+
+  while (pos < file.size) {
+    await load(12);
+    const header = bytesAt(12);
+    const id = readEbmlVint(header, 0, true);
+    const size = readEbmlVint(header, id.length);
+    pos += id.length + size.length;
+
+    if (MATROSKA_MASTER_IDS.has(id.value)) {
+      if (id.value === 0xae) tracks.push(track = {});
+      if (id.value === 0x1f43b675 && !audio) {
+        audio = tracks.find(entry => entry.type === 2);
+        if (!audio) return null;
+      }
+      continue;
+    }
+    if (size.value < 0) break;
+
+    const isBlock = id.value === 0xa3 || id.value === 0xa1;
+    const isField = [0x2ad7b1, 0xd7, 0x83, 0x86, 0x63a2, 0xb5, 0x9f, 0x23e383, 0xe7].includes(id.value);
+    if (isBlock && audio) {
+      // Only the track number is read for other tracks' blocks
+      await load(Math.min(size.value, 8));
+      const trackNumber = readEbmlVint(bytesAt(8), 0);
+      if (trackNumber.value === audio.number) {
+        await load(size.value);
+        const block = bytesAt(size.value).slice();
+        const view = new DataView(block.buffer);
+        const time = (clusterTime + view.getInt16(trackNumber.length)) * timecodeScale / 1e9;
+        const lacing = (block[trackNumber.length + 2] >> 1) & 3;
+        const frames = splitMatroskaLaces(block, trackNumber.length + 3, lacing);
+        if (frames.length > 1 && !audio.defaultDuration) {
+          throw new Error('Laced audio blocks without a default duration');
+        }
+        frames.forEach((data, i) => {
+          const frameTime = time + i * (audio.defaultDuration || 0) / 1e9;
+          if (frameTime >= start && frameTime < end) {
+            packets.push({ data, timestamp: Math.round((frameTime - start) * 1e6), duration: 0 });
+          }
+        });
+      }
+    } else if (isField) {
+      await load(size.value);
+      const payload = bytesAt(size.value);
+      const value = () => readEbmlUint(payload);
+      switch (id.value) {
+        case 0x2ad7b1: timecodeScale = value(); break;
+        case 0xd7: track.number = value(); break;
+        case 0x83: track.type = value(); break;
+        case 0x86: track.codecId = new TextDecoder().decode(payload).replace(/\0.*$/, ''); break;
+        case 0x63a2: track.codecPrivate = payload.slice(); break;
+        case 0xb5: track.sampleRate = new DataView(payload.buffer, payload.byteOffset, payload.length)[payload.length === 4 ? 'getFloat32' : 'getFloat64'](0); break;
+        case 0x9f: track.channels = value(); break;
+        case 0x23e383: track.defaultDuration = value(); break;
+        case 0xe7:
+          clusterTime = value();
+          // Clusters are in time order: nothing later can fall in the range
+          if (clusterTime * timecodeScale / 1e9 > end + 1) pos = file.size;
+          break;
+      }
+    }
+    if (pos < file.size) pos += size.value;
+  }
+  if (!audio) return null;
+
+  const baseCodec = Object.keys(MATROSKA_AUDIO_CODECS).find(key => audio.codecId === key || audio.codecId.startsWith(key + '/'));
+  let codec = baseCodec ? MATROSKA_AUDIO_CODECS[baseCodec] : null;
+  if (codec === 'mp4a.40') codec = audio.codecPrivate ? `mp4a.40.${audio.codecPrivate[0] >> 3}` : null;
+  return {
+    codec,
+    description: codec === 'mp3' ? null : audio.codecPrivate || null,
+    sampleRate: audio.sampleRate || 8000,
+    numberOfChannels: audio.channels || 1,
+    packets
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Audio track writing: packets are copied when the output container takes
+// their codec, otherwise decoded, resampled when needed and re-encoded
+// ----------------------------------------------------------------------------
+
+// How the clip's audio goes into the output: { muxerCodec, sampleRate,
+// numberOfChannels, encoderConfig } (no encoderConfig = copy), or null
+async function planVideoAudio(audio, formatInfo) {
+  const family = codec => codec.split('.')[0];
+  const copy = formatInfo.audio.find(candidate => family(candidate.codec) === family(audio.codec));
+  if (copy) {
+    return { muxerCodec: copy.muxerCodec, sampleRate: audio.sampleRate, numberOfChannels: audio.numberOfChannels };
+  }
+
+  if (!('AudioDecoder' in window) || !('AudioEncoder' in window)) return null;
+  try {
+    const { supported } = await AudioDecoder.isConfigSupported(getAudioDecoderConfig(audio));
+    if (!supported) return null;
+  } catch (error) {
+    return null;
+  }
+
+  // Keep the source rate when the encoder takes it, else resample to 48kHz
+  const numberOfChannels = Math.min(2, audio.numberOfChannels);
+  for (const sampleRate of [audio.sampleRate, VIDEO_AUDIO_SAMPLE_RATE]) {
+    const choice = await findEncoderConfig(AudioEncoder, formatInfo.audio, {
+      sampleRate, numberOfChannels, bitrate: VIDEO_AUDIO_BITRATE
+    });
+    if (choice) {
+      return { muxerCodec: choice.muxerCodec, sampleRate, numberOfChannels, encoderConfig: choice.config };
+    }
+  }
+  return null;
+}
+
+function getAudioDecoderConfig(audio) {
+  const config = { codec: audio.codec, sampleRate: audio.sampleRate, numberOfChannels: audio.numberOfChannels };
+  if (audio.description) config.description = audio.description;
+  return config;
+}
+
+// Adds the audio to the muxer up to a timestamp: write(untilMicroseconds),
+// then flush() and close() at the end
+function createVideoAudioWriter(audio, plan, muxer, onError) {
+  let next = 0;
+  const chunkAt = i => new EncodedAudioChunk({
+    type: 'key', timestamp: audio.packets[i].timestamp, duration: audio.packets[i].duration, data: audio.packets[i].data
+  });
+
+  if (!plan.encoderConfig) {
+    return {
+      write(until) {
+        for (; next < audio.packets.length && audio.packets[next].timestamp < until; next++) {
+          muxer.addAudioChunk(chunkAt(next), next === 0 ? { decoderConfig: getAudioDecoderConfig(audio) } : undefined);
+        }
+      },
+      async flush() {},
+      close() {}
+    };
+  }
+
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: onError
+  });
+  encoder.configure(plan.encoderConfig);
+
+  // Streaming linear resampler; tail holds the last input frame per channel
+  const ratio = audio.sampleRate / plan.sampleRate;
+  let position = 0;
+  let tail = null;
+  let written = 0;
+  let firstTimestamp = null;
+
+  const decoder = new AudioDecoder({
+    output: data => {
+      if (firstTimestamp === null) firstTimestamp = data.timestamp;
+      const frames = data.numberOfFrames;
+      const channels = [];
+      for (let c = 0; c < plan.numberOfChannels; c++) {
+        const channel = new Float32Array(frames);
+        data.copyTo(channel, { planeIndex: Math.min(c, data.numberOfChannels - 1), format: 'f32-planar' });
+        channels.push(channel);
+      }
+      data.close();
+      if (!tail) tail = channels.map(channel => channel[0]);
+
+      const outFrames = Math.max(0, Math.floor((frames - 1 - position) / ratio) + 1);
+      const planar = new Float32Array(outFrames * channels.length);
+      channels.forEach((channel, c) => {
+        for (let i = 0; i < outFrames; i++) {
+          const p = position + i * ratio;
+          const index = Math.floor(p);
+          const frac = p - index;
+          const a = index < 0 ? tail[c] : channel[index];
+          const b = index + 1 < frames ? channel[index + 1] : a;
+          planar[c * outFrames + i] = a + (b - a) * frac;
+        }
+      });
+      position += outFrames * ratio - frames;
+      tail = channels.map(channel => channel[frames - 1]);
+      if (!outFrames) return;
+
+      const output = new AudioData({
+        format: 'f32-planar',
+        sampleRate: plan.sampleRate,
+        numberOfFrames: outFrames,
+        numberOfChannels: channels.length,
+        timestamp: firstTimestamp + Math.round(written / plan.sampleRate * 1e6),
+        data: planar
+      });
+      written += outFrames;
+      encoder.encode(output);
+      output.close();
+    },
+    error: onError
+  });
+  decoder.configure(getAudioDecoderConfig(audio));
+
+  return {
+    write(until) {
+      for (; next < audio.packets.length && audio.packets[next].timestamp < until; next++) {
+        decoder.decode(chunkAt(next));
+      }
+    },
+    async flush() {
+      await decoder.flush();
+      await encoder.flush();
+    },
+    close() {
+      if (decoder.state !== 'closed') decoder.close();
+      if (encoder.state !== 'closed') encoder.close();
+    }
+  };
+}
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return '--:--';
+  const s = Math.max(0, Math.round(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Convert options.start..options.end of the loaded video to a stereo video file
+// onProgress(phase, done, total, etaSeconds); job.cancelled aborts between frames
+async function convertVideoToStereo(job, options, onProgress) {
+  if (!('VideoEncoder' in window)) {
+    throw new Error('Video export needs WebCodecs (Chrome/Edge 94+, Safari 16.4+, Firefox 130+)');
+  }
+
+  const { file, element: video } = state.video;
+  const { start, end, fps, smoothing, format } = options;
+  const settings = { ...state.settings };
+  const formatInfo = VIDEO_FORMATS[format];
+  const frameCount = Math.max(1, Math.floor((end - start) * fps));
+  const frameTime = i => Math.min(end, start + (i + 0.5) / fps);
+  const frameCanvas = document.createElement('canvas');
+
+  await loadScript(formatInfo.muxerUrl);
+  const Muxer = window[formatInfo.muxerGlobal];
+
+  video.pause();
+
+  // Pass 1: temporally smoothed depth for every frame
+  const depthFrames = [];
+  const clipSamples = new Float32Array(VIDEO_CLIP_RESERVOIR_SIZE);
+  let clipSamplesSeen = 0;
+  let previous = null;
+  let depthWidth = 0, depthHeight = 0;
+  let started = performance.now();
+
+  for (let i = 0; i < frameCount; i++) {
+    if (job.cancelled) return null;
+
+    await seekVideo(video, frameTime(i));
+    grabVideoFrame(video, frameCanvas);
+    const depth = await inferDepth(frameCanvas, settings.depthModel, 1);
+    depthWidth = depth.width;
+    depthHeight = depth.height;
+
+    previous = smoothDepthFrame(depth.data, previous, depthWidth, depthHeight, smoothing);
+    depthFrames.push(quantizeDepthFrame(previous));
+    for (let j = 0; j < previous.length; j += VIDEO_CLIP_SAMPLE_STEP) {
+      // Reservoir sampling: every value seen has the same chance to be kept
+      const slot = clipSamplesSeen < VIDEO_CLIP_RESERVOIR_SIZE
+        ? clipSamplesSeen : Math.floor(Math.random() * (clipSamplesSeen + 1));
+      if (slot < VIDEO_CLIP_RESERVOIR_SIZE) clipSamples[slot] = previous[j];
+      clipSamplesSeen++;
+    }
+
+    const elapsed = (performance.now() - started) / 1000;
+    onProgress('Estimating depth', i + 1, frameCount, elapsed / (i + 1) * (frameCount - i - 1));
+  }
+
+  const clipRange = findPercentilesHistogram(
+    clipSamples.subarray(0, Math.min(clipSamplesSeen, VIDEO_CLIP_RESERVOIR_SIZE)), 0.02, 0.98
+  );
+
+  // Encoders need even dimensions
+  const outputSize = getOutputSize(settings, frameCanvas);
+  const width = outputSize.width & ~1;
+  const height = outputSize.height & ~1;
+
+  const videoChoice = await findEncoderConfig(VideoEncoder, formatInfo.video, {
+    width,
+    height,
+    bitrate: Math.round(width * height * fps * VIDEO_BITS_PER_PIXEL),
+    framerate: fps
+  });
+  if (!videoChoice) {
+    throw new Error(`This browser cannot encode ${width} × ${height} ${format.toUpperCase()} video`);
+  }
+
+  const audio = await readVideoAudio(file, start, end);
+  const audioPlan = audio ? await planVideoAudio(audio, formatInfo) : null;
+  if (audio && !audioPlan) console.warn(`Cannot convert ${audio.codec} audio; exporting video only`);
+
+  const target = new Muxer.ArrayBufferTarget();
+  const muxer = new Muxer.Muxer({
+    target,
+    video: { codec: videoChoice.muxerCodec, width, height, frameRate: fps },
+    audio: audioPlan
+      ? { codec: audioPlan.muxerCodec, numberOfChannels: audioPlan.numberOfChannels, sampleRate: audioPlan.sampleRate }
+      : undefined,
+    ...(format === 'mp4' ? { fastStart: 'in-memory' } : {})
+  });
+
+  let encodeError = null;
+  const videoEncoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: error => { encodeError = error; }
+  });
+  videoEncoder.configure(videoChoice.config);
+
+  const audioWriter = audioPlan
+    ? createVideoAudioWriter(audio, audioPlan, muxer, error => { encodeError = error; })
+    : null;
+
+  // Pass 2: render and encode, interleaving audio up to each frame's end time
+  const encodeCanvas = document.createElement('canvas');
+  encodeCanvas.width = width;
+  encodeCanvas.height = height;
+  const encodeCtx = encodeCanvas.getContext('2d');
+  const frameDuration = 1e6 / fps;
+  const keyFrameInterval = Math.max(1, Math.round(fps * VIDEO_KEYFRAME_SECONDS));
+  started = performance.now();
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (job.cancelled) return null;
+      if (encodeError) throw encodeError;
+
+      await seekVideo(video, frameTime(i));
+      grabVideoFrame(video, frameCanvas);
+
+      const depthFloat = {
+        data: dequantizeDepthFrame(depthFrames[i]),
+        width: depthWidth,
+        height: depthHeight,
+        range: clipRange
+      };
+      // A fresh bitmap per frame, since the render worker caches its source image
+      const frameImage = await createImageBitmap(frameCanvas);
+      const depthMap = generateDepthMap(frameImage, depthFloat, settings);
+      const { canvas: stereogram } = await renderStereogram(frameImage, depthMap, settings);
+      frameImage.close();
+      encodeCtx.drawImage(stereogram, 0, 0, width, height);
+
+      const frame = new VideoFrame(encodeCanvas, {
+        timestamp: Math.round(i * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      videoEncoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+      frame.close();
+
+      if (audioWriter) {
+        audioWriter.write(i === frameCount - 1 ? Infinity : (i + 1) * frameDuration);
+      }
+
+      while (videoEncoder.encodeQueueSize > VIDEO_MAX_ENCODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      const elapsed = (performance.now() - started) / 1000;
+      onProgress('Rendering stereo frames', i + 1, frameCount, elapsed / (i + 1) * (frameCount - i - 1));
+    }
+
+    await videoEncoder.flush();
+    if (audioWriter) await audioWriter.flush();
+    if (encodeError) throw encodeError;
+    muxer.finalize();
+  } finally {
+    if (videoEncoder.state !== 'closed') videoEncoder.close();
+    if (audioWriter) audioWriter.close();
+  }
+
+  return new Blob([target.buffer], { type: formatInfo.mimeType });
+}
+
+// Load a video file: show its player and use the first frame for the still preview
+async function loadVideo(file) {
+  if (state.video) URL.revokeObjectURL(state.video.element.src);
+
+  const video = videoPlayer;
+  video.src = URL.createObjectURL(file);
+  await new Promise((resolve, reject) => {
+    video.onloadedmetadata = resolve;
+    video.onerror = () => reject(new Error('This browser cannot play the selected video'));
+  });
+
+  state.video = { file, element: video, duration: video.duration };
+  state.settings.videoStart = 0;
+  state.settings.videoEnd = Math.floor(video.duration * 100) / 100;
+  videoStartInput.max = videoEndInput.max = state.settings.videoEnd;
+  videoStartInput.value = state.settings.videoStart;
+  videoEndInput.value = state.settings.videoEnd;
+  videoOptions.style.display = 'block';
+  updateVideoRangeHint();
+
+  await previewVideoFrame(0);
+}
+
+// Use one frame of the video as the still preview (AI depth for that frame only)
+async function previewVideoFrame(time) {
+  try {
+    showLoading('Loading video frame...');
+    await seekVideo(videoPlayer, time);
+    const frame = grabVideoFrame(videoPlayer);
+
+    setDepthEditMode(false);
+    state.depthEdits = null;
+    state.originalImage = frame;
+    state.importedDepth = null;
+    state.embeddedDepth = null;
+    updateImportedDepthOption();
+    updateEmbeddedDepthOption();
+
+    showLoading('Analyzing depth (this may take a moment)...');
+    state.depthFloat = await estimateDepth(frame, state.settings);
+    depthImportStatus.textContent = '';
+    state.depthMap = generateDepthMap(frame, state.depthFloat, state.settings);
+
+    showControlSections();
+    hideLoading();
+    await updatePreview();
+  } catch (error) {
+    console.error('Error loading video frame:', error);
+    alert('Error loading video frame. Please check console for details.');
+    hideLoading();
+  }
+}
+
+function updateVideoRangeHint() {
+  const { videoStart, videoEnd, videoFps } = state.settings;
+  const frames = Math.max(0, Math.floor((videoEnd - videoStart) * videoFps));
+  videoRangeHint.textContent = `${formatDuration(videoEnd - videoStart)} selected · ${frames} frames at ${videoFps} fps`;
+}
+
+// ============================================================================
+// WIGGLE ANIMATION
+// ============================================================================
+
+// A wiggle animation cycles through viewpoints between (and around) the two
+// eye positions so depth reads without glasses. Each frame is a single view
+// rendered with the stereo renderer at a fractional eye offset (-1 = left
+// eye, +1 = right eye); the circular path also moves the eye vertically by
+// warping each column of the rendered view with the same span rasterizer.
+// Frames are encoded locally as GIF, animated WebP, WebM or MP4.
+
+// Viewpoints per motion path for the given number of positions
+const WIGGLE_PATHS = {
+  // Left to right, then jump back
+  'linear': count => Array.from({ length: count }, (_, i) => ({
+    x: count === 1 ? 0 : -1 + 2 * i / (count - 1),
+    y: 0
+  })),
+  // Left to right and back without repeating the end positions
+  'ping-pong': count => {
+    const forward = WIGGLE_PATHS.linear(count);
+    return forward.concat(forward.slice(1, -1).reverse());
+  },
+  // Orbit around the source viewpoint
+  'circular': count => Array.from({ length: count }, (_, i) => {
+    const angle = 2 * Math.PI * i / count;
+    return { x: -Math.cos(angle), y: Math.sin(angle) };
+  })
+};
+
+// Video players loop poorly, so short cycles are repeated to at least this length
+const WIGGLE_VIDEO_MIN_SECONDS = 4;
+
+// Render every frame of the wiggle animation as ImageData
+// settings.wiggleSize caps the longest side (0 = full output resolution)
+async function renderWiggleFrames(img, depthMap, settings, onProgress) {
+  const { wigglePath, wiggleFrames, wiggleSize } = settings;
+  const wiggleSettings = { ...settings, viewMode: 'wiggle' };
+  const fullSize = getEyeViewSize(wiggleSettings, img);
+  const scale = wiggleSize ? Math.min(1, wiggleSize / Math.max(fullSize.width, fullSize.height)) : 1;
+  const { width, height } = getScaledEyeViewSize(wiggleSettings, img, scale);
+
+  const frame = prepareRenderFrame(img, depthMap, wiggleSettings, width, height);
+  const viewpoints = WIGGLE_PATHS[wigglePath](wiggleFrames);
+
+  // Paths revisit positions (ping-pong), so render each distinct one once
+  const keys = viewpoints.map(({ x, y }) => `${x.toFixed(6)},${y.toFixed(6)}`);
+  const distinct = new Set(keys).size;
+  const rendered = new Map();
+  for (let i = 0; i < viewpoints.length; i++) {
+    if (rendered.has(keys[i])) continue;
+    rendered.set(keys[i], renderViewpoint(frame, viewpoints[i].x, viewpoints[i].y, settings));
+    onProgress(rendered.size, distinct);
+    // Let the progress message paint between frames
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return keys.map(key => rendered.get(key));
+}
+
+// Render one inpainted view at eye offset (offsetX, offsetY)
+function renderViewpoint(frame, offsetX, offsetY, settings) {
+  let [view] = renderViewpoints(frame, [offsetX], settings.renderer);
+  inpaintEyeView(view.image, view.depth, settings.inpaintMethod);
+
+  if (Math.abs(offsetY) > 1e-6) {
+    fillDepthHoles(view.depth, frame.sideWidth, frame.sideHeight);
+    view = shiftViewVertically(view, frame, offsetY);
+    inpaintEyeView(view.image, view.depth, settings.inpaintMethod);
+  }
+  return view.image;
+}
+
+// Give inpainted pixels the depth of the farther surface bordering them in the row
+function fillDepthHoles(depth, width, height) {
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let x = 0;
+    while (x < width) {
+      if (depth[row + x] !== Infinity) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < width && depth[row + x] === Infinity) x++;
+      const before = start > 0 ? depth[row + start - 1] : -Infinity;
+      const after = x < width ? depth[row + x] : -Infinity;
+      const fill = Math.max(before, after);
+      depth.fill(fill === -Infinity ? 1 : fill, row + start, row + x);
+    }
+  }
+}
+
+// Move the eye vertically: rasterize each column of a rendered view as a row
+// shifted by offset * shift, with the same span and depth tests as the renderer
+function shiftViewVertically(view, frame, offset) {
+  const { sideWidth: width, sideHeight: height, maxShift, convergence } = frame;
+  const src = view.image.data;
+  const image = new ImageData(width, height);
+  const depth = new Float32Array(width * height).fill(Infinity);
+
+  const colors = new Float32Array(height * 4);
+  const depths = new Float32Array(height);
+  const shifts = new Float32Array(height);
+  const column = new Uint8ClampedArray(height * 4);
+  const zbuffer = new Float32Array(height);
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const i = y * width + x;
+      for (let c = 0; c < 4; c++) colors[y * 4 + c] = src[i * 4 + c];
+      depths[y] = view.depth[i];
+      shifts[y] = (depths[y] - convergence) * maxShift;
+    }
+
+    column.fill(0);
+    zbuffer.fill(Infinity);
+    rasterizeEyeRow(column, zbuffer, 0, height, colors, depths, shifts, offset);
+
+    // Rows uncovered at the top or bottom edge repeat the nearest rendered pixel
+    let first = 0;
+    while (first < height && zbuffer[first] === Infinity) first++;
+    let last = height - 1;
+    while (last > first && zbuffer[last] === Infinity) last--;
+    if (first < height) {
+      for (let y = 0; y < first; y++) {
+        column.copyWithin(y * 4, first * 4, first * 4 + 4);
+        zbuffer[y] = zbuffer[first];
+      }
+      for (let y = last + 1; y < height; y++) {
+        column.copyWithin(y * 4, last * 4, last * 4 + 4);
+        zbuffer[y] = zbuffer[last];
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      const i = y * width + x;
+      for (let c = 0; c < 4; c++) image.data[i * 4 + c] = column[y * 4 + c];
+      depth[i] = zbuffer[y];
+    }
+  }
+
+  return { image, depth };
+}
+
+// Encode rendered frames in the selected format
+async function encodeWiggle(frames, fps, format) {
+  const delayMs = 1000 / fps;
+  if (format === 'gif') return encodeGif(frames, delayMs);
+  if (format === 'webp') return encodeAnimatedWebp(frames, delayMs);
+  return encodeFramesToVideo(frames, fps, format);
+}
+
+// Encode a looping frame sequence as WebM or MP4 with WebCodecs
+async function encodeFramesToVideo(frames, fps, format) {
+  if (!('VideoEncoder' in window)) {
+    throw new Error('Video export needs WebCodecs (Chrome/Edge 94+, Safari 16.4+, Firefox 130+)');
+  }
+
+  const formatInfo = VIDEO_FORMATS[format];
+  await loadScript(formatInfo.muxerUrl);
+  const Muxer = window[formatInfo.muxerGlobal];
+
+  // Encoders need even dimensions
+  const width = frames[0].width & ~1;
+  const height = frames[0].height & ~1;
+
+  const videoChoice = await findEncoderConfig(VideoEncoder, formatInfo.video, {
+    width,
+    height,
+    bitrate: Math.round(width * height * fps * VIDEO_BITS_PER_PIXEL),
+    framerate: fps
+  });
+  if (!videoChoice) {
+    throw new Error(`This browser cannot encode ${width} × ${height} ${format.toUpperCase()} video`);
+  }
+
+  const target = new Muxer.ArrayBufferTarget();
+  const muxer = new Muxer.Muxer({
+    target,
+    video: { codec: videoChoice.muxerCodec, width, height, frameRate: fps },
+    ...(format === 'mp4' ? { fastStart: 'in-memory' } : {})
+  });
+
+  let encodeError = null;
+  const videoEncoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: error => { encodeError = error; }
+  });
+  videoEncoder.configure(videoChoice.config);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const frameDuration = 1e6 / fps;
+  const loops = Math.max(1, Math.ceil(WIGGLE_VIDEO_MIN_SECONDS * fps / frames.length));
+  const keyFrameInterval = Math.max(1, Math.round(fps * VIDEO_KEYFRAME_SECONDS));
+
+  try {
+    for (let i = 0; i < frames.length * loops; i++) {
+      if (encodeError) throw encodeError;
+
+      ctx.putImageData(frames[i % frames.length], 0, 0);
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(i * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      videoEncoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+      frame.close();
+
+      while (videoEncoder.encodeQueueSize > VIDEO_MAX_ENCODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    }
+
+    await videoEncoder.flush();
+    if (encodeError) throw encodeError;
+    muxer.finalize();
+  } finally {
+    if (videoEncoder.state !== 'closed') videoEncoder.close();
+  }
+
+  return new Blob([target.buffer], { type: formatInfo.mimeType });
+}
+
+// ----------------------------------------------------------------------------
+// GIF encoding: one median-cut palette shared by all frames, LZW compressed
+// ----------------------------------------------------------------------------
+
+// Pixels sampled across all frames to build the palette
+const GIF_PALETTE_SAMPLES = 65536;
+const GIF_MAX_CODE = 4096;
+
+function encodeGif(frames, delayMs) {
+  const { width, height } = frames[0];
+  const palette = buildMedianCutPalette(frames, 256);
+  const lookup = createPaletteLookup(palette);
+  // Browsers treat delays under 20ms as 100ms
+  const delay = Math.max(2, Math.round(delayMs / 10));
+
+  const writer = createByteWriter();
+  writer.bytes(asciiBytes('GIF89a'));
+  writer.u16(width);
+  writer.u16(height);
+  writer.byte(0xf7); // global color table, 8 bits per channel, 256 entries
+  writer.byte(0); // background color index
+  writer.byte(0); // pixel aspect ratio
+
+  const colorTable = new Uint8Array(256 * 3);
+  palette.forEach((color, i) => colorTable.set(color, i * 3));
+  writer.bytes(colorTable);
+
+  // NETSCAPE2.0 application extension: loop forever
+  writer.bytes([0x21, 0xff, 0x0b]);
+  writer.bytes(asciiBytes('NETSCAPE2.0'));
+  writer.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+  const indices = new Uint8Array(width * height);
+  for (const frame of frames) {
+    const data = frame.data;
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = lookup(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    }
+
+    // Graphic control extension: frame delay, no transparency
+    writer.bytes([0x21, 0xf9, 0x04, 0x00]);
+    writer.u16(delay);
+    writer.bytes([0x00, 0x00]);
+
+    // Image descriptor covering the whole canvas, no local color table
+    writer.byte(0x2c);
+    writer.u16(0);
+    writer.u16(0);
+    writer.u16(width);
+    writer.u16(height);
+    writer.byte(0);
+
+    writer.byte(8); // LZW minimum code size
+    lzwEncode(indices, 8, writer);
+  }
+
+  writer.byte(0x3b); // trailer
+  return new Blob([writer.result()], { type: 'image/gif' });
+}
+
+// Split the sampled color cloud at the median of its widest channel until
+// there are maxColors boxes; each box's mean becomes a palette entry
+function buildMedianCutPalette(frames, maxColors) {
+  const total = frames.reduce((sum, frame) => sum + frame.width * frame.height, 0);
+  const step = Math.max(1, Math.floor(total / GIF_PALETTE_SAMPLES));
+  const samples = [];
+  let skip = 0;
+  for (const frame of frames) {
+    const data = frame.data;
+    for (let i = skip; i < frame.width * frame.height; i += step) {
+      samples.push((data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2]);
+    }
+    skip = (skip + 1) % step;
+  }
+
+  const measureBox = pixels => {
+    const min = [255, 255, 255];
+    const max = [0, 0, 0];
+    for (const p of pixels) {
+      for (let c = 0; c < 3; c++) {
+        const value = (p >> (16 - 8 * c)) & 255;
+        if (value < min[c]) min[c] = value;
+        if (value > max[c]) max[c] = value;
+      }
+    }
+    const ranges = max.map((value, c) => value - min[c]);
+    const channel = ranges.indexOf(Math.max(...ranges));
+    return { pixels, channel, range: ranges[channel] };
+  };
+
+  const boxes = [measureBox(Int32Array.from(samples))];
+  while (boxes.length < maxColors) {
+    let widest = -1;
+    boxes.forEach((box, i) => {
+      if (box.pixels.length > 1 && box.range > 0 && (widest < 0 || box.range > boxes[widest].range)) widest = i;
+    });
+    if (widest < 0) break;
+
+    const { pixels, channel } = boxes[widest];
+    const shift = 16 - 8 * channel;
+    pixels.sort((a, b) => ((a >> shift) & 255) - ((b >> shift) & 255));
+    const median = pixels.length >> 1;
+    boxes.splice(widest, 1, measureBox(pixels.subarray(0, median)), measureBox(pixels.subarray(median)));
+  }
+
+  const palette = boxes.map(({ pixels }) => {
+    const sum = [0, 0, 0];
+    for (const p of pixels) {
+      sum[0] += (p >> 16) & 255;
+      sum[1] += (p >> 8) & 255;
+      sum[2] += p & 255;
+    }
+    return sum.map(value => Math.round(value / Math.max(1, pixels.length)));
+  });
+  while (palette.length < maxColors) palette.push([0, 0, 0]);
+  return palette;
+}
+
+// Nearest palette index, cached per 15-bit color
+function createPaletteLookup(palette) {
+  const cache = new Int16Array(1 << 15).fill(-1);
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] < 0) {
+      // Match the center of the 15-bit cell so results do not depend on pixel order
+      r = ((r >> 3) << 3) + 4;
+      g = ((g >> 3) << 3) + 4;
+      b = ((b >> 3) << 3) + 4;
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let i = 0; i < palette.length; i++) {
+        const dr = palette[i][0] - r;
+        const dg = palette[i][1] - g;
+        const db = palette[i][2] - b;
+        const distance = 2 * dr * dr + 4 * dg * dg + 3 * db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+      cache[key] = best;
+    }
+    return cache[key];
+  };
+}
+
+// Variable-width LZW as used by GIF, written as 255-byte data sub-blocks
+function lzwEncode(indices, minCodeSize, writer) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  // Dictionary keyed by (prefix code, next index); entries from before the
+  // last clear are invalidated by bumping the generation instead of refilling
+  const codes = new Int16Array(GIF_MAX_CODE << minCodeSize);
+  const generations = new Uint32Array(GIF_MAX_CODE << minCodeSize);
+  let generation = 1;
+
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 255;
+      if (blockLength === 255) {
+        writer.byte(255);
+        writer.bytes(block);
+        blockLength = 0;
+      }
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << minCodeSize) | index;
+    if (generations[key] === generation) {
+      prefix = codes[key];
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === GIF_MAX_CODE) {
+      emit(clearCode);
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+      generation++;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      codes[key] = nextCode++;
+      generations[key] = generation;
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 255;
+  }
+  if (blockLength > 0) {
+    writer.byte(blockLength);
+    writer.bytes(block.subarray(0, blockLength));
+  }
+  writer.byte(0); // block terminator
+}
+
+// Growable little-endian byte buffer
+function createByteWriter(capacity = 1 << 16) {
+  let buffer = new Uint8Array(capacity);
+  let length = 0;
+
+  const reserve = count => {
+    if (length + count <= buffer.length) return;
+    const grown = new Uint8Array(Math.max(buffer.length * 2, length + count));
+    grown.set(buffer.subarray(0, length));
+    buffer = grown;
+  };
+
+  return {
+    byte(value) {
+      reserve(1);
+      buffer[length++] = value;
+    },
+    u16(value) {
+      reserve(2);
+      buffer[length++] = value & 255;
+      buffer[length++] = (value >> 8) & 255;
+    },
+    bytes(values) {
+      reserve(values.length);
+      buffer.set(values, length);
+      length += values.length;
+    },
+    result() {
+      return buffer.slice(0, length);
+    }
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Animated WebP: frames are encoded by the browser and muxed into ANMF chunks
+// ----------------------------------------------------------------------------
+
+const WEBP_FRAME_QUALITY = 0.9;
+
+async function encodeAnimatedWebp(frames, delayMs) {
+  const { width, height } = frames[0];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const frameChunks = [];
+  let hasAlpha = false;
+  for (const frame of frames) {
+    ctx.putImageData(frame, 0, 0);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', WEBP_FRAME_QUALITY));
+    if (!blob || blob.type !== 'image/webp') {
+      throw new Error('This browser cannot encode WebP images; choose GIF or video instead');
+    }
+
+    // Keep the bitstream chunks (ALPH + VP8, or VP8L) of the still image
+    const chunks = readRiffChunks(new Uint8Array(await blob.arrayBuffer()))
+      .filter(chunk => chunk.fourcc === 'ALPH' || chunk.fourcc === 'VP8 ' || chunk.fourcc === 'VP8L');
+    hasAlpha = hasAlpha || chunks.some(chunk => chunk.fourcc === 'ALPH');
+    frameChunks.push(concatBytes(chunks.map(chunk => makeRiffChunk(chunk.fourcc, chunk.data))));
+  }
+
+  const duration = Math.round(delayMs);
+  const chunks = [
+    // VP8X: animation (and alpha) flags plus canvas size
+    makeRiffChunk('VP8X', leFields([hasAlpha ? 0x12 : 0x02, 1], [0, 3], [width - 1, 3], [height - 1, 3])),
+    // ANIM: transparent background, loop forever
+    makeRiffChunk('ANIM', leFields([0, 4], [0, 2])),
+    // ANMF: full-canvas frames, no blending, no disposal
+    ...frameChunks.map(data => makeRiffChunk('ANMF', concatBytes([
+      leFields([0, 3], [0, 3], [width - 1, 3], [height - 1, 3], [duration, 3], [0x02, 1]),
+      data
+    ])))
+  ];
+
+  const body = concatBytes([asciiBytes('WEBP'), ...chunks]);
+  const file = concatBytes([asciiBytes('RIFF'), leFields([body.length, 4]), body]);
+  return new Blob([file], { type: 'image/webp' });
+}
+
+// Top-level chunks of a RIFF file
+function readRiffChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const fourcc = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({ fourcc, data: bytes.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size & 1);
+  }
+  return chunks;
+}
+
+// RIFF chunk with its size header and pad byte
+function makeRiffChunk(fourcc, data) {
+  const parts = [asciiBytes(fourcc), leFields([data.length, 4]), data];
+  if (data.length & 1) parts.push(new Uint8Array(1));
+  return concatBytes(parts);
+}
+
+function leFields(...fields) {
+  // [value, byteSize] pairs, little-endian
+  const out = new Uint8Array(fields.reduce((sum, [, size]) => sum + size, 0));
+  let pos = 0;
+  for (const [value, size] of fields) {
+    for (let i = 0; i < size; i++) {
+      out[pos++] = Math.floor(value / 2 ** (8 * i)) & 255;
+    }
+  }
+  return out;
+}
+
+// ============================================================================
+// STEREO IMAGE EXPORT
+// ============================================================================
+
+// Saved stereograms can be PNG, JPEG, WebP or AVIF, or one of two stereo
+// photo formats read by 3D cameras, viewers and stereo tools:
+//  - MPO: two JPEG frames (left eye first) joined by the CIPA DC-007
+//    multi-picture extension (APP2 "MPF"), as written by 3D cameras and the 3DS
+//  - JPS: one JPEG holding a full-width cross-eye pair (right eye on the
+//    left, no divider), which is how stereo viewers read the .jps extension
+// Every format carries an XMP packet with the layout and the generation
+// settings so a file can be traced back to how it was made.
+
+const IMAGE_FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png', lossy: false },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', lossy: true },
+  webp: { extension: 'webp', mimeType: 'image/webp', lossy: true },
+  avif: { extension: 'avif', mimeType: 'image/avif', lossy: true },
+  mpo: { extension: 'mpo', mimeType: 'image/jpeg', lossy: true },
+  jps: { extension: 'jps', mimeType: 'image/jpeg', lossy: true }
+};
+
+const STEREONIX_XMP_NAMESPACE = 'https://nqrlabs.com/Stereonix/ns/1.0/';
+
+// MP entry image attribute: multi-frame disparity image, the first also the representative image
+const MPF_DISPARITY_IMAGE = 0x020002;
+const MPF_REPRESENTATIVE_IMAGE = 0x20000000;
+
+// AV1 still images are encoded with WebCodecs; [max pixels, seq_level_idx] per AV1 level
+const AVIF_LEVELS = [[2228224, 8], [8912896, 12], [35651584, 16]];
+
+// Encode the stereogram in settings.imageFormat
+// Returns { blob, suffix, extension }; suffix describes the layout for the filename
+// pairRight (see getPairRightView) makes the stereo pair's photos the eye views
+async function exportStereogram(img, depthMap, settings, depthSource, pairRight = null) {
+  const id = IMAGE_FORMATS[settings.imageFormat] ? settings.imageFormat : 'png';
+  const format = IMAGE_FORMATS[id];
+  const quality = settings.imageQuality / 100;
+
+  if (id === 'mpo') {
+    const eyes = await renderEyeCanvases(img, depthMap, settings, 1, pairRight);
+    const xmp = buildStereoXmp(img, settings, {
+      layout: 'multi-picture', eyeOrder: 'left-right', dividerWidth: 0, output: eyes[0], depthSource
+    });
+    const bytes = await encodeMpo(eyes, quality, xmp);
+    return { blob: new Blob([bytes], { type: format.mimeType }), suffix: '', extension: format.extension };
+  }
+
+  // Stereo viewers expect JPS to be a plain cross-eye pair
+  const renderSettings = id === 'jps'
+    ? { ...settings, viewMode: 'pair', layout: 'cross', dividerWidth: 0 }
+    : settings;
+  const { canvas } = await renderStereogram(img, depthMap, renderSettings, 1, { pairRight });
+  const xmp = buildStereoXmp(img, renderSettings, { output: canvas, depthSource });
+
+  let bytes;
+  if (id === 'avif') {
+    bytes = await encodeAvif(canvas, quality, xmp);
+  } else {
+    bytes = await encodeCanvasBytes(canvas, format.mimeType, quality);
+    if (format.mimeType === 'image/jpeg') bytes = insertJpegSegments(bytes, [makeJpegXmpSegment(xmp)]);
+    else if (id === 'webp') bytes = addWebpXmp(bytes, xmp, canvas.width, canvas.height);
+    else bytes = addPngXmp(bytes, xmp);
+  }
+
+  return {
+    blob: new Blob([bytes], { type: format.mimeType }),
+    suffix: id === 'jps' ? '' : getOutputSuffix(renderSettings),
+    extension: format.extension
+  };
+}
+
+// Where the editor's depth came from, for the XMP block
+function describeDepthSource() {
+  const depth = state.depthFloat;
+  const source = state.stereoPair ? 'stereo-pair'
+    : depth === state.importedDepth ? 'imported' : depth === state.embeddedDepth ? 'embedded' : 'model';
+  return state.depthEdits ? `${source}, edited` : source;
+}
+
+// AVIF needs a WebCodecs AV1 encoder or canvas AVIF encoding
+async function isAvifExportSupported() {
+  if (typeof VideoEncoder !== 'undefined') {
+    const support = await VideoEncoder.isConfigSupported(getAvifEncoderConfig(64, 64)).catch(() => null);
+    if (support && support.supported) return true;
+  }
+  return canvasEncodes('image/avif');
+}
+
+async function canvasEncodes(mimeType) {
+  const canvas = createCanvas(2, 2);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType));
+  return !!blob && blob.type === mimeType;
+}
+
+async function encodeCanvasBytes(canvas, mimeType, quality) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+  // Unsupported types silently come back as PNG
+  if (!blob || blob.type !== mimeType) {
+    throw new Error(`This browser cannot encode ${mimeType} images`);
+  }
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Left and right eye views at the output preset size each (full side-by-side split in two)
+// scale < 1 renders them proportionally smaller; pairRight as in generateStereogram
+async function renderEyeCanvases(img, depthMap, settings, scale = 1, pairRight = null) {
+  // Over/under gives each eye the preset size; full SBS then places them side by side
+  const eye = getEyeViewSize({ ...settings, viewMode: 'pair', layout: 'over-under' }, img);
+  const pairSettings = {
+    ...settings, viewMode: 'pair', layout: 'full-sbs', eyeWidth: eye.width, eyeHeight: eye.height, dividerWidth: 0
+  };
+  const { canvas } = await renderStereogram(img, depthMap, pairSettings, scale, { pairRight });
+  const eyeWidth = canvas.width / 2;
+
+  return [0, 1].map(index => {
+    const eye = createCanvas(eyeWidth, canvas.height);
+    eye.getContext('2d').drawImage(canvas, index * eyeWidth, 0, eyeWidth, canvas.height, 0, 0, eyeWidth, canvas.height);
+    return eye;
+  });
+}
+
+// ----------------------------------------------------------------------------
+// XMP
+// ----------------------------------------------------------------------------
+
+// XMP packet describing the stereo layout, source and all generation settings
+// info overrides what the settings imply: layout, eyeOrder, dividerWidth,
+// output ({ width, height } of each written image) and depthSource
+function buildStereoXmp(img, settings, info = {}) {
+  const pair = settings.viewMode === 'pair';
+  const stereoLayout = STEREO_LAYOUTS[settings.layout];
+  const { layout, eyeOrder, dividerWidth, depthSource = 'model' } = info;
+  const output = info.output || getOutputSize(settings, img);
+  const properties = {
+    'xmp:CreatorTool': 'Stereonix',
+    'xmp:CreateDate': new Date().toISOString(),
+    'stereonix:Layout': layout || (pair ? settings.layout : `anaglyph-${settings.anaglyphGlasses}`),
+    'stereonix:EyeOrder': eyeOrder || (!pair ? 'none' : stereoLayout.vertical ? 'top-bottom' : stereoLayout.swapEyes ? 'right-left' : 'left-right'),
+    'stereonix:Squeezed': pair && stereoLayout.squeeze ? 'True' : 'False',
+    'stereonix:DividerWidth': dividerWidth ?? getDividerWidth(settings),
+    'stereonix:OutputWidth': output.width,
+    'stereonix:OutputHeight': output.height,
+    'stereonix:SourceWidth': img.width,
+    'stereonix:SourceHeight': img.height,
+    'stereonix:DepthSource': depthSource,
+    'stereonix:DepthModel': getDepthModel(settings.depthModel).name,
+    // Any hidden layer setting would give the clue away
+    'stereonix:Settings': JSON.stringify(Object.fromEntries(
+      Object.entries(settings).filter(([key]) => !key.startsWith('hidden'))
+    ))
+  };
+
+  const attributes = Object.entries(properties)
+    .map(([name, value]) => `\n    ${name}="${escapeXml(String(value))}"`)
+    .join('');
+
+  return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:stereonix="${STEREONIX_XMP_NAMESPACE}"${attributes}/>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// PNG: iTXt chunk "XML:com.adobe.xmp" (uncompressed) right after IHDR
+function addPngXmp(png, xmp) {
+  const ihdrEnd = 8 + 12 + new DataView(png.buffer, png.byteOffset).getUint32(8);
+  const chunk = makePngChunk('iTXt', concatBytes([
+    asciiBytes('XML:com.adobe.xmp\0'),
+    // compression flag, method, empty language tag and translated keyword
+    Uint8Array.of(0, 0, 0, 0),
+    new TextEncoder().encode(xmp)
+  ]));
+  return concatBytes([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)]);
+}
+
+// WebP: extended format (VP8X) with an "XMP " chunk after the image data
+function addWebpXmp(webp, xmp, width, height) {
+  const allChunks = readRiffChunks(webp);
+  const extended = allChunks.find(chunk => chunk.fourcc === 'VP8X');
+  const chunks = allChunks.filter(chunk => chunk !== extended);
+
+  // Keep the encoder's flags (ICC profile, alpha); a simple file only needs alpha
+  // detected: lossless bitstreams flag it in their header, lossy ones use ALPH
+  let flags = extended ? extended.data[0] : 0;
+  if (!extended) {
+    const lossless = chunks.find(chunk => chunk.fourcc === 'VP8L');
+    if (chunks.some(chunk => chunk.fourcc === 'ALPH') || (lossless && (lossless.data[4] & 0x10))) flags |= 0x10;
+  }
+
+  const body = concatBytes([
+    asciiBytes('WEBP'),
+    makeRiffChunk('VP8X', leFields([flags | 0x04, 1], [0, 3], [width - 1, 3], [height - 1, 3])),
+    ...chunks.map(chunk => makeRiffChunk(chunk.fourcc, chunk.data)),
+    makeRiffChunk('XMP ', new TextEncoder().encode(xmp))
+  ]);
+  return concatBytes([asciiBytes('RIFF'), leFields([body.length, 4]), body]);
+}
+
+// ----------------------------------------------------------------------------
+// JPEG, MPO
+// ----------------------------------------------------------------------------
+
+function makeJpegSegment(marker, payload) {
+  const length = payload.length + 2;
+  if (length > 0xffff) throw new Error('JPEG metadata segment too large');
+  return concatBytes([Uint8Array.of(0xff, marker, length >> 8, length & 0xff), payload]);
+}
+
+function makeJpegXmpSegment(xmp) {
+  return makeJpegSegment(0xe1, concatBytes([asciiBytes(XMP_NAMESPACE), new TextEncoder().encode(xmp)]));
+}
+
+// Insert segments after SOI and the encoder's APP0 (JFIF) / APP1 (Exif) segments
+function insertJpegSegments(jpeg, segments) {
+  let pos = 2;
+  for (const segment of parseJpegSegments(jpeg)) {
+    if (segment.marker !== 0xe0 && segment.marker !== 0xe1) break;
+    pos = segment.end;
+  }
+  return concatBytes([jpeg.subarray(0, pos), ...segments, jpeg.subarray(pos)]);
+}
+
+// Two eye views as a multi-picture (MPO) file: left eye first, then right
+async function encodeMpo(eyes, quality, xmp) {
+  const [left, right] = await Promise.all(eyes.map(eye => encodeCanvasBytes(eye, 'image/jpeg', quality)));
+
+  // The second image carries an MP attributes IFD: individual image number and base viewpoint
+  const second = insertJpegSegments(right, [makeMpfSegment([
+    [0xb000, 7, 4, asciiBytes('0100')],
+    [0xb101, 4, 1, 2],
+    [0xb204, 4, 1, 1]
+  ])]);
+
+  // The first image carries the MP index IFD. Image offsets count from its
+  // MP header (the byte order mark after "MPF\0"), whose position and the
+  // first image size do not depend on the entry values
+  const buildFirst = (firstSize, secondOffset) => {
+    const entries = concatBytes([
+      boxFields([MPF_REPRESENTATIVE_IMAGE | MPF_DISPARITY_IMAGE, 4], [firstSize, 4], [0, 4], [0, 2], [0, 2]),
+      boxFields([MPF_DISPARITY_IMAGE, 4], [second.length, 4], [secondOffset, 4], [0, 2], [0, 2])
+    ]);
+    return insertJpegSegments(left, [makeJpegXmpSegment(xmp), makeMpfSegment([
+      [0xb000, 7, 4, asciiBytes('0100')],
+      [0xb001, 4, 1, 2],
+      [0xb002, 7, entries.length, entries]
+    ])]);
+  };
+
+  const draft = buildFirst(0, 0);
+  const mpHeader = findMpfHeader(draft);
+  const first = buildFirst(draft.length, draft.length - mpHeader);
+  return concatBytes([first, second]);
+}
+
+// APP2 "MPF" segment with one big-endian IFD: [tag, type, count, value]
+// Types: 4 = LONG (single value inline), 7 = UNDEFINED (bytes, inline up to 4)
+function makeMpfSegment(fields) {
+  const ifdSize = 2 + fields.length * 12 + 4;
+  const data = [];
+  let dataOffset = 8 + ifdSize;
+
+  const entries = fields.map(([tag, type, count, value]) => {
+    if (type === 4) return boxFields([tag, 2], [type, 2], [count, 4], [value, 4]);
+    if (value.length <= 4) {
+      const inline = new Uint8Array(4);
+      inline.set(value);
+      return concatBytes([boxFields([tag, 2], [type, 2], [count, 4]), inline]);
+    }
+    const entry = boxFields([tag, 2], [type, 2], [count, 4], [dataOffset, 4]);
+    data.push(value);
+    dataOffset += value.length;
+    return entry;
+  });
+
+  return makeJpegSegment(0xe2, concatBytes([
+    asciiBytes('MPF\0'),
+    // MP header: big-endian TIFF header with the IFD right after it
+    asciiBytes('MM'), boxFields([0x2a, 2], [8, 4]),
+    boxFields([fields.length, 2]), ...entries, boxFields([0, 4]),
+    ...data
+  ]));
+}
+
+// File position of the MP header in a JPEG with an MPF segment
+function findMpfHeader(jpeg) {
+  const mpf = parseJpegSegments(jpeg).find(s => s.marker === 0xe2 && segmentStartsWith(jpeg, s, 'MPF\0'));
+  return mpf.start + 4;
+}
+
+// ----------------------------------------------------------------------------
+// AVIF
+// ----------------------------------------------------------------------------
+
+function getAvifEncoderConfig(width, height) {
+  const pixels = width * height;
+  const [, level] = AVIF_LEVELS.find(([maxPixels]) => pixels <= maxPixels) || AVIF_LEVELS[AVIF_LEVELS.length - 1];
+  return {
+    codec: `av01.0.${String(level).padStart(2, '0')}M.08`,
+    width,
+    height,
+    bitrateMode: 'quantizer'
+  };
+}
+
+// Single-image AVIF: one AV1 keyframe from WebCodecs in a minimal HEIF
+// container with the XMP as a metadata item. Browsers without WebCodecs AV1
+// fall back to their canvas AVIF encoder, if any (without XMP)
+async function encodeAvif(canvas, quality, xmp) {
+  if (typeof VideoEncoder === 'undefined') {
+    return encodeCanvasBytes(canvas, 'image/avif', quality);
+  }
+
+  // 4:2:0 AV1 needs even dimensions; the padding is cropped away by a clap property
+  const width = canvas.width + (canvas.width & 1);
+  const height = canvas.height + (canvas.height & 1);
+  const config = getAvifEncoderConfig(width, height);
+  const support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+  if (!support || !support.supported) return encodeCanvasBytes(canvas, 'image/avif', quality);
+
+  const frameCanvas = createCanvas(width, height);
+  const ctx = frameCanvas.getContext('2d');
+  ctx.drawImage(canvas, 0, 0);
+  // Repeat the last column/row into the padding so chroma at the edge is not darkened
+  if (width > canvas.width) ctx.drawImage(canvas, canvas.width - 1, 0, 1, canvas.height, canvas.width, 0, 1, canvas.height);
+  if (height > canvas.height) ctx.drawImage(frameCanvas, 0, canvas.height - 1, width, 1, 0, canvas.height, width, 1);
+
+  let chunk = null;
+  let colorSpace = null;
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (output, metadata) => {
+      chunk = new Uint8Array(output.byteLength);
+      output.copyTo(chunk);
+      if (metadata && metadata.decoderConfig) colorSpace = metadata.decoderConfig.colorSpace;
+    },
+    error: error => { failure = error; }
+  });
+
+  try {
+    encoder.configure(config);
+    const frame = new VideoFrame(frameCanvas, { timestamp: 0 });
+    // Quality 0-1 onto the AV1 quantizer range 63-0
+    encoder.encode(frame, { keyFrame: true, av1: { quantizer: Math.round((1 - quality) * 63) } });
+    frame.close();
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (failure || !chunk) throw failure || new Error('AV1 encoder produced no data');
+
+  return buildAvif(chunk, { width, height, cropWidth: canvas.width, cropHeight: canvas.height, colorSpace }, xmp);
+}
+
+// Split an AV1 temporal unit into OBUs: { type, start, end } (whole OBU incl. header)
+function parseAv1Obus(bytes) {
+  const obus = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    const header = bytes[pos];
+    const type = (header >> 3) & 0xf;
+    let cursor = pos + 1 + ((header & 0x04) ? 1 : 0);
+    let size = bytes.length - cursor;
+    if (header & 0x02) {
+      size = 0;
+      for (let i = 0; i < 8; i++) {
+        const byte = bytes[cursor++];
+        size |= (byte & 0x7f) << (7 * i);
+        if (!(byte & 0x80)) break;
+      }
+    }
+    obus.push({ type, start: pos, end: cursor + size });
+    pos = cursor + size;
+  }
+  return obus;
+}
+
+// av1C from the sequence header: profile, first operating point level and tier
+// (8-bit 4:2:0 as configured for the encoder)
+function makeAv1ConfigBox(sequenceHeader) {
+  const payloadStart = 1 + ((sequenceHeader[0] & 0x04) ? 1 : 0);
+  let cursor = payloadStart;
+  while (sequenceHeader[cursor++] & 0x80);
+  let bit = cursor * 8;
+  const read = count => {
+    let value = 0;
+    for (let i = 0; i < count; i++, bit++) {
+      value = (value << 1) | ((sequenceHeader[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+  };
+
+  const profile = read(3);
+  read(1); // still_picture
+  const reduced = read(1);
+  let level = 0;
+  let tier = 0;
+  if (reduced) {
+    level = read(5);
+  } else if (!read(1)) { // no timing info
+    const delayPresent = read(1);
+    read(5); // operating_points_cnt_minus_1
+    read(12); // operating_point_idc[0]
+    level = read(5);
+    if (level > 7) tier = read(1);
+    if (delayPresent && read(1)) read(4);
+  }
+
+  return makeBox('av1C',
+    boxFields([0x81, 1], [(profile << 5) | level, 1], [(tier << 7) | 0x0c, 1], [0, 1]),
+    sequenceHeader);
+}
+
+// CICP code points for the color spaces WebCodecs reports
+const CICP_PRIMARIES = { bt709: 1, bt470bg: 5, smpte170m: 6, bt2020: 9, smpte432: 12 };
+const CICP_TRANSFER = { bt709: 1, smpte170m: 6, 'iec61966-2-1': 13, linear: 8, pq: 16, hlg: 18 };
+const CICP_MATRIX = { rgb: 0, bt709: 1, bt470bg: 5, smpte170m: 6, 'bt2020-ncl': 9 };
+
+function buildAvif(chunk, { width, height, cropWidth, cropHeight, colorSpace }, xmp) {
+  // Item data is the temporal unit without temporal delimiters
+  const obus = parseAv1Obus(chunk);
+  const data = concatBytes(obus.filter(obu => obu.type !== 2).map(obu => chunk.subarray(obu.start, obu.end)));
+  const sequenceHeader = obus.find(obu => obu.type === 1);
+  if (!sequenceHeader) throw new Error('AV1 encoder output has no sequence header');
+
+  const color = colorSpace || {};
+  const properties = [
+    makeBox('ispe', boxFields([0, 4], [width, 4], [height, 4])),
+    makeBox('pixi', boxFields([0, 4], [3, 1], [8, 1], [8, 1], [8, 1])),
+    makeAv1ConfigBox(chunk.subarray(sequenceHeader.start, sequenceHeader.end)),
+    makeBox('colr', asciiBytes('nclx'), boxFields(
+      [CICP_PRIMARIES[color.primaries] || 2, 2], [CICP_TRANSFER[color.transfer] || 2, 2],
+      [CICP_MATRIX[color.matrix] || 2, 2], [color.fullRange ? 0x80 : 0, 1]
+    ))
+  ];
+  if (cropWidth !== width || cropHeight !== height) {
+    // Clean aperture centred on the cropped image: offsets are (size - full) / 2
+    properties.push(makeBox('clap', boxFields(
+      [cropWidth, 4], [1, 4], [cropHeight, 4], [1, 4],
+      [(cropWidth - width) >>> 0, 4], [2, 4], [(cropHeight - height) >>> 0, 4], [2, 4]
+    )));
+  }
+  // av1C (index 3) and clap are essential
+  const associations = properties.map((box, i) => (i === 2 || i === 4 ? 0x80 : 0) | (i + 1));
+
+  const xmpBytes = xmp ? new TextEncoder().encode(xmp) : null;
+  const items = xmpBytes ? 2 : 1;
+
+  const ftyp = makeBox('ftyp', asciiBytes('avif'), boxFields([0, 4]), asciiBytes('avifmif1miaf'));
+  const hdlr = makeBox('hdlr', boxFields([0, 4], [0, 4]), asciiBytes('pict'), boxFields([0, 4], [0, 4], [0, 4], [0, 1]));
+  const pitm = makeBox('pitm', boxFields([0, 4], [1, 2]));
+  const infes = [makeBox('infe', boxFields([0x02000000, 4], [1, 2], [0, 2]), asciiBytes('av01'), boxFields([0, 1]))];
+  if (xmpBytes) {
+    infes.push(makeBox('infe', boxFields([0x02000000, 4], [2, 2], [0, 2]), asciiBytes('mime'), boxFields([0, 1]),
+      asciiBytes('application/rdf+xml\0')));
+  }
+  const iinf = makeBox('iinf', boxFields([0, 4], [items, 2]), ...infes);
+  // The XMP item describes (cdsc) the image item
+  const iref = xmpBytes ? makeBox('iref', boxFields([0, 4]), makeBox('cdsc', boxFields([2, 2], [1, 2], [1, 2]))) : new Uint8Array(0);
+  const iprp = makeBox('iprp',
+    makeBox('ipco', ...properties),
+    makeBox('ipma', boxFields([0, 4], [1, 4], [1, 2], [associations.length, 1]), Uint8Array.from(associations)));
+
+  // iloc offsets point into mdat, whose position depends on the size of meta itself
+  const buildMeta = dataOffset => {
+    const locations = [boxFields([1, 2], [0, 2], [1, 2], [dataOffset, 4], [data.length, 4])];
+    if (xmpBytes) locations.push(boxFields([2, 2], [0, 2], [1, 2], [dataOffset + data.length, 4], [xmpBytes.length, 4]));
+    return makeBox('meta', boxFields([0, 4]), hdlr, pitm,
+      makeBox('iloc', boxFields([0, 4], [0x44, 1], [0, 1], [items, 2]), ...locations),
+      iinf, iref, iprp);
+  };
+  const metaSize = buildMeta(0).length;
+  const meta = buildMeta(ftyp.length + metaSize + 8);
+
+  return concatBytes([ftyp, meta, makeBox('mdat', data, xmpBytes || new Uint8Array(0))]);
+}
+
+// ============================================================================
+// 3D VIEWING
+// ============================================================================
+
+// Ways to look at the result without crossing eyes at the preview, all using
+// the current settings and edited depth map:
+// - VR: an immersive WebXR session shows each eye view to the matching eye
+//   on a virtual screen fixed in the room. Only the standard WebXR API is
+//   used, so the WebXR API Emulator extension or a mocked navigator.xr can
+//   stand in for a headset
+// - Split screen: left and right views fill a fullscreen landscape display
+//   for cardboard-style phone viewers
+// - Parallax: one view re-rendered at the eye position given by the pointer
+//   or the device tilt, like an interactive wiggle animation
+
+// Longest side of each eye view shown in VR or split screen (texture limits, phone memory)
+const VIEWER_EYE_MAX_SIZE = 2048;
+
+// Longest side of the parallax view, which re-renders on every move
+const PARALLAX_VIEW_MAX_SIZE = 720;
+
+// Device tilt (degrees from the pose at opening) that moves the eye from the centre to one eye
+const PARALLAX_TILT_RANGE = 15;
+
+// Virtual VR screen size and distance (metres from the starting head position)
+const VR_SCREEN_WIDTH = 2.4;
+const VR_SCREEN_DISTANCE = 2;
+
+// Quad of VR_SCREEN_WIDTH facing the viewer, generated from gl_VertexID (triangle strip)
+const VR_SCREEN_VS = `#version 300 es
+uniform mat4 uViewProjection;
+uniform vec2 uHalfSize;
+uniform float uDistance;
+out vec2 vUv;
+
+void main() {
+  vec2 corner = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1));
+  vUv = vec2(corner.x, 1.0 - corner.y);
+  gl_Position = uViewProjection * vec4((corner * 2.0 - 1.0) * uHalfSize, -uDistance, 1.0);
+}
+`;
+
+const VR_SCREEN_FS = `#version 300 es
+precision highp float;
+uniform sampler2D uEye;
+in vec2 vUv;
+out vec4 outColor;
+
+void main() {
+  outColor = texture(uEye, vUv);
+}
+`;
+
+// Open fullscreen viewer ({ mode, canvas, ... }) or null
+let stereoViewer = null;
+
+// Running immersive session, and whether one can be started
+let vrSession = null;
+let vrSupported = false;
+
+// Prepared render frame of the parallax viewer, reused until its inputs change
+let parallaxFrame = null;
+
+// Check for an immersive VR device (headset, WebXR emulator or mocked navigator.xr)
+async function detectVrSupport() {
+  vrSupported = false;
+  if (typeof navigator !== 'undefined' && navigator.xr) {
+    try {
+      vrSupported = await navigator.xr.isSessionSupported('immersive-vr');
+    } catch (error) {
+      console.warn('WebXR support check failed:', error);
+    }
+  }
+  return vrSupported;
+}
+
+// Render scale that keeps each eye view within VIEWER_EYE_MAX_SIZE
+function getViewerEyeScale(img, settings) {
+  const eye = getEyeViewSize({ ...settings, viewMode: 'pair', layout: 'over-under' }, img);
+  return Math.min(1, VIEWER_EYE_MAX_SIZE / Math.max(eye.width, eye.height));
+}
+
+// Open a viewer: 'vr', 'split' or 'parallax'. The XR session, fullscreen and
+// motion sensor permission are requested before anything is awaited, while
+// the click still counts as a user gesture
+async function openStereoViewer(mode) {
+  const settings = copySettings(state.settings);
+  if (mode === 'vr') {
+    await startVrSession(settings);
+    return;
+  }
+
+  const overlay = document.getElementById('stereoViewer');
+  const canvas = document.getElementById('stereoViewerCanvas');
+  const viewer = { mode, canvas, img: state.originalImage, depthMap: getActiveDepthMap() };
+  stereoViewer = viewer;
+  overlay.style.display = 'block';
+  canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+
+  // Without element fullscreen (iPhone) the overlay still covers the page
+  if (overlay.requestFullscreen) {
+    overlay.requestFullscreen()
+      .then(() => {
+        if (mode === 'split' && screen.orientation && screen.orientation.lock) {
+          return screen.orientation.lock('landscape');
+        }
+      })
+      .catch(() => {});
+  }
+  if (mode === 'parallax' && typeof DeviceOrientationEvent !== 'undefined' &&
+      DeviceOrientationEvent.requestPermission) {
+    DeviceOrientationEvent.requestPermission().catch(() => {});
+  }
+
+  setViewerStatus('Rendering...');
+  if (mode === 'split') {
+    const eyes = await renderEyeCanvases(
+      viewer.img, viewer.depthMap, settings, getViewerEyeScale(viewer.img, settings), getPairRightView(settings)
+    );
+    if (stereoViewer !== viewer) return;
+    viewer.eyes = eyes;
+    drawSplitViewer(viewer);
+  } else {
+    const viewSettings = { ...settings, viewMode: 'wiggle' };
+    const fullSize = getEyeViewSize(viewSettings, viewer.img);
+    const scale = Math.min(1, PARALLAX_VIEW_MAX_SIZE / Math.max(fullSize.width, fullSize.height));
+    const { width, height } = getScaledEyeViewSize(viewSettings, viewer.img, scale);
+    Object.assign(viewer, {
+      settings: viewSettings, width, height,
+      target: { x: 0, y: 0 }, shown: null, tiltOrigin: null, rendering: false
+    });
+    canvas.width = width;
+    canvas.height = height;
+    await renderParallaxView(viewer);
+  }
+  if (stereoViewer === viewer) setViewerStatus('');
+}
+
+function closeStereoViewer() {
+  if (!stereoViewer) return;
+  stereoViewer = null;
+  releaseParallaxFrame();
+  document.getElementById('stereoViewer').style.display = 'none';
+
+  if (document.fullscreenElement) {
+    document.exitFullscreen().catch(() => {});
+  }
+  if (screen.orientation && screen.orientation.unlock) {
+    // Throws where locking is unsupported
+    try {
+      screen.orientation.unlock();
+    } catch (error) {
+      // Nothing was locked
+    }
+  }
+}
+
+function setViewerStatus(message) {
+  const status = document.getElementById('stereoViewerStatus');
+  status.textContent = message;
+  status.style.display = message ? 'block' : 'none';
+}
+
+// Split screen follows rotation and window size changes
+function resizeStereoViewer() {
+  if (stereoViewer && stereoViewer.mode === 'split') drawSplitViewer(stereoViewer);
+}
+
+// Left eye centred in the left half, right eye in the right half, at screen resolution
+function drawSplitViewer({ canvas, eyes }) {
+  if (!eyes) return;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(canvas.clientWidth * ratio);
+  canvas.height = Math.round(canvas.clientHeight * ratio);
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  const half = canvas.width / 2;
+  eyes.forEach((eye, index) => {
+    const fit = Math.min(half / eye.width, canvas.height / eye.height);
+    const width = eye.width * fit;
+    const height = eye.height * fit;
+    ctx.drawImage(eye, index * half + (half - width) / 2, (canvas.height - height) / 2, width, height);
+  });
+}
+
+// Move the parallax eye to (x, y), each -1..1 (x: -1 = left eye, y: -1 = up).
+// Renders run one at a time and the latest position wins, so fast moves skip
+// positions instead of queueing them
+function setParallaxTarget(x, y) {
+  const viewer = stereoViewer;
+  if (!viewer || viewer.mode !== 'parallax' || !viewer.settings) return;
+
+  viewer.target = { x: Math.max(-1, Math.min(1, x)), y: Math.max(-1, Math.min(1, y)) };
+  if (!viewer.rendering) {
+    renderParallaxView(viewer).catch(error => {
+      console.error('Error rendering parallax view:', error);
+      setViewerStatus(`Error: ${error.message}`);
+    });
+  }
+}
+
+// Device tilt (deviceorientation beta and gamma, degrees) as an eye position.
+// Tilting the phone moves the eye as if the screen were a window: turning the
+// right edge away shows the scene from the left
+function tiltParallaxView(beta, gamma) {
+  const viewer = stereoViewer;
+  if (!viewer || viewer.mode !== 'parallax' || beta === null || gamma === null) return;
+
+  // Tilt about the screen's own axes, whichever way the phone is held
+  const angle = (screen.orientation ? screen.orientation.angle : window.orientation || 0) * Math.PI / 180;
+  const tiltX = gamma * Math.cos(angle) + beta * Math.sin(angle);
+  const tiltY = beta * Math.cos(angle) - gamma * Math.sin(angle);
+
+  if (!viewer.tiltOrigin) viewer.tiltOrigin = { x: tiltX, y: tiltY };
+  setParallaxTarget(
+    (viewer.tiltOrigin.x - tiltX) / PARALLAX_TILT_RANGE,
+    (viewer.tiltOrigin.y - tiltY) / PARALLAX_TILT_RANGE
+  );
+}
+
+// Render until the shown view matches the latest target
+async function renderParallaxView(viewer) {
+  viewer.rendering = true;
+  try {
+    while (stereoViewer === viewer && viewer.shown !== viewer.target) {
+      const target = viewer.target;
+      const image = await renderParallaxViewpoint(
+        viewer.img, viewer.depthMap, viewer.settings, viewer.width, viewer.height, target.x, target.y
+      );
+      if (stereoViewer !== viewer) break;
+      viewer.canvas.getContext('2d').putImageData(image, 0, 0);
+      viewer.shown = target;
+    }
+  } finally {
+    viewer.rendering = false;
+  }
+}
+
+// One inpainted view at eye offset (offsetX, offsetY); the render frame
+// (source pixels and processed depth) is prepared once per viewer
+function renderCachedViewpoint(img, depthMap, settings, width, height, offsetX, offsetY) {
+  const key = `${width}x${height} ${JSON.stringify(settings)}`;
+  if (!parallaxFrame || parallaxFrame.img !== img || parallaxFrame.depthMap !== depthMap ||
+      parallaxFrame.revision !== depthMapRevision || parallaxFrame.key !== key) {
+    parallaxFrame = {
+      img, depthMap, revision: depthMapRevision, key,
+      frame: prepareRenderFrame(img, depthMap, settings, width, height)
+    };
+  }
+  return renderViewpoint(parallaxFrame.frame, offsetX, offsetY, settings);
+}
+
+// Start an immersive session showing the eye views on a virtual screen
+async function startVrSession(settings) {
+  const session = await navigator.xr.requestSession('immersive-vr');
+  vrSession = session;
+  session.addEventListener('end', () => {
+    if (vrSession === session) vrSession = null;
+    updateViewerOptions();
+  });
+  updateViewerOptions();
+
+  try {
+    showLoading('Rendering eye views for VR...');
+    const img = state.originalImage;
+    const eyes = await renderEyeCanvases(
+      img, getActiveDepthMap(), settings, getViewerEyeScale(img, settings), getPairRightView(settings)
+    );
+    await runVrScreen(session, eyes);
+  } catch (error) {
+    session.end().catch(() => {});
+    throw error;
+  } finally {
+    hideLoading();
+  }
+}
+
+// Draw every XR view until the session ends: the eye image matching
+// view.eye (mono views get the left one) on a quad VR_SCREEN_DISTANCE ahead
+// of the starting head position, so it stays put as the head moves
+async function runVrScreen(session, eyes) {
+  const gl = createCanvas(1, 1).getContext('webgl2', { xrCompatible: true, alpha: false });
+  if (!gl) throw new Error('WebGL2 is not supported');
+  session.updateRenderState({ baseLayer: new XRWebGLLayer(session, gl) });
+  const space = await session.requestReferenceSpace('local');
+
+  const program = linkGpuProgram(gl, VR_SCREEN_VS, VR_SCREEN_FS);
+  gl.bindVertexArray(gl.createVertexArray());
+  const textures = eyes.map(eye => {
+    const texture = createGpuTexture(gl, gl.LINEAR);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, eye);
+    // Mipmaps keep the distant screen from shimmering
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.generateMipmap(gl.TEXTURE_2D);
+    return texture;
+  });
+  const halfSize = [VR_SCREEN_WIDTH / 2, VR_SCREEN_WIDTH / 2 * eyes[0].height / eyes[0].width];
+
+  // Stop drawing and free the eye textures as soon as the session is over
+  let ended = false;
+  session.addEventListener('end', () => {
+    ended = true;
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+  });
+
+  const onFrame = (time, frame) => {
+    if (ended) return;
+    // The eye textures went with a lost context (GPU reset): end the session
+    // rather than show an empty screen
+    if (gl.isContextLost()) {
+      console.warn('WebGL context lost, ending the VR session');
+      session.end().catch(() => {});
+      return;
+    }
+    session.requestAnimationFrame(onFrame);
+    const pose = frame.getViewerPose(space);
+    if (!pose) return;
+
+    const layer = session.renderState.baseLayer;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+    gl.clearColor(0.016, 0.027, 0.039, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    for (const view of pose.views) {
+      const { x, y, width, height } = layer.getViewport(view);
+      gl.viewport(x, y, width, height);
+      runGpuProgram(gl, program, {
+        uViewProjection: multiplyMatrix4(view.projectionMatrix, view.transform.inverse.matrix),
+        uHalfSize: halfSize,
+        uDistance: VR_SCREEN_DISTANCE,
+        uEye: textures[view.eye === 'right' ? 1 : 0]
+      });
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+  };
+  session.requestAnimationFrame(onFrame);
+}
+
+// Product a * b of column-major 4x4 matrices (the WebXR layout)
+function multiplyMatrix4(a, b) {
+  const out = new Float32Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+// ============================================================================
+// 3D MESH EXPORT
+// ============================================================================
+
+// The image as a textured relief for Blender, game engines or web viewers: a
+// grid over the whole source image (not the stereo framing), each vertex
+// pushed towards the viewer by the active depth, or the same grid as a
+// coloured point cloud. Depth gets the renderer's gamma and invert, the
+// screen-plane depth (convergence) sits at z = 0 and Depth Intensity sets the
+// relief (at 100 the full depth range equals the image width).
+// Units: the image is 1 wide, y up, +z towards the viewer (glTF convention).
+// - GLB: binary glTF 2.0 with normals, UVs and the source as an embedded
+//   JPEG texture on an unlit material
+// - OBJ: ZIP of model.obj, model.mtl and texture.jpg
+// - PLY: binary point cloud with normals and per-point colour
+// Cutting edges drops triangles whose corners differ by more than
+// MESH_EDGE_DEPTH_JUMP in depth, so foreground and background are not joined
+// by stretched skins.
+
+const MESH_EDGE_DEPTH_JUMP = 0.05;
+const MESH_TEXTURE_MAX_SIZE = 4096;
+const MESH_TEXTURE_QUALITY = 0.92;
+
+// glTF constants
+const GLB_MAGIC = 0x46546c67;
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_INT = 5125;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+const GLTF_LINEAR = 9729;
+const GLTF_LINEAR_MIPMAP_LINEAR = 9987;
+const GLTF_CLAMP_TO_EDGE = 33071;
+
+// Export the active depth (edits and hidden layer included) as settings.meshFormat
+async function exportDepthMesh(settings) {
+  const img = state.originalImage;
+  const mesh = buildDepthMesh(img, getActiveDepthValues(), settings);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+  const baseName = `stereonix_${timestamp}`;
+
+  if (settings.meshFormat === 'ply') {
+    const colors = sampleGridColors(img, mesh.columns, mesh.rows);
+    downloadBlob(encodePly(mesh, colors), `${baseName}_points.ply`);
+    return;
+  }
+
+  const texture = await encodeMeshTexture(img);
+  if (settings.meshFormat === 'obj') {
+    const zip = await createZip([
+      { name: 'model.obj', blob: encodeObj(mesh, 'model.mtl') },
+      { name: 'model.mtl', blob: new Blob([buildObjMaterial('texture.jpg')], { type: 'text/plain' }) },
+      { name: 'texture.jpg', blob: new Blob([texture], { type: 'image/jpeg' }) }
+    ]);
+    downloadBlob(zip, `${baseName}_mesh_obj.zip`);
+    return;
+  }
+
+  downloadBlob(encodeGlb(mesh, texture), `${baseName}_mesh.glb`);
+}
+
+// Grid of settings.meshResolution vertices along the longest side (at most
+// one per pixel) sampled from image-sized 0-1 depth (0 = near)
+// Returns { columns, rows, positions, normals, uvs, indices }; uvs have v down
+function buildDepthMesh(img, values, settings) {
+  const { width, height } = img;
+  const { depthGamma, invertDepth } = settings;
+  const longest = Math.max(width, height);
+  const detail = Math.min(settings.meshResolution, longest);
+  const columns = Math.max(2, Math.round(detail * width / longest));
+  const rows = Math.max(2, Math.round(detail * height / longest));
+  const aspect = height / width;
+  const relief = settings.depthIntensity / 100;
+  const convergence = settings.convergence / 100;
+
+  const depth = new Float32Array(columns * rows);
+  const positions = new Float32Array(columns * rows * 3);
+  const uvs = new Float32Array(columns * rows * 2);
+
+  for (let row = 0; row < rows; row++) {
+    const v = row / (rows - 1);
+    const srcY = Math.round(v * (height - 1));
+    for (let col = 0; col < columns; col++) {
+      const u = col / (columns - 1);
+      let d = values[srcY * width + Math.round(u * (width - 1))];
+
+      // Same processing as prepareRenderFrame
+      if (depthGamma !== 1.0) d = Math.pow(d, depthGamma);
+      if (invertDepth) d = 1 - d;
+
+      const i = row * columns + col;
+      depth[i] = d;
+      positions[i * 3] = u - 0.5;
+      positions[i * 3 + 1] = (0.5 - v) * aspect;
+      positions[i * 3 + 2] = (convergence - d) * relief;
+      uvs[i * 2] = u;
+      uvs[i * 2 + 1] = v;
+    }
+  }
+
+  return {
+    columns,
+    rows,
+    positions,
+    normals: computeGridNormals(positions, columns, rows),
+    uvs,
+    indices: triangulateGrid(depth, columns, rows, settings.meshCutEdges)
+  };
+}
+
+// Smooth vertex normals from central differences along the grid
+function computeGridNormals(positions, columns, rows) {
+  const normals = new Float32Array(positions.length);
+  for (let row = 0; row < rows; row++) {
+    const up = Math.max(0, row - 1) * columns;
+    const down = Math.min(rows - 1, row + 1) * columns;
+    for (let col = 0; col < columns; col++) {
+      const left = row * columns + Math.max(0, col - 1);
+      const right = row * columns + Math.min(columns - 1, col + 1);
+      const dx = positions[right * 3] - positions[left * 3];
+      const dzx = positions[right * 3 + 2] - positions[left * 3 + 2];
+      const dy = positions[(up + col) * 3 + 1] - positions[(down + col) * 3 + 1];
+      const dzy = positions[(up + col) * 3 + 2] - positions[(down + col) * 3 + 2];
+
+      // cross((dx, 0, dzx), (0, dy, dzy))
+      const nx = -dzx * dy;
+      const ny = -dx * dzy;
+      const nz = dx * dy;
+      const length = Math.hypot(nx, ny, nz) || 1;
+      const i = (row * columns + col) * 3;
+      normals[i] = nx / length;
+      normals[i + 1] = ny / length;
+      normals[i + 2] = nz / length;
+    }
+  }
+  return normals;
+}
+
+// Two counter-clockwise (seen from +z) triangles per grid cell, without the
+// ones spanning a depth discontinuity when cutEdges is set
+function triangulateGrid(depth, columns, rows, cutEdges) {
+  const indices = new Uint32Array((columns - 1) * (rows - 1) * 6);
+  let count = 0;
+
+  const addTriangle = (a, b, c) => {
+    if (cutEdges) {
+      const da = depth[a];
+      const db = depth[b];
+      const dc = depth[c];
+      if (Math.max(da, db, dc) - Math.min(da, db, dc) > MESH_EDGE_DEPTH_JUMP) return;
+    }
+    indices[count++] = a;
+    indices[count++] = b;
+    indices[count++] = c;
+  };
+
+  for (let row = 0; row < rows - 1; row++) {
+    for (let col = 0; col < columns - 1; col++) {
+      const topLeft = row * columns + col;
+      const bottomLeft = topLeft + columns;
+      addTriangle(topLeft, bottomLeft, topLeft + 1);
+      addTriangle(topLeft + 1, bottomLeft, bottomLeft + 1);
+    }
+  }
+
+  return indices.slice(0, count);
+}
+
+// Source image resampled to one RGBA pixel per grid vertex
+function sampleGridColors(img, columns, rows) {
+  const canvas = createCanvas(columns, rows);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, columns, rows);
+  return ctx.getImageData(0, 0, columns, rows).data;
+}
+
+// Source image as JPEG bytes, downscaled to MESH_TEXTURE_MAX_SIZE
+async function encodeMeshTexture(img) {
+  const scale = Math.min(1, MESH_TEXTURE_MAX_SIZE / Math.max(img.width, img.height));
+  const canvas = createCanvas(Math.round(img.width * scale), Math.round(img.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return encodeCanvasBytes(canvas, 'image/jpeg', MESH_TEXTURE_QUALITY);
+}
+
+// ----------------------------------------------------------------------------
+// GLB
+// ----------------------------------------------------------------------------
+
+// Binary glTF 2.0: JSON chunk, then one BIN chunk holding every buffer view
+// (4-byte aligned). Typed arrays are copied as-is, which is little-endian on
+// every platform browsers run on
+function encodeGlb(mesh, texture) {
+  const { positions, normals, uvs, indices } = mesh;
+  const vertexCount = positions.length / 3;
+
+  const parts = [];
+  const bufferViews = [];
+  let offset = 0;
+  const addView = (bytes, target) => {
+    bufferViews.push(target
+      ? { buffer: 0, byteOffset: offset, byteLength: bytes.length, target }
+      : { buffer: 0, byteOffset: offset, byteLength: bytes.length });
+    const padding = (4 - bytes.length % 4) % 4;
+    parts.push(bytes, new Uint8Array(padding));
+    offset += bytes.length + padding;
+    return bufferViews.length - 1;
+  };
+  const typedBytes = array => new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    const axis = i % 3;
+    if (positions[i] < min[axis]) min[axis] = positions[i];
+    if (positions[i] > max[axis]) max[axis] = positions[i];
+  }
+
+  const accessors = [
+    { bufferView: addView(typedBytes(positions), GLTF_ARRAY_BUFFER), componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC3', min, max },
+    { bufferView: addView(typedBytes(normals), GLTF_ARRAY_BUFFER), componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC3' },
+    { bufferView: addView(typedBytes(uvs), GLTF_ARRAY_BUFFER), componentType: GLTF_FLOAT, count: vertexCount, type: 'VEC2' },
+    { bufferView: addView(typedBytes(indices), GLTF_ELEMENT_ARRAY_BUFFER), componentType: GLTF_UNSIGNED_INT, count: indices.length, type: 'SCALAR' }
+  ];
+  const imageView = addView(texture);
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'Stereonix' },
+    extensionsUsed: ['KHR_materials_unlit'],
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: 'Stereonix relief', mesh: 0 }],
+    meshes: [{
+      name: 'relief',
+      primitives: [{ attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 }, indices: 3, material: 0 }]
+    }],
+    // Unlit so the photo keeps its own lighting; viewers without the extension shade it normally
+    materials: [{
+      name: 'photo',
+      pbrMetallicRoughness: { baseColorTexture: { index: 0 }, metallicFactor: 0, roughnessFactor: 1 },
+      doubleSided: true,
+      extensions: { KHR_materials_unlit: {} }
+    }],
+    textures: [{ source: 0, sampler: 0 }],
+    samplers: [{
+      magFilter: GLTF_LINEAR, minFilter: GLTF_LINEAR_MIPMAP_LINEAR,
+      wrapS: GLTF_CLAMP_TO_EDGE, wrapT: GLTF_CLAMP_TO_EDGE
+    }],
+    images: [{ bufferView: imageView, mimeType: 'image/jpeg' }],
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength: offset }]
+  };
+
+  // The JSON chunk is padded with spaces
+  let json = JSON.stringify(gltf);
+  json += ' '.repeat((4 - json.length % 4) % 4);
+  const jsonBytes = asciiBytes(json);
+
+  const totalLength = 12 + 8 + jsonBytes.length + 8 + offset;
+  return new Blob([
+    leFields([GLB_MAGIC, 4], [2, 4], [totalLength, 4]),
+    leFields([jsonBytes.length, 4], [GLB_CHUNK_JSON, 4]),
+    jsonBytes,
+    leFields([offset, 4], [GLB_CHUNK_BIN, 4]),
+    ...parts
+  ], { type: 'model/gltf-binary' });
+}
+
+// ----------------------------------------------------------------------------
+// OBJ
+// ----------------------------------------------------------------------------
+
+// Wavefront OBJ text, built a row at a time (large grids would exceed the
+// maximum string length in one piece). OBJ texture coordinates have v up
+function encodeObj(mesh, materialFile) {
+  const { columns, rows, positions, normals, uvs, indices } = mesh;
+  const format = value => value.toFixed(5);
+  const parts = [`# Stereonix depth relief\nmtllib ${materialFile}\no relief\n`];
+
+  for (let row = 0; row < rows; row++) {
+    const lines = [];
+    for (let i = row * columns; i < (row + 1) * columns; i++) {
+      lines.push(`v ${format(positions[i * 3])} ${format(positions[i * 3 + 1])} ${format(positions[i * 3 + 2])}`);
+    }
+    parts.push(lines.join('\n') + '\n');
+  }
+  for (let row = 0; row < rows; row++) {
+    const lines = [];
+    for (let i = row * columns; i < (row + 1) * columns; i++) {
+      lines.push(`vt ${format(uvs[i * 2])} ${format(1 - uvs[i * 2 + 1])}`);
+    }
+    parts.push(lines.join('\n') + '\n');
+  }
+  for (let row = 0; row < rows; row++) {
+    const lines = [];
+    for (let i = row * columns; i < (row + 1) * columns; i++) {
+      lines.push(`vn ${format(normals[i * 3])} ${format(normals[i * 3 + 1])} ${format(normals[i * 3 + 2])}`);
+    }
+    parts.push(lines.join('\n') + '\n');
+  }
+
+  parts.push('usemtl photo\ns 1\n');
+  // Indices are 1-based and shared by position, texture coordinate and normal
+  const faceChunk = (columns - 1) * 6;
+  for (let start = 0; start < indices.length; start += faceChunk) {
+    const lines = [];
+    for (let i = start; i < Math.min(indices.length, start + faceChunk); i += 3) {
+      const [a, b, c] = [indices[i] + 1, indices[i + 1] + 1, indices[i + 2] + 1];
+      lines.push(`f ${a}/${a}/${a} ${b}/${b}/${b} ${c}/${c}/${c}`);
+    }
+    parts.push(lines.join('\n') + '\n');
+  }
+
+  return new Blob(parts, { type: 'text/plain' });
+}
+
+// Material library with the texture as diffuse map (unshaded colour, no specular)
+function buildObjMaterial(textureFile) {
+  return [
+    '# Stereonix depth relief',
+    'newmtl photo',
+    'Ka 1 1 1',
+    'Kd 1 1 1',
+    'Ks 0 0 0',
+    'd 1',
+    'illum 1',
+    `map_Kd ${textureFile}`,
+    ''
+  ].join('\n');
+}
+
+// ----------------------------------------------------------------------------
+// PLY
+// ----------------------------------------------------------------------------
+
+// Binary little-endian PLY: position, normal and colour per grid vertex
+function encodePly(mesh, colors) {
+  const { positions, normals } = mesh;
+  const count = positions.length / 3;
+  const header = asciiBytes([
+    'ply',
+    'format binary_little_endian 1.0',
+    'comment Stereonix depth point cloud',
+    `element vertex ${count}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property float nx',
+    'property float ny',
+    'property float nz',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'end_header',
+    ''
+  ].join('\n'));
+
+  const stride = 27;
+  const body = new DataView(new ArrayBuffer(count * stride));
+  for (let i = 0; i < count; i++) {
+    const pos = i * stride;
+    for (let axis = 0; axis < 3; axis++) {
+      body.setFloat32(pos + axis * 4, positions[i * 3 + axis], true);
+      body.setFloat32(pos + 12 + axis * 4, normals[i * 3 + axis], true);
+      body.setUint8(pos + 24 + axis, colors[i * 4 + axis]);
+    }
+  }
+
+  return new Blob([header, body.buffer], { type: 'application/octet-stream' });
+}
+
+// ============================================================================
+// BATCH PROCESSING
+// ============================================================================
+
+// Images picked or dropped as a batch (folders included) are queued and
+// processed one at a time with a shared settings preset, captured from the
+// editor, plus optional per-item overrides pinned from the editor. Depth runs
+// sequentially through the one loaded model. Results are kept as blobs in
+// the chosen image format and exported as a single ZIP built in the
+// browser. Depth edits apply to the editor image only; the hidden layer
+// (with the editor's mask) applies to every item.
+
+// Editor-only settings that never become per-item overrides
+const BATCH_EDITOR_SETTINGS = new Set([
+  'previewZoom', 'showHoleMask', 'gpuRendering', 'editTool', 'editDirection', 'brushSize', 'brushSoftness',
+  'brushStrength', 'fillDepth', 'fillTolerance', 'overlayOpacity', 'hiddenFlatPreview',
+  'pairSwapEyes', 'pairNudgeY', 'pairNudgeRotation', 'pairNudgeScale', 'pairAlignPreview',
+  'videoStart', 'videoEnd', 'videoFps', 'videoSmoothing', 'videoFormat',
+  'wigglePath', 'wiggleFrames', 'wiggleFps', 'wiggleSize', 'wiggleFormat', 'viewerMode',
+  'meshFormat', 'meshResolution', 'meshCutEdges'
+]);
+
+// Images without a MIME type (e.g. HEIC on some systems) are matched by extension
+const BATCH_IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|bmp|avif|heic|heif)$/i;
+
+const BATCH_STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Processing...',
+  done: 'Done',
+  error: 'Failed'
+};
+
+let batchQueue = [];
+let batchPreset = null;
+let batchJob = null;
+let batchNextId = 1;
+
+// Settings snapshot that later editor changes cannot mutate
+function copySettings(settings) {
+  return { ...settings, viewing: { ...settings.viewing } };
+}
+
+// Queue image files ({ file, path }); the first files capture the shared preset
+function addBatchFiles(entries) {
+  const images = entries.filter(({ file }) => file.type.startsWith('image/') || BATCH_IMAGE_EXTENSIONS.test(file.name));
+  if (images.length && !batchPreset) {
+    batchPreset = copySettings(state.settings);
+  }
+
+  for (const { file, path } of images) {
+    batchQueue.push({
+      id: batchNextId++,
+      file,
+      path,
+      status: 'queued',
+      error: null,
+      overrides: null,
+      output: null,
+      suffix: '',
+      depth: null
+    });
+  }
+
+  renderBatchQueue();
+  return images.length;
+}
+
+// Files from a file input, keeping folder-relative paths
+function fileListEntries(files) {
+  return [...files].map(file => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+// Files from a drop, descending into dropped folders
+async function collectDroppedFiles(dataTransfer) {
+  // Entries must be taken before the first await; the DataTransfer is emptied afterwards
+  const entries = [...dataTransfer.items]
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return fileListEntries(dataTransfer.files);
+
+  const files = [];
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ file, path: prefix + file.name });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns the listing in chunks until an empty one
+      for (;;) {
+        const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!children.length) break;
+        for (const child of children) {
+          await walk(child, `${prefix}${entry.name}/`);
+        }
+      }
+    }
+  };
+
+  for (const entry of entries) {
+    await walk(entry, '');
+  }
+  return files;
+}
+
+// Shared preset with the item's pinned overrides applied
+function getBatchItemSettings(item) {
+  return { ...copySettings(batchPreset), ...item.overrides };
+}
+
+// Pin the editor's settings that differ from the preset onto an item
+function pinBatchOverrides(item) {
+  const overrides = {};
+  for (const [key, value] of Object.entries(state.settings)) {
+    if (BATCH_EDITOR_SETTINGS.has(key)) continue;
+    if (JSON.stringify(value) !== JSON.stringify(batchPreset[key])) {
+      overrides[key] = typeof value === 'object' ? { ...value } : value;
+    }
+  }
+  item.overrides = Object.keys(overrides).length ? overrides : null;
+  // New settings make earlier results stale
+  if (item.status === 'done') resetBatchItem(item);
+}
+
+function resetBatchItem(item) {
+  item.status = 'queued';
+  item.error = null;
+  item.output = null;
+  item.depth = null;
+}
+
+// Process every item that is not done, in order, until finished or cancelled
+async function processBatch(job, includeDepth, onProgress) {
+  const pending = batchQueue.filter(item => item.status !== 'done');
+
+  for (let i = 0; i < pending.length; i++) {
+    const item = pending[i];
+    if (job.cancelled) return;
+    // Removed from the queue while waiting
+    if (!batchQueue.includes(item)) continue;
+
+    item.status = 'processing';
+    renderBatchQueue();
+
+    let url = null;
+    try {
+      const settings = getBatchItemSettings(item);
+      const metadata = await readImageMetadata(item.file);
+      const loaded = await loadImage(item.file);
+      url = loaded.src;
+      const img = orientImage(loaded, metadata.orientation);
+
+      const depthFloat = settings.useEmbeddedDepth && metadata.depth
+        ? metadata.depth
+        : await estimateDepth(img, settings);
+      if (job.cancelled) {
+        item.status = 'queued';
+        return;
+      }
+
+      const depthValues = applyBatchHiddenLayer(img, generateDepthValues(img, depthFloat, settings), settings);
+      const depthMap = depthValuesToImageData(depthValues, img.width, img.height);
+      const depthSource = settings.useEmbeddedDepth && metadata.depth ? 'embedded' : 'model';
+      const result = await exportStereogram(img, depthMap, settings, depthSource);
+      item.output = result.blob;
+      item.suffix = result.suffix;
+      item.extension = result.extension;
+      item.depth = includeDepth
+        ? await encodeDepthPng(depthValues, img.width, img.height, 16)
+        : null;
+      item.status = 'done';
+    } catch (error) {
+      console.error(`Error processing ${item.path}:`, error);
+      item.status = 'error';
+      item.error = error.message;
+    } finally {
+      if (url) URL.revokeObjectURL(url);
+    }
+
+    renderBatchQueue();
+    onProgress(i + 1, pending.length);
+  }
+}
+
+// ZIP of every finished result: stereograms/ and (optionally) depth/
+async function buildBatchZip() {
+  const entries = [];
+  const used = new Set();
+  const uniqueName = name => {
+    let candidate = name;
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = name.replace(/(\.[^.]+)$/, ` (${n})$1`);
+    }
+    used.add(candidate);
+    return candidate;
+  };
+
+  for (const item of batchQueue) {
+    if (item.status !== 'done') continue;
+    const base = item.path.replace(/\.[^./]+$/, '');
+    entries.push({ name: uniqueName(`stereograms/${base}${item.suffix}.${item.extension}`), blob: item.output });
+    if (item.depth) {
+      entries.push({ name: uniqueName(`depth/${base}_depth_16bit.png`), blob: item.depth });
+    }
+  }
 
-// Pan Y control
-panYSlider.addEventListener('input', (e) => {
-  state.settings.panY = parseFloat(e.target.value);
-  panYValue.textContent = state.settings.panY;
-  updatePreview();
-});
+  return createZip(entries);
+}
 
-// Depth intensity control
-depthIntensitySlider.addEventListener('input', (e) => {
-  state.settings.depthIntensity = parseFloat(e.target.value);
-  depthIntensityValue.textContent = state.settings.depthIntensity;
-  updatePreview();
-});
+// Rebuild the queue list and the batch buttons
+function renderBatchQueue() {
+  batchList.replaceChildren(...batchQueue.map(item => {
+    const row = document.createElement('li');
+    row.className = `batch-item batch-${item.status}`;
+
+    const name = document.createElement('button');
+    name.className = 'batch-name';
+    name.textContent = item.path;
+    name.title = 'Open in the editor';
+    name.disabled = !!batchJob;
+    name.addEventListener('click', () => handleImageLoad(item.file));
+
+    const status = document.createElement('span');
+    status.className = 'batch-status';
+    status.textContent = item.status === 'error' ? `${BATCH_STATUS_LABELS.error}: ${item.error}` : BATCH_STATUS_LABELS[item.status];
+
+    const overrideCount = item.overrides ? Object.keys(item.overrides).length : 0;
+    const pin = document.createElement('button');
+    pin.className = 'batch-action';
+    pin.textContent = overrideCount ? `📌 ${overrideCount}` : '📌';
+    pin.title = overrideCount
+      ? `Clear overrides: ${Object.keys(item.overrides).join(', ')}`
+      : 'Pin the editor\'s current settings to this item';
+    pin.disabled = !!batchJob;
+    pin.addEventListener('click', () => {
+      if (item.overrides) {
+        item.overrides = null;
+        if (item.status === 'done') resetBatchItem(item);
+      } else {
+        pinBatchOverrides(item);
+      }
+      renderBatchQueue();
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'batch-action';
+    remove.textContent = '✖';
+    remove.title = 'Remove from queue';
+    remove.disabled = item.status === 'processing';
+    remove.addEventListener('click', () => {
+      batchQueue = batchQueue.filter(other => other !== item);
+      renderBatchQueue();
+    });
+
+    row.append(name, status, pin, remove);
+    return row;
+  }));
+
+  const done = batchQueue.filter(item => item.status === 'done').length;
+  batchEmptyHint.style.display = batchQueue.length ? 'none' : 'block';
+  batchOptions.style.display = batchQueue.length ? 'block' : 'none';
+  startBatchBtn.disabled = !!batchJob || done === batchQueue.length;
+  downloadBatchBtn.disabled = !!batchJob || done === 0;
+  downloadBatchBtn.textContent = `🗜️ Download ZIP (${done}/${batchQueue.length})`;
+  clearBatchBtn.disabled = !!batchJob;
+  batchPresetBtn.disabled = !!batchJob;
+
+  const overridden = batchQueue.filter(item => item.overrides).length;
+  batchPresetInfo.textContent = batchPreset
+    ? `Shared preset: ${getDepthModel(batchPreset.depthModel).name}, ` +
+      `${batchPreset.viewMode === 'anaglyph' ? 'anaglyph' : batchPreset.layout}, ` +
+      `${batchPreset.resolution} output, depth ${batchPreset.depthIntensity} · ` +
+      `${overridden} of ${batchQueue.length} with overrides`
+    : '';
+}
 
-// Depth gamma control
-depthGammaSlider.addEventListener('input', (e) => {
-  state.settings.depthGamma = parseFloat(e.target.value);
-  depthGammaValue.textContent = state.settings.depthGamma.toFixed(2);
-  updatePreview();
-});
+// ----------------------------------------------------------------------------
+// ZIP archives (written stored, since PNGs are already compressed)
+// ----------------------------------------------------------------------------
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20;
+const ZIP_UTF8_NAMES = 0x0800;
+
+// entries: [{ name, blob }], names may contain folders ("a/b.png")
+async function createZip(entries) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const encoder = new TextEncoder();
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, blob } of entries) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+
+    // Shared by the local and central headers: version needed .. extra length
+    const fields = leFields(
+      [ZIP_VERSION, 2], [ZIP_UTF8_NAMES, 2], [0, 2], [time, 2], [date, 2],
+      [crc, 4], [blob.size, 4], [blob.size, 4], [nameBytes.length, 2], [0, 2]
+    );
 
-// Invert depth checkbox
-invertDepthCheckbox.addEventListener('change', (e) => {
-  state.settings.invertDepth = e.target.checked;
-  updatePreview();
-});
+    const local = concatBytes([leFields([ZIP_LOCAL_HEADER, 4]), fields, nameBytes]);
+    directory.push(concatBytes([
+      leFields([ZIP_CENTRAL_HEADER, 4], [ZIP_VERSION, 2]),
+      fields,
+      // comment length, disk, internal and external attributes, local header offset
+      leFields([0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]),
+      nameBytes
+    ]));
+
+    parts.push(local, blob);
+    offset += local.length + blob.size;
+  }
 
-// Save button
-saveBtn.addEventListener('click', () => {
-  if (!previewCanvas.width || !previewCanvas.height) {
-    alert('No stereogram to save. Please load an image first.');
-    return;
+  const centralDirectory = concatBytes(directory);
+  const end = leFields(
+    [ZIP_END_OF_DIRECTORY, 4], [0, 2], [0, 2], [entries.length, 2], [entries.length, 2],
+    [centralDirectory.length, 4], [offset, 4], [0, 2]
+  );
+
+  return new Blob([...parts, centralDirectory, end], { type: 'application/zip' });
+}
+
+// Read a ZIP archive into a Map of name -> Blob (stored or deflated entries)
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  // End of central directory record, searched backwards past an archive comment
+  let end = bytes.length - 22;
+  while (end >= Math.max(0, bytes.length - 22 - 0xffff) && view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY) end--;
+  if (end < 0 || view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== ZIP_CENTRAL_HEADER) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    let data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 8) {
+      data = new Uint8Array(await new Response(
+        new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+      ).arrayBuffer());
+    } else if (method !== 0) {
+      throw new Error(`Unsupported ZIP compression in ${name}`);
+    }
+    if (crc32(data) !== crc) throw new Error(`ZIP entry ${name} is corrupt (CRC mismatch)`);
+    entries.set(name, new Blob([data]));
+  }
+
+  return entries;
+}
+
+// ============================================================================
+// PROJECT FILES
+// ============================================================================
+
+// A .stereonix project is a ZIP archive:
+//   project.json           format, version, settings and the files below
+//   image.png              source image as loaded (EXIF orientation applied)
+//   depth.f32              model-resolution depth (little-endian Float32)
+//   embedded-depth.f32     depth found in the photo's metadata, if any
+//   edits/delta.f32        depth edit layers (image size), if any
+//   edits/override.f32
+//   hidden-mask.png        hidden layer mask (alpha = coverage), if one was loaded
+//   pair-right.png         other photo of a stereo pair (image.png is the left view)
+// Opening a project restores the exact stereogram without running the model.
+// Undo history is not saved.
+
+const PROJECT_FORMAT = 'stereonix-project';
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = '.stereonix';
+
+// PROJECT_MIGRATIONS[v] upgrades a version v project.json to version v + 1.
+// Settings added later need no migration: missing ones take their defaults.
+const PROJECT_MIGRATIONS = {};
+
+// Defaults for settings missing from older projects
+const PROJECT_DEFAULT_SETTINGS = copySettings(state.settings);
+
+// Bundle the current image, depth, edits and settings
+async function createProjectFile() {
+  const img = state.originalImage;
+  const depth = state.depthFloat;
+  const entries = [];
+
+  const imageCanvas = createCanvas(img.width, img.height);
+  imageCanvas.getContext('2d').drawImage(img, 0, 0);
+  entries.push({ name: 'image.png', blob: await new Promise(resolve => imageCanvas.toBlob(resolve, 'image/png')) });
+  entries.push({ name: 'depth.f32', blob: floatArrayBlob(depth.data) });
+
+  let embeddedDepth = null;
+  if (state.embeddedDepth) {
+    const shared = state.embeddedDepth === depth;
+    embeddedDepth = {
+      ...describeProjectDepth(state.embeddedDepth, shared ? 'depth.f32' : 'embedded-depth.f32'),
+      source: state.embeddedDepthSource
+    };
+    if (!shared) entries.push({ name: 'embedded-depth.f32', blob: floatArrayBlob(state.embeddedDepth.data) });
+  }
+
+  let edits = null;
+  if (state.depthEdits) {
+    const { width, height, delta, override } = state.depthEdits;
+    edits = { width, height, delta: 'edits/delta.f32', override: 'edits/override.f32' };
+    entries.push({ name: edits.delta, blob: floatArrayBlob(delta) });
+    entries.push({ name: edits.override, blob: floatArrayBlob(override) });
+  }
+
+  let hiddenMask = null;
+  if (state.hiddenMask) {
+    hiddenMask = { file: 'hidden-mask.png', width: state.hiddenMask.width, height: state.hiddenMask.height };
+    entries.push({ name: hiddenMask.file, blob: await new Promise(resolve => state.hiddenMask.toBlob(resolve, 'image/png')) });
+  }
+
+  let stereoPair = null;
+  if (state.stereoPair) {
+    const [, right] = getStereoPairViews(state.stereoPair, state.settings);
+    const rightCanvas = createCanvas(right.width, right.height);
+    rightCanvas.getContext('2d').drawImage(right, 0, 0);
+    stereoPair = { file: 'pair-right.png', width: right.width, height: right.height, alignment: state.stereoPair.alignment };
+    entries.push({ name: stereoPair.file, blob: await new Promise(resolve => rightCanvas.toBlob(resolve, 'image/png')) });
+  }
+
+  // Saved viewing profiles live in this browser only; keep the name for reopening elsewhere
+  const profile = getViewingProfiles()[state.settings.viewingProfile];
+
+  const manifest = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    created: new Date().toISOString(),
+    settings: copySettings(state.settings),
+    viewingProfileName: profile ? profile.name : null,
+    image: { file: 'image.png', width: img.width, height: img.height },
+    depth: describeProjectDepth(depth, 'depth.f32'),
+    embeddedDepth,
+    edits,
+    hiddenMask,
+    stereoPair
+  };
+  entries.unshift({ name: 'project.json', blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }) });
+
+  return createZip(entries);
+}
+
+function describeProjectDepth(depth, file) {
+  return { file, width: depth.width, height: depth.height, normalized: !!depth.normalized };
+}
+
+// Little-endian Float32 bytes (NaN edit overrides are kept as NaN)
+function floatArrayBlob(data) {
+  const view = new DataView(new ArrayBuffer(data.length * 4));
+  for (let i = 0; i < data.length; i++) {
+    view.setFloat32(i * 4, data[i], true);
+  }
+  return new Blob([view.buffer], { type: 'application/octet-stream' });
+}
+
+async function readFloatArray(blob, length) {
+  if (blob.size !== length * 4) throw new Error('Project depth data has the wrong size');
+  const view = new DataView(await blob.arrayBuffer());
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = view.getFloat32(i * 4, true);
+  }
+  return data;
+}
+
+// Parse a project file; nothing in state changes until it has been fully read
+async function readProjectFile(file) {
+  let entries;
+  try {
+    entries = await readZip(file);
+  } catch (error) {
+    throw new Error(`Not a Stereonix project (${error.message})`);
+  }
+
+  const entry = name => {
+    if (!entries.has(name)) throw new Error(`Project is missing ${name}`);
+    return entries.get(name);
+  };
+
+  const manifest = upgradeProject(JSON.parse(await entry('project.json').text()));
+
+  const readDepth = async description => {
+    const { file: name, width, height, normalized } = description;
+    const depth = { data: await readFloatArray(entry(name), width * height), width, height };
+    if (normalized) depth.normalized = true;
+    return depth;
+  };
+
+  const img = await loadImage(entry(manifest.image.file));
+  const depthFloat = await readDepth(manifest.depth);
+
+  let embeddedDepth = null;
+  if (manifest.embeddedDepth) {
+    embeddedDepth = manifest.embeddedDepth.file === manifest.depth.file
+      ? depthFloat
+      : await readDepth(manifest.embeddedDepth);
+  }
+
+  let edits = null;
+  if (manifest.edits) {
+    const { width, height } = manifest.edits;
+    if (width !== img.width || height !== img.height) throw new Error('Project depth edits do not match the image size');
+    edits = {
+      delta: await readFloatArray(entry(manifest.edits.delta), width * height),
+      override: await readFloatArray(entry(manifest.edits.override), width * height)
+    };
+  }
+
+  // The saved mask already holds its coverage in alpha
+  let hiddenMask = null;
+  if (manifest.hiddenMask) {
+    const maskImage = await loadImage(entry(manifest.hiddenMask.file));
+    hiddenMask = createCanvas(maskImage.width, maskImage.height);
+    hiddenMask.getContext('2d').drawImage(maskImage, 0, 0);
+  }
+
+  // Photos are kept in their loaded order, which the eye order setting swaps
+  let stereoPair = null;
+  if (manifest.stereoPair) {
+    const right = await loadImage(entry(manifest.stereoPair.file));
+    const swapped = manifest.settings && manifest.settings.pairSwapEyes === true;
+    stereoPair = { photos: swapped ? [right, img] : [img, right], alignment: manifest.stereoPair.alignment };
+  }
+
+  return { manifest, img, depthFloat, embeddedDepth, edits, hiddenMask, stereoPair };
+}
+
+// Check the format and bring an older project.json up to the current version
+function upgradeProject(manifest) {
+  if (!manifest || manifest.format !== PROJECT_FORMAT) {
+    throw new Error('Not a Stereonix project');
+  }
+  if (!(manifest.version <= PROJECT_VERSION)) {
+    throw new Error(`Project was saved by a newer version of Stereonix (format version ${manifest.version})`);
+  }
+
+  while (manifest.version < PROJECT_VERSION) {
+    const migrate = PROJECT_MIGRATIONS[manifest.version];
+    if (!migrate) throw new Error(`Project format version ${manifest.version} is not supported`);
+    manifest = { ...migrate(manifest), version: manifest.version + 1 };
+  }
+  return manifest;
+}
+
+// Settings from a project over the defaults; unknown or mistyped values are ignored
+function restoreProjectSettings(saved = {}) {
+  const settings = copySettings(PROJECT_DEFAULT_SETTINGS);
+  for (const key of Object.keys(settings)) {
+    if (key !== 'viewing' && typeof saved[key] === typeof settings[key]) settings[key] = saved[key];
+  }
+  for (const key of Object.keys(settings.viewing)) {
+    const value = saved.viewing && saved.viewing[key];
+    if (typeof value === 'number') settings.viewing[key] = value;
+  }
+  return settings;
+}
+
+// Replace the current image, depth, edits and settings with a project
+async function openProject(file) {
+  showLoading('Opening project...');
+  try {
+    const { manifest, img, depthFloat, embeddedDepth, edits, hiddenMask, stereoPair } = await readProjectFile(file);
+
+    setDepthEditMode(false);
+    Object.assign(state.settings, restoreProjectSettings(manifest.settings));
+
+    // A saved viewing profile from another browser is added to this one
+    const { viewingProfile } = state.settings;
+    if (viewingProfile !== 'relative' && !getViewingProfiles()[viewingProfile]) {
+      const name = manifest.viewingProfileName || 'Project profile';
+      try {
+        state.settings.viewingProfile = saveViewingProfile(name, state.settings.viewing);
+      } catch (error) {
+        console.warn('Could not save the project viewing profile:', error);
+      }
+    }
+
+    state.originalImage = img;
+    state.depthFloat = depthFloat;
+    state.pendingDepth = null;
+    state.importedDepth = depthFloat.normalized && !stereoPair ? depthFloat : null;
+    state.embeddedDepth = embeddedDepth;
+    state.embeddedDepthSource = manifest.embeddedDepth ? manifest.embeddedDepth.source : null;
+    state.depthEdits = null;
+    state.hiddenMask = hiddenMask;
+    state.stereoPair = stereoPair;
+    state.depthMap = generateDepthMap(img, depthFloat, state.settings);
+
+    if (edits) {
+      const layers = ensureDepthEdits();
+      layers.delta.set(edits.delta);
+      layers.override.set(edits.override);
+      refreshDepthEdits();
+    }
+    updateEditHistoryButtons();
+
+    updateImportedDepthOption();
+    updateEmbeddedDepthOption();
+    updateStereoPairOptions();
+    depthImportStatus.textContent = `Opened project ${file.name} (${depthFloat.width} × ${depthFloat.height} depth)`;
+    syncSettingsControls();
+    showControlSections();
+  } finally {
+    hideLoading();
   }
+  await updatePreview();
+}
 
+// Download the current project as a .stereonix file
+async function saveProject() {
+  const blob = await createProjectFile();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-  downloadCanvas(previewCanvas, `stereonix_${timestamp}.png`);
-});
+  downloadBlob(blob, `stereonix_${timestamp}${PROJECT_EXTENSION}`);
+}
 
-// Drag to pan on preview canvas
-let isDragging = false;
-let lastMouseX = 0;
-let lastMouseY = 0;
+// ============================================================================
+// IMAGE LOADING AND PROCESSING
+// ============================================================================
 
-previewCanvas.addEventListener('mousedown', (e) => {
-  if (!state.originalImage) return;
-  isDragging = true;
-  lastMouseX = e.clientX;
-  lastMouseY = e.clientY;
-  previewCanvas.style.cursor = 'grabbing';
-});
+async function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = URL.createObjectURL(file);
+  });
+}
+
+async function handleImageLoad(file) {
+  try {
+    showLoading('Loading image...');
+
+    // Load image, upright per EXIF orientation, and look for embedded depth
+    const metadata = await readImageMetadata(file);
+    const img = orientImage(await loadImage(file), metadata.orientation);
+    setDepthEditMode(false);
+    state.depthEdits = null;
+    state.originalImage = img;
+    state.stereoPair = null;
+    state.embeddedDepth = metadata.depth;
+    state.embeddedDepthSource = metadata.depthSource;
+    // A depth map imported ahead of the image belongs to it; older imports do not
+    state.importedDepth = state.pendingDepth;
+    state.pendingDepth = null;
+    updateImportedDepthOption();
+    updateEmbeddedDepthOption();
+    updateStereoPairOptions();
+
+    // Generate depth map (imported or embedded depth skips inference)
+    state.depthFloat = await resolveDepth(img);
+    state.depthMap = generateDepthMap(img, state.depthFloat, state.settings);
+
+    showControlSections();
 
-previewCanvas.addEventListener('mousemove', (e) => {
-  if (!isDragging) return;
+    // Generate initial preview
+    hideLoading();
+    await updatePreview();
 
-  const deltaX = e.clientX - lastMouseX;
-  const deltaY = e.clientY - lastMouseY;
+  } catch (error) {
+    console.error('Error processing image:', error);
+    alert('Error processing image. Please try another image or check console for details.');
+    hideLoading();
+  }
+}
 
-  // Update pan based on drag - no limits, full freedom
-  state.settings.panX += deltaX * 0.5;
-  state.settings.panY += deltaY * 0.5;
+function showControlSections() {
+  document.getElementById('cropSection').style.display = 'block';
+  document.getElementById('depthSection').style.display = 'block';
+  document.getElementById('viewSection').style.display = 'block';
+  document.getElementById('editSection').style.display = 'block';
+  document.getElementById('hiddenSection').style.display = 'block';
+  document.getElementById('viewer3dSection').style.display = 'block';
+  document.getElementById('exportSection').style.display = 'block';
+}
 
-  // Update UI
-  panXSlider.value = state.settings.panX;
-  panXValue.textContent = state.settings.panX.toFixed(0);
-  panYSlider.value = state.settings.panY;
-  panYValue.textContent = state.settings.panY.toFixed(0);
+// Imported depth until cleared, stereo pair disparity, embedded depth when
+// available and enabled, otherwise run the model
+async function resolveDepth(img) {
+  if (state.importedDepth) {
+    const { width, height } = state.importedDepth;
+    depthImportStatus.textContent = `Using imported depth map (${width} × ${height})`;
+    return state.importedDepth;
+  }
 
-  lastMouseX = e.clientX;
-  lastMouseY = e.clientY;
+  if (state.stereoPair) {
+    const depth = await estimatePairDepth(state.stereoPair, state.settings);
+    depthImportStatus.textContent = `Using stereo pair disparity (${depth.width} × ${depth.height})`;
+    return depth;
+  }
 
-  updatePreview();
-});
+  if (state.settings.useEmbeddedDepth && state.embeddedDepth) {
+    const { width, height } = state.embeddedDepth;
+    depthImportStatus.textContent = `Using embedded ${state.embeddedDepthSource} depth (${width} × ${height})`;
+    return state.embeddedDepth;
+  }
 
-previewCanvas.addEventListener('mouseup', () => {
-  isDragging = false;
-  previewCanvas.style.cursor = 'grab';
-});
+  showLoading('Analyzing depth (this may take a moment)...');
+  const depth = await estimateDepth(img, state.settings);
+  depthImportStatus.textContent = '';
+  return depth;
+}
 
-previewCanvas.addEventListener('mouseleave', () => {
-  isDragging = false;
-  previewCanvas.style.cursor = 'grab';
-});
+function updateEmbeddedDepthOption() {
+  embeddedDepthOption.style.display = state.embeddedDepth ? 'block' : 'none';
+  embeddedDepthLabel.textContent = state.embeddedDepth
+    ? `Use embedded depth (${state.embeddedDepthSource})`
+    : 'Use embedded depth';
+}
 
-// Touch support for mobile
-previewCanvas.addEventListener('touchstart', (e) => {
+// Re-run depth estimation on the loaded image (e.g. after changing depth detail)
+async function regenerateDepth() {
   if (!state.originalImage) return;
-  isDragging = true;
-  const touch = e.touches[0];
-  lastMouseX = touch.clientX;
-  lastMouseY = touch.clientY;
-  e.preventDefault();
-});
 
-previewCanvas.addEventListener('touchmove', (e) => {
-  if (!isDragging) return;
+  try {
+    state.depthFloat = await resolveDepth(state.originalImage);
+    state.depthMap = generateDepthMap(state.originalImage, state.depthFloat, state.settings);
+    refreshDepthEdits();
+    hideLoading();
+    await updatePreview();
+  } catch (error) {
+    console.error('Error generating depth map:', error);
+    alert('Error generating depth map. Please check console for details.');
+    hideLoading();
+  }
+}
+
+// Rebuild the image-sized depth map without re-running inference
+function rebuildDepthMap() {
+  if (!state.originalImage || !state.depthFloat) return;
 
-  const touch = e.touches[0];
-  const deltaX = touch.clientX - lastMouseX;
-  const deltaY = touch.clientY - lastMouseY;
+  state.depthMap = generateDepthMap(state.originalImage, state.depthFloat, state.settings);
+  refreshDepthEdits();
+  updatePreview();
+}
+
+// ============================================================================
+// PREVIEW RENDERING
+// ============================================================================
+
+async function updatePreview() {
+  if (!state.originalImage || !state.depthMap) return;
 
-  // Update pan based on drag - no limits, full freedom
-  state.settings.panX += deltaX * 0.5;
-  state.settings.panY += deltaY * 0.5;
+  const previewCanvas = document.getElementById('previewCanvas');
+  const previewOverlay = document.getElementById('previewOverlay');
 
-  panXSlider.value = state.settings.panX;
-  panXValue.textContent = state.settings.panX.toFixed(0);
-  panYSlider.value = state.settings.panY;
-  panYValue.textContent = state.settings.panY.toFixed(0);
+  // Hide overlay
+  previewOverlay.style.display = 'none';
 
-  lastMouseX = touch.clientX;
-  lastMouseY = touch.clientY;
+  // The alignment check replaces the stereogram while adjusting a stereo pair
+  if (state.stereoPair && state.settings.pairAlignPreview) {
+    previewGeometry = null;
+    drawPairAlignment(previewCanvas, state.stereoPair, state.settings);
+    previewCanvas.style.transform = `scale(${state.settings.previewZoom / 100})`;
+    previewCanvas.style.transformOrigin = 'center center';
+    return;
+  }
 
-  updatePreview();
-  e.preventDefault();
-});
-
-previewCanvas.addEventListener('touchend', () => {
-  isDragging = false;
-});
-
-// License modal
-const licenseFooter = document.getElementById('licenseFooter');
-const licenseOverlay = document.getElementById('licenseOverlay');
-const licenseModal = document.getElementById('licenseModal');
-const licenseClose = document.getElementById('licenseClose');
-
-licenseFooter.addEventListener('click', () => {
-  licenseModal.style.display = 'block';
-  licenseOverlay.style.display = 'block';
-});
-
-licenseClose.addEventListener('click', () => {
-  licenseModal.style.display = 'none';
-  licenseOverlay.style.display = 'none';
-});
-
-licenseOverlay.addEventListener('click', () => {
-  licenseModal.style.display = 'none';
-  licenseOverlay.style.display = 'none';
-});
-
-// Set cursor style
-previewCanvas.style.cursor = 'grab';
-
-console.log('Stereonix initialized');
+  // Generate stereogram at proxy resolution (export renders at full size)
+  // Flat preview leaves out the hidden layer and every tint or guide: toggling
+  // it must change nothing visible until the pair is fused
+  const settings = copySettings(state.settings);
+  const flat = settings.hiddenFlatPreview;
+  const outputSize = getOutputSize(settings, state.originalImage);
+  const proxyScale = Math.min(1, PREVIEW_MAX_SIZE / Math.max(outputSize.width, outputSize.height));
+  const rendered = await renderPreviewStereogram(
+    state.originalImage,
+    flat ? getEditedDepthMap() : getActiveDepthMap(),
+    settings,
+    proxyScale,
+    { showHoleMask: settings.showHoleMask && !flat, eyeDepth: true, pairRight: getPairRightView(settings) }
+  );
+  // A newer preview replaced this one
+  if (!rendered) return;
+  const { canvas: stereogram, eyeDepth, backend } = rendered;
+
+  // Remember eye placement for pointer mapping (depth editing)
+  const eyeSize = getScaledEyeViewSize(settings, state.originalImage, proxyScale);
+  const dividerWidth = Math.round(getDividerWidth(settings) * proxyScale);
+  previewGeometry = {
+    sideWidth: eyeSize.width,
+    sideHeight: eyeSize.height,
+    viewports: getEyeViewports(settings, eyeSize.width, eyeSize.height, dividerWidth),
+    eyeDepth
+  };
+
+  outputSizeHint.textContent = `Output: ${outputSize.width} × ${outputSize.height} px`;
+  updateRenderBackendHint(settings, backend);
+  updateParallaxInfo();
+  updateHiddenLayerInfo();
+
+  // Update canvas at proxy resolution
+  previewCanvas.width = stereogram.width;
+  previewCanvas.height = stereogram.height;
+  const ctx = previewCanvas.getContext('2d');
+  ctx.drawImage(stereogram, 0, 0);
+
+  if (depthEditMode && !flat) {
+    drawDepthOverlay(ctx, previewGeometry, state.settings);
+  }
+
+  const { width, height } = state.originalImage;
+  const layer = !flat && getHiddenCoverage(width, height, state.settings);
+  if (layer) {
+    drawSourceOverlay(ctx, previewGeometry, state.settings, getHiddenGuide(layer, width, height), 0.5);
+  }
+
+  // Apply preview zoom via CSS transform
+  const scale = state.settings.previewZoom / 100;
+  previewCanvas.style.transform = `scale(${scale})`;
+  previewCanvas.style.transformOrigin = 'center center';
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+function showLoading(message) {
+  const loadingStatus = document.getElementById('loadingStatus');
+  const loadingText = document.getElementById('loadingText');
+  loadingText.textContent = message;
+  loadingStatus.style.display = 'block';
+}
+
+function hideLoading() {
+  const loadingStatus = document.getElementById('loadingStatus');
+  loadingStatus.style.display = 'none';
+}
+
+// Badge on the preview while a render is in progress
+function setRenderingIndicator(visible) {
+  document.getElementById('renderingIndicator').style.display = visible ? 'block' : 'none';
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// BACKGROUND WORKERS
+// ============================================================================
+
+// Depth inference and stereo rendering run in dedicated workers so sliders,
+// panning and painting stay responsive, even during a long mobile inference.
+// Both workers load this script (the page wiring lives in ui.js):
+//  - depth worker: owns the ONNX session (loaded once) and runs inference
+//  - render worker: keeps the current source bitmap and depth map, renders
+//    into OffscreenCanvas and transfers the result back as an ImageBitmap
+// Pixel buffers cross threads as transferables. Preview renders are
+// latest-wins: a newer request replaces one still waiting, and a superseded
+// render that has run longer than PREVIEW_CANCEL_AFTER_MS is cancelled by
+// restarting the render worker.
+// Without worker + OffscreenCanvas 2D support (or from file://) everything
+// runs on the main thread as before.
+
+const IS_WORKER = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+
+// This script (workers are started from it) and the page that relative
+// assets such as the model resolve against
+const PIPELINE_SCRIPT_URL = IS_WORKER ? self.location.href.split('?')[0] : document.currentScript.src;
+const PAGE_BASE_URL = IS_WORKER ? new URLSearchParams(self.location.search).get('page') : document.baseURI;
+
+// Keep in sync with the ONNX Runtime script tag in index.html and RUNTIME_DIGESTS in sw.js
+const ORT_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.19.2/dist/ort.webgpu.min.js';
+const ORT_WASM_PATH = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.19.2/dist/';
+
+const PREVIEW_CANCEL_AFTER_MS = 250;
+
+let depthWorker = null;
+let renderWorker = null;
+let pipelineWorkersFailed = false;
+
+// Inputs the render worker already holds, so unchanged ones are not resent
+let renderWorkerInputs = { source: null, depthMap: null, depthRevision: -1, pairRight: null };
+let renderWorkerSubmit = Promise.resolve();
+
+let previewSerial = 0;
+let previewRunning = null;
+
+function usePipelineWorkers() {
+  return !IS_WORKER &&
+    !pipelineWorkersFailed &&
+    typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvasRenderingContext2D !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined' &&
+    /^https?:/.test(PIPELINE_SCRIPT_URL);
+}
+
+// Promise-based requests to a worker running this script
+function createPipelineWorker(role) {
+  const worker = new Worker(`${PIPELINE_SCRIPT_URL}?page=${encodeURIComponent(PAGE_BASE_URL)}`, {
+    name: `stereonix-${role}`
+  });
+  const pending = new Map();
+  let nextId = 1;
+
+  const failAll = error => {
+    for (const request of pending.values()) request.reject(error);
+    pending.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    if (data.progress) {
+      request.onProgress(...data.progress);
+      return;
+    }
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+
+  // Only script-level failures get here (request errors are posted back);
+  // later requests fall back to the main thread
+  worker.onerror = event => {
+    event.preventDefault();
+    console.error(`Stereonix ${role} worker failed:`, event.message);
+    pipelineWorkersFailed = true;
+    failAll(new Error(event.message || `The ${role} worker failed`));
+  };
+
+  return {
+    request(type, payload, transfer = [], onProgress = () => {}) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ id, type, payload }, transfer);
+      });
+    },
+    pendingCount() {
+      return pending.size;
+    },
+    terminate() {
+      worker.terminate();
+      failAll(new Error('Cancelled'));
+    }
+  };
+}
+
+function getDepthWorker() {
+  if (!depthWorker) depthWorker = createPipelineWorker('depth');
+  return depthWorker;
+}
+
+function getRenderWorker() {
+  if (!renderWorker) {
+    renderWorker = createPipelineWorker('render');
+    renderWorkerInputs = { source: null, depthMap: null, depthRevision: -1, pairRight: null };
+  }
+  return renderWorker;
+}
+
+function restartRenderWorker() {
+  renderWorker.terminate();
+  renderWorker = null;
+}
+
+// Post a render-worker request along with whichever inputs it lacks
+// pairRight (renders only) is sent once per aligned right photo
+function requestRender(type, img, depthMap, body, onProgress, pairRight = null) {
+  const posted = renderWorkerSubmit.then(async () => {
+    const worker = getRenderWorker();
+    const payload = { ...body, pair: !!pairRight };
+    const transfer = [];
+    if (renderWorkerInputs.source !== img) {
+      payload.source = await createImageBitmap(img);
+      transfer.push(payload.source);
+    }
+    if (renderWorkerInputs.depthMap !== depthMap || renderWorkerInputs.depthRevision !== depthMapRevision) {
+      payload.depthMap = depthMap;
+    }
+    if (pairRight && renderWorkerInputs.pairRight !== pairRight) {
+      payload.pairRight = { image: await createImageBitmap(pairRight.image), disparityRange: pairRight.disparityRange };
+      transfer.push(payload.pairRight.image);
+    }
+    renderWorkerInputs = {
+      source: img, depthMap, depthRevision: depthMapRevision, pairRight: pairRight || renderWorkerInputs.pairRight
+    };
+    // Wrapped so the chain below waits for posting, not for the result
+    return { result: worker.request(type, payload, transfer, onProgress) };
+  });
+  renderWorkerSubmit = posted.catch(() => {});
+  return posted.then(({ result }) => result);
+}
+
+// Render a stereogram, off the main thread when possible
+// Returns { canvas, eyeDepth, backend }; eyeDepth ({ left, right }) only with
+// options.eyeDepth, backend is 'gpu' or 'cpu'; options.pairRight as in generateStereogram
+async function renderStereogram(img, depthMap, settings, scale = 1, options = {}) {
+  const { pairRight = null, ...renderOptions } = options;
+  if (!usePipelineWorkers()) {
+    let eyeDepth = null;
+    const canvas = generateStereogram(img, depthMap, settings, scale, {
+      showHoleMask: renderOptions.showHoleMask,
+      onEyeDepth: renderOptions.eyeDepth ? depth => { eyeDepth = depth; } : null,
+      pairRight
+    });
+    return { canvas, eyeDepth, backend: lastRenderBackend };
+  }
+
+  const { bitmap, eyeDepth, backend } = await requestRender(
+    'render', img, depthMap, { settings, scale, options: renderOptions }, undefined, pairRight
+  );
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  canvas.getContext('bitmaprenderer').transferFromImageBitmap(bitmap);
+  return { canvas, eyeDepth, backend };
+}
+
+// Latest-wins preview render. Resolves null when a newer preview replaced it
+// before it started or cancelled it; a render that finishes is still shown,
+// since renders run in order and it is newer than what is on screen
+async function renderPreviewStereogram(img, depthMap, settings, scale, options) {
+  const serial = ++previewSerial;
+  setRenderingIndicator(true);
+
+  try {
+    while (previewRunning) {
+      const running = previewRunning;
+      // Cancel a slow stale render rather than wait for it, unless an export shares the worker
+      if (performance.now() - running.started > PREVIEW_CANCEL_AFTER_MS &&
+          renderWorker && renderWorker.pendingCount() === 1) {
+        restartRenderWorker();
+      }
+      await running.promise.catch(() => {});
+      if (serial !== previewSerial) return null;
+    }
+
+    const running = { started: performance.now(), promise: renderStereogram(img, depthMap, settings, scale, options) };
+    previewRunning = running;
+    try {
+      return await running.promise;
+    } catch (error) {
+      // Superseded renders fail with 'Cancelled' when the worker restarts
+      if (serial !== previewSerial) return null;
+      throw error;
+    } finally {
+      if (previewRunning === running) previewRunning = null;
+    }
+  } finally {
+    if (serial === previewSerial) setRenderingIndicator(false);
+  }
+}
+
+// Wiggle animation frames, off the main thread when possible
+function renderWiggle(img, depthMap, settings, onProgress) {
+  if (!usePipelineWorkers()) {
+    return renderWiggleFrames(img, depthMap, settings, onProgress);
+  }
+  return requestRender('wiggle', img, depthMap, { settings }, onProgress);
+}
+
+// Parallax viewer frame at eye offset (offsetX, offsetY), off the main thread when possible
+async function renderParallaxViewpoint(img, depthMap, settings, width, height, offsetX, offsetY) {
+  if (!usePipelineWorkers()) {
+    return renderCachedViewpoint(img, depthMap, settings, width, height, offsetX, offsetY);
+  }
+  return requestRender('viewpoint', img, depthMap, { settings, width, height, offsetX, offsetY });
+}
+
+// Drop the parallax viewer's render frame, which holds a full-size copy of the source
+function releaseParallaxFrame() {
+  parallaxFrame = null;
+  if (renderWorker) renderWorker.request('release', {}).catch(() => {});
+}
+
+// Worker side: requests are served one at a time in arrival order
+let workerSource = null;
+let workerDepthMap = null;
+let workerPairRight = null;
+let workerQueue = Promise.resolve();
+
+const WORKER_HANDLERS = {
+  async depth({ image, modelKey, depthTiles }, onProgress) {
+    const depth = await computeDepth(image, modelKey, depthTiles, onProgress);
+    image.close();
+    return { result: depth, transfer: [depth.data.buffer] };
+  },
+
+  disparity({ left, right, minDisparity, maxDisparity }, onProgress) {
+    const depth = computeDisparity(left, right, minDisparity, maxDisparity, onProgress);
+    return { result: depth, transfer: [depth.data.buffer] };
+  },
+
+  render({ settings, scale, options, pair }) {
+    let eyeDepth = null;
+    const canvas = generateStereogram(workerSource, workerDepthMap, settings, scale, {
+      showHoleMask: options.showHoleMask,
+      onEyeDepth: options.eyeDepth ? depth => { eyeDepth = depth; } : null,
+      pairRight: pair ? workerPairRight : null
+    });
+    const bitmap = canvas.transferToImageBitmap();
+    const result = { bitmap, eyeDepth, backend: lastRenderBackend };
+    if (!eyeDepth) {
+      return { result, transfer: [bitmap] };
+    }
+    return { result, transfer: [bitmap, eyeDepth.left.buffer, eyeDepth.right.buffer] };
+  },
+
+  async wiggle({ settings }, onProgress) {
+    const frames = await renderWiggleFrames(workerSource, workerDepthMap, settings, onProgress);
+    // Ping-pong paths repeat frames; each buffer is transferred once
+    return { result: frames, transfer: [...new Set(frames.map(frame => frame.data.buffer))] };
+  },
+
+  viewpoint({ settings, width, height, offsetX, offsetY }) {
+    const image = renderCachedViewpoint(workerSource, workerDepthMap, settings, width, height, offsetX, offsetY);
+    return { result: image, transfer: [image.data.buffer] };
+  },
+
+  release() {
+    parallaxFrame = null;
+    return { result: null, transfer: [] };
+  }
+};
+
+function handleWorkerMessage({ data }) {
+  const { id, type, payload } = data;
+  workerQueue = workerQueue.then(async () => {
+    try {
+      // Inputs arrive with the first request that needs them
+      if (payload.source) {
+        if (workerSource) workerSource.close();
+        workerSource = payload.source;
+      }
+      if (payload.depthMap) workerDepthMap = payload.depthMap;
+      if (payload.pairRight) {
+        if (workerPairRight) workerPairRight.image.close();
+        workerPairRight = payload.pairRight;
+      }
+
+      const onProgress = (...progress) => self.postMessage({ id, progress });
+      const { result, transfer } = await WORKER_HANDLERS[type](payload, onProgress);
+      self.postMessage({ id, result }, transfer);
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+// Load ONNX Runtime inside a worker (the page gets it from index.html)
+function importOnnxRuntime() {
+  importScripts(ORT_SCRIPT_URL);
+  ort.env.wasm.wasmPaths = ORT_WASM_PATH;
+}
+
+if (IS_WORKER) {
+  self.onmessage = handleWorkerMessage;
+}
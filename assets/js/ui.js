@@ -0,0 +1,1545 @@
+/**
+ * Stereonix - Page wiring
+ * MIT License - Copyright (c) 2025 NQR
+ *
+ * DOM element references and event listeners. Loaded after app.js, which
+ * holds the processing pipeline and is also loaded by the background workers.
+ */
+
+// ============================================================================
+// DOM ELEMENT REFERENCES
+// ============================================================================
+
+// DOM elements
+const loadImageBtn = document.getElementById('loadImageBtn');
+const imageInput = document.getElementById('imageInput');
+const openProjectBtn = document.getElementById('openProjectBtn');
+const projectInput = document.getElementById('projectInput');
+const loadPairBtn = document.getElementById('loadPairBtn');
+const pairInput = document.getElementById('pairInput');
+const stereoPairOptions = document.getElementById('stereoPairOptions');
+const stereoPairStatus = document.getElementById('stereoPairStatus');
+const pairSwapCheckbox = document.getElementById('pairSwapCheckbox');
+const pairNudgeYSlider = document.getElementById('pairNudgeYSlider');
+const pairNudgeYValue = document.getElementById('pairNudgeYValue');
+const pairNudgeRotationSlider = document.getElementById('pairNudgeRotationSlider');
+const pairNudgeRotationValue = document.getElementById('pairNudgeRotationValue');
+const pairNudgeScaleSlider = document.getElementById('pairNudgeScaleSlider');
+const pairNudgeScaleValue = document.getElementById('pairNudgeScaleValue');
+const pairAlignPreviewCheckbox = document.getElementById('pairAlignPreviewCheckbox');
+const depthModelSelect = document.getElementById('depthModelSelect');
+const depthModelInfo = document.getElementById('depthModelInfo');
+const cachedModelsInfo = document.getElementById('cachedModelsInfo');
+const clearModelCacheBtn = document.getElementById('clearModelCacheBtn');
+const depthDetailSelect = document.getElementById('depthDetailSelect');
+const importDepthBtn = document.getElementById('importDepthBtn');
+const loadVideoBtn = document.getElementById('loadVideoBtn');
+const videoInput = document.getElementById('videoInput');
+const videoOptions = document.getElementById('videoOptions');
+const videoPlayer = document.getElementById('videoPlayer');
+const videoStartInput = document.getElementById('videoStartInput');
+const videoEndInput = document.getElementById('videoEndInput');
+const setVideoStartBtn = document.getElementById('setVideoStartBtn');
+const setVideoEndBtn = document.getElementById('setVideoEndBtn');
+const videoRangeHint = document.getElementById('videoRangeHint');
+const videoFpsSelect = document.getElementById('videoFpsSelect');
+const videoSmoothingSlider = document.getElementById('videoSmoothingSlider');
+const videoSmoothingValue = document.getElementById('videoSmoothingValue');
+const videoFormatSelect = document.getElementById('videoFormatSelect');
+const previewFrameBtn = document.getElementById('previewFrameBtn');
+const convertVideoBtn = document.getElementById('convertVideoBtn');
+const cancelVideoBtn = document.getElementById('cancelVideoBtn');
+const videoProgress = document.getElementById('videoProgress');
+const videoProgressBar = document.getElementById('videoProgressBar');
+const videoProgressText = document.getElementById('videoProgressText');
+const depthInput = document.getElementById('depthInput');
+const depthImportStatus = document.getElementById('depthImportStatus');
+const clearDepthImportBtn = document.getElementById('clearDepthImportBtn');
+const embeddedDepthOption = document.getElementById('embeddedDepthOption');
+const embeddedDepthCheckbox = document.getElementById('embeddedDepthCheckbox');
+const embeddedDepthLabel = document.getElementById('embeddedDepthLabel');
+const depthFormatSelect = document.getElementById('depthFormatSelect');
+const saveDepthBtn = document.getElementById('saveDepthBtn');
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const meshFormatSelect = document.getElementById('meshFormatSelect');
+const meshResolutionSelect = document.getElementById('meshResolutionSelect');
+const meshCutEdgesOption = document.getElementById('meshCutEdgesOption');
+const meshCutEdgesCheckbox = document.getElementById('meshCutEdgesCheckbox');
+const saveMeshBtn = document.getElementById('saveMeshBtn');
+const previewZoomSlider = document.getElementById('previewZoomSlider');
+const previewZoomValue = document.getElementById('previewZoomValue');
+const zoomSlider = document.getElementById('zoomSlider');
+const zoomValue = document.getElementById('zoomValue');
+const panXSlider = document.getElementById('panXSlider');
+const panXValue = document.getElementById('panXValue');
+const panYSlider = document.getElementById('panYSlider');
+const panYValue = document.getElementById('panYValue');
+const depthIntensitySlider = document.getElementById('depthIntensitySlider');
+const convergenceSlider = document.getElementById('convergenceSlider');
+const convergenceValue = document.getElementById('convergenceValue');
+const pickConvergenceBtn = document.getElementById('pickConvergenceBtn');
+const windowGuardSelect = document.getElementById('windowGuardSelect');
+const depthIntensityValue = document.getElementById('depthIntensityValue');
+const depthGammaSlider = document.getElementById('depthGammaSlider');
+const depthGammaValue = document.getElementById('depthGammaValue');
+const invertDepthCheckbox = document.getElementById('invertDepthCheckbox');
+const edgeAwareCheckbox = document.getElementById('edgeAwareCheckbox');
+const rendererSelect = document.getElementById('rendererSelect');
+const gpuRenderingCheckbox = document.getElementById('gpuRenderingCheckbox');
+const gpuStatusHint = document.getElementById('gpuStatusHint');
+const inpaintSelect = document.getElementById('inpaintSelect');
+const holeMaskCheckbox = document.getElementById('holeMaskCheckbox');
+const edgeAwareOptions = document.getElementById('edgeAwareOptions');
+const edgeRadiusSlider = document.getElementById('edgeRadiusSlider');
+const edgeRadiusValue = document.getElementById('edgeRadiusValue');
+const edgeStrengthSlider = document.getElementById('edgeStrengthSlider');
+const edgeStrengthValue = document.getElementById('edgeStrengthValue');
+const editToggleBtn = document.getElementById('editToggleBtn');
+const editTools = document.getElementById('editTools');
+const editToolSelect = document.getElementById('editToolSelect');
+const directionOptions = document.getElementById('directionOptions');
+const editDirectionSelect = document.getElementById('editDirectionSelect');
+const brushOptions = document.getElementById('brushOptions');
+const brushSizeSlider = document.getElementById('brushSizeSlider');
+const brushSizeValue = document.getElementById('brushSizeValue');
+const brushSoftnessSlider = document.getElementById('brushSoftnessSlider');
+const brushSoftnessValue = document.getElementById('brushSoftnessValue');
+const brushStrengthSlider = document.getElementById('brushStrengthSlider');
+const brushStrengthValue = document.getElementById('brushStrengthValue');
+const fillOptions = document.getElementById('fillOptions');
+const fillDepthSlider = document.getElementById('fillDepthSlider');
+const fillDepthValue = document.getElementById('fillDepthValue');
+const fillToleranceSlider = document.getElementById('fillToleranceSlider');
+const fillToleranceValue = document.getElementById('fillToleranceValue');
+const overlayOpacitySlider = document.getElementById('overlayOpacitySlider');
+const overlayOpacityValue = document.getElementById('overlayOpacityValue');
+const undoEditBtn = document.getElementById('undoEditBtn');
+const redoEditBtn = document.getElementById('redoEditBtn');
+const clearEditsBtn = document.getElementById('clearEditsBtn');
+const hiddenLayerCheckbox = document.getElementById('hiddenLayerCheckbox');
+const hiddenLayerOptions = document.getElementById('hiddenLayerOptions');
+const hiddenSourceSelect = document.getElementById('hiddenSourceSelect');
+const hiddenTextOptions = document.getElementById('hiddenTextOptions');
+const hiddenTextInput = document.getElementById('hiddenTextInput');
+const hiddenFontSelect = document.getElementById('hiddenFontSelect');
+const hiddenShapeOptions = document.getElementById('hiddenShapeOptions');
+const hiddenShapeSelect = document.getElementById('hiddenShapeSelect');
+const hiddenMaskOptions = document.getElementById('hiddenMaskOptions');
+const loadHiddenMaskBtn = document.getElementById('loadHiddenMaskBtn');
+const hiddenMaskInput = document.getElementById('hiddenMaskInput');
+const hiddenMaskStatus = document.getElementById('hiddenMaskStatus');
+const hiddenSizeSlider = document.getElementById('hiddenSizeSlider');
+const hiddenSizeValue = document.getElementById('hiddenSizeValue');
+const hiddenXSlider = document.getElementById('hiddenXSlider');
+const hiddenXValue = document.getElementById('hiddenXValue');
+const hiddenYSlider = document.getElementById('hiddenYSlider');
+const hiddenYValue = document.getElementById('hiddenYValue');
+const placeHiddenBtn = document.getElementById('placeHiddenBtn');
+const hiddenDepthSlider = document.getElementById('hiddenDepthSlider');
+const hiddenDepthValue = document.getElementById('hiddenDepthValue');
+const hiddenLayerInfo = document.getElementById('hiddenLayerInfo');
+const hiddenFeatherSlider = document.getElementById('hiddenFeatherSlider');
+const hiddenFeatherValue = document.getElementById('hiddenFeatherValue');
+const hiddenFlatPreviewCheckbox = document.getElementById('hiddenFlatPreviewCheckbox');
+const viewModeSelect = document.getElementById('viewModeSelect');
+const anaglyphOptions = document.getElementById('anaglyphOptions');
+const anaglyphGlassesSelect = document.getElementById('anaglyphGlassesSelect');
+const anaglyphMethodSelect = document.getElementById('anaglyphMethodSelect');
+const pairOptions = document.getElementById('pairOptions');
+const layoutSelect = document.getElementById('layoutSelect');
+const eyeSizeOptions = document.getElementById('eyeSizeOptions');
+const eyeWidthInput = document.getElementById('eyeWidthInput');
+const eyeHeightInput = document.getElementById('eyeHeightInput');
+const dividerOptions = document.getElementById('dividerOptions');
+const dividerWidthSlider = document.getElementById('dividerWidthSlider');
+const dividerWidthValue = document.getElementById('dividerWidthValue');
+const dividerColorInput = document.getElementById('dividerColorInput');
+const resolutionSelect = document.getElementById('resolutionSelect');
+const customSizeOptions = document.getElementById('customSizeOptions');
+const customWidthInput = document.getElementById('customWidthInput');
+const customHeightInput = document.getElementById('customHeightInput');
+const outputSizeHint = document.getElementById('outputSizeHint');
+const viewingProfileSelect = document.getElementById('viewingProfileSelect');
+const viewingOptions = document.getElementById('viewingOptions');
+const displayWidthInput = document.getElementById('displayWidthInput');
+const pixelDensityInput = document.getElementById('pixelDensityInput');
+const viewingDistanceInput = document.getElementById('viewingDistanceInput');
+const interocularInput = document.getElementById('interocularInput');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const parallaxInfo = document.getElementById('parallaxInfo');
+const divergenceWarning = document.getElementById('divergenceWarning');
+const addBatchFilesBtn = document.getElementById('addBatchFilesBtn');
+const addBatchFolderBtn = document.getElementById('addBatchFolderBtn');
+const batchInput = document.getElementById('batchInput');
+const batchFolderInput = document.getElementById('batchFolderInput');
+const batchDropZone = document.getElementById('batchDropZone');
+const batchList = document.getElementById('batchList');
+const batchEmptyHint = document.getElementById('batchEmptyHint');
+const batchOptions = document.getElementById('batchOptions');
+const batchPresetInfo = document.getElementById('batchPresetInfo');
+const batchPresetBtn = document.getElementById('batchPresetBtn');
+const batchDepthCheckbox = document.getElementById('batchDepthCheckbox');
+const startBatchBtn = document.getElementById('startBatchBtn');
+const batchProgress = document.getElementById('batchProgress');
+const batchProgressBar = document.getElementById('batchProgressBar');
+const batchProgressText = document.getElementById('batchProgressText');
+const cancelBatchBtn = document.getElementById('cancelBatchBtn');
+const downloadBatchBtn = document.getElementById('downloadBatchBtn');
+const clearBatchBtn = document.getElementById('clearBatchBtn');
+const imageFormatSelect = document.getElementById('imageFormatSelect');
+const imageQualityOptions = document.getElementById('imageQualityOptions');
+const imageQualitySlider = document.getElementById('imageQualitySlider');
+const imageQualityValue = document.getElementById('imageQualityValue');
+const saveBtn = document.getElementById('saveBtn');
+const wigglePathSelect = document.getElementById('wigglePathSelect');
+const wiggleFramesSlider = document.getElementById('wiggleFramesSlider');
+const wiggleFramesValue = document.getElementById('wiggleFramesValue');
+const wiggleFpsSlider = document.getElementById('wiggleFpsSlider');
+const wiggleFpsValue = document.getElementById('wiggleFpsValue');
+const wiggleSizeSelect = document.getElementById('wiggleSizeSelect');
+const wiggleFormatSelect = document.getElementById('wiggleFormatSelect');
+const saveWiggleBtn = document.getElementById('saveWiggleBtn');
+const viewerModeSelect = document.getElementById('viewerModeSelect');
+const view3dBtn = document.getElementById('view3dBtn');
+const viewerHint = document.getElementById('viewerHint');
+const stereoViewerOverlay = document.getElementById('stereoViewer');
+const stereoViewerClose = document.getElementById('stereoViewerClose');
+const previewCanvas = document.getElementById('previewCanvas');
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+// Load image button
+loadImageBtn.addEventListener('click', () => {
+  imageInput.click();
+});
+
+imageInput.addEventListener('change', async (e) => {
+  const files = [...e.target.files];
+  // Several images go to the batch queue; the first one opens in the editor
+  if (files.length > 1) {
+    addBatchFiles(fileListEntries(files));
+  }
+  if (files[0]) {
+    await handleImageLoad(files[0]);
+  }
+});
+
+// Open a .stereonix project
+openProjectBtn.addEventListener('click', () => {
+  projectInput.click();
+});
+
+projectInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    await openProject(file);
+  } catch (error) {
+    console.error('Error opening project:', error);
+    alert(`Could not open project: ${error.message}`);
+  } finally {
+    projectInput.value = '';
+  }
+});
+
+// Load a stereo pair (two photos or one MPO)
+loadPairBtn.addEventListener('click', () => {
+  pairInput.click();
+});
+
+pairInput.addEventListener('change', async (e) => {
+  const files = [...e.target.files];
+  if (!files.length) return;
+
+  try {
+    await loadStereoPair(files);
+  } catch (error) {
+    console.error('Error loading stereo pair:', error);
+    alert(`Could not load stereo pair: ${error.message}`);
+  } finally {
+    pairInput.value = '';
+  }
+});
+
+function updateStereoPairOptions() {
+  const pair = state.stereoPair;
+  stereoPairOptions.style.display = pair ? 'block' : 'none';
+  if (!pair) return;
+
+  const { a, b, ty, matches } = pair.alignment;
+  const rotation = Math.atan2(a, b) * 180 / Math.PI;
+  const scale = (Math.hypot(a, b) - 1) * 100;
+  stereoPairStatus.textContent =
+    `Aligned on ${matches} matches: rotation ${rotation.toFixed(2)}°, vertical ${ty.toFixed(1)}px, scale ${scale.toFixed(1)}%`;
+}
+
+pairSwapCheckbox.addEventListener('change', async (e) => {
+  state.settings.pairSwapEyes = e.target.checked;
+  try {
+    await realignStereoPair();
+  } catch (error) {
+    console.error('Error aligning stereo pair:', error);
+    alert(`Could not align the swapped photos: ${error.message}`);
+    state.settings.pairSwapEyes = !e.target.checked;
+    e.target.checked = state.settings.pairSwapEyes;
+  }
+});
+
+// Nudges: [slider, settings key, value label, label format]; depth is re-matched on release
+[
+  [pairNudgeYSlider, 'pairNudgeY', pairNudgeYValue, value => value + 'px'],
+  [pairNudgeRotationSlider, 'pairNudgeRotation', pairNudgeRotationValue, value => value.toFixed(2) + '°'],
+  [pairNudgeScaleSlider, 'pairNudgeScale', pairNudgeScaleValue, value => value.toFixed(1) + '%']
+].forEach(([slider, key, label, format]) => {
+  slider.addEventListener('input', (e) => {
+    state.settings[key] = parseFloat(e.target.value);
+    label.textContent = format(state.settings[key]);
+    if (state.settings.pairAlignPreview) requestPreviewFrame();
+  });
+
+  slider.addEventListener('change', () => {
+    if (state.stereoPair) regenerateDepth();
+  });
+});
+
+pairAlignPreviewCheckbox.addEventListener('change', (e) => {
+  state.settings.pairAlignPreview = e.target.checked;
+  updatePreview();
+});
+
+// Switch between embedded depth and AI depth (depth edits are kept and reapplied)
+embeddedDepthCheckbox.addEventListener('change', (e) => {
+  state.settings.useEmbeddedDepth = e.target.checked;
+  regenerateDepth();
+});
+
+// Load video
+loadVideoBtn.addEventListener('click', () => {
+  videoInput.click();
+});
+
+videoInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    await loadVideo(file);
+  } catch (error) {
+    console.error('Error loading video:', error);
+    alert(`Could not load video: ${error.message}`);
+    hideLoading();
+  } finally {
+    videoInput.value = '';
+  }
+});
+
+// Frame range (seconds)
+function setVideoRange(start, end) {
+  const duration = state.video ? state.video.duration : 0;
+  const clampedStart = Math.max(0, Math.min(start, duration));
+  const clampedEnd = Math.max(clampedStart, Math.min(end, duration));
+  state.settings.videoStart = Math.round(clampedStart * 100) / 100;
+  state.settings.videoEnd = Math.round(clampedEnd * 100) / 100;
+  videoStartInput.value = state.settings.videoStart;
+  videoEndInput.value = state.settings.videoEnd;
+  updateVideoRangeHint();
+}
+
+videoStartInput.addEventListener('change', (e) => {
+  setVideoRange(parseFloat(e.target.value) || 0, state.settings.videoEnd);
+});
+
+videoEndInput.addEventListener('change', (e) => {
+  setVideoRange(state.settings.videoStart, parseFloat(e.target.value) || 0);
+});
+
+setVideoStartBtn.addEventListener('click', () => {
+  setVideoRange(videoPlayer.currentTime, Math.max(videoPlayer.currentTime, state.settings.videoEnd));
+});
+
+setVideoEndBtn.addEventListener('click', () => {
+  setVideoRange(Math.min(state.settings.videoStart, videoPlayer.currentTime), videoPlayer.currentTime);
+});
+
+videoFpsSelect.addEventListener('change', (e) => {
+  state.settings.videoFps = parseInt(e.target.value, 10);
+  updateVideoRangeHint();
+});
+
+videoSmoothingSlider.addEventListener('input', (e) => {
+  state.settings.videoSmoothing = parseFloat(e.target.value);
+  videoSmoothingValue.textContent = state.settings.videoSmoothing;
+});
+
+videoFormatSelect.addEventListener('change', (e) => {
+  state.settings.videoFormat = e.target.value;
+});
+
+previewFrameBtn.addEventListener('click', () => {
+  videoPlayer.pause();
+  previewVideoFrame(videoPlayer.currentTime);
+});
+
+// Convert video to stereo
+convertVideoBtn.addEventListener('click', async () => {
+  if (!state.video || videoJob) return;
+
+  const { videoStart, videoEnd, videoFps, videoSmoothing, videoFormat } = state.settings;
+  if (videoEnd <= videoStart) {
+    alert('Select a frame range with the end after the start.');
+    return;
+  }
+
+  const job = { cancelled: false };
+  videoJob = job;
+  convertVideoBtn.disabled = true;
+  cancelVideoBtn.style.display = 'block';
+  videoProgress.style.display = 'block';
+  videoProgressBar.value = 0;
+  videoProgressText.textContent = 'Starting...';
+
+  try {
+    const blob = await convertVideoToStereo(job, {
+      start: videoStart,
+      end: videoEnd,
+      fps: videoFps,
+      smoothing: videoSmoothing / 100,
+      format: videoFormat
+    }, (phase, done, total, eta) => {
+      // Depth estimation dominates, so it gets most of the bar
+      const phaseStart = phase === 'Estimating depth' ? 0 : 0.7;
+      const phaseWeight = phase === 'Estimating depth' ? 0.7 : 0.3;
+      videoProgressBar.value = phaseStart + phaseWeight * done / total;
+      videoProgressText.textContent = `${phase}: frame ${done}/${total} · ${formatDuration(eta)} left`;
+    });
+
+    if (blob) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+      downloadBlob(blob, `stereonix_${timestamp}${getOutputSuffix(state.settings)}.${VIDEO_FORMATS[videoFormat].extension}`);
+      videoProgressText.textContent = 'Done';
+    } else {
+      videoProgressText.textContent = 'Cancelled';
+    }
+  } catch (error) {
+    console.error('Error converting video:', error);
+    alert(`Error converting video: ${error.message}`);
+    videoProgressText.textContent = 'Failed';
+  } finally {
+    videoJob = null;
+    convertVideoBtn.disabled = false;
+    cancelVideoBtn.style.display = 'none';
+  }
+});
+
+cancelVideoBtn.addEventListener('click', () => {
+  if (videoJob) {
+    videoJob.cancelled = true;
+    videoProgressText.textContent = 'Cancelling...';
+  }
+});
+
+// Import depth map
+importDepthBtn.addEventListener('click', () => {
+  depthInput.click();
+});
+
+depthInput.addEventListener('change', async (e) => {
+  const files = e.target.files;
+  if (!files.length) return;
+
+  try {
+    showLoading('Reading depth map...');
+    const depth = await importDepthFiles(files);
+    hideLoading();
+    applyImportedDepth(depth);
+  } catch (error) {
+    console.error('Error importing depth map:', error);
+    alert(`Could not import depth map: ${error.message}`);
+    hideLoading();
+  } finally {
+    depthInput.value = '';
+  }
+});
+
+clearDepthImportBtn.addEventListener('click', () => {
+  clearImportedDepth();
+});
+
+// Depth model (re-runs inference with the selected model)
+depthModelSelect.addEventListener('change', async (e) => {
+  state.settings.depthModel = e.target.value;
+  updateDepthModelInfo();
+  await regenerateDepth();
+});
+
+populateDepthModels();
+
+// Offline model cache
+clearModelCacheBtn.addEventListener('click', async () => {
+  if (!confirm('Delete all cached depth models? They will be downloaded again when next used.')) return;
+  try {
+    await clearCachedModels();
+  } catch (error) {
+    console.error('Error clearing cached models:', error);
+    alert('Error clearing cached models. Please check console for details.');
+  }
+  updateCachedModelsInfo();
+});
+
+updateCachedModelsInfo();
+
+// Depth detail (tiled inference)
+depthDetailSelect.addEventListener('change', async (e) => {
+  state.settings.depthTiles = parseInt(e.target.value, 10);
+  await regenerateDepth();
+});
+
+// Preview zoom control
+previewZoomSlider.addEventListener('input', (e) => {
+  state.settings.previewZoom = parseFloat(e.target.value);
+  previewZoomValue.textContent = state.settings.previewZoom + '%';
+  updatePreview();
+});
+
+// Image zoom control
+zoomSlider.addEventListener('input', (e) => {
+  state.settings.zoom = parseFloat(e.target.value);
+  zoomValue.textContent = state.settings.zoom + '%';
+  updatePreview();
+});
+
+// Pan X control
+panXSlider.addEventListener('input', (e) => {
+  state.settings.panX = parseFloat(e.target.value);
+  panXValue.textContent = state.settings.panX;
+  updatePreview();
+});
+
+// Pan Y control
+panYSlider.addEventListener('input', (e) => {
+  state.settings.panY = parseFloat(e.target.value);
+  panYValue.textContent = state.settings.panY;
+  updatePreview();
+});
+
+// Depth intensity control
+depthIntensitySlider.addEventListener('input', (e) => {
+  state.settings.depthIntensity = parseFloat(e.target.value);
+  depthIntensityValue.textContent = state.settings.depthIntensity;
+  updatePreview();
+});
+
+// Convergence (screen plane) control
+convergenceSlider.addEventListener('input', (e) => {
+  state.settings.convergence = parseFloat(e.target.value);
+  convergenceValue.textContent = state.settings.convergence;
+  updatePreview();
+});
+
+pickConvergenceBtn.addEventListener('click', () => {
+  setConvergencePickMode(!convergencePickMode);
+});
+
+windowGuardSelect.addEventListener('change', (e) => {
+  state.settings.windowGuard = e.target.value;
+  updatePreview();
+});
+
+// Depth gamma control
+depthGammaSlider.addEventListener('input', (e) => {
+  state.settings.depthGamma = parseFloat(e.target.value);
+  depthGammaValue.textContent = state.settings.depthGamma.toFixed(2);
+  updatePreview();
+});
+
+// Invert depth checkbox
+invertDepthCheckbox.addEventListener('change', (e) => {
+  state.settings.invertDepth = e.target.checked;
+  updatePreview();
+});
+
+// Edge-aware depth upsampling toggle
+edgeAwareCheckbox.addEventListener('change', (e) => {
+  state.settings.edgeAwareDepth = e.target.checked;
+  edgeAwareOptions.style.display = state.settings.edgeAwareDepth ? 'block' : 'none';
+  rebuildDepthMap();
+});
+
+// Edge radius and strength (rebuild on release - filtering a large image is not instant)
+edgeRadiusSlider.addEventListener('input', (e) => {
+  edgeRadiusValue.textContent = e.target.value + 'px';
+});
+
+edgeRadiusSlider.addEventListener('change', (e) => {
+  state.settings.edgeRadius = parseFloat(e.target.value);
+  rebuildDepthMap();
+});
+
+edgeStrengthSlider.addEventListener('input', (e) => {
+  edgeStrengthValue.textContent = e.target.value;
+});
+
+edgeStrengthSlider.addEventListener('change', (e) => {
+  state.settings.edgeStrength = parseFloat(e.target.value);
+  rebuildDepthMap();
+});
+
+// Depth editing
+editToggleBtn.addEventListener('click', () => {
+  setDepthEditMode(!depthEditMode);
+});
+
+editToolSelect.addEventListener('change', (e) => {
+  state.settings.editTool = e.target.value;
+  updateEditToolOptions();
+});
+
+editDirectionSelect.addEventListener('change', (e) => {
+  state.settings.editDirection = e.target.value;
+});
+
+brushSizeSlider.addEventListener('input', (e) => {
+  state.settings.brushSize = parseFloat(e.target.value);
+  brushSizeValue.textContent = state.settings.brushSize + 'px';
+});
+
+brushSoftnessSlider.addEventListener('input', (e) => {
+  state.settings.brushSoftness = parseFloat(e.target.value);
+  brushSoftnessValue.textContent = state.settings.brushSoftness;
+});
+
+brushStrengthSlider.addEventListener('input', (e) => {
+  state.settings.brushStrength = parseFloat(e.target.value);
+  brushStrengthValue.textContent = state.settings.brushStrength;
+});
+
+fillDepthSlider.addEventListener('input', (e) => {
+  state.settings.fillDepth = parseFloat(e.target.value);
+  fillDepthValue.textContent = state.settings.fillDepth;
+});
+
+fillToleranceSlider.addEventListener('input', (e) => {
+  state.settings.fillTolerance = parseFloat(e.target.value);
+  fillToleranceValue.textContent = state.settings.fillTolerance;
+});
+
+overlayOpacitySlider.addEventListener('input', (e) => {
+  state.settings.overlayOpacity = parseFloat(e.target.value);
+  overlayOpacityValue.textContent = state.settings.overlayOpacity + '%';
+  updatePreview();
+});
+
+undoEditBtn.addEventListener('click', undoDepthEdit);
+redoEditBtn.addEventListener('click', redoDepthEdit);
+clearEditsBtn.addEventListener('click', clearDepthEdits);
+
+// Undo/redo shortcuts while editing
+document.addEventListener('keydown', (e) => {
+  if (!depthEditMode || !(e.ctrlKey || e.metaKey)) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    undoDepthEdit();
+    e.preventDefault();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    redoDepthEdit();
+    e.preventDefault();
+  }
+});
+
+// Hidden depth layer
+function updateHiddenLayerOptions() {
+  const source = state.settings.hiddenSource;
+  hiddenLayerOptions.style.display = state.settings.hiddenLayer ? 'block' : 'none';
+  hiddenTextOptions.style.display = source === 'text' ? 'block' : 'none';
+  hiddenShapeOptions.style.display = source === 'shape' ? 'block' : 'none';
+  hiddenMaskOptions.style.display = source === 'mask' ? 'block' : 'none';
+  if (state.hiddenMask) {
+    hiddenMaskStatus.textContent = `Mask loaded (${state.hiddenMask.width} × ${state.hiddenMask.height})`;
+  }
+}
+
+hiddenLayerCheckbox.addEventListener('change', (e) => {
+  state.settings.hiddenLayer = e.target.checked;
+  updateHiddenLayerOptions();
+  updatePreview();
+});
+
+hiddenSourceSelect.addEventListener('change', (e) => {
+  state.settings.hiddenSource = e.target.value;
+  updateHiddenLayerOptions();
+  updatePreview();
+});
+
+hiddenTextInput.addEventListener('input', (e) => {
+  state.settings.hiddenText = e.target.value;
+  requestPreviewFrame();
+});
+
+[
+  [hiddenFontSelect, 'hiddenFont'],
+  [hiddenShapeSelect, 'hiddenShape']
+].forEach(([select, key]) => {
+  select.addEventListener('change', (e) => {
+    state.settings[key] = e.target.value;
+    updatePreview();
+  });
+});
+
+// Sliders: [slider, settings key, value label, label format]
+[
+  [hiddenSizeSlider, 'hiddenSize', hiddenSizeValue, value => value + '%'],
+  [hiddenXSlider, 'hiddenX', hiddenXValue, value => value + '%'],
+  [hiddenYSlider, 'hiddenY', hiddenYValue, value => value + '%'],
+  [hiddenDepthSlider, 'hiddenDepth', hiddenDepthValue, value => value],
+  [hiddenFeatherSlider, 'hiddenFeather', hiddenFeatherValue, value => value + 'px']
+].forEach(([slider, key, label, format]) => {
+  slider.addEventListener('input', (e) => {
+    state.settings[key] = parseFloat(e.target.value);
+    label.textContent = format(state.settings[key]);
+    requestPreviewFrame();
+  });
+});
+
+loadHiddenMaskBtn.addEventListener('click', () => {
+  hiddenMaskInput.click();
+});
+
+hiddenMaskInput.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    await loadHiddenMask(file);
+    updateHiddenLayerOptions();
+    updatePreview();
+  } catch (error) {
+    console.error('Error loading hidden layer mask:', error);
+    alert(`Could not load mask: ${error.message}`);
+  } finally {
+    hiddenMaskInput.value = '';
+  }
+});
+
+placeHiddenBtn.addEventListener('click', () => {
+  setHiddenPlaceMode(!hiddenPlaceMode);
+});
+
+hiddenFlatPreviewCheckbox.addEventListener('change', (e) => {
+  state.settings.hiddenFlatPreview = e.target.checked;
+  updatePreview();
+});
+
+// View mode selector
+viewModeSelect.addEventListener('change', (e) => {
+  state.settings.viewMode = e.target.value;
+  anaglyphOptions.style.display = state.settings.viewMode === 'anaglyph' ? 'block' : 'none';
+  pairOptions.style.display = state.settings.viewMode === 'pair' ? 'block' : 'none';
+  updatePreview();
+});
+
+// Stereo pair layout
+layoutSelect.addEventListener('change', (e) => {
+  state.settings.layout = e.target.value;
+  eyeSizeOptions.style.display = state.settings.layout === 'full-sbs' ? 'block' : 'none';
+  dividerOptions.style.display = STEREO_LAYOUTS[state.settings.layout].divider ? 'block' : 'none';
+  updatePreview();
+});
+
+// Full-SBS per-eye size
+eyeWidthInput.addEventListener('change', (e) => {
+  const value = Math.round(parseFloat(e.target.value));
+  if (!(value >= 64 && value <= 8192)) {
+    e.target.value = state.settings.eyeWidth;
+    return;
+  }
+  state.settings.eyeWidth = value;
+  updatePreview();
+});
+
+eyeHeightInput.addEventListener('change', (e) => {
+  const value = Math.round(parseFloat(e.target.value));
+  if (!(value >= 64 && value <= 8192)) {
+    e.target.value = state.settings.eyeHeight;
+    return;
+  }
+  state.settings.eyeHeight = value;
+  updatePreview();
+});
+
+// Divider between eyes
+dividerWidthSlider.addEventListener('input', (e) => {
+  state.settings.dividerWidth = parseInt(e.target.value, 10);
+  dividerWidthValue.textContent = state.settings.dividerWidth + 'px';
+  updatePreview();
+});
+
+dividerColorInput.addEventListener('input', (e) => {
+  state.settings.dividerColor = e.target.value;
+  updatePreview();
+});
+
+// Output resolution preset
+resolutionSelect.addEventListener('change', (e) => {
+  state.settings.resolution = e.target.value;
+  customSizeOptions.style.display = state.settings.resolution === 'custom' ? 'flex' : 'none';
+  updatePreview();
+});
+
+// Custom output size
+customWidthInput.addEventListener('change', (e) => {
+  const value = Math.round(parseFloat(e.target.value));
+  if (!(value >= 64 && value <= 16384)) {
+    e.target.value = state.settings.customWidth;
+    return;
+  }
+  state.settings.customWidth = value;
+  updatePreview();
+});
+
+customHeightInput.addEventListener('change', (e) => {
+  const value = Math.round(parseFloat(e.target.value));
+  if (!(value >= 64 && value <= 16384)) {
+    e.target.value = state.settings.customHeight;
+    return;
+  }
+  state.settings.customHeight = value;
+  updatePreview();
+});
+
+// Viewing profile (physical parallax calibration)
+viewingProfileSelect.addEventListener('change', (e) => {
+  applyViewingProfile(e.target.value);
+});
+
+// Measurement inputs: [input, settings key, multiplier to mm]
+[
+  [displayWidthInput, 'displayWidthMm', 10],
+  [pixelDensityInput, 'pixelDensity', 1],
+  [viewingDistanceInput, 'viewingDistanceMm', 10],
+  [interocularInput, 'interocularMm', 1]
+].forEach(([input, key, toMm]) => {
+  input.addEventListener('change', (e) => {
+    const value = parseFloat(e.target.value);
+    const min = parseFloat(input.min);
+    const max = parseFloat(input.max);
+    if (!(value >= min && value <= max)) {
+      updateViewingInputs();
+      return;
+    }
+    state.settings.viewing[key] = value * toMm;
+    updatePreview();
+  });
+});
+
+saveProfileBtn.addEventListener('click', () => {
+  const name = prompt('Name for this viewing profile:', 'My Display');
+  if (!name || !name.trim()) return;
+
+  try {
+    state.settings.viewingProfile = saveViewingProfile(name.trim(), state.settings.viewing);
+  } catch (error) {
+    console.error('Error saving viewing profile:', error);
+    alert('Could not save the profile (browser storage unavailable).');
+    return;
+  }
+  populateViewingProfiles();
+  updateViewingInputs();
+});
+
+deleteProfileBtn.addEventListener('click', () => {
+  const id = state.settings.viewingProfile;
+  if (VIEWING_PROFILES[id] || !confirm('Delete this viewing profile?')) return;
+
+  deleteViewingProfile(id);
+  populateViewingProfiles();
+  viewingProfileSelect.value = 'relative';
+  applyViewingProfile('relative');
+});
+
+populateViewingProfiles();
+updateViewingInputs();
+
+// Anaglyph glasses type
+anaglyphGlassesSelect.addEventListener('change', (e) => {
+  state.settings.anaglyphGlasses = e.target.value;
+  updatePreview();
+});
+
+// Anaglyph color method
+anaglyphMethodSelect.addEventListener('change', (e) => {
+  state.settings.anaglyphMethod = e.target.value;
+  updatePreview();
+});
+
+// Stereo renderer
+rendererSelect.addEventListener('change', (e) => {
+  state.settings.renderer = e.target.value;
+  updatePreview();
+});
+
+gpuRenderingCheckbox.addEventListener('change', (e) => {
+  state.settings.gpuRendering = e.target.checked;
+  updatePreview();
+});
+
+// Disocclusion inpainting
+inpaintSelect.addEventListener('change', (e) => {
+  state.settings.inpaintMethod = e.target.value;
+  updatePreview();
+});
+
+holeMaskCheckbox.addEventListener('change', (e) => {
+  state.settings.showHoleMask = e.target.checked;
+  updatePreview();
+});
+
+imageFormatSelect.addEventListener('change', (e) => {
+  state.settings.imageFormat = e.target.value;
+  imageQualityOptions.style.display = IMAGE_FORMATS[state.settings.imageFormat].lossy ? 'block' : 'none';
+});
+
+imageQualitySlider.addEventListener('input', (e) => {
+  state.settings.imageQuality = parseInt(e.target.value, 10);
+  imageQualityValue.textContent = state.settings.imageQuality;
+});
+
+// AVIF is offered only where it can be encoded
+isAvifExportSupported().then(supported => {
+  imageFormatSelect.querySelector('option[value="avif"]').disabled = !supported;
+});
+
+// Save button (renders at full output resolution)
+saveBtn.addEventListener('click', async () => {
+  if (!state.originalImage || !state.depthMap) {
+    alert('No stereogram to save. Please load an image first.');
+    return;
+  }
+
+  showLoading('Rendering full resolution...');
+  // Let the loading message paint before the render blocks the thread
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  try {
+    const { blob, suffix, extension } = await exportStereogram(
+      state.originalImage, getActiveDepthMap(), copySettings(state.settings), describeDepthSource(),
+      getPairRightView(state.settings)
+    );
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+    downloadBlob(blob, `stereonix_${timestamp}${suffix}.${extension}`);
+  } catch (error) {
+    console.error('Error rendering stereogram:', error);
+    alert(`Error saving stereogram: ${error.message}. Try a smaller output resolution.`);
+  } finally {
+    hideLoading();
+  }
+});
+
+// Save depth map
+saveDepthBtn.addEventListener('click', async () => {
+  if (!state.originalImage || !state.depthFloat) {
+    alert('No depth map to save. Please load an image first.');
+    return;
+  }
+
+  showLoading('Exporting depth map...');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  try {
+    await exportDepthMap(depthFormatSelect.value);
+  } catch (error) {
+    console.error('Error exporting depth map:', error);
+    alert('Error exporting depth map. Please check console for details.');
+  } finally {
+    hideLoading();
+  }
+});
+
+// 3D model export
+function updateMeshOptions() {
+  // Point clouds have no triangles to cut
+  meshCutEdgesOption.style.display = state.settings.meshFormat === 'ply' ? 'none' : 'block';
+}
+
+meshFormatSelect.addEventListener('change', (e) => {
+  state.settings.meshFormat = e.target.value;
+  updateMeshOptions();
+});
+
+meshResolutionSelect.addEventListener('change', (e) => {
+  state.settings.meshResolution = parseInt(e.target.value, 10);
+});
+
+meshCutEdgesCheckbox.addEventListener('change', (e) => {
+  state.settings.meshCutEdges = e.target.checked;
+});
+
+saveMeshBtn.addEventListener('click', async () => {
+  if (!state.originalImage || !state.depthFloat) {
+    alert('No depth map to export. Please load an image first.');
+    return;
+  }
+
+  showLoading('Building 3D model...');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  try {
+    await exportDepthMesh(copySettings(state.settings));
+  } catch (error) {
+    console.error('Error exporting 3D model:', error);
+    alert(`Error exporting 3D model: ${error.message}`);
+  } finally {
+    hideLoading();
+  }
+});
+
+// Save project
+saveProjectBtn.addEventListener('click', async () => {
+  if (!state.originalImage || !state.depthFloat) {
+    alert('No project to save. Please load an image first.');
+    return;
+  }
+
+  showLoading('Saving project...');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  try {
+    await saveProject();
+  } catch (error) {
+    console.error('Error saving project:', error);
+    alert('Error saving project. Please check console for details.');
+  } finally {
+    hideLoading();
+  }
+});
+
+// Batch queue
+addBatchFilesBtn.addEventListener('click', () => {
+  batchInput.click();
+});
+
+addBatchFolderBtn.addEventListener('click', () => {
+  batchFolderInput.click();
+});
+
+[batchInput, batchFolderInput].forEach(input => {
+  input.addEventListener('change', (e) => {
+    addBatchFiles(fileListEntries(e.target.files));
+    e.target.value = '';
+  });
+});
+
+batchDropZone.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  batchDropZone.classList.add('drag-over');
+});
+
+batchDropZone.addEventListener('dragleave', () => {
+  batchDropZone.classList.remove('drag-over');
+});
+
+batchDropZone.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  batchDropZone.classList.remove('drag-over');
+  const added = addBatchFiles(await collectDroppedFiles(e.dataTransfer));
+  if (!added) {
+    alert('No images found in the dropped files.');
+  }
+});
+
+batchPresetBtn.addEventListener('click', () => {
+  batchPreset = copySettings(state.settings);
+  // Results rendered with the old preset are stale
+  batchQueue.forEach(item => {
+    if (item.status === 'done') resetBatchItem(item);
+  });
+  renderBatchQueue();
+});
+
+startBatchBtn.addEventListener('click', async () => {
+  if (batchJob) return;
+
+  const job = { cancelled: false };
+  batchJob = job;
+  batchProgress.style.display = 'block';
+  batchProgressBar.value = 0;
+  batchProgressText.textContent = 'Loading model...';
+  cancelBatchBtn.style.display = 'block';
+  renderBatchQueue();
+
+  const started = performance.now();
+  try {
+    await processBatch(job, batchDepthCheckbox.checked, (done, total) => {
+      const elapsed = (performance.now() - started) / 1000;
+      batchProgressBar.value = done / total;
+      batchProgressText.textContent = `Image ${done}/${total} · ${formatDuration(elapsed / done * (total - done))} left`;
+    });
+    const failed = batchQueue.filter(item => item.status === 'error').length;
+    batchProgressText.textContent = job.cancelled
+      ? 'Cancelled'
+      : `Done${failed ? ` · ${failed} failed` : ''}`;
+  } finally {
+    batchJob = null;
+    cancelBatchBtn.style.display = 'none';
+    renderBatchQueue();
+  }
+});
+
+cancelBatchBtn.addEventListener('click', () => {
+  if (batchJob) {
+    batchJob.cancelled = true;
+    batchProgressText.textContent = 'Cancelling after the current image...';
+  }
+});
+
+downloadBatchBtn.addEventListener('click', async () => {
+  showLoading('Building ZIP...');
+  try {
+    const zip = await buildBatchZip();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+    downloadBlob(zip, `stereonix_batch_${timestamp}.zip`);
+  } catch (error) {
+    console.error('Error building ZIP:', error);
+    alert('Error building ZIP. Please check console for details.');
+  } finally {
+    hideLoading();
+  }
+});
+
+clearBatchBtn.addEventListener('click', () => {
+  batchQueue = [];
+  batchPreset = null;
+  batchProgress.style.display = 'none';
+  renderBatchQueue();
+});
+
+// Wiggle animation options
+wigglePathSelect.addEventListener('change', (e) => {
+  state.settings.wigglePath = e.target.value;
+});
+
+wiggleFramesSlider.addEventListener('input', (e) => {
+  state.settings.wiggleFrames = parseInt(e.target.value, 10);
+  wiggleFramesValue.textContent = state.settings.wiggleFrames;
+});
+
+wiggleFpsSlider.addEventListener('input', (e) => {
+  state.settings.wiggleFps = parseInt(e.target.value, 10);
+  wiggleFpsValue.textContent = `${state.settings.wiggleFps} fps`;
+});
+
+wiggleSizeSelect.addEventListener('change', (e) => {
+  state.settings.wiggleSize = parseInt(e.target.value, 10);
+});
+
+wiggleFormatSelect.addEventListener('change', (e) => {
+  state.settings.wiggleFormat = e.target.value;
+});
+
+// Save wiggle animation
+saveWiggleBtn.addEventListener('click', async () => {
+  if (!state.originalImage || !state.depthMap) {
+    alert('No image to animate. Please load an image first.');
+    return;
+  }
+
+  const settings = copySettings(state.settings);
+  showLoading('Rendering wiggle frames...');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  try {
+    const frames = await renderWiggle(state.originalImage, getActiveDepthMap(), settings, (done, total) => {
+      showLoading(`Rendering viewpoint ${done}/${total}...`);
+    });
+    showLoading('Encoding animation...');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const blob = await encodeWiggle(frames, settings.wiggleFps, settings.wiggleFormat);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+    downloadBlob(blob, `stereonix_${timestamp}_wiggle_${settings.wigglePath}.${settings.wiggleFormat}`);
+  } catch (error) {
+    console.error('Error rendering wiggle animation:', error);
+    alert(`Error rendering wiggle animation: ${error.message}`);
+  } finally {
+    hideLoading();
+  }
+});
+
+// View in 3D
+const VIEWER_HINTS = {
+  parallax: 'Move the mouse or tilt your phone to look around the scene',
+  split: 'Fullscreen left and right views for cardboard-style phone viewers. Turn the phone sideways',
+  vr: 'Shows each eye view to the matching eye on a virtual screen'
+};
+
+function updateViewerOptions() {
+  const mode = state.settings.viewerMode;
+  const unavailable = mode === 'vr' && !vrSupported && !vrSession;
+  view3dBtn.disabled = unavailable;
+  view3dBtn.textContent = vrSession ? '⏹ Exit VR' : '👓 View in 3D';
+  viewerHint.textContent = unavailable
+    ? 'No WebXR VR device found (HTTPS required). To test without a headset, use the WebXR API Emulator browser extension'
+    : VIEWER_HINTS[mode];
+}
+
+// A headset can be connected or removed while the page is open
+function refreshVrSupport() {
+  detectVrSupport().then(updateViewerOptions);
+}
+
+viewerModeSelect.addEventListener('change', (e) => {
+  state.settings.viewerMode = e.target.value;
+  updateViewerOptions();
+});
+
+view3dBtn.addEventListener('click', async () => {
+  if (vrSession) {
+    vrSession.end().catch(() => {});
+    return;
+  }
+  if (!state.originalImage || !state.depthMap) {
+    alert('No image to view. Please load an image first.');
+    return;
+  }
+
+  try {
+    await openStereoViewer(state.settings.viewerMode);
+  } catch (error) {
+    closeStereoViewer();
+    console.error('Error opening 3D viewer:', error);
+    alert(`Error opening 3D viewer: ${error.message}`);
+  }
+});
+
+stereoViewerClose.addEventListener('click', closeStereoViewer);
+
+// Pointer position over the viewer sets the parallax eye position
+stereoViewerOverlay.addEventListener('pointermove', (e) => {
+  const rect = stereoViewerOverlay.getBoundingClientRect();
+  setParallaxTarget(
+    (e.clientX - rect.left) / rect.width * 2 - 1,
+    (e.clientY - rect.top) / rect.height * 2 - 1
+  );
+});
+
+window.addEventListener('deviceorientation', (e) => tiltParallaxView(e.beta, e.gamma));
+window.addEventListener('resize', resizeStereoViewer);
+
+// Leaving fullscreen (Esc, back gesture) closes the viewer too
+document.addEventListener('fullscreenchange', () => {
+  if (!document.fullscreenElement) closeStereoViewer();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeStereoViewer();
+});
+
+if (navigator.xr) {
+  navigator.xr.addEventListener('devicechange', refreshVrSupport);
+}
+updateViewerOptions();
+refreshVrSupport();
+
+// Controls that mirror a single setting: [control, settings key, value label, label format]
+const SETTING_CONTROLS = [
+  [depthDetailSelect, 'depthTiles'],
+  [embeddedDepthCheckbox, 'useEmbeddedDepth'],
+  [pairSwapCheckbox, 'pairSwapEyes'],
+  [pairNudgeYSlider, 'pairNudgeY', pairNudgeYValue, value => value + 'px'],
+  [pairNudgeRotationSlider, 'pairNudgeRotation', pairNudgeRotationValue, value => value.toFixed(2) + '°'],
+  [pairNudgeScaleSlider, 'pairNudgeScale', pairNudgeScaleValue, value => value.toFixed(1) + '%'],
+  [pairAlignPreviewCheckbox, 'pairAlignPreview'],
+  [videoFpsSelect, 'videoFps'],
+  [videoSmoothingSlider, 'videoSmoothing', videoSmoothingValue],
+  [videoFormatSelect, 'videoFormat'],
+  [previewZoomSlider, 'previewZoom', previewZoomValue, value => value + '%'],
+  [zoomSlider, 'zoom', zoomValue, value => value + '%'],
+  [panXSlider, 'panX', panXValue, value => value.toFixed(0)],
+  [panYSlider, 'panY', panYValue, value => value.toFixed(0)],
+  [depthIntensitySlider, 'depthIntensity', depthIntensityValue],
+  [convergenceSlider, 'convergence', convergenceValue],
+  [windowGuardSelect, 'windowGuard'],
+  [depthGammaSlider, 'depthGamma', depthGammaValue, value => value.toFixed(2)],
+  [invertDepthCheckbox, 'invertDepth'],
+  [edgeAwareCheckbox, 'edgeAwareDepth'],
+  [edgeRadiusSlider, 'edgeRadius', edgeRadiusValue, value => value + 'px'],
+  [edgeStrengthSlider, 'edgeStrength', edgeStrengthValue],
+  [editToolSelect, 'editTool'],
+  [editDirectionSelect, 'editDirection'],
+  [brushSizeSlider, 'brushSize', brushSizeValue, value => value + 'px'],
+  [brushSoftnessSlider, 'brushSoftness', brushSoftnessValue],
+  [brushStrengthSlider, 'brushStrength', brushStrengthValue],
+  [fillDepthSlider, 'fillDepth', fillDepthValue],
+  [fillToleranceSlider, 'fillTolerance', fillToleranceValue],
+  [overlayOpacitySlider, 'overlayOpacity', overlayOpacityValue, value => value + '%'],
+  [hiddenLayerCheckbox, 'hiddenLayer'],
+  [hiddenSourceSelect, 'hiddenSource'],
+  [hiddenTextInput, 'hiddenText'],
+  [hiddenFontSelect, 'hiddenFont'],
+  [hiddenShapeSelect, 'hiddenShape'],
+  [hiddenSizeSlider, 'hiddenSize', hiddenSizeValue, value => value + '%'],
+  [hiddenXSlider, 'hiddenX', hiddenXValue, value => value + '%'],
+  [hiddenYSlider, 'hiddenY', hiddenYValue, value => value + '%'],
+  [hiddenDepthSlider, 'hiddenDepth', hiddenDepthValue],
+  [hiddenFeatherSlider, 'hiddenFeather', hiddenFeatherValue, value => value + 'px'],
+  [hiddenFlatPreviewCheckbox, 'hiddenFlatPreview'],
+  [viewModeSelect, 'viewMode'],
+  [anaglyphGlassesSelect, 'anaglyphGlasses'],
+  [anaglyphMethodSelect, 'anaglyphMethod'],
+  [layoutSelect, 'layout'],
+  [eyeWidthInput, 'eyeWidth'],
+  [eyeHeightInput, 'eyeHeight'],
+  [dividerWidthSlider, 'dividerWidth', dividerWidthValue, value => value + 'px'],
+  [dividerColorInput, 'dividerColor'],
+  [imageFormatSelect, 'imageFormat'],
+  [imageQualitySlider, 'imageQuality', imageQualityValue],
+  [resolutionSelect, 'resolution'],
+  [customWidthInput, 'customWidth'],
+  [customHeightInput, 'customHeight'],
+  [rendererSelect, 'renderer'],
+  [gpuRenderingCheckbox, 'gpuRendering'],
+  [inpaintSelect, 'inpaintMethod'],
+  [holeMaskCheckbox, 'showHoleMask'],
+  [wigglePathSelect, 'wigglePath'],
+  [wiggleFramesSlider, 'wiggleFrames', wiggleFramesValue],
+  [wiggleFpsSlider, 'wiggleFps', wiggleFpsValue, value => `${value} fps`],
+  [wiggleSizeSelect, 'wiggleSize'],
+  [wiggleFormatSelect, 'wiggleFormat'],
+  [viewerModeSelect, 'viewerMode'],
+  [meshFormatSelect, 'meshFormat'],
+  [meshResolutionSelect, 'meshResolution'],
+  [meshCutEdgesCheckbox, 'meshCutEdges']
+];
+
+// Show the current settings in every control (after opening a project)
+function syncSettingsControls() {
+  for (const [control, key, label, format = value => value] of SETTING_CONTROLS) {
+    const value = state.settings[key];
+    if (control.type === 'checkbox') {
+      control.checked = value;
+    } else {
+      control.value = value;
+    }
+    if (label) label.textContent = format(value);
+  }
+
+  depthModelSelect.value = DEPTH_MODELS[state.settings.depthModel] ? state.settings.depthModel : DEFAULT_DEPTH_MODEL;
+  updateDepthModelInfo();
+  edgeAwareOptions.style.display = state.settings.edgeAwareDepth ? 'block' : 'none';
+  anaglyphOptions.style.display = state.settings.viewMode === 'anaglyph' ? 'block' : 'none';
+  pairOptions.style.display = state.settings.viewMode === 'pair' ? 'block' : 'none';
+  eyeSizeOptions.style.display = state.settings.layout === 'full-sbs' ? 'block' : 'none';
+  dividerOptions.style.display = STEREO_LAYOUTS[state.settings.layout].divider ? 'block' : 'none';
+  customSizeOptions.style.display = state.settings.resolution === 'custom' ? 'flex' : 'none';
+  imageQualityOptions.style.display = IMAGE_FORMATS[state.settings.imageFormat].lossy ? 'block' : 'none';
+  updateEditToolOptions();
+  updateHiddenLayerOptions();
+  updateViewerOptions();
+  updateMeshOptions();
+  populateViewingProfiles();
+  updateViewingInputs();
+}
+
+// Drag to pan on preview canvas
+let isDragging = false;
+let lastMouseX = 0;
+let lastMouseY = 0;
+let convergencePickMode = false;
+let hiddenPlaceMode = false;
+
+function setConvergencePickMode(enabled) {
+  convergencePickMode = enabled && !!state.depthMap;
+  pickConvergenceBtn.textContent = convergencePickMode ? '🎯 Click a point in the preview...' : '🎯 Pick Screen Point';
+  previewCanvas.style.cursor = convergencePickMode || hiddenPlaceMode || depthEditMode ? 'crosshair' : 'grab';
+}
+
+function setHiddenPlaceMode(enabled) {
+  hiddenPlaceMode = enabled && !!state.depthMap;
+  placeHiddenBtn.textContent = hiddenPlaceMode ? '📍 Click where the clue goes...' : '📍 Place on Preview';
+  previewCanvas.style.cursor = convergencePickMode || hiddenPlaceMode || depthEditMode ? 'crosshair' : 'grab';
+}
+
+// Click-to-set convergence; returns true when the click was consumed
+function pickConvergence(clientX, clientY) {
+  if (!convergencePickMode) return false;
+
+  const convergence = convergenceAtPreviewPixel(clientToPreviewPixel(clientX, clientY));
+  setConvergencePickMode(false);
+  if (convergence === null) return true;
+
+  state.settings.convergence = convergence;
+  convergenceSlider.value = convergence;
+  convergenceValue.textContent = convergence;
+  updatePreview();
+  return true;
+}
+
+// Click-to-place the hidden layer; returns true when the click was consumed
+function placeHiddenLayer(clientX, clientY) {
+  if (!hiddenPlaceMode) return false;
+
+  const position = hiddenPositionAtPreviewPixel(clientToPreviewPixel(clientX, clientY));
+  setHiddenPlaceMode(false);
+  if (position === null) return true;
+
+  state.settings.hiddenX = position.x;
+  state.settings.hiddenY = position.y;
+  hiddenXSlider.value = position.x;
+  hiddenXValue.textContent = position.x + '%';
+  hiddenYSlider.value = position.y;
+  hiddenYValue.textContent = position.y + '%';
+  updatePreview();
+  return true;
+}
+
+previewCanvas.addEventListener('mousedown', (e) => {
+  if (!state.originalImage) return;
+  if (pickConvergence(e.clientX, e.clientY)) return;
+  if (placeHiddenLayer(e.clientX, e.clientY)) return;
+  if (depthEditMode) {
+    editPointerDown(e.clientX, e.clientY);
+    return;
+  }
+  isDragging = true;
+  lastMouseX = e.clientX;
+  lastMouseY = e.clientY;
+  previewCanvas.style.cursor = 'grabbing';
+});
+
+previewCanvas.addEventListener('mousemove', (e) => {
+  if (depthEditMode) {
+    editPointerMove(e.clientX, e.clientY);
+    return;
+  }
+  if (!isDragging) return;
+
+  const deltaX = e.clientX - lastMouseX;
+  const deltaY = e.clientY - lastMouseY;
+
+  // Update pan based on drag - no limits, full freedom
+  state.settings.panX += deltaX * 0.5;
+  state.settings.panY += deltaY * 0.5;
+
+  // Update UI
+  panXSlider.value = state.settings.panX;
+  panXValue.textContent = state.settings.panX.toFixed(0);
+  panYSlider.value = state.settings.panY;
+  panYValue.textContent = state.settings.panY.toFixed(0);
+
+  lastMouseX = e.clientX;
+  lastMouseY = e.clientY;
+
+  updatePreview();
+});
+
+previewCanvas.addEventListener('mouseup', (e) => {
+  if (depthEditMode) {
+    editPointerUp(e.clientX, e.clientY);
+    return;
+  }
+  isDragging = false;
+  previewCanvas.style.cursor = 'grab';
+});
+
+previewCanvas.addEventListener('mouseleave', () => {
+  if (depthEditMode) {
+    editPointerUp();
+    return;
+  }
+  isDragging = false;
+  previewCanvas.style.cursor = 'grab';
+});
+
+// Touch support for mobile
+previewCanvas.addEventListener('touchstart', (e) => {
+  if (!state.originalImage) return;
+  if (pickConvergence(e.touches[0].clientX, e.touches[0].clientY) ||
+      placeHiddenLayer(e.touches[0].clientX, e.touches[0].clientY)) {
+    e.preventDefault();
+    return;
+  }
+  if (depthEditMode) {
+    editPointerDown(e.touches[0].clientX, e.touches[0].clientY);
+    e.preventDefault();
+    return;
+  }
+  isDragging = true;
+  const touch = e.touches[0];
+  lastMouseX = touch.clientX;
+  lastMouseY = touch.clientY;
+  e.preventDefault();
+});
+
+previewCanvas.addEventListener('touchmove', (e) => {
+  if (depthEditMode) {
+    editPointerMove(e.touches[0].clientX, e.touches[0].clientY);
+    e.preventDefault();
+    return;
+  }
+  if (!isDragging) return;
+
+  const touch = e.touches[0];
+  const deltaX = touch.clientX - lastMouseX;
+  const deltaY = touch.clientY - lastMouseY;
+
+  // Update pan based on drag - no limits, full freedom
+  state.settings.panX += deltaX * 0.5;
+  state.settings.panY += deltaY * 0.5;
+
+  panXSlider.value = state.settings.panX;
+  panXValue.textContent = state.settings.panX.toFixed(0);
+  panYSlider.value = state.settings.panY;
+  panYValue.textContent = state.settings.panY.toFixed(0);
+
+  lastMouseX = touch.clientX;
+  lastMouseY = touch.clientY;
+
+  updatePreview();
+  e.preventDefault();
+});
+
+previewCanvas.addEventListener('touchend', (e) => {
+  if (depthEditMode) {
+    const touch = e.changedTouches[0];
+    editPointerUp(touch.clientX, touch.clientY);
+    return;
+  }
+  isDragging = false;
+});
+
+// License modal
+const licenseFooter = document.getElementById('licenseFooter');
+const licenseOverlay = document.getElementById('licenseOverlay');
+const licenseModal = document.getElementById('licenseModal');
+const licenseClose = document.getElementById('licenseClose');
+
+licenseFooter.addEventListener('click', () => {
+  licenseModal.style.display = 'block';
+  licenseOverlay.style.display = 'block';
+});
+
+licenseClose.addEventListener('click', () => {
+  licenseModal.style.display = 'none';
+  licenseOverlay.style.display = 'none';
+});
+
+licenseOverlay.addEventListener('click', () => {
+  licenseModal.style.display = 'none';
+  licenseOverlay.style.display = 'none';
+});
+
+// Set cursor style
+previewCanvas.style.cursor = 'grab';
+
+// Service worker: installable app that keeps working offline after first use
+if ('serviceWorker' in navigator && /^https?:/.test(location.protocol)) {
+  navigator.serviceWorker.register('sw.js').catch(error => {
+    console.warn('Service worker registration failed:', error);
+  });
+}
+
+console.log('Stereonix initialized');
@@ -0,0 +1,144 @@
+/**
+ * Stereonix - Service worker
+ * MIT License - Copyright (c) 2025 NQR
+ *
+ * Makes the app installable and usable offline after the first visit:
+ * - App shell: network first, falling back to the cached copy
+ * - CDN scripts (ONNX Runtime, video muxers): only served when their SHA-256
+ *   matches the digest pinned in RUNTIME_DIGESTS, then cached
+ * Depth models are not handled here; app.js caches them itself so that
+ * downloads can report progress and resume.
+ */
+
+const SHELL_CACHE = 'stereonix-shell-v1';
+const RUNTIME_CACHE = 'stereonix-runtime-v1';
+// Owned by app.js; kept when old caches are cleaned up
+const MODEL_CACHE = 'stereonix-models-v1';
+const HASH_HEADER = 'X-Content-SHA256';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'assets/css/styles.css',
+  'assets/js/app.js',
+  'assets/js/ui.js',
+  'assets/images/logo.png',
+  'assets/images/favicon-16x16.png',
+  'assets/images/favicon-32x32.png',
+  'assets/images/apple-touch-icon.png',
+  'assets/images/android-chrome-192x192.png',
+  'assets/images/android-chrome-512x512.png'
+];
+
+// SHA-256 of every CDN file the app loads, taken from the npm packages.
+// Keep in sync with ORT_SCRIPT_URL and VIDEO_FORMATS in app.js; a CDN file
+// without a digest here is refused
+const RUNTIME_DIGESTS = {
+  'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.19.2/dist/ort.webgpu.min.js':
+    '5f1f56fca0d48e38fa7bcbdcc63416d9bd91fcc419b3346dfb6b25bd69d935c3',
+  'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.19.2/dist/ort-wasm-simd-threaded.jsep.mjs':
+    '77696cb006548c3c18ef4372a27a3624f8a63aa3c4eee060f2700ff2a2687cc3',
+  'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.19.2/dist/ort-wasm-simd-threaded.jsep.wasm':
+    '3864394a1135425a4c9cf7ee844300de3c182a7a04bf64b7ea7691151fea714c',
+  'https://cdn.jsdelivr.net/npm/webm-muxer@5.1.4/build/webm-muxer.js':
+    '8f072405cf7c9e23ae600948cb0ca2ff78c0277b3d78951cd4697b36d88ebd7b',
+  'https://cdn.jsdelivr.net/npm/mp4-muxer@5.2.2/build/mp4-muxer.js':
+    'cc4d30bd20b9ffe0b15f59cf0de3e1930626ccd46a5146e36e4d619d7fecf63d'
+};
+
+// Fetched at install; the muxers are cached when video export first needs them
+const RUNTIME_FILES = Object.keys(RUNTIME_DIGESTS).filter(url => url.includes('/onnxruntime-web@'));
+
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    // Best effort: the runtime is also cached the first time the page loads it
+    await Promise.all(RUNTIME_FILES.map(url => fetchAndCacheRuntime(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, MODEL_CACHE];
+    for (const name of await caches.keys()) {
+      if (name.startsWith('stereonix-') && !keep.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.headers.has('Range')) return;
+
+  const url = new URL(request.url);
+  if (url.origin === CDN_ORIGIN) {
+    event.respondWith(runtimeResponse(request));
+  } else if (url.origin === self.location.origin && !url.pathname.includes('/models/')) {
+    event.respondWith(shellResponse(request));
+  }
+});
+
+// Network first so updates show up; the cached copy when offline
+async function shellResponse(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+      // Workers load app.js?page=...; one cached copy serves every query
+      const key = request.mode === 'navigate' ? './' : request.url.split('?')[0];
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = request.mode === 'navigate'
+      ? await cache.match('./')
+      : await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Cache first. Only verified bytes are ever cached, so a cached copy is
+// served when the digest stored with it is still the pinned one
+async function runtimeResponse(request) {
+  const url = request.url.split('#')[0];
+  const digest = RUNTIME_DIGESTS[url];
+  if (!digest) throw new Error(`No pinned SHA-256 for ${url}`);
+
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(url);
+  if (cached) {
+    if (cached.headers.get(HASH_HEADER) === digest) return cached;
+    await cache.delete(url);
+  }
+  return fetchAndCacheRuntime(url);
+}
+
+async function fetchAndCacheRuntime(url) {
+  const digest = RUNTIME_DIGESTS[url];
+  if (!digest) throw new Error(`No pinned SHA-256 for ${url}`);
+  // CORS mode so the body is readable and can be hashed
+  const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+  if (!response.ok) return response;
+
+  const bytes = await response.arrayBuffer();
+  if (await sha256Hex(bytes) !== digest) throw new Error(`SHA-256 mismatch for ${url}`);
+  const headers = new Headers(response.headers);
+  headers.set(HASH_HEADER, digest);
+  headers.delete('Content-Encoding');
+  headers.set('Content-Length', String(bytes.byteLength));
+  const stored = new Response(bytes, { status: response.status, statusText: response.statusText, headers });
+  await caches.open(RUNTIME_CACHE).then(cache => cache.put(url, stored.clone()));
+  return stored;
+}
+
+async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}